@@ -0,0 +1,467 @@
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import express from 'express';
+import cors from 'cors';
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { loadApiKeys, requireApiKey, requireAdmin, isToolAllowed, toolGroup } from './auth.js';
+import { DEFAULT_TENANT, resolveTenant, tenantWorkspace, listWorkspaceTenants, workspaceUsage } from './tenants.js';
+import { createSessionRegistry } from './sessions.js';
+import { createEventStore } from './eventStore.js';
+import { log } from './logging.js';
+import { openMemoryDb } from './memory.js';
+import { createMemorySweeper } from './memoryRetention.js';
+import { createMemoryStorage, scopeStorage, memoryToolAvailable } from './storage/index.js';
+import { memoryExport, memoryImport, EXPORT_FORMATS } from './memoryTransfer.js';
+import { createEmbeddingProvider } from './embeddings.js';
+import { createSandbox, loadSandboxPolicy } from './sandbox.js';
+import { loadQuotaConfig, quotaFor } from './quota.js';
+import { loadGitConfig } from './git.js';
+import { exportArchive, importArchive, archiveMaxBytes } from './workspaceArchive.js';
+import { ARCHIVE_FORMATS } from './archive.js';
+import { createMCPServer } from './server.js';
+import { TOOLS } from './tools.js';
+import { getRailwayToken } from './railway.js';
+import { getSupabaseToken } from './supabase.js';
+
+// ============================================
+// HTTP APP
+// ============================================
+//
+// Builds the Express app without listening, so tests can mount it on an
+// ephemeral port. Config:
+//
+//   workspaceDir  root of the tenant workspaces (created if missing)
+//   dbPath        SQLite memory database, ':memory:' for a throwaway one
+//   apiKeys       key map from loadApiKeys(); defaults to the environment
+//   sessions      options for createSessionRegistry (idleTimeoutMs, maxSessions)
+//   embedder      embedding provider; defaults to createEmbeddingProvider() from the environment
+//   storage       memory storage adapter; defaults to createMemoryStorage() from the environment
+//   sandbox       filesystem sandbox policy { symlinks, deny, readOnly }; defaults to loadSandboxPolicy()
+//   quotas        workspace quotas { maxBytes, maxFiles, maxFileBytes, maxSnapshotBytes, tenants }; defaults to loadQuotaConfig()
+//   git           git tool settings { remotes, authorName, authorEmail, timeoutMs }; defaults to loadGitConfig()
+//   snapshotDir   where workspace snapshots are kept, one directory per tenant; defaults to
+//                 FS_SNAPSHOT_DIR or <workspaceDir>/.snapshots
+//
+// Resolves to { app, db, storage, sandbox, sessions, apiKeys, close }.
+
+function toolsByGroup() {
+  const groups = {};
+  for (const tool of TOOLS) {
+    const group = toolGroup(tool.name);
+    (groups[group] ||= []).push(tool.name);
+  }
+  return groups;
+}
+
+export async function createApp(config) {
+  const { workspaceDir, dbPath } = config;
+
+  const app = express();
+  app.use(cors());
+  app.use(express.json({ limit: '50mb' }));
+
+  // Request logging middleware
+  app.use((req, res, next) => {
+    const timestamp = new Date().toISOString();
+    const sessionId = req.headers['mcp-session-id'] || 'no-session';
+
+    // Log all POST requests to /mcp
+    if (req.method === 'POST' && req.path === '/mcp') {
+      const method = req.body?.method || 'unknown';
+      const toolName = req.body?.params?.name || '';
+      log(`\n[${timestamp}] MCP REQUEST: ${method}${toolName ? ' -> ' + toolName : ''} (session: ${sessionId.slice(0, 8)}...)`);
+    }
+
+    next();
+  });
+
+  // Initialize workspace directory and memory database
+  await fs.mkdir(workspaceDir, { recursive: true });
+  const db = openMemoryDb(dbPath, { log });
+  const storage = config.storage ?? await createMemoryStorage({ db, log });
+  const embedder = config.embedder ?? createEmbeddingProvider();
+  const sandbox = createSandbox(config.sandbox ?? loadSandboxPolicy());
+  const quotas = config.quotas ?? loadQuotaConfig();
+  const gitConfig = config.git ?? loadGitConfig();
+  // ".snapshots" is not a valid tenant id, so it is never listed as a workspace
+  const snapshotDir = config.snapshotDir ?? (process.env.FS_SNAPSHOT_DIR || path.join(workspaceDir, '.snapshots'));
+
+  // Removes expired memories, types past their retention and old soft deletes
+  const memorySweeper = createMemorySweeper(storage, { log });
+  await memorySweeper.sweep();
+
+  // Per-session context handed to every filesystem and memory function;
+  // `memory` is the storage adapter scoped to the tenant
+  function createContext(tenant = DEFAULT_TENANT) {
+    return {
+      tenant,
+      workspaceDir: tenantWorkspace(workspaceDir, tenant),
+      sandbox,
+      quota: quotaFor(quotas, tenant),
+      git: gitConfig,
+      snapshotDir: path.join(snapshotDir, tenant),
+      db,
+      memory: scopeStorage(storage, tenant),
+      embedder
+    };
+  }
+
+  // Outgoing SSE events are kept so reconnecting clients can resume with Last-Event-ID
+  const eventStore = createEventStore(db);
+
+  const sessions = createSessionRegistry(db, {
+    ...config.sessions,
+    log,
+    onClose: (id) => eventStore.clear(id),
+    onSweep: () => eventStore.purgeOrphans()
+  });
+
+  // API keys and their tool scopes (empty = authentication disabled)
+  const apiKeys = config.apiKeys ?? loadApiKeys();
+  const authenticate = requireApiKey(apiKeys);
+  const authorizeAdmin = requireAdmin(apiKeys);
+
+  // A session may only be used by the key that created it
+  function sessionOwnedBy(session, principal) {
+    return (session.principal?.name ?? null) === (principal?.name ?? null);
+  }
+
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      railwayTokenConfigured: !!getRailwayToken(),
+      supabaseTokenConfigured: !!getSupabaseToken(),
+      workspaceDir,
+      dbPath,
+      authEnabled: apiKeys.size > 0
+    });
+  });
+
+  // Server description; GET /mcp itself is the MCP notification stream
+  app.get('/mcp/info', (req, res) => {
+    res.json({
+      name: 'vocal-bridge-mcp',
+      version: '2.0.0',
+      description: 'MCP server for Railway, Supabase, Filesystem, and Memory operations',
+      transport: 'streamable-http',
+      endpoint: '/mcp',
+      resumable: true,
+      authentication: apiKeys.size > 0 ? 'bearer' : 'none',
+      capabilities: {
+        filesystem: true,
+        memory: true,
+        railway: !!getRailwayToken(),
+        supabase: !!getSupabaseToken()
+      },
+      tools: toolsByGroup()
+    });
+  });
+
+  async function openSession(sessionId, { principal, ctx, initParams, restored = null }) {
+    await fs.mkdir(ctx.workspaceDir, { recursive: true });
+
+    const server = createMCPServer(principal, ctx);
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => sessionId,
+      eventStore: eventStore.forSession(sessionId)
+    });
+    await server.connect(transport);
+
+    if (restored) {
+      await replayInitialize(transport, initParams);
+    }
+
+    return sessions.add(sessionId, {
+      transport,
+      server,
+      principal,
+      tenant: ctx.tenant,
+      initParams,
+      createdAt: restored?.createdAt,
+      requestCount: restored?.requestCount,
+      toolCalls: restored?.toolCalls,
+      restored: !!restored
+    });
+  }
+
+  // A fresh transport rejects everything until it has seen `initialize`, so a
+  // session restored after a restart replays the client's original handshake.
+  // The Node transport wraps a web-standard one that accepts a plain Request.
+  // That wrapper is private, so package.json pins the SDK to the tested minor
+  // and server.test.js fails if an upgrade takes it away.
+  async function replayInitialize(transport, initParams) {
+    const inner = transport._webStandardTransport;
+    if (!inner) {
+      throw new Error('Failed to restore session: this @modelcontextprotocol/sdk version can\'t replay initialize');
+    }
+    const response = await inner.handleRequest(
+      new Request('http://localhost/mcp', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream' }
+      }),
+      { parsedBody: { jsonrpc: '2.0', id: 'session-restore', method: 'initialize', params: initParams } }
+    );
+    await response.text();
+    if (!response.ok) {
+      throw new Error(`Failed to restore session (HTTP ${response.status})`);
+    }
+  }
+
+  // Restores in progress by session id. A client back after a restart sends
+  // its GET stream and a POST together, and both must get the same session.
+  const restoring = new Map();
+
+  // Live session for this request, restoring it from the registry after a restart
+  async function resumeSession(sessionId, principal) {
+    const live = sessions.get(sessionId);
+    if (live) return live;
+    const pending = restoring.get(sessionId);
+    if (pending) return pending;
+
+    const persisted = sessions.findPersisted(sessionId);
+    if (!persisted?.initParams) return null;
+    if (persisted.principalName !== (principal?.name ?? null)) return null;
+
+    log(`[SESSION] Restoring ${sessionId} for tenant ${persisted.tenant}`);
+    const restore = openSession(sessionId, {
+      principal,
+      ctx: createContext(persisted.tenant),
+      initParams: persisted.initParams,
+      restored: persisted
+    }).finally(() => restoring.delete(sessionId));
+    restoring.set(sessionId, restore);
+    return restore;
+  }
+
+  function countToolCalls(body) {
+    const messages = Array.isArray(body) ? body : [body];
+    return messages.filter(m => m?.method === 'tools/call').length;
+  }
+
+  // Session named by the Mcp-Session-Id header, or null after sending an error response
+  async function sessionForRequest(req, res) {
+    const session = await resumeSession(req.headers['mcp-session-id'], req.principal);
+    if (!session) {
+      res.status(404).json({ error: 'Session not found' });
+      return null;
+    }
+    if (!sessionOwnedBy(session, req.principal)) {
+      res.status(403).json({ error: 'Session belongs to a different API key' });
+      return null;
+    }
+    return session;
+  }
+
+  app.post('/mcp', authenticate, async (req, res) => {
+    try {
+      let sessionId = req.headers['mcp-session-id'];
+      let session;
+
+      if (sessionId) {
+        session = await sessionForRequest(req, res);
+        if (!session) return;
+      } else {
+        if (!isInitializeRequest(req.body)) {
+          return res.status(400).json({ error: 'Missing Mcp-Session-Id header: send initialize first' });
+        }
+        let ctx;
+        try {
+          ctx = createContext(resolveTenant(req));
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+        sessionId = randomUUID();
+        session = await openSession(sessionId, { principal: req.principal, ctx, initParams: req.body.params });
+      }
+
+      sessions.touch(sessionId, { toolCalls: countToolCalls(req.body) });
+      res.setHeader('Mcp-Session-Id', sessionId);
+      await session.transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      console.error('MCP error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Standalone SSE stream for server-to-client notifications (Last-Event-ID resumes it)
+  app.get('/mcp', authenticate, async (req, res) => {
+    try {
+      if (!req.headers['mcp-session-id']) {
+        return res.status(400).json({ error: 'Missing Mcp-Session-Id header (server info is at /mcp/info)' });
+      }
+      const session = await sessionForRequest(req, res);
+      if (!session) return;
+
+      sessions.touch(req.headers['mcp-session-id']);
+      await session.transport.handleRequest(req, res);
+    } catch (error) {
+      console.error('MCP error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  });
+
+  app.delete('/mcp', authenticate, async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    if (sessionId && sessions.has(sessionId)) {
+      if (!sessionOwnedBy(sessions.get(sessionId), req.principal)) {
+        return res.status(403).json({ error: 'Session belongs to a different API key' });
+      }
+      await sessions.close(sessionId, 'client request');
+      res.status(200).json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Session not found' });
+    }
+  });
+
+  // ============================================
+  // MEMORY BACKUP ROUTES
+  // ============================================
+  //
+  // Plain-HTTP twins of memory_export / memory_import for backups and
+  // migrations, scoped to the tenant a session would get and gated by the
+  // same tool permissions.
+
+  // Resolve the caller's context for a route standing in for `tool`, or send
+  // an error response and return null
+  function toolContextFor(req, res, tool) {
+    if (!isToolAllowed(req.principal, tool)) {
+      res.status(403).json({ error: `API key "${req.principal.name}" is not permitted to call ${tool}` });
+      return null;
+    }
+    if (!memoryToolAvailable(storage.kind, tool)) {
+      res.status(501).json({ error: `${tool} is only available with the sqlite memory backend` });
+      return null;
+    }
+    try {
+      return createContext(resolveTenant(req));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return null;
+    }
+  }
+
+  app.get('/memory/export', authenticate, (req, res) => {
+    const ctx = toolContextFor(req, res, 'memory_export');
+    if (!ctx) return;
+    try {
+      const format = req.query.format || 'jsonl';
+      const result = memoryExport(ctx, { format, type: req.query.type });
+      const { contentType, extension } = EXPORT_FORMATS[format];
+      res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+      res.setHeader('Content-Disposition', `attachment; filename="memory-${ctx.tenant}.${extension}"`);
+      res.send(result.data);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Body is the raw JSONL (send it as application/x-ndjson or text/plain)
+  app.post('/memory/import', authenticate, express.text({ type: () => true, limit: '50mb' }), (req, res) => {
+    const ctx = toolContextFor(req, res, 'memory_import');
+    if (!ctx) return;
+    try {
+      const data = typeof req.body === 'string' ? req.body : '';
+      res.json(memoryImport(ctx, data, { strategy: req.query.strategy || 'skip' }));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // ============================================
+  // WORKSPACE ARCHIVE ROUTES
+  // ============================================
+  //
+  // Download any workspace path as a zip, tar or tar.gz, and upload an
+  // archive to extract into a directory. Gated by fs_read_file and
+  // fs_write_file; extraction goes through the same sandbox and quota checks
+  // as the tools.
+
+  // ?path=src&format=zip|tar|tar.gz (default zip)
+  app.get('/workspace/archive', authenticate, async (req, res) => {
+    const ctx = toolContextFor(req, res, 'fs_read_file');
+    if (!ctx) return;
+    try {
+      // The tenant may not have opened a session yet
+      await fs.mkdir(ctx.workspaceDir, { recursive: true });
+      const result = await exportArchive(ctx, req.query.path || '.', { format: req.query.format || 'zip' });
+      res.setHeader('Content-Type', ARCHIVE_FORMATS[result.format].contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${result.filename.replace(/["\\]/g, '_')}"`);
+      res.send(result.data);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Body is the raw archive; ?path= directory to extract into, &overwrite=error|skip|overwrite, &format= to skip detection
+  app.post('/workspace/archive', authenticate, express.raw({ type: () => true, limit: archiveMaxBytes() }), async (req, res) => {
+    const ctx = toolContextFor(req, res, 'fs_write_file');
+    if (!ctx) return;
+    try {
+      await fs.mkdir(ctx.workspaceDir, { recursive: true });
+      res.json(await importArchive(ctx, Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0), {
+        path: req.query.path || '.',
+        format: req.query.format || null,
+        overwrite: req.query.overwrite || 'error'
+      }));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // ============================================
+  // ADMIN ROUTES
+  // ============================================
+
+  app.get('/admin/tenants', authenticate, authorizeAdmin, async (req, res) => {
+    try {
+      const memoryCounts = await storage.counts();
+
+      const names = new Set([
+        ...await listWorkspaceTenants(workspaceDir),
+        ...memoryCounts.map(r => r.tenant)
+      ]);
+
+      const tenants = await Promise.all([...names].sort().map(async (tenant) => {
+        const usage = await workspaceUsage(tenantWorkspace(workspaceDir, tenant));
+        const activeSessions = [...sessions.values()].filter(s => s.tenant === tenant).length;
+        return {
+          tenant,
+          workspace: { files: usage.files, bytes: usage.bytes, quota: quotaFor(quotas, tenant) },
+          memory: {
+            entities: memoryCounts.find(r => r.tenant === tenant)?.entities || 0,
+            relations: memoryCounts.find(r => r.tenant === tenant)?.relations || 0
+          },
+          activeSessions
+        };
+      }));
+
+      res.json({ count: tenants.length, tenants });
+    } catch (error) {
+      console.error('Admin error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/sessions', authenticate, authorizeAdmin, (req, res) => {
+    res.json({
+      count: sessions.size,
+      maxSessions: sessions.maxSessions,
+      idleTimeoutMs: sessions.idleTimeoutMs,
+      sessions: sessions.describe()
+    });
+  });
+
+  async function close() {
+    memorySweeper.stop();
+    await sessions.shutdown();
+    await storage.close();
+    db.close();
+  }
+
+  return { app, db, storage, sandbox, sessions, apiKeys, close };
+}
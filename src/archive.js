@@ -0,0 +1,350 @@
+import zlib from 'zlib';
+
+// ============================================
+// TAR AND ZIP ARCHIVES
+// ============================================
+//
+// Just enough of the ustar and zip formats to pack a directory tree and to
+// unpack what common tools produce, without extra dependencies. Entries are
+// { path, type: 'file' | 'directory' | 'other', data, mode, mtime } with "/"
+// separated paths; 'other' covers links and devices, which are listed but
+// never written. Unpacking stops at `maxBytes` of content, so a small
+// compressed upload can't expand without bound. Zip64 and encrypted zips
+// are not supported.
+
+export const ARCHIVE_FORMATS = {
+  zip: { contentType: 'application/zip', extension: 'zip' },
+  tar: { contentType: 'application/x-tar', extension: 'tar' },
+  'tar.gz': { contentType: 'application/gzip', extension: 'tar.gz' }
+};
+
+const BLOCK = 512;
+
+// ---------- tar ----------
+
+function writeString(block, offset, length, value) {
+  Buffer.from(value, 'utf-8').copy(block, offset, 0, length);
+}
+
+function writeOctal(block, offset, length, value) {
+  writeString(block, offset, length, value.toString(8).padStart(length - 1, '0') + '\0');
+}
+
+function tarHeader({ name, type, size, mode, mtime }) {
+  const block = Buffer.alloc(BLOCK);
+  writeString(block, 0, 100, name);
+  writeOctal(block, 100, 8, mode);
+  writeOctal(block, 108, 8, 0);
+  writeOctal(block, 116, 8, 0);
+  writeOctal(block, 124, 12, size);
+  writeOctal(block, 136, 12, Math.floor(mtime.getTime() / 1000));
+  block[156] = type.charCodeAt(0);
+  writeString(block, 257, 6, 'ustar\0');
+  writeString(block, 263, 2, '00');
+  // The checksum is computed with its own field read as spaces
+  block.fill(0x20, 148, 156);
+  let sum = 0;
+  for (const byte of block) sum += byte;
+  writeString(block, 148, 8, sum.toString(8).padStart(6, '0') + '\0 ');
+  return block;
+}
+
+function padding(size) {
+  return Buffer.alloc((BLOCK - (size % BLOCK)) % BLOCK);
+}
+
+// "27 path=some/long/name\n": the length counts its own digits
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body);
+  while (String(length).length + Buffer.byteLength(body) !== length) {
+    length = String(length).length + Buffer.byteLength(body);
+  }
+  return `${length}${body}`;
+}
+
+function packTar(entries) {
+  const parts = [];
+  for (const entry of entries) {
+    const name = entry.type === 'directory' ? `${entry.path}/` : entry.path;
+    const data = entry.type === 'file' ? entry.data : Buffer.alloc(0);
+    const mtime = entry.mtime ?? new Date();
+    const mode = entry.mode ?? (entry.type === 'directory' ? 0o755 : 0o644);
+
+    // Names past the 100-byte field go in a pax extended header
+    if (Buffer.byteLength(name) > 100) {
+      const pax = Buffer.from(paxRecord('path', name), 'utf-8');
+      parts.push(tarHeader({ name: 'PaxHeader', type: 'x', size: pax.length, mode: 0o644, mtime }), pax, padding(pax.length));
+    }
+    parts.push(tarHeader({ name, type: entry.type === 'directory' ? '5' : '0', size: data.length, mode, mtime }));
+    parts.push(data, padding(data.length));
+  }
+  parts.push(Buffer.alloc(BLOCK * 2));
+  return Buffer.concat(parts);
+}
+
+function readString(block, offset, length) {
+  const field = block.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf-8');
+}
+
+function readOctal(block, offset, length) {
+  const text = readString(block, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function parsePax(data) {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = Number(data.subarray(offset, space).toString());
+    if (space === -1 || !length) break;
+    const record = data.subarray(space + 1, offset + length - 1).toString('utf-8');
+    const equals = record.indexOf('=');
+    records[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return records;
+}
+
+function unpackTar(buffer, maxBytes) {
+  const entries = [];
+  let offset = 0;
+  let total = 0;
+  let nextName = null;
+
+  while (offset + BLOCK <= buffer.length) {
+    const block = buffer.subarray(offset, offset + BLOCK);
+    if (block.every(byte => byte === 0)) break;
+
+    let sum = 0;
+    for (let i = 0; i < BLOCK; i++) sum += i >= 148 && i < 156 ? 0x20 : block[i];
+    if (sum !== readOctal(block, 148, 8)) {
+      throw new Error(`Invalid tar archive: bad header checksum at byte ${offset}`);
+    }
+
+    const type = String.fromCharCode(block[156] || 0x30);
+    const size = readOctal(block, 124, 12);
+    const data = buffer.subarray(offset + BLOCK, offset + BLOCK + size);
+    if (data.length < size) throw new Error('Invalid tar archive: truncated entry');
+    offset += BLOCK + size + padding(size).length;
+
+    if (type === 'x') {
+      nextName = parsePax(data).path ?? nextName;
+      continue;
+    }
+    if (type === 'L') {
+      nextName = readString(data, 0, data.length);
+      continue;
+    }
+    if (type === 'g') continue;
+
+    const prefix = readString(block, 345, 155);
+    const name = nextName ?? (prefix ? `${prefix}/${readString(block, 0, 100)}` : readString(block, 0, 100));
+    nextName = null;
+    const kind = type === '5' ? 'directory' : type === '0' || type === '7' ? 'file' : 'other';
+    if (kind === 'file') {
+      total += size;
+      if (total > maxBytes) throw new Error(`Archive expands past the ${maxBytes}-byte limit`);
+    }
+    entries.push({
+      path: name.replace(/\/+$/, ''),
+      type: kind,
+      data: kind === 'file' ? Buffer.from(data) : null,
+      mode: readOctal(block, 100, 8),
+      mtime: new Date(readOctal(block, 136, 12) * 1000)
+    });
+  }
+  return entries;
+}
+
+// ---------- zip ----------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+const UTF8_FLAG = 0x0800;
+
+function packZip(entries) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.type === 'directory' ? `${entry.path}/` : entry.path, 'utf-8');
+    const data = entry.type === 'file' ? entry.data : Buffer.alloc(0);
+    const compressed = data.length > 0 ? zlib.deflateRawSync(data) : data;
+    const method = data.length > 0 ? 8 : 0;
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(entry.mtime ?? new Date());
+    const mode = (entry.type === 'directory' ? 0o40000 : 0o100000) | (entry.mode ?? (entry.type === 'directory' ? 0o755 : 0o644));
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, compressed);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE((3 << 8) | 20, 4); // made by unix, so the mode below is read
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(UTF8_FLAG, 8);
+    header.writeUInt16LE(method, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(compressed.length, 20);
+    header.writeUInt32LE(data.length, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE(((mode << 16) | (entry.type === 'directory' ? 0x10 : 0)) >>> 0, 38);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, name);
+
+    offset += local.length + name.length + compressed.length;
+    if (offset > 0xffffffff) throw new Error('Archive is too large for zip; use tar.gz');
+  }
+  if (entries.length > 0xffff) throw new Error('Too many entries for zip; use tar.gz');
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+function unpackZip(buffer, maxBytes) {
+  // The end-of-central-directory record sits within the last 64 KB (its comment)
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('Invalid zip archive: no end of central directory');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error('Zip64 archives are not supported');
+
+  const entries = [];
+  let total = 0;
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Invalid zip archive: bad central directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const madeByUnix = buffer[offset + 5] === 3;
+    const mode = madeByUnix ? buffer.readUInt32LE(offset + 38) >>> 16 : 0;
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const rawName = buffer.subarray(offset + 46, offset + 46 + nameLength).toString(flags & UTF8_FLAG ? 'utf-8' : 'latin1');
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (flags & 0x1) throw new Error(`Encrypted zip entries are not supported (${rawName})`);
+    const fileType = mode & 0o170000;
+    const type = rawName.endsWith('/') || fileType === 0o40000 ? 'directory'
+      : fileType === 0 || fileType === 0o100000 ? 'file' : 'other';
+    const entry = { path: rawName.replace(/\/+$/, ''), type, data: null, mode: mode & 0o7777 };
+    entries.push(entry);
+    if (type !== 'file') continue;
+
+    total += size;
+    if (total > maxBytes) throw new Error(`Archive expands past the ${maxBytes}-byte limit`);
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw new Error(`Invalid zip archive: bad local header for ${rawName}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      entry.data = Buffer.from(compressed);
+    } else if (method === 8) {
+      // Sizes come from the archive, so inflate no further than the one it claims
+      entry.data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(size, 1) });
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} (${rawName})`);
+    }
+    if (entry.data.length !== size || crc32(entry.data) !== crc) {
+      throw new Error(`Invalid zip archive: ${rawName} is corrupt`);
+    }
+  }
+  return entries;
+}
+
+// ---------- formats ----------
+
+export function detectArchiveFormat(buffer) {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) return 'zip';
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x06054b50) return 'zip';
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) return 'tar.gz';
+  if (buffer.length >= 262 && buffer.subarray(257, 262).toString() === 'ustar') return 'tar';
+  throw new Error('Unrecognized archive: expected zip, tar or tar.gz');
+}
+
+function checkFormat(format) {
+  if (!ARCHIVE_FORMATS[format]) {
+    throw new Error(`Invalid format "${format}": expected ${Object.keys(ARCHIVE_FORMATS).join(', ')}`);
+  }
+}
+
+export function packArchive(entries, format) {
+  checkFormat(format);
+  if (format === 'zip') return packZip(entries);
+  const tar = packTar(entries);
+  return format === 'tar.gz' ? zlib.gzipSync(tar) : tar;
+}
+
+export function unpackArchive(buffer, { format = null, maxBytes }) {
+  format = format ?? detectArchiveFormat(buffer);
+  checkFormat(format);
+  if (format === 'zip') return unpackZip(buffer, maxBytes);
+  if (format === 'tar.gz') {
+    let tar;
+    try {
+      // Headers and padding add to the content, hence the extra room
+      tar = zlib.gunzipSync(buffer, { maxOutputLength: maxBytes + 64 * 1024 * 1024 });
+    } catch (error) {
+      throw new Error(error.code === 'ERR_BUFFER_TOO_LARGE'
+        ? `Archive expands past the ${maxBytes}-byte limit`
+        : `Invalid tar.gz archive: ${error.message}`);
+    }
+    return unpackTar(tar, maxBytes);
+  }
+  return unpackTar(buffer, maxBytes);
+}
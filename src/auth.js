@@ -0,0 +1,159 @@
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { TOOLS } from './tools.js';
+
+// ============================================
+// API KEY AUTHENTICATION
+// ============================================
+//
+// Keys come from MCP_API_KEYS and/or the JSON file named by MCP_API_KEYS_FILE.
+//
+//   MCP_API_KEYS="alice:sk-alice-123:filesystem,memory;deploy-bot:sk-bot-456:*"
+//
+// Each entry is `name:key[:scopes]` (entries separated by `;`, scopes by `,`).
+// Omitting scopes grants every tool. Keys containing `:` or `;` can't be
+// written this way; put them in the keys file. The keys file uses the same fields:
+//
+//   { "keys": [{ "name": "alice", "key": "sk-alice-123", "scopes": ["filesystem", "railway_deploy"], "tenant": "team-a" }] }
+//
+// A scope is either a tool group (see TOOL_GROUPS), an exact tool name, or `*`.
+// The extra `admin` scope unlocks the /admin routes and changes to shared
+// state such as memory metadata indexes; it grants no tools by itself.
+// `tenant` is optional and defaults to the key name (see tenants.js).
+// When no keys are configured authentication is disabled and every tool is allowed.
+
+export const TOOL_GROUPS = {
+  filesystem: 'fs_',
+  memory: 'memory_',
+  railway: 'railway_',
+  supabase: 'supabase_',
+  git: 'git_'
+};
+
+export function toolGroup(toolName) {
+  for (const [group, prefix] of Object.entries(TOOL_GROUPS)) {
+    if (toolName.startsWith(prefix)) return group;
+  }
+  return null;
+}
+
+export const ADMIN_SCOPE = 'admin';
+
+const TOOL_NAMES = new Set(TOOLS.map(tool => tool.name));
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+function parseScopes(scopes) {
+  if (scopes === undefined || scopes === null || scopes === '') return ['*'];
+  const list = Array.isArray(scopes) ? scopes : String(scopes).split(',');
+  return list.map(s => String(s).trim()).filter(Boolean);
+}
+
+function parseEnvKeys(value) {
+  return value
+    .split(';')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, key, scopes, ...rest] = entry.split(':');
+      if (!name || !key) {
+        throw new Error(`Invalid MCP_API_KEYS entry "${name || entry}": expected name:key[:scopes]`);
+      }
+      // Named without the key, which must not end up in logs
+      if (rest.length > 0) {
+        throw new Error(`Invalid MCP_API_KEYS entry "${name}": too many ":" separators; keys containing ":" go in MCP_API_KEYS_FILE`);
+      }
+      return { name: name.trim(), key: key.trim(), scopes };
+    });
+}
+
+function parseKeysFile(filePath) {
+  const parsed = JSON.parse(readFileSync(filePath, 'utf-8'));
+  const keys = Array.isArray(parsed) ? parsed : parsed.keys;
+  if (!Array.isArray(keys)) {
+    throw new Error(`Invalid keys file ${filePath}: expected an array or { "keys": [...] }`);
+  }
+  return keys.map((entry, i) => {
+    if (!entry?.name || !entry?.key) {
+      throw new Error(`Invalid keys file ${filePath}: entry ${i} needs "name" and "key"`);
+    }
+    return entry;
+  });
+}
+
+export function loadApiKeys(env = process.env) {
+  const entries = [];
+  if (env.MCP_API_KEYS) entries.push(...parseEnvKeys(env.MCP_API_KEYS));
+  if (env.MCP_API_KEYS_FILE) entries.push(...parseKeysFile(env.MCP_API_KEYS_FILE));
+
+  const keys = new Map();
+  for (const entry of entries) {
+    const scopes = parseScopes(entry.scopes);
+    for (const scope of scopes) {
+      if (scope !== '*' && scope !== ADMIN_SCOPE && !TOOL_GROUPS[scope] && !TOOL_NAMES.has(scope)) {
+        throw new Error(
+          `Unknown scope "${scope}" for API key "${entry.name}": expected *, ${ADMIN_SCOPE}, a tool group (${Object.keys(TOOL_GROUPS).join(', ')}) or a tool name`
+        );
+      }
+    }
+    keys.set(hashKey(entry.key), { name: entry.name, scopes, tenant: entry.tenant || null });
+  }
+  return keys;
+}
+
+export function isToolAllowed(principal, toolName) {
+  // No principal means authentication is disabled
+  if (!principal) return true;
+  return principal.scopes.some(scope =>
+    scope === '*' || scope === toolName || scope === toolGroup(toolName)
+  );
+}
+
+function extractKey(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  return req.headers['x-api-key'] || null;
+}
+
+// Express middleware: sets req.principal ({ name, scopes }) or rejects with 401.
+export function requireApiKey(keys) {
+  return (req, res, next) => {
+    if (keys.size === 0) {
+      req.principal = null;
+      return next();
+    }
+
+    const key = extractKey(req);
+    if (!key) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="vocal-bridge-mcp"');
+      return res.status(401).json({ error: 'Missing API key: send "Authorization: Bearer <key>" or "X-API-Key"' });
+    }
+
+    const principal = keys.get(hashKey(key));
+    if (!principal) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="vocal-bridge-mcp", error="invalid_token"');
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    req.principal = principal;
+    next();
+  };
+}
+
+// Admin rights: the `admin` scope, or anyone when authentication is disabled
+export function isAdmin(principal) {
+  return !principal || principal.scopes.includes(ADMIN_SCOPE);
+}
+
+// Express middleware for admin routes; must run after requireApiKey.
+export function requireAdmin(keys) {
+  return (req, res, next) => {
+    if (keys.size === 0 || isAdmin(req.principal)) {
+      return next();
+    }
+    res.status(403).json({ error: `API key "${req.principal?.name}" lacks the "${ADMIN_SCOPE}" scope` });
+  };
+}
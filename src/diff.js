@@ -0,0 +1,162 @@
+// ============================================
+// LINE DIFFS
+// ============================================
+//
+// Myers' O(ND) line diff and a unified-diff renderer, used to compare memory
+// versions. A final line without a trailing newline keeps a "\n" sentinel
+// while diffing, so adding or dropping that newline shows up as a change.
+
+// Past this many edits the middle of the diff is emitted as a plain
+// delete-then-insert block instead of an exact (and memory-hungry) trace
+const MAX_EDIT_DISTANCE = 4000;
+
+// Lines without their "\n"; a final line that has none carries the sentinel instead
+export function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += '\n';
+  }
+  return lines;
+}
+
+// Inverse of splitLines
+export function joinLines(lines) {
+  return lines.map(line => (line.endsWith('\n') ? line.slice(0, -1) : line + '\n')).join('');
+}
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    if (d > MAX_EDIT_DISTANCE) return null;
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(a, b, trace);
+    }
+  }
+  return backtrack(a, b, trace);
+}
+
+function backtrack(a, b, trace) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ op: ' ', line: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ op: '+', line: b[--y] });
+      } else {
+        ops.push({ op: '-', line: a[--x] });
+      }
+    }
+  }
+  return ops.reverse();
+}
+
+// Edit script between two texts: [{ op: ' ' | '-' | '+', line }]
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Common prefix and suffix are cheap to peel off before the O(ND) part
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const middle = myers(midA, midB) ?? [
+    ...midA.map(line => ({ op: '-', line })),
+    ...midB.map(line => ({ op: '+', line }))
+  ];
+
+  return [
+    ...a.slice(0, start).map(line => ({ op: ' ', line })),
+    ...middle,
+    ...a.slice(endA).map(line => ({ op: ' ', line }))
+  ];
+}
+
+function renderLine({ op, line }) {
+  return line.endsWith('\n')
+    ? `${op}${line.slice(0, -1)}\n\\ No newline at end of file`
+    : `${op}${line}`;
+}
+
+// Unified diff (as produced by `diff -u`), or '' when the texts are identical
+export function unifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = 3 } = {}) {
+  const ops = diffLines(oldText, newText);
+  const changed = ops.map((o, i) => (o.op === ' ' ? -1 : i)).filter(i => i >= 0);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows touch into the same hunk
+  const groups = [];
+  for (const i of changed) {
+    const last = groups[groups.length - 1];
+    if (last && i - last.end <= 2 * context + 1) {
+      last.end = i;
+    } else {
+      groups.push({ start: i, end: i });
+    }
+  }
+
+  // Line numbers of the old and new text at each op index
+  const oldAt = [];
+  const newAt = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const o of ops) {
+    oldAt.push(oldLine);
+    newAt.push(newLine);
+    if (o.op !== '+') oldLine++;
+    if (o.op !== '-') newLine++;
+  }
+
+  const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const group of groups) {
+    const from = Math.max(0, group.start - context);
+    const to = Math.min(ops.length - 1, group.end + context);
+    const hunk = ops.slice(from, to + 1);
+    const oldCount = hunk.filter(o => o.op !== '+').length;
+    const newCount = hunk.filter(o => o.op !== '-').length;
+    const oldStart = oldCount === 0 ? oldAt[from] - 1 : oldAt[from];
+    const newStart = newCount === 0 ? newAt[from] - 1 : newAt[from];
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    out.push(...hunk.map(renderLine));
+  }
+  return out.join('\n') + '\n';
+}
@@ -0,0 +1,141 @@
+import { createHash } from 'crypto';
+
+// ============================================
+// EMBEDDING PROVIDERS
+// ============================================
+//
+// A provider is { id, dimensions, embed(texts) } where embed resolves to one
+// L2-normalised number[] per text. `id` is stored with each vector, so
+// switching providers re-embeds memories instead of comparing across spaces.
+//
+//   EMBEDDING_PROVIDER    "hash" (default, offline) or "http"
+//   EMBEDDING_DIMENSIONS  vector size for the hash provider (default 512)
+//   EMBEDDING_URL         OpenAI-compatible /embeddings endpoint for "http"
+//   EMBEDDING_MODEL       model name sent to the endpoint
+//   EMBEDDING_API_KEY     bearer token for the endpoint (optional)
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'i', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which',
+  'with', 'about', 'thing', 'things', 'stuff'
+]);
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm === 0 ? vector : vector.map(v => v / norm);
+}
+
+// Crude suffix stripping so "tables"/"table" and "deploying"/"deployed" meet
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+function hashFeature(feature, dimensions) {
+  const digest = createHash('md5').update(feature).digest();
+  return {
+    index: digest.readUInt32LE(0) % dimensions,
+    sign: digest[4] & 1 ? 1 : -1
+  };
+}
+
+// Deterministic, offline default: a signed feature-hashing bag of words, with
+// character trigrams so near-spellings still overlap.
+export function createHashEmbeddingProvider({ dimensions = 512 } = {}) {
+  function embedOne(text) {
+    const vector = new Array(dimensions).fill(0);
+    const add = (feature, weight) => {
+      const { index, sign } = hashFeature(feature, dimensions);
+      vector[index] += sign * weight;
+    };
+
+    const tokens = tokenize(text);
+    tokens.forEach((token, i) => {
+      add(`w:${token}`, 1);
+      if (i > 0) add(`b:${tokens[i - 1]} ${token}`, 0.5);
+      const padded = `#${token}#`;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        add(`c:${padded.slice(j, j + 3)}`, 0.25);
+      }
+    });
+    return normalize(vector);
+  }
+
+  return {
+    id: `hash-bow-${dimensions}`,
+    dimensions,
+    async embed(texts) {
+      return texts.map(embedOne);
+    }
+  };
+}
+
+// Any endpoint speaking the OpenAI embeddings API (OpenAI, Ollama, LM Studio, vLLM...)
+export function createHttpEmbeddingProvider({ url, model, apiKey } = {}) {
+  if (!url) {
+    throw new Error('EMBEDDING_URL must be set when EMBEDDING_PROVIDER=http');
+  }
+
+  return {
+    id: `http:${model || 'default'}@${url}`,
+    dimensions: null,
+    async embed(texts) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model, input: texts })
+      });
+      if (!response.ok) {
+        throw new Error(`Embedding API error: ${await response.text()}`);
+      }
+      const data = await response.json();
+      const vectors = [...data.data].sort((a, b) => a.index - b.index).map(d => normalize(d.embedding));
+      if (vectors.length !== texts.length) {
+        throw new Error(`Embedding API returned ${vectors.length} vectors for ${texts.length} inputs`);
+      }
+      return vectors;
+    }
+  };
+}
+
+export function createEmbeddingProvider(env = process.env) {
+  const kind = env.EMBEDDING_PROVIDER || 'hash';
+  switch (kind) {
+    case 'hash':
+      return createHashEmbeddingProvider({ dimensions: Number(env.EMBEDDING_DIMENSIONS) || 512 });
+    case 'http':
+      return createHttpEmbeddingProvider({
+        url: env.EMBEDDING_URL,
+        model: env.EMBEDDING_MODEL,
+        apiKey: env.EMBEDDING_API_KEY
+      });
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${kind}": expected "hash" or "http"`);
+  }
+}
+
+// Vectors are normalised, so cosine similarity is just the dot product
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+export function encodeVector(vector) {
+  return Buffer.from(new Float32Array(vector).buffer);
+}
+
+export function decodeVector(blob) {
+  // Copy out: SQLite blobs are not guaranteed to be 4-byte aligned
+  return new Float32Array(blob.buffer.slice(blob.byteOffset, blob.byteOffset + blob.byteLength));
+}
@@ -0,0 +1,77 @@
+// ============================================
+// SSE EVENT STORE
+// ============================================
+//
+// SQLite-backed implementation of the SDK's EventStore interface, so a client
+// that reconnects with Last-Event-ID gets the notifications it missed, even
+// across a restart. The SDK reuses stream ids between sessions (every
+// standalone GET stream is "_GET_stream"), so events are scoped per session:
+// hand `forSession(id)` to the transport rather than the store itself.
+// The mcp_events table comes from migration 008.
+//
+//   SSE_EVENT_RETENTION  events kept per session for replay (default 1000)
+
+export function createEventStore(db, {
+  maxEventsPerSession = Number(process.env.SSE_EVENT_RETENTION) || 1000
+} = {}) {
+  const insertStmt = db.prepare(`
+    INSERT INTO mcp_events (session_id, stream_id, message, created_at) VALUES (?, ?, ?, ?)
+  `);
+  const trimStmt = db.prepare(`
+    DELETE FROM mcp_events WHERE session_id = ? AND seq <= (
+      SELECT seq FROM mcp_events WHERE session_id = ? ORDER BY seq DESC LIMIT 1 OFFSET ?
+    )
+  `);
+  const streamStmt = db.prepare(`SELECT stream_id FROM mcp_events WHERE session_id = ? AND seq = ?`);
+  const afterStmt = db.prepare(`
+    SELECT seq, message FROM mcp_events
+    WHERE session_id = ? AND stream_id = ? AND seq > ?
+    ORDER BY seq
+  `);
+  const clearStmt = db.prepare(`DELETE FROM mcp_events WHERE session_id = ?`);
+  const purgeStmt = db.prepare(`DELETE FROM mcp_events WHERE session_id NOT IN (SELECT id FROM mcp_sessions)`);
+
+  // Event ids are the global sequence number; ids from another session resolve to nothing
+  function parseEventId(eventId) {
+    return /^\d+$/.test(eventId) ? Number(eventId) : null;
+  }
+
+  function forSession(sessionId) {
+    return {
+      async storeEvent(streamId, message) {
+        const { lastInsertRowid } = insertStmt.run(sessionId, streamId, JSON.stringify(message), Date.now());
+        trimStmt.run(sessionId, sessionId, maxEventsPerSession);
+        return String(lastInsertRowid);
+      },
+
+      async getStreamIdForEventId(eventId) {
+        const seq = parseEventId(eventId);
+        if (seq === null) return undefined;
+        return streamStmt.get(sessionId, seq)?.stream_id;
+      },
+
+      async replayEventsAfter(lastEventId, { send }) {
+        const seq = parseEventId(lastEventId);
+        const streamId = seq === null ? undefined : streamStmt.get(sessionId, seq)?.stream_id;
+        if (!streamId) {
+          throw new Error(`Unknown event id: ${lastEventId}`);
+        }
+        for (const event of afterStmt.all(sessionId, streamId, seq)) {
+          const message = JSON.parse(event.message);
+          // Priming events carry an empty payload and only exist to hand out an id
+          if (!message.jsonrpc) continue;
+          await send(String(event.seq), message);
+        }
+        return streamId;
+      }
+    };
+  }
+
+  return {
+    forSession,
+    clear: (sessionId) => clearStmt.run(sessionId),
+    // Events of sessions that are gone for good; live ones are bounded by
+    // SSE_EVENT_RETENTION instead, however old their events are
+    purgeOrphans: () => purgeStmt.run()
+  };
+}
@@ -0,0 +1,211 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { workspacePath, looksBinary, SNIFF_BYTES } from './filesystem.js';
+import { globToRegExp, pathMatcher } from './glob.js';
+import { resolveWorkspacePath, isDeniedPath } from './sandbox.js';
+import { createRegexRunner } from './regexWorker.js';
+
+// ============================================
+// WORKSPACE SEARCH
+// ============================================
+//
+// fs_search greps file contents and fs_glob matches paths, both walking a
+// directory under the tenant workspace. Walks don't follow symlinks, never
+// see deny-listed paths, and skip .git and node_modules unless the search
+// starts inside them. Results are capped, and a search that runs past its
+// time budget returns what it found so far with `timed_out` set; regex
+// searches run in a worker thread so that holds even mid-match. Paths in
+// results are relative to the workspace, ready to pass to fs_read_file.
+//
+//   FS_SEARCH_TIMEOUT_MS     time budget for one search or glob (default 5000)
+//   FS_SEARCH_MAX_FILE_BYTES files larger than this are not searched (default 1048576)
+
+const SKIPPED_DIRECTORIES = new Set(['.git', 'node_modules']);
+const MAX_RESULTS = 1000;
+const MAX_CONTEXT = 10;
+// Longest stretch of a matching line returned as its snippet
+const SNIPPET_CHARS = 200;
+
+function searchTimeoutMs() {
+  return Number(process.env.FS_SEARCH_TIMEOUT_MS) || 5000;
+}
+
+function searchMaxFileBytes() {
+  return Number(process.env.FS_SEARCH_MAX_FILE_BYTES) || 1024 * 1024;
+}
+
+function checkLimit(name, value, max) {
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    throw new Error(`Invalid ${name} "${value}": expected an integer from 0 to ${max}`);
+  }
+}
+
+// Skips the caller's exclude globs (relative to the search root) and the sandbox deny list
+function hiddenFrom(ctx, root, exclude) {
+  const excluded = pathMatcher(exclude);
+  return (relPath) => excluded(relPath) || isDeniedPath(ctx, path.join(root, relPath));
+}
+
+// Files under `root` in sorted order, as paths relative to it with "/" separators
+async function* walkFiles(root, { exclude, deadline }) {
+  const stack = [''];
+  while (stack.length > 0) {
+    const dir = stack.pop();
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(root, dir), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'EACCES' || error.code === 'ENOENT') continue;
+      throw error;
+    }
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    const subdirectories = [];
+    for (const entry of entries) {
+      if (Date.now() > deadline.at) {
+        deadline.hit = true;
+        return;
+      }
+      const relPath = dir ? `${dir}/${entry.name}` : entry.name;
+      if (exclude(relPath)) continue;
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRECTORIES.has(entry.name)) subdirectories.push(relPath);
+      } else if (entry.isFile()) {
+        yield relPath;
+      }
+    }
+    // Reversed so the stack visits them in order
+    stack.push(...subdirectories.reverse());
+  }
+}
+
+function makeDeadline(timeoutMs) {
+  return { at: Date.now() + timeoutMs, hit: false };
+}
+
+// The matching line, shortened around the match when it is long
+function snippet(line, column) {
+  if (line.length <= SNIPPET_CHARS) return line;
+  const start = Math.max(0, Math.min(column - SNIPPET_CHARS / 2, line.length - SNIPPET_CHARS));
+  return (start > 0 ? '…' : '') + line.slice(start, start + SNIPPET_CHARS) + (start + SNIPPET_CHARS < line.length ? '…' : '');
+}
+
+// Search file contents under `dirPath` for `query`, a literal string unless
+// `regex` is set. Returns one match per matching line with its 1-based line
+// and column, a snippet, and `context` lines either side. Binary files and
+// files over FS_SEARCH_MAX_FILE_BYTES are skipped.
+export async function searchFiles(ctx, query, {
+  path: dirPath = '.',
+  regex = false,
+  ignoreCase = false,
+  include = [],
+  exclude = [],
+  context = 0,
+  maxResults = 100
+} = {}) {
+  if (typeof query !== 'string' || query === '') throw new Error('query must be a non-empty string');
+  checkLimit('context', context, MAX_CONTEXT);
+  checkLimit('max_results', maxResults, MAX_RESULTS);
+
+  let pattern;
+  try {
+    pattern = new RegExp(regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), ignoreCase ? 'i' : '');
+  } catch (error) {
+    throw new Error(`Invalid regex: ${error.message}`);
+  }
+
+  const root = await resolveWorkspacePath(ctx, dirPath);
+  const included = include.length > 0 ? pathMatcher(include) : () => true;
+  const deadline = makeDeadline(searchTimeoutMs());
+  // An escaped literal matches in linear time, so only real regexes need the worker
+  const runner = regex ? createRegexRunner() : null;
+  const maxFileBytes = searchMaxFileBytes();
+  const matches = [];
+  let filesSearched = 0;
+  let filesSkipped = 0;
+  let truncated = false;
+
+  try {
+    search: for await (const relPath of walkFiles(root, { exclude: hiddenFrom(ctx, root, exclude), deadline })) {
+      if (!included(relPath)) continue;
+      const fullPath = path.join(root, relPath);
+      const { size } = await fs.stat(fullPath);
+      if (size > maxFileBytes) {
+        filesSkipped++;
+        continue;
+      }
+      const buffer = await fs.readFile(fullPath);
+      if (looksBinary(buffer.subarray(0, SNIFF_BYTES))) {
+        filesSkipped++;
+        continue;
+      }
+      filesSearched++;
+
+      const lines = buffer.toString('utf-8').split(/\r?\n/);
+      const columns = runner
+        ? await runner.run('search', { source: pattern.source, flags: pattern.flags, lines }, deadline.at - Date.now())
+        : lines.map(line => line.search(pattern));
+      if (columns === null) {
+        deadline.hit = true;
+        break;
+      }
+      for (let i = 0; i < lines.length; i++) {
+        if (columns[i] === -1) continue;
+        if (matches.length === maxResults) {
+          truncated = true;
+          break search;
+        }
+        matches.push({
+          path: workspacePath(ctx, fullPath),
+          line: i + 1,
+          column: columns[i] + 1,
+          text: snippet(lines[i], columns[i]),
+          ...(context > 0 && {
+            before: lines.slice(Math.max(0, i - context), i),
+            after: lines.slice(i + 1, i + 1 + context)
+          })
+        });
+      }
+      if (Date.now() > deadline.at) {
+        deadline.hit = true;
+        break;
+      }
+    }
+  } finally {
+    runner?.close();
+  }
+
+  return {
+    path: dirPath,
+    query,
+    matches,
+    files_searched: filesSearched,
+    files_skipped: filesSkipped,
+    truncated: truncated || deadline.hit,
+    timed_out: deadline.hit
+  };
+}
+
+// Files under `dirPath` whose path from there matches `pattern`, e.g.
+// "src/**/*.ts" or "*.{json,yml}"
+export async function globFiles(ctx, pattern, { path: dirPath = '.', exclude = [], maxResults = 500 } = {}) {
+  if (typeof pattern !== 'string' || pattern === '') throw new Error('pattern must be a non-empty string');
+  checkLimit('max_results', maxResults, MAX_RESULTS);
+
+  const root = await resolveWorkspacePath(ctx, dirPath);
+  const matcher = globToRegExp(pattern.replace(/^\.\//, ''));
+  const deadline = makeDeadline(searchTimeoutMs());
+  const files = [];
+  let truncated = false;
+
+  for await (const relPath of walkFiles(root, { exclude: hiddenFrom(ctx, root, exclude), deadline })) {
+    if (!matcher.test(relPath)) continue;
+    if (files.length === maxResults) {
+      truncated = true;
+      break;
+    }
+    files.push(workspacePath(ctx, path.join(root, relPath)));
+  }
+
+  return { path: dirPath, pattern, files, truncated: truncated || deadline.hit, timed_out: deadline.hit };
+}
@@ -0,0 +1,669 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { unifiedDiff } from './diff.js';
+import { parsePatch, applyHunks, DEV_NULL } from './patch.js';
+import { resolveWorkspacePath, isDeniedPath, isGitPath, checkTreeWritable } from './sandbox.js';
+import { checkQuota, existingSize } from './quota.js';
+import { createRegexRunner, regexTimeoutMs } from './regexWorker.js';
+
+// ============================================
+// FILESYSTEM FUNCTIONS
+// ============================================
+//
+// Reads are capped so a large log can't flood the caller's context: results
+// say whether they were truncated and where to continue. Files that look
+// binary (a NUL byte or invalid UTF-8 near the start) come back as base64.
+//
+//   FS_READ_MAX_BYTES  most bytes of content a single read returns (default 1048576)
+
+const WRITE_ENCODINGS = ['utf-8', 'base64'];
+const READ_ENCODINGS = ['auto', ...WRITE_ENCODINGS];
+const READ_UNITS = ['lines', 'bytes'];
+
+// Bytes sniffed to decide whether a file is binary
+export const SNIFF_BYTES = 8000;
+
+function readMaxBytes() {
+  return Number(process.env.FS_READ_MAX_BYTES) || 1024 * 1024;
+}
+
+export function checkEnumValue(name, value, allowed) {
+  if (!allowed.includes(value)) {
+    throw new Error(`Invalid ${name} "${value}": expected ${allowed.join(', ')}`);
+  }
+}
+
+function checkCount(name, value, min) {
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`Invalid ${name} "${value}": expected an integer of at least ${min}`);
+  }
+}
+
+function decodeBase64(content) {
+  const compact = content.replace(/\s+/g, '');
+  if (compact.length % 4 !== 0 || !/^[A-Za-z0-9+/]*={0,2}$/.test(compact)) {
+    throw new Error('Invalid base64 content');
+  }
+  return Buffer.from(compact, 'base64');
+}
+
+// `encoding` "base64" writes the decoded bytes, for images, archives and other binary assets
+export async function writeFile(ctx, filePath, content, { encoding = 'utf-8' } = {}) {
+  checkEnumValue('encoding', encoding, WRITE_ENCODINGS);
+  const fullPath = await resolveWorkspacePath(ctx, filePath, { access: 'write' });
+  const data = encoding === 'base64' ? decodeBase64(content) : Buffer.from(content, 'utf-8');
+  const previous = await existingSize(fullPath);
+  await checkQuota(ctx, {
+    fileSizes: [data.length],
+    bytes: data.length - (previous ?? 0),
+    files: previous === null ? 1 : 0
+  });
+  await fs.mkdir(path.dirname(fullPath), { recursive: true });
+  await fs.writeFile(fullPath, data);
+  return { success: true, path: filePath, size: data.length, encoding };
+}
+
+// Length of `buffer` without a multi-byte UTF-8 character cut off at its end
+function utf8Boundary(buffer) {
+  let start = buffer.length - 1;
+  // Walk back over continuation bytes (10xxxxxx) to the lead byte
+  while (start >= 0 && start > buffer.length - 4 && (buffer[start] & 0xc0) === 0x80) start--;
+  if (start < 0) return buffer.length;
+  const lead = buffer[start];
+  const needed = lead >= 0xf0 ? 4 : lead >= 0xe0 ? 3 : lead >= 0xc0 ? 2 : 1;
+  return buffer.length - start < needed ? start : buffer.length;
+}
+
+export function looksBinary(sample) {
+  if (sample.includes(0)) return true;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample.subarray(0, utf8Boundary(sample)));
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+async function readBytes(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Lines [offset, offset + limit) with their line endings, stopping early at
+// maxBytes; also counts every line in the file
+async function readLineWindow(fullPath, offset, limit, maxBytes) {
+  const picked = [];
+  let pickedBytes = 0;
+  let full = false;
+  let cut = false;
+  let lineNo = 0;
+  let pending = [];
+  let pendingBytes = 0;
+
+  const take = (parts) => {
+    const inWindow = lineNo >= offset && picked.length < limit && !full;
+    lineNo++;
+    if (!inWindow) return;
+
+    let line = Buffer.concat(parts);
+    if (pickedBytes + line.length > maxBytes) {
+      full = true;
+      // A single line longer than the cap still returns its beginning
+      if (picked.length > 0) return;
+      line = line.subarray(0, utf8Boundary(line.subarray(0, maxBytes)));
+      cut = true;
+    }
+    picked.push(line);
+    pickedBytes += line.length;
+  };
+
+  for await (const chunk of createReadStream(fullPath)) {
+    let start = 0;
+    for (let end = chunk.indexOf(10); end !== -1; end = chunk.indexOf(10, start)) {
+      take([...pending, chunk.subarray(start, end + 1)]);
+      pending = [];
+      pendingBytes = 0;
+      start = end + 1;
+    }
+    // Keep a partial line only while it is in the window and under the cap
+    const inWindow = lineNo >= offset && picked.length < limit && !full;
+    if (start < chunk.length && inWindow && pendingBytes <= maxBytes) {
+      pending.push(chunk.subarray(start));
+      pendingBytes += chunk.length - start;
+    } else if (start < chunk.length) {
+      pending.push(Buffer.alloc(0));
+    }
+  }
+  if (pending.length > 0) take(pending);
+
+  return { content: Buffer.concat(picked).toString('utf-8'), lines: picked.length, totalLines: lineNo, cut };
+}
+
+// Read a text file by lines or any file by bytes. `offset` is how many lines
+// (or bytes) to skip and `limit` how many to return; the unit defaults to
+// lines for text and bytes for binary files. `encoding` "auto" returns text
+// as UTF-8 and binary as base64.
+export async function readFile(ctx, filePath, { offset = 0, limit = null, unit = null, encoding = 'auto' } = {}) {
+  checkEnumValue('encoding', encoding, READ_ENCODINGS);
+  if (unit !== null) checkEnumValue('unit', unit, READ_UNITS);
+  checkCount('offset', offset, 0);
+  if (limit !== null) checkCount('limit', limit, 1);
+
+  const fullPath = await resolveWorkspacePath(ctx, filePath);
+  const maxBytes = readMaxBytes();
+  const handle = await fs.open(fullPath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const binary = looksBinary(await readBytes(handle, 0, Math.min(size, SNIFF_BYTES)));
+    const outputEncoding = encoding === 'auto' ? (binary ? 'base64' : 'utf-8') : encoding;
+    unit = unit ?? (outputEncoding === 'base64' ? 'bytes' : 'lines');
+    if (unit === 'lines' && outputEncoding === 'base64') {
+      throw new Error('Line ranges need text; read binary files with unit "bytes"');
+    }
+
+    if (unit === 'lines') {
+      const window = await readLineWindow(fullPath, offset, limit ?? Infinity, maxBytes);
+      const more = offset + window.lines < window.totalLines;
+      const truncated = more || window.cut;
+      return {
+        content: window.content,
+        path: filePath,
+        size,
+        encoding: outputEncoding,
+        binary,
+        unit,
+        offset,
+        lines_returned: window.lines,
+        total_lines: window.totalLines,
+        truncated,
+        // The one line returned was longer than the cap; read the rest by bytes
+        partial_line: window.cut,
+        next_offset: more ? offset + window.lines : null
+      };
+    }
+
+    let bytes = await readBytes(handle, offset, Math.max(0, Math.min(limit ?? maxBytes, maxBytes, size - offset)));
+    if (outputEncoding === 'utf-8') bytes = bytes.subarray(0, utf8Boundary(bytes));
+    const end = offset + bytes.length;
+    return {
+      content: bytes.toString(outputEncoding === 'base64' ? 'base64' : 'utf-8'),
+      path: filePath,
+      size,
+      encoding: outputEncoding,
+      binary,
+      unit,
+      offset,
+      bytes_returned: bytes.length,
+      truncated: end < size,
+      next_offset: end < size ? end : null
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Write through a temporary file and a rename, so readers never see half a
+// file. An existing file keeps its mode, and a symlink (one the sandbox let
+// through) keeps pointing at its target, which is what gets replaced.
+async function replaceFile(fullPath, content) {
+  await fs.mkdir(path.dirname(fullPath), { recursive: true });
+  const existing = await lstatOrNull(fullPath);
+  const target = existing?.isSymbolicLink() ? await fs.realpath(fullPath) : fullPath;
+  const mode = existing ? (await fs.stat(target)).mode & 0o7777 : null;
+  const temp = `${target}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await fs.writeFile(temp, content, 'utf-8');
+    if (mode !== null) await fs.chmod(temp, mode);
+    await fs.rename(temp, target);
+  } catch (error) {
+    await fs.rm(temp, { force: true });
+    throw error;
+  }
+}
+
+// Quota check for replacing the text of existing files: [{ before, after }]
+function checkEditQuota(ctx, changes) {
+  const sizes = changes.map(({ before, after }) => ({
+    before: Buffer.byteLength(before, 'utf-8'),
+    after: Buffer.byteLength(after, 'utf-8')
+  }));
+  return checkQuota(ctx, {
+    fileSizes: sizes.map(s => s.after),
+    bytes: sizes.reduce((sum, s) => sum + s.after - s.before, 0)
+  });
+}
+
+function countOccurrences(content, text) {
+  let count = 0;
+  for (let at = content.indexOf(text); at !== -1; at = content.indexOf(text, at + text.length)) count++;
+  return count;
+}
+
+// One edit from fs_apply_edits. Literal new_text is inserted as-is; in
+// regex mode it may use $1, $<name> and $& like String.replace. Regex edits
+// run on `runner` (see regexWorker.js), within FS_REGEX_TIMEOUT_MS.
+async function applyEdit(content, edit, label, runner = null) {
+  const { oldText, newText, replaceAll = false, expectedCount = null, regex = false, flags = '' } = edit;
+  if (typeof oldText !== 'string' || oldText === '') throw new Error(`${label}: old_text must be a non-empty string`);
+  if (typeof newText !== 'string') throw new Error(`${label}: new_text must be a string`);
+  if (expectedCount !== null) checkCount(`${label} expected_count`, expectedCount, 1);
+
+  let replaced = null;
+  let count;
+  if (regex) {
+    try {
+      new RegExp(oldText, flags);
+    } catch (error) {
+      throw new Error(`${label}: invalid regex: ${error.message}`);
+    }
+    const timeoutMs = regexTimeoutMs();
+    replaced = await runner.run('replace', { source: oldText, flags, content, replacement: newText, replaceAll }, timeoutMs);
+    if (replaced === null) {
+      throw new Error(`${label}: regex ran past the ${timeoutMs} ms time limit; simplify the pattern`);
+    }
+    count = replaced.count;
+  } else {
+    count = countOccurrences(content, oldText);
+  }
+
+  if (expectedCount !== null && count !== expectedCount) {
+    throw new Error(`${label}: expected ${expectedCount} occurrence(s) of old_text, found ${count}`);
+  }
+  if (count === 0) return { content, replacements: 0 };
+  if (count > 1 && !replaceAll) {
+    throw new Error(`${label}: old_text matches ${count} times; add surrounding context or set replace_all`);
+  }
+
+  if (regex) return { content: replaced.content, replacements: count };
+  return { content: content.split(oldText).join(newText), replacements: count };
+}
+
+function fileDiff(filePath, before, after, { created = false, deleted = false } = {}) {
+  return unifiedDiff(before, after, {
+    oldLabel: created ? DEV_NULL : `a/${filePath}`,
+    newLabel: deleted ? DEV_NULL : `b/${filePath}`
+  });
+}
+
+export async function editFile(ctx, filePath, oldText, newText) {
+  const fullPath = await resolveWorkspacePath(ctx, filePath, { access: 'write' });
+  const content = await fs.readFile(fullPath, 'utf-8');
+  if (!content.includes(oldText)) {
+    throw new Error('Old text not found in file');
+  }
+  const edited = await applyEdit(content, { oldText, newText }, 'Edit');
+  await checkEditQuota(ctx, [{ before: content, after: edited.content }]);
+  await replaceFile(fullPath, edited.content);
+  return { success: true, path: filePath };
+}
+
+// Apply a batch of edits in order, each to the result of the one before.
+// Nothing is written unless every edit succeeds: an edit whose old_text is
+// missing, ambiguous (several matches without replace_all) or found a
+// different number of times than expected_count fails the whole batch.
+export async function applyEdits(ctx, filePath, edits, { dryRun = false } = {}) {
+  if (!Array.isArray(edits) || edits.length === 0) throw new Error('edits must be a non-empty array');
+  const fullPath = await resolveWorkspacePath(ctx, filePath, { access: 'write' });
+  const before = await fs.readFile(fullPath, 'utf-8');
+
+  let content = before;
+  const applied = [];
+  const runner = edits.some(edit => edit?.regex) ? createRegexRunner() : null;
+  try {
+    for (const [i, edit] of edits.entries()) {
+      const label = `Edit ${i + 1}`;
+      const result = await applyEdit(content, edit, label, runner);
+      if (result.replacements === 0) throw new Error(`${label}: old_text not found in file`);
+      content = result.content;
+      applied.push({ edit: i + 1, replacements: result.replacements });
+    }
+  } finally {
+    runner?.close();
+  }
+
+  if (!dryRun) {
+    await checkEditQuota(ctx, [{ before, after: content }]);
+    await replaceFile(fullPath, content);
+  }
+  return {
+    success: true,
+    path: filePath,
+    dry_run: dryRun,
+    changed: content !== before,
+    edits: applied,
+    ...(dryRun && { diff: fileDiff(filePath, before, content) })
+  };
+}
+
+// Apply a unified diff (from `diff -u` or `git diff`) to the workspace. The
+// target comes from the patch's file headers unless `path` overrides it for
+// a single-file patch; /dev/null headers create or delete files. When any
+// hunk fails nothing is written, and the report says which hunks failed.
+export async function applyPatch(ctx, patch, { path: targetPath = null, fuzz = 2, dryRun = false } = {}) {
+  checkCount('fuzz', fuzz, 0);
+  const parsed = parsePatch(patch);
+  if (targetPath !== null && parsed.length > 1) {
+    throw new Error(`path can only be given for a single-file patch; this one has ${parsed.length} files`);
+  }
+
+  const files = [];
+  for (const file of parsed) {
+    const created = file.oldPath === DEV_NULL;
+    const deleted = file.newPath === DEV_NULL;
+    const filePath = targetPath ?? (deleted ? file.oldPath : file.newPath);
+    const fullPath = await resolveWorkspacePath(ctx, filePath, { access: deleted ? 'delete' : 'write' });
+
+    let before = '';
+    try {
+      before = await fs.readFile(fullPath, 'utf-8');
+      if (created && before !== '') throw new Error(`Patch creates ${filePath}, but it already exists`);
+    } catch (error) {
+      if (error.code !== 'ENOENT' || !created) throw error;
+    }
+
+    const result = applyHunks(before, file.hunks, { fuzz });
+    if (deleted && result.content !== null && result.content !== '') {
+      throw new Error(`Patch deletes ${filePath}, but the file has content the patch does not remove`);
+    }
+    files.push({ filePath, fullPath, before, created, deleted, ...result });
+  }
+
+  const failed = files.reduce((n, f) => n + f.failed, 0);
+  if (failed === 0 && !dryRun) {
+    const sizeAfter = (f) => (f.deleted ? 0 : Buffer.byteLength(f.content, 'utf-8'));
+    await checkQuota(ctx, {
+      fileSizes: files.map(sizeAfter),
+      bytes: files.reduce((sum, f) => sum + sizeAfter(f) - Buffer.byteLength(f.before, 'utf-8'), 0),
+      files: files.filter(f => f.created).length - files.filter(f => f.deleted).length
+    });
+    for (const file of files) {
+      if (file.deleted) {
+        await fs.unlink(file.fullPath);
+      } else {
+        await replaceFile(file.fullPath, file.content);
+      }
+    }
+  }
+
+  return {
+    success: failed === 0,
+    dry_run: dryRun,
+    failed_hunks: failed,
+    files: files.map(f => ({
+      path: f.filePath,
+      status: f.failed > 0 ? 'failed' : f.created ? 'created' : f.deleted ? 'deleted' : 'modified',
+      hunks: f.hunks
+    })),
+    ...(dryRun && failed === 0 && {
+      diff: files.map(f => fileDiff(f.filePath, f.before, f.content, f)).join('')
+    })
+  };
+}
+
+export async function deleteFile(ctx, filePath) {
+  const fullPath = await resolveWorkspacePath(ctx, filePath, { access: 'delete' });
+  await fs.unlink(fullPath);
+  return { success: true, path: filePath };
+}
+
+export const OVERWRITE_POLICIES = ['error', 'skip', 'overwrite'];
+
+// Most changed paths listed in a move, copy, delete or extract result; counts cover the rest
+const CHANGE_LIST_LIMIT = 200;
+
+export function changeLog() {
+  const changes = [];
+  const counts = {};
+  return {
+    add(action, changedPath) {
+      counts[action] = (counts[action] || 0) + 1;
+      if (changes.length < CHANGE_LIST_LIMIT) changes.push({ action, path: changedPath });
+    },
+    result: () => ({ counts, changes, changes_truncated: Object.values(counts).reduce((a, b) => a + b, 0) > changes.length })
+  };
+}
+
+// Missing also covers a path whose parent is a file (ENOTDIR)
+export async function lstatOrNull(fullPath) {
+  try {
+    return await fs.lstat(fullPath);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+    throw error;
+  }
+}
+
+function checkNotRoot(ctx, fullPath, action) {
+  if (fullPath === ctx.workspaceDir) throw new Error(`Cannot ${action} the workspace root`);
+}
+
+// Workspace-relative path with "/" separators, as tools report paths
+export function workspacePath(ctx, fullPath) {
+  return path.relative(ctx.workspaceDir, fullPath).split(path.sep).join('/');
+}
+
+// Move or rename a file or directory. `destination` is the new path itself,
+// not a directory to move into. With overwrite "overwrite" an existing
+// destination is replaced (a directory only by a directory).
+export async function movePath(ctx, source, destination, { overwrite = 'error' } = {}) {
+  checkEnumValue('overwrite', overwrite, OVERWRITE_POLICIES);
+  const from = await resolveWorkspacePath(ctx, source, { access: 'delete' });
+  const to = await resolveWorkspacePath(ctx, destination, { access: 'write' });
+  checkNotRoot(ctx, from, 'move');
+  checkNotRoot(ctx, to, 'replace');
+
+  const stats = await fs.lstat(from);
+  if (to === from) throw new Error('Source and destination are the same path');
+  if (stats.isDirectory() && to.startsWith(from + path.sep)) {
+    throw new Error(`Cannot move ${source} into itself`);
+  }
+  if (stats.isDirectory()) await checkTreeWritable(ctx, from);
+
+  const existing = await lstatOrNull(to);
+  if (existing) {
+    if (overwrite === 'skip') {
+      return { success: true, source, destination, moved: false, skipped: true };
+    }
+    if (overwrite === 'error') {
+      throw new Error(`Destination ${destination} already exists; set overwrite to "overwrite" or "skip"`);
+    }
+    if (existing.isDirectory() !== stats.isDirectory()) {
+      throw new Error(`Cannot replace ${existing.isDirectory() ? 'directory' : 'file'} ${destination} with a ${stats.isDirectory() ? 'directory' : 'file'}`);
+    }
+    await checkTreeWritable(ctx, to);
+    await fs.rm(to, { recursive: true });
+  }
+
+  await fs.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    // Workspaces on several devices: copy, then remove the original
+    await fs.cp(from, to, { recursive: true, errorOnExist: true, force: false, verbatimSymlinks: true });
+    await fs.rm(from, { recursive: true });
+  }
+  return {
+    success: true,
+    source,
+    destination,
+    type: stats.isDirectory() ? 'directory' : 'file',
+    moved: true,
+    replaced: Boolean(existing)
+  };
+}
+
+// Copy a file, or a directory tree when `recursive` is set. `overwrite`
+// decides what happens to files that already exist at the destination:
+// "error" fails before anything is copied, "skip" keeps them, "overwrite"
+// replaces them. Symlinks and deny-listed files are not copied.
+export async function copyPath(ctx, source, destination, { recursive = false, overwrite = 'error' } = {}) {
+  checkEnumValue('overwrite', overwrite, OVERWRITE_POLICIES);
+  const from = await resolveWorkspacePath(ctx, source);
+  const to = await resolveWorkspacePath(ctx, destination, { access: 'write' });
+  if (to === from) throw new Error('Source and destination are the same path');
+
+  const stats = await fs.lstat(from);
+  if (stats.isDirectory() && !recursive) {
+    throw new Error(`${source} is a directory; set recursive to copy it`);
+  }
+  if (stats.isDirectory() && to.startsWith(from + path.sep)) {
+    throw new Error(`Cannot copy ${source} into itself`);
+  }
+
+  // Plan every step first, so overwrite "error" fails without a partial copy
+  const plan = [];
+  const visit = async (src, dest, srcStats) => {
+    if (isDeniedPath(ctx, src) || isGitPath(ctx, dest)) {
+      plan.push({ action: 'skipped_denied', src, dest });
+      return;
+    }
+    await resolveWorkspacePath(ctx, workspacePath(ctx, dest), { access: 'write' });
+    const existing = await lstatOrNull(dest);
+    if (srcStats.isDirectory()) {
+      if (existing && !existing.isDirectory()) {
+        throw new Error(`Cannot copy directory over file ${workspacePath(ctx, dest)}`);
+      }
+      if (!existing) plan.push({ action: 'created_directory', src, dest });
+      const entries = await fs.readdir(src, { withFileTypes: true });
+      entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+      for (const entry of entries) {
+        const child = path.join(src, entry.name);
+        await visit(child, path.join(dest, entry.name), await fs.lstat(child));
+      }
+    } else if (!srcStats.isFile()) {
+      plan.push({ action: 'skipped_symlink', src, dest });
+    } else if (!existing) {
+      plan.push({ action: 'copied', src, dest, size: srcStats.size, replaces: 0 });
+    } else if (existing.isDirectory()) {
+      throw new Error(`Cannot copy file over directory ${workspacePath(ctx, dest)}`);
+    } else if (overwrite === 'error') {
+      throw new Error(`Destination ${workspacePath(ctx, dest)} already exists; set overwrite to "overwrite" or "skip"`);
+    } else {
+      plan.push({ action: overwrite === 'skip' ? 'skipped_existing' : 'overwritten', src, dest, size: srcStats.size, replaces: existing.size });
+    }
+  };
+  await visit(from, to, stats);
+
+  const writes = plan.filter(step => step.action === 'copied' || step.action === 'overwritten');
+  await checkQuota(ctx, {
+    fileSizes: writes.map(step => step.size),
+    bytes: writes.reduce((sum, step) => sum + step.size - step.replaces, 0),
+    files: writes.filter(step => step.action === 'copied').length
+  });
+
+  await fs.mkdir(path.dirname(to), { recursive: true });
+  const log = changeLog();
+  for (const step of plan) {
+    if (step.action === 'created_directory') {
+      await fs.mkdir(step.dest, { recursive: true });
+    } else if (step.action === 'copied' || step.action === 'overwritten') {
+      await fs.copyFile(step.src, step.dest);
+    }
+    log.add(step.action, workspacePath(ctx, step.dest));
+  }
+  return { success: true, source, destination, type: stats.isDirectory() ? 'directory' : 'file', ...log.result() };
+}
+
+// Delete a file or directory. Removing a non-empty directory needs
+// `recursive`, and `confirm` set to the same path: the first call without it
+// fails with a message saying how much would be deleted.
+export async function deletePath(ctx, targetPath, { recursive = false, confirm = null } = {}) {
+  const fullPath = await resolveWorkspacePath(ctx, targetPath, { access: 'delete' });
+  checkNotRoot(ctx, fullPath, 'delete');
+  const stats = await fs.lstat(fullPath);
+
+  if (!stats.isDirectory()) {
+    await fs.unlink(fullPath);
+    const log = changeLog();
+    log.add('deleted_file', workspacePath(ctx, fullPath));
+    return { success: true, path: targetPath, type: 'file', ...log.result() };
+  }
+
+  const log = changeLog();
+  const collect = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const child = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await collect(child);
+      } else {
+        log.add('deleted_file', workspacePath(ctx, child));
+      }
+    }
+    log.add('deleted_directory', workspacePath(ctx, dir));
+  };
+  await collect(fullPath);
+  const { counts } = log.result();
+
+  if (counts.deleted_file || counts.deleted_directory > 1) {
+    const contents = `${counts.deleted_file || 0} file(s) and ${counts.deleted_directory - 1} subdirector(ies)`;
+    if (!recursive) {
+      throw new Error(`Directory ${targetPath} is not empty (${contents}); set recursive to delete it`);
+    }
+    if (confirm !== targetPath) {
+      throw new Error(`Deleting ${targetPath} removes ${contents}; call again with confirm set to "${targetPath}" to proceed`);
+    }
+  }
+
+  await checkTreeWritable(ctx, fullPath);
+  await fs.rm(fullPath, { recursive: true });
+  return { success: true, path: targetPath, type: 'directory', ...log.result() };
+}
+
+export async function createDirectory(ctx, dirPath) {
+  const fullPath = await resolveWorkspacePath(ctx, dirPath, { access: 'write' });
+  await fs.mkdir(fullPath, { recursive: true });
+  return { success: true, path: dirPath };
+}
+
+// Entries of a directory the sandbox lets the caller see
+async function visibleEntries(ctx, dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  return entries.filter(entry => !isDeniedPath(ctx, path.join(dir, entry.name)));
+}
+
+function entryType(entry) {
+  return entry.isDirectory() ? 'directory' : entry.isSymbolicLink() ? 'symlink' : 'file';
+}
+
+export async function listDirectory(ctx, dirPath = '.') {
+  const fullPath = await resolveWorkspacePath(ctx, dirPath);
+  const entries = await visibleEntries(ctx, fullPath);
+  const items = await Promise.all(entries.map(async (entry) => {
+    const itemPath = path.join(fullPath, entry.name);
+    // lstat: a symlink's target may be outside the workspace
+    const stats = await fs.lstat(itemPath);
+    return {
+      name: entry.name,
+      type: entryType(entry),
+      size: stats.size,
+      modified: stats.mtime.toISOString()
+    };
+  }));
+  return { path: dirPath, items };
+}
+
+export async function getDirectoryTree(ctx, dirPath = '.', maxDepth = 3) {
+  const fullPath = await resolveWorkspacePath(ctx, dirPath);
+
+  async function buildTree(currentPath, depth) {
+    if (depth > maxDepth) return null;
+
+    const entries = await visibleEntries(ctx, currentPath);
+    const items = [];
+
+    for (const entry of entries) {
+      const item = { name: entry.name, type: entryType(entry) };
+      if (entry.isDirectory() && depth < maxDepth) {
+        item.children = await buildTree(path.join(currentPath, entry.name), depth + 1);
+      }
+      items.push(item);
+    }
+    return items;
+  }
+
+  return { path: dirPath, tree: await buildTree(fullPath, 0) };
+}
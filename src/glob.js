@@ -0,0 +1,62 @@
+import path from 'path';
+
+// ============================================
+// GLOBS
+// ============================================
+//
+// Shell-style path patterns for fs_search, fs_glob and the sandbox deny and
+// read-only lists. Paths are workspace-relative with "/" separators.
+
+// Glob syntax: * and ? within one path segment, ** across segments,
+// [abc] / [!abc] classes and {a,b} alternatives
+export function globToRegExp(glob) {
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      source += `[${body}]`;
+      i = end;
+    } else if (c === '{') {
+      braces++;
+      source += '(?:';
+    } else if (c === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (c === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += c.replace(/[.+^$()|[\]{}\\]/g, '\\$&');
+    }
+  }
+  if (braces > 0) throw new Error(`Invalid glob "${glob}": unclosed {`);
+  return new RegExp(`^${source}$`);
+}
+
+// Patterns without a "/" match a file or directory name at any depth
+// (like .gitignore); the others match the whole path from the search root
+export function pathMatcher(globs) {
+  const compiled = globs.map(glob => {
+    const trimmed = glob.replace(/^\.\//, '').replace(/\/$/, '');
+    return { regex: globToRegExp(trimmed), baseName: !trimmed.includes('/') };
+  });
+  return (relPath) => compiled.some(({ regex, baseName }) => regex.test(baseName ? path.posix.basename(relPath) : relPath));
+}
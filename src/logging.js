@@ -0,0 +1,49 @@
+// ============================================
+// LOGGING UTILITIES
+// ============================================
+
+export function log(message) {
+  // MCP_LOG_SILENT=1 mutes request/tool logging (used by the test suite)
+  if (process.env.MCP_LOG_SILENT === '1') return;
+  // Use process.stdout.write with newline to ensure immediate flush
+  process.stdout.write(message + '\n');
+}
+
+export function logToolCall(toolName, args, sessionId = 'unknown') {
+  const timestamp = new Date().toISOString();
+  const sanitizedArgs = sanitizeArgs(args);
+  log('');
+  log('======================================================================');
+  log(`[MCP TOOL CALL] ${toolName}`);
+  log('----------------------------------------------------------------------');
+  log(`Time: ${timestamp}`);
+  log(`Session: ${sessionId}`);
+  log(`Arguments: ${JSON.stringify(sanitizedArgs, null, 2)}`);
+  log('----------------------------------------------------------------------');
+}
+
+export function logToolResult(toolName, result, duration, isError = false) {
+  const status = isError ? 'ERROR' : 'SUCCESS';
+  log(`Result: ${status} (${duration}ms)`);
+  if (isError) {
+    log(`Error: ${result}`);
+  } else {
+    const preview = JSON.stringify(result).substring(0, 500);
+    log(`Response: ${preview}${preview.length >= 500 ? '...' : ''}`);
+  }
+  log('======================================================================');
+  log('');
+}
+
+function sanitizeArgs(args) {
+  if (!args) return args;
+  const sanitized = { ...args };
+  // Hide sensitive content but show structure
+  if (sanitized.content && sanitized.content.length > 200) {
+    sanitized.content = `[${sanitized.content.length} chars]`;
+  }
+  if (sanitized.token) sanitized.token = '[REDACTED]';
+  if (sanitized.password) sanitized.password = '[REDACTED]';
+  if (sanitized.api_key) sanitized.api_key = '[REDACTED]';
+  return sanitized;
+}
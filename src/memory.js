@@ -0,0 +1,572 @@
+import Database from 'better-sqlite3';
+import { createHash, randomUUID } from 'crypto';
+import { cosineSimilarity, encodeVector, decodeVector } from './embeddings.js';
+import { recordVersion, deleteRetentionDays } from './memoryHistory.js';
+import { migrateDatabase } from './migrations/index.js';
+import { resolveExpiry } from './memoryRetention.js';
+import {
+  entityFilters,
+  notExpired,
+  resolveSort,
+  encodeCursor,
+  keysetClause,
+  createConfiguredMetadataIndexes
+} from './memoryQuery.js';
+
+// ============================================
+// MEMORY FUNCTIONS
+// ============================================
+
+// Open the SQLite memory database, migrating its schema to the latest version
+export function openMemoryDb(dbPath, { log } = {}) {
+  const db = new Database(dbPath);
+  // Relations must point at real entities; memoryDelete chooses what happens to them
+  db.pragma('foreign_keys = ON');
+
+  try {
+    migrateDatabase(db, { log });
+  } catch (err) {
+    db.close();
+    throw err;
+  }
+  createConfiguredMetadataIndexes(db);
+
+  return db;
+}
+
+// Split free text into search terms: words, "quoted phrases" kept together,
+// and words with a trailing * as prefixes
+export function parseSearchTerms(query) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = pattern.exec(query)) !== null) {
+    const phrase = m[1] !== undefined;
+    let text = phrase ? m[1] : m[2];
+    const prefix = !phrase && text.endsWith('*');
+    text = text.replace(/\*+$/, '').trim();
+    if (text) terms.push({ text, prefix });
+  }
+  return terms;
+}
+
+// Turn free text into an FTS5 query. Terms are quoted (so FTS syntax in user
+// input is inert), and `match` joins them with AND or OR.
+export function buildSearchQuery(query, match = 'all') {
+  return parseSearchTerms(query)
+    .map(({ text, prefix }) => `"${text.replace(/"/g, '""')}"${prefix ? '*' : ''}`)
+    .join(match === 'any' ? ' OR ' : ' ');
+}
+
+// Name uniqueness: "none" allows duplicates, "type" keeps a name unique within
+// its type and "namespace" across the whole tenant. The default comes from
+// MEMORY_UNIQUE_NAMES (default "none").
+const UNIQUE_SCOPES = ['none', 'type', 'namespace'];
+
+export function uniqueScope(scope) {
+  scope = scope || process.env.MEMORY_UNIQUE_NAMES || 'none';
+  if (!UNIQUE_SCOPES.includes(scope)) {
+    throw new Error(`Invalid uniqueness scope "${scope}": expected ${UNIQUE_SCOPES.join(', ')}`);
+  }
+  return scope;
+}
+
+function findByName(ctx, name, type = null) {
+  let sql = `SELECT * FROM entities WHERE tenant = ? AND name = ? AND deleted_at IS NULL AND ${notExpired()}`;
+  const params = [ctx.tenant, name];
+  if (type) {
+    sql += ` AND type = ?`;
+    params.push(type);
+  }
+  return ctx.db.prepare(sql + ` ORDER BY updated_at DESC`).all(...params);
+}
+
+const candidate = (e) => ({ id: e.id, name: e.name, type: e.type, updated_at: e.updated_at });
+
+// `expiresAt` (ISO date) or `ttlSeconds` make the memory temporary
+export function memoryStore(ctx, name, type, content, metadata = {}, { unique = null, expiresAt, ttlSeconds } = {}) {
+  const scope = uniqueScope(unique);
+  const expires = resolveExpiry({ expiresAt, ttlSeconds }) ?? null;
+  const id = randomUUID();
+  const stmt = ctx.db.prepare(`
+    INSERT INTO entities (id, tenant, name, type, content, metadata, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  ctx.db.transaction(() => {
+    if (scope !== 'none') {
+      const [existing] = findByName(ctx, name, scope === 'type' ? type : null);
+      if (existing) {
+        throw new Error(`Memory "${name}" already exists as ${existing.type} ${existing.id}; use memory_upsert to update it`);
+      }
+    }
+    stmt.run(id, ctx.tenant, name, type, content, JSON.stringify(metadata), expires);
+    recordVersion(ctx, id, 'create');
+  })();
+  return { id, name, type, created: true, expires_at: expires };
+}
+
+// Update the memory with this name (within its type, or across the namespace
+// with matchBy "namespace"), or store a new one if there is none
+export function memoryUpsert(ctx, name, type, content, metadata = null, { matchBy = 'type', expiresAt, ttlSeconds } = {}) {
+  if (matchBy !== 'type' && matchBy !== 'namespace') {
+    throw new Error(`Invalid match_by "${matchBy}": expected type or namespace`);
+  }
+
+  const upsert = ctx.db.transaction(() => {
+    const matches = findByName(ctx, name, matchBy === 'type' ? type : null);
+    if (matches.length > 1) {
+      throw new Error(`Memory name "${name}" is ambiguous: ${matches.length} matches (${matches.map(m => m.id).join(', ')})`);
+    }
+    if (matches.length === 0) {
+      return memoryStore(ctx, name, type, content, metadata ?? {}, { unique: 'none', expiresAt, ttlSeconds });
+    }
+
+    const [existing] = matches;
+    const expires = resolveExpiry({ expiresAt, ttlSeconds });
+    ctx.db.prepare(`
+      UPDATE entities SET type = ?, content = ?, metadata = ?, expires_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND tenant = ?
+    `).run(
+      type,
+      content,
+      metadata == null ? existing.metadata : JSON.stringify(metadata),
+      expires === undefined ? existing.expires_at : expires,
+      existing.id,
+      ctx.tenant
+    );
+    recordVersion(ctx, existing.id, 'update');
+    return { id: existing.id, name, type, created: false, updated: true };
+  });
+
+  return upsert();
+}
+
+// Expiry is left alone unless `expiresAt` or `ttlSeconds` is given; expiresAt null clears it
+export function memoryUpdate(ctx, id, content, metadata = null, { expiresAt, ttlSeconds } = {}) {
+  const updates = ['content = ?', 'updated_at = CURRENT_TIMESTAMP'];
+  const params = [content];
+
+  if (metadata != null) {
+    updates.push('metadata = ?');
+    params.push(JSON.stringify(metadata));
+  }
+  const expires = resolveExpiry({ expiresAt, ttlSeconds });
+  if (expires !== undefined) {
+    updates.push('expires_at = ?');
+    params.push(expires);
+  }
+
+  params.push(id, ctx.tenant);
+  const stmt = ctx.db.prepare(`
+    UPDATE entities SET ${updates.join(', ')} WHERE id = ? AND tenant = ? AND deleted_at IS NULL
+  `);
+  const updated = ctx.db.transaction(() => {
+    const result = stmt.run(...params);
+    if (result.changes > 0) recordVersion(ctx, id, 'update');
+    return result.changes > 0;
+  })();
+  return { id, updated };
+}
+
+// An exact id wins; otherwise the name (optionally narrowed by type) must
+// match exactly one memory, and collisions are reported with their candidates
+export function memoryRecall(ctx, nameOrId, { type = null } = {}) {
+  const byId = ctx.db.prepare(`
+    SELECT * FROM entities WHERE tenant = ? AND id = ? AND deleted_at IS NULL AND ${notExpired()}
+  `).get(ctx.tenant, nameOrId);
+  const matches = byId ? [byId] : findByName(ctx, nameOrId, type);
+
+  if (matches.length === 0) return { found: false };
+  if (matches.length > 1) {
+    return {
+      found: false,
+      ambiguous: true,
+      count: matches.length,
+      candidates: matches.map(candidate)
+    };
+  }
+
+  const [entity] = matches;
+  return {
+    found: true,
+    id: entity.id,
+    name: entity.name,
+    type: entity.type,
+    content: entity.content,
+    metadata: JSON.parse(entity.metadata || '{}'),
+    created_at: entity.created_at,
+    updated_at: entity.updated_at,
+    expires_at: entity.expires_at
+  };
+}
+
+// `filters` narrows results by type, metadata predicates and date ranges (see
+// memoryQuery.js). Pages continue either by offset or by next_cursor, which
+// stays stable while memories are added.
+export function memorySearch(ctx, query, {
+  limit = 20,
+  offset = 0,
+  cursor = null,
+  match = 'all',
+  sort = 'relevance',
+  order = null,
+  ...filters
+} = {}) {
+  const ftsQuery = buildSearchQuery(query, match);
+  limit = Math.min(Math.max(limit, 1), 100);
+  offset = cursor ? 0 : Math.max(offset, 0);
+  const sortBy = resolveSort(sort, order, ['relevance', 'updated_at', 'created_at', 'name']);
+  if (!ftsQuery) {
+    return { count: 0, total: 0, offset, next_offset: null, next_cursor: null, entities: [] };
+  }
+
+  const { clauses, params } = entityFilters('e', filters);
+  const where = [`entities_fts MATCH ?`, `e.tenant = ?`, `e.deleted_at IS NULL`, notExpired('e'), ...clauses].join(' AND ');
+  params.unshift(ftsQuery, ctx.tenant);
+
+  const { total } = ctx.db.prepare(`
+    SELECT COUNT(*) as total
+    FROM entities_fts JOIN entities e ON e.rowid = entities_fts.rowid
+    WHERE ${where}
+  `).get(...params);
+
+  // Relevance is always best first; lower bm25 ranks are better
+  const sortKey = sortBy.sort === 'relevance' ? 'rank' : sortBy.sort;
+  const direction = sortBy.sort === 'relevance' ? 'asc' : sortBy.direction;
+  const page = cursor
+    ? keysetClause(`q.${sortKey}`, 'q.id', direction, cursor)
+    : { clause: '1', params: [] };
+
+  // Name matches weigh more than content matches
+  const rows = ctx.db.prepare(`
+    SELECT * FROM (
+      SELECT e.id, e.name, e.type, e.created_at, e.updated_at,
+             bm25(entities_fts, 10.0, 1.0) as rank,
+             highlight(entities_fts, 0, '**', '**') as name_highlight,
+             snippet(entities_fts, 1, '**', '**', '...', 24) as snippet
+      FROM entities_fts JOIN entities e ON e.rowid = entities_fts.rowid
+      WHERE ${where}
+    ) q
+    WHERE ${page.clause}
+    ORDER BY q.${sortKey} ${direction.toUpperCase()}, q.id ${direction.toUpperCase()}
+    LIMIT ? OFFSET ?
+  `).all(...params, ...page.params, limit + 1, offset);
+
+  const entities = rows.slice(0, limit);
+  const last = entities[entities.length - 1];
+  const nextOffset = offset + entities.length;
+  return {
+    count: entities.length,
+    total,
+    offset,
+    next_offset: !cursor && nextOffset < total ? nextOffset : null,
+    next_cursor: rows.length > limit ? encodeCursor(last[sortKey], last.id) : null,
+    entities: entities.map(e => ({
+      id: e.id,
+      name: e.name,
+      type: e.type,
+      score: Number((-e.rank).toFixed(4)),
+      name_highlight: e.name_highlight,
+      snippet: e.snippet,
+      created_at: e.created_at,
+      updated_at: e.updated_at
+    }))
+  };
+}
+
+function embeddingText(entity) {
+  return `${entity.name}\n${entity.type}\n${entity.content || ''}`;
+}
+
+function hashText(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+// Embed entities that have no vector yet, or whose text or provider changed
+async function refreshEmbeddings(ctx, type = null) {
+  const { embedder } = ctx;
+  let sql = `
+    SELECT e.id, e.name, e.type, e.content, v.provider, v.text_hash
+    FROM entities e LEFT JOIN entity_embeddings v ON v.entity_id = e.id
+    WHERE e.tenant = ? AND e.deleted_at IS NULL AND ${notExpired('e')}
+  `;
+  const params = [ctx.tenant];
+  if (type) {
+    sql += ` AND e.type = ?`;
+    params.push(type);
+  }
+
+  const stale = ctx.db.prepare(sql).all(...params)
+    .map(e => ({ ...e, text: embeddingText(e) }))
+    .filter(e => e.provider !== embedder.id || e.text_hash !== hashText(e.text));
+
+  const upsert = ctx.db.prepare(`
+    INSERT INTO entity_embeddings (entity_id, provider, text_hash, vector, updated_at)
+    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(entity_id) DO UPDATE SET
+      provider = excluded.provider, text_hash = excluded.text_hash,
+      vector = excluded.vector, updated_at = excluded.updated_at
+  `);
+
+  const BATCH = 64;
+  for (let i = 0; i < stale.length; i += BATCH) {
+    const batch = stale.slice(i, i + BATCH);
+    const vectors = await embedder.embed(batch.map(e => e.text));
+    ctx.db.transaction(() => {
+      batch.forEach((e, j) => upsert.run(e.id, embedder.id, hashText(e.text), encodeVector(vectors[j])));
+    })();
+  }
+  return stale.length;
+}
+
+// Reciprocal rank fusion constant; 60 is the usual choice
+const RRF_K = 60;
+
+export async function memorySemanticSearch(ctx, query, { type = null, limit = 10, mode = 'semantic', minScore = 0 } = {}) {
+  limit = Math.min(Math.max(limit, 1), 100);
+  const embedded = await refreshEmbeddings(ctx, type);
+  const [queryVector] = await ctx.embedder.embed([query]);
+
+  let sql = `
+    SELECT e.id, e.name, e.type, e.content, e.updated_at, v.vector
+    FROM entities e JOIN entity_embeddings v ON v.entity_id = e.id
+    WHERE e.tenant = ? AND v.provider = ? AND e.deleted_at IS NULL AND ${notExpired('e')}
+  `;
+  const params = [ctx.tenant, ctx.embedder.id];
+  if (type) {
+    sql += ` AND e.type = ?`;
+    params.push(type);
+  }
+
+  const semantic = ctx.db.prepare(sql).all(...params)
+    .map(e => ({ ...e, similarity: cosineSimilarity(queryVector, decodeVector(e.vector)) }))
+    .filter(e => e.similarity > minScore)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, 100);
+
+  let ranked;
+  if (mode === 'hybrid') {
+    const keyword = memorySearch(ctx, query, { type, match: 'any', limit: 100 }).entities;
+    const fused = new Map();
+    const entry = (e) => {
+      if (!fused.has(e.id)) fused.set(e.id, { ...e, score: 0, similarity: null, keyword_rank: null });
+      return fused.get(e.id);
+    };
+    semantic.forEach((e, i) => {
+      const item = entry(e);
+      item.similarity = e.similarity;
+      item.score += 1 / (RRF_K + i + 1);
+    });
+    keyword.forEach((e, i) => {
+      const item = entry(e);
+      item.keyword_rank = i + 1;
+      item.snippet = e.snippet;
+      item.score += 1 / (RRF_K + i + 1);
+    });
+    ranked = [...fused.values()].sort((a, b) => b.score - a.score);
+  } else {
+    ranked = semantic.map(e => ({ ...e, score: e.similarity }));
+  }
+
+  const contentById = new Map(semantic.map(e => [e.id, e.content]));
+  const entities = ranked.slice(0, limit).map(e => {
+    const content = e.content ?? contentById.get(e.id) ?? '';
+    return {
+      id: e.id,
+      name: e.name,
+      type: e.type,
+      score: Number(e.score.toFixed(4)),
+      similarity: e.similarity === null ? null : Number(e.similarity.toFixed(4)),
+      ...(mode === 'hybrid' ? { keyword_rank: e.keyword_rank } : {}),
+      content: e.snippet || content.substring(0, 200) + (content.length > 200 ? '...' : ''),
+      updated_at: e.updated_at
+    };
+  });
+
+  return { mode, provider: ctx.embedder.id, embedded, count: entities.length, entities };
+}
+
+export function memoryList(ctx, { limit = 50, cursor = null, sort = 'updated_at', order = null, ...filters } = {}) {
+  limit = Math.min(Math.max(limit, 1), 500);
+  const { direction } = resolveSort(sort, order, ['updated_at', 'created_at', 'name']);
+  const { clauses, params } = entityFilters('e', filters);
+  const where = [`e.tenant = ?`, `e.deleted_at IS NULL`, notExpired('e'), ...clauses];
+  params.unshift(ctx.tenant);
+
+  if (cursor) {
+    const page = keysetClause(`e.${sort}`, 'e.id', direction, cursor);
+    where.push(page.clause);
+    params.push(...page.params);
+  }
+
+  const rows = ctx.db.prepare(`
+    SELECT * FROM entities e
+    WHERE ${where.join(' AND ')}
+    ORDER BY e.${sort} ${direction.toUpperCase()}, e.id ${direction.toUpperCase()}
+    LIMIT ?
+  `).all(...params, limit + 1);
+
+  const entities = rows.slice(0, limit);
+  const last = entities[entities.length - 1];
+  return {
+    count: entities.length,
+    next_cursor: rows.length > limit ? encodeCursor(last[sort], last.id) : null,
+    entities: entities.map(e => ({
+      id: e.id,
+      name: e.name,
+      type: e.type,
+      metadata: JSON.parse(e.metadata || '{}'),
+      created_at: e.created_at,
+      updated_at: e.updated_at,
+      expires_at: e.expires_at
+    }))
+  };
+}
+
+// Relations whose other end is still live; relations to deleted memories are hidden
+const LIVE_RELATION = `
+  NOT EXISTS (
+    SELECT 1 FROM entities d
+    WHERE d.id IN (r.from_entity, r.to_entity) AND d.deleted_at IS NOT NULL
+  )`;
+
+function relationCount(ctx, id) {
+  return ctx.db.prepare(`
+    SELECT COUNT(*) AS n FROM relations r
+    WHERE (r.from_entity = ? OR r.to_entity = ?) AND ${LIVE_RELATION}
+  `).get(id, id).n;
+}
+
+// Deletes are soft: the memory is hidden and can be brought back with
+// memoryRestore until the retention window passes (see purgeDeletedMemories).
+// `restrict` refuses to delete an entity that still has relations; `cascade`
+// takes those relations with it, and restoring the memory brings them back.
+export function memoryDelete(ctx, id, { mode = 'cascade' } = {}) {
+  if (mode !== 'cascade' && mode !== 'restrict') {
+    throw new Error(`Invalid delete mode "${mode}": expected cascade or restrict`);
+  }
+
+  const remove = ctx.db.transaction(() => {
+    const exists = ctx.db.prepare(`
+      SELECT 1 FROM entities WHERE id = ? AND tenant = ? AND deleted_at IS NULL
+    `).get(id, ctx.tenant);
+    if (!exists) return { deleted: false, relations_deleted: 0 };
+
+    const linked = relationCount(ctx, id);
+    if (linked > 0 && mode === 'restrict') {
+      throw new Error(`Cannot delete ${id}: ${linked} relation(s) still reference it (use mode "cascade" to remove them)`);
+    }
+    ctx.db.prepare(`UPDATE entities SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND tenant = ?`).run(id, ctx.tenant);
+    recordVersion(ctx, id, 'delete');
+    const { until } = ctx.db.prepare(`
+      SELECT datetime(deleted_at, ?) AS until FROM entities WHERE id = ?
+    `).get(`+${deleteRetentionDays()} days`, id);
+    return { deleted: true, relations_deleted: linked, restorable_until: until };
+  });
+
+  return remove();
+}
+
+function requireEntity(ctx, id, role) {
+  const entity = ctx.db.prepare(`
+    SELECT id FROM entities WHERE id = ? AND tenant = ? AND deleted_at IS NULL
+  `).get(id, ctx.tenant);
+  if (!entity) {
+    throw new Error(`Cannot relate: ${role} memory ${id} does not exist`);
+  }
+}
+
+export function memoryRelate(ctx, fromId, toId, relationType, metadata = {}) {
+  requireEntity(ctx, fromId, 'source');
+  requireEntity(ctx, toId, 'target');
+  if (!relationType) {
+    throw new Error('Cannot relate: relation_type is required');
+  }
+
+  const id = randomUUID();
+  const stmt = ctx.db.prepare(`
+    INSERT INTO relations (id, tenant, from_entity, to_entity, relation_type, metadata)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  stmt.run(id, ctx.tenant, fromId, toId, relationType, JSON.stringify(metadata));
+  return { id, created: true };
+}
+
+// Remove one relation by id, or every relation between two entities
+// (optionally only those of one type)
+export function memoryUnrelate(ctx, { id = null, fromId = null, toId = null, relationType = null } = {}) {
+  let sql = `DELETE FROM relations WHERE tenant = ?`;
+  const params = [ctx.tenant];
+
+  if (id) {
+    sql += ` AND id = ?`;
+    params.push(id);
+  } else if (fromId && toId) {
+    sql += ` AND from_entity = ? AND to_entity = ?`;
+    params.push(fromId, toId);
+    if (relationType) {
+      sql += ` AND relation_type = ?`;
+      params.push(relationType);
+    }
+  } else {
+    throw new Error('memory_unrelate needs either id or both from_id and to_id');
+  }
+
+  const result = ctx.db.prepare(sql).run(...params);
+  return { deleted: result.changes };
+}
+
+export function memoryUpdateRelation(ctx, id, { relationType = null, metadata = null } = {}) {
+  const updates = [];
+  const params = [];
+
+  if (relationType) {
+    updates.push('relation_type = ?');
+    params.push(relationType);
+  }
+  if (metadata !== null && metadata !== undefined) {
+    updates.push('metadata = ?');
+    params.push(JSON.stringify(metadata));
+  }
+  if (updates.length === 0) {
+    throw new Error('memory_update_relation needs relation_type and/or metadata');
+  }
+
+  params.push(id, ctx.tenant);
+  const result = ctx.db.prepare(`UPDATE relations SET ${updates.join(', ')} WHERE id = ? AND tenant = ?`).run(...params);
+  return { id, updated: result.changes > 0 };
+}
+
+// Relations whose endpoints are missing from the tenant, e.g. left behind by
+// deletes made before foreign keys were enforced. Removed unless dryRun is set.
+export function memoryRepairRelations(ctx, { dryRun = false } = {}) {
+  const orphans = ctx.db.prepare(`
+    SELECT r.id, r.from_entity, r.to_entity, r.relation_type,
+           e1.id IS NULL AS missing_from, e2.id IS NULL AS missing_to
+    FROM relations r
+    LEFT JOIN entities e1 ON e1.id = r.from_entity AND e1.tenant = r.tenant
+    LEFT JOIN entities e2 ON e2.id = r.to_entity AND e2.tenant = r.tenant
+    WHERE r.tenant = ? AND (e1.id IS NULL OR e2.id IS NULL)
+  `).all(ctx.tenant).map(r => ({ ...r, missing_from: !!r.missing_from, missing_to: !!r.missing_to }));
+
+  if (!dryRun && orphans.length > 0) {
+    const del = ctx.db.prepare(`DELETE FROM relations WHERE id = ?`);
+    ctx.db.transaction(() => orphans.forEach(o => del.run(o.id)))();
+  }
+
+  return { dry_run: dryRun, orphaned: orphans.length, removed: dryRun ? 0 : orphans.length, relations: orphans };
+}
+
+export function memoryGetRelations(ctx, entityId) {
+  const stmt = ctx.db.prepare(`
+    SELECT r.*,
+           e1.name as from_name, e1.type as from_type,
+           e2.name as to_name, e2.type as to_type
+    FROM relations r
+    LEFT JOIN entities e1 ON r.from_entity = e1.id AND e1.tenant = r.tenant
+    LEFT JOIN entities e2 ON r.to_entity = e2.id AND e2.tenant = r.tenant
+    WHERE r.tenant = ? AND (r.from_entity = ? OR r.to_entity = ?) AND ${LIVE_RELATION}
+  `);
+  const relations = stmt.all(ctx.tenant, entityId, entityId);
+  return { count: relations.length, relations };
+}
@@ -0,0 +1,190 @@
+// ============================================
+// MEMORY GRAPH TRAVERSAL
+// ============================================
+//
+// Multi-hop queries over the `relations` table, done in SQLite with recursive
+// CTEs. A walk carries its path as "/id/id/" so cycles are cut off, and the
+// CTE's ORDER BY picks the queue discipline: depth ascending is breadth-first,
+// depth descending is depth-first.
+
+const MAX_DEPTH = 10;
+const MAX_ROWS = 10000;
+
+function clampDepth(depth, fallback) {
+  return Math.min(Math.max(Number(depth) || fallback, 1), MAX_DEPTH);
+}
+
+// An exact id wins over names; a name shared by several memories is an error
+function resolveEntity(ctx, nameOrId) {
+  const matches = ctx.db.prepare(`
+    SELECT id, name, type FROM entities
+    WHERE tenant = ? AND (id = ? OR name = ?) AND deleted_at IS NULL
+    ORDER BY id = ? DESC
+  `).all(ctx.tenant, nameOrId, nameOrId, nameOrId);
+  if (matches.length === 0) {
+    throw new Error(`Memory not found: ${nameOrId}`);
+  }
+  if (matches.length > 1 && matches[0].id !== nameOrId) {
+    const candidates = matches.map(m => `${m.id} (${m.type})`).join(', ');
+    throw new Error(`Memory name "${nameOrId}" is ambiguous: ${candidates}; pass an id instead`);
+  }
+  return matches[0];
+}
+
+// Edge list as seen from the walker: `src` -> `dst`, with the stored direction
+// reported as "out" (followed as stored) or "in" (followed backwards).
+// Relations touching a deleted memory are skipped.
+function edgesCte(direction, relationTypes) {
+  const filter = `
+    r.tenant = @tenant
+    AND NOT EXISTS (SELECT 1 FROM entities d WHERE d.id IN (r.from_entity, r.to_entity) AND d.deleted_at IS NOT NULL)
+    ${relationTypes?.length ? `AND r.relation_type IN (SELECT value FROM json_each(@types))` : ''}`;
+  const out = `
+    SELECT r.id AS relation_id, r.from_entity AS src, r.to_entity AS dst, r.relation_type, 'out' AS dir
+    FROM relations r WHERE ${filter}`;
+  const inward = `
+    SELECT r.id AS relation_id, r.to_entity AS src, r.from_entity AS dst, r.relation_type, 'in' AS dir
+    FROM relations r WHERE ${filter}`;
+
+  switch (direction) {
+    case 'out': return out;
+    case 'in': return inward;
+    case 'both': return `${out} UNION ALL ${inward}`;
+    default: throw new Error(`Invalid direction "${direction}": expected out, in or both`);
+  }
+}
+
+function walk(ctx, startId, { direction = 'out', relationTypes = null, maxDepth = 3, strategy = 'bfs' }) {
+  if (strategy !== 'bfs' && strategy !== 'dfs') {
+    throw new Error(`Invalid strategy "${strategy}": expected bfs or dfs`);
+  }
+
+  return ctx.db.prepare(`
+    WITH RECURSIVE
+      edges AS (${edgesCte(direction, relationTypes)}),
+      walk(entity_id, depth, path, relations, relation_type, dir) AS (
+        SELECT @start, 0, '/' || @start || '/', '', NULL, NULL
+        UNION ALL
+        SELECT e.dst, w.depth + 1, w.path || e.dst || '/', w.relations || e.relation_id || '/', e.relation_type, e.dir
+        FROM walk w JOIN edges e ON e.src = w.entity_id
+        WHERE w.depth < @maxDepth AND instr(w.path, '/' || e.dst || '/') = 0
+        ORDER BY 2 ${strategy === 'dfs' ? 'DESC' : 'ASC'}
+      )
+    SELECT w.*, ent.name, ent.type
+    FROM walk w LEFT JOIN entities ent ON ent.id = w.entity_id AND ent.tenant = @tenant
+    LIMIT ${MAX_ROWS}
+  `).all({
+    start: startId,
+    tenant: ctx.tenant,
+    maxDepth,
+    types: JSON.stringify(relationTypes || [])
+  });
+}
+
+const splitPath = (path) => path.split('/').filter(Boolean);
+
+export function memoryTraverse(ctx, start, { direction = 'out', relationTypes = null, maxDepth = 3, strategy = 'bfs' } = {}) {
+  const origin = resolveEntity(ctx, start);
+  maxDepth = clampDepth(maxDepth, 3);
+  const rows = walk(ctx, origin.id, { direction, relationTypes, maxDepth, strategy });
+
+  // Keep each entity's first visit: its shallowest for BFS, discovery order for DFS
+  const seen = new Set();
+  const nodes = [];
+  for (const row of rows) {
+    if (seen.has(row.entity_id)) continue;
+    seen.add(row.entity_id);
+    const relations = splitPath(row.relations);
+    nodes.push({
+      id: row.entity_id,
+      name: row.name,
+      type: row.type,
+      depth: row.depth,
+      path: splitPath(row.path),
+      via: row.depth === 0 ? null : {
+        relation_id: relations[relations.length - 1],
+        relation_type: row.relation_type,
+        direction: row.dir
+      }
+    });
+  }
+
+  return {
+    start: { id: origin.id, name: origin.name, type: origin.type },
+    direction,
+    strategy,
+    max_depth: maxDepth,
+    count: nodes.length,
+    truncated: rows.length >= MAX_ROWS,
+    nodes
+  };
+}
+
+export function memoryShortestPath(ctx, from, to, { direction = 'both', relationTypes = null, maxDepth = 6 } = {}) {
+  const source = resolveEntity(ctx, from);
+  const target = resolveEntity(ctx, to);
+  maxDepth = clampDepth(maxDepth, 6);
+
+  const rows = walk(ctx, source.id, { direction, relationTypes, maxDepth, strategy: 'bfs' });
+  // The walk lists paths, not entities, so a dense graph can use up the row
+  // limit before max_depth; a miss then doesn't mean there is no path
+  const truncated = rows.length >= MAX_ROWS;
+  const hit = rows
+    .filter(row => row.entity_id === target.id)
+    .sort((a, b) => a.depth - b.depth)[0];
+
+  if (!hit) {
+    return { found: false, from: source.id, to: target.id, max_depth: maxDepth, truncated };
+  }
+
+  const ids = splitPath(hit.path);
+  const relationIds = splitPath(hit.relations);
+  const entityStmt = ctx.db.prepare(`SELECT id, name, type FROM entities WHERE id = ? AND tenant = ?`);
+  const relationStmt = ctx.db.prepare(`SELECT id, from_entity, to_entity, relation_type FROM relations WHERE id = ?`);
+
+  return {
+    found: true,
+    from: source.id,
+    to: target.id,
+    length: relationIds.length,
+    truncated,
+    nodes: ids.map(id => entityStmt.get(id, ctx.tenant) || { id, name: null, type: null }),
+    relations: relationIds.map(id => relationStmt.get(id))
+  };
+}
+
+export function memorySubgraph(ctx, start, { direction = 'both', relationTypes = null, maxDepth = 3 } = {}) {
+  const traversal = memoryTraverse(ctx, start, { direction, relationTypes, maxDepth });
+  const ids = traversal.nodes.map(n => n.id);
+  const idList = JSON.stringify(ids);
+
+  const nodes = ctx.db.prepare(`
+    SELECT id, name, type, content, metadata, created_at, updated_at
+    FROM entities
+    WHERE tenant = ? AND deleted_at IS NULL AND id IN (SELECT value FROM json_each(?))
+  `).all(ctx.tenant, idList).map(e => ({ ...e, metadata: JSON.parse(e.metadata || '{}') }));
+
+  let sql = `
+    SELECT id, from_entity, to_entity, relation_type, metadata, created_at
+    FROM relations
+    WHERE tenant = ?
+      AND from_entity IN (SELECT value FROM json_each(?))
+      AND to_entity IN (SELECT value FROM json_each(?))
+  `;
+  const params = [ctx.tenant, idList, idList];
+  if (relationTypes?.length) {
+    sql += ` AND relation_type IN (SELECT value FROM json_each(?))`;
+    params.push(JSON.stringify(relationTypes));
+  }
+  const edges = ctx.db.prepare(sql).all(...params).map(r => ({ ...r, metadata: JSON.parse(r.metadata || '{}') }));
+
+  return {
+    start: traversal.start,
+    max_depth: traversal.max_depth,
+    truncated: traversal.truncated,
+    node_count: nodes.length,
+    edge_count: edges.length,
+    nodes,
+    edges
+  };
+}
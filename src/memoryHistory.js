@@ -0,0 +1,169 @@
+import { unifiedDiff } from './diff.js';
+
+// ============================================
+// MEMORY HISTORY
+// ============================================
+//
+// Every store, update, delete and restore appends a snapshot of the entity to
+// `entity_versions`, so an overwritten schema or config can be diffed against
+// and rolled back. Deleted memories stay restorable for a retention window,
+// after which purgeDeletedMemories removes them and their history for good.
+//
+//   MEMORY_DELETE_RETENTION_DAYS  days a deleted memory can be restored (default 30)
+
+export function deleteRetentionDays() {
+  return Number(process.env.MEMORY_DELETE_RETENTION_DAYS) || 30;
+}
+
+// Snapshot the entity's current row as its next version; call inside the
+// same transaction as the change itself
+export function recordVersion(ctx, id, operation) {
+  ctx.db.prepare(`
+    INSERT INTO entity_versions (entity_id, tenant, version, operation, name, type, content, metadata)
+    SELECT e.id, e.tenant,
+           COALESCE((SELECT MAX(version) FROM entity_versions WHERE entity_id = e.id), 0) + 1,
+           ?, e.name, e.type, e.content, e.metadata
+    FROM entities e WHERE e.id = ? AND e.tenant = ?
+  `).run(operation, id, ctx.tenant);
+}
+
+function getVersion(ctx, id, version) {
+  const row = ctx.db.prepare(`
+    SELECT * FROM entity_versions WHERE entity_id = ? AND tenant = ? AND version = ?
+  `).get(id, ctx.tenant, version);
+  if (!row) {
+    throw new Error(`Memory ${id} has no version ${version}`);
+  }
+  return row;
+}
+
+function latestVersion(ctx, id) {
+  const row = ctx.db.prepare(`
+    SELECT MAX(version) AS version FROM entity_versions WHERE entity_id = ? AND tenant = ?
+  `).get(id, ctx.tenant);
+  if (row.version === null) {
+    throw new Error(`Memory not found: ${id}`);
+  }
+  return row.version;
+}
+
+export function memoryHistory(ctx, id, { limit = 50 } = {}) {
+  latestVersion(ctx, id);
+  const versions = ctx.db.prepare(`
+    SELECT version, operation, name, type, content, created_at
+    FROM entity_versions WHERE entity_id = ? AND tenant = ?
+    ORDER BY version DESC LIMIT ?
+  `).all(id, ctx.tenant, Math.min(Math.max(limit, 1), 500));
+
+  const entity = ctx.db.prepare(`SELECT deleted_at FROM entities WHERE id = ? AND tenant = ?`).get(id, ctx.tenant);
+  return {
+    id,
+    deleted_at: entity?.deleted_at ?? null,
+    count: versions.length,
+    versions: versions.map(v => ({
+      version: v.version,
+      operation: v.operation,
+      name: v.name,
+      type: v.type,
+      content_length: (v.content || '').length,
+      created_at: v.created_at
+    }))
+  };
+}
+
+function diffMetadata(before, after) {
+  const changes = { added: {}, removed: {}, changed: {} };
+  for (const [key, value] of Object.entries(after)) {
+    if (!(key in before)) {
+      changes.added[key] = value;
+    } else if (JSON.stringify(before[key]) !== JSON.stringify(value)) {
+      changes.changed[key] = { from: before[key], to: value };
+    }
+  }
+  for (const [key, value] of Object.entries(before)) {
+    if (!(key in after)) changes.removed[key] = value;
+  }
+  return changes;
+}
+
+// Compare two versions; `toVersion` defaults to the latest
+export function memoryDiff(ctx, id, fromVersion, toVersion = null) {
+  const to = getVersion(ctx, id, toVersion ?? latestVersion(ctx, id));
+  const from = getVersion(ctx, id, fromVersion ?? Math.max(to.version - 1, 1));
+
+  const fields = {};
+  for (const field of ['name', 'type']) {
+    if (from[field] !== to[field]) fields[field] = { from: from[field], to: to[field] };
+  }
+  const diff = unifiedDiff(from.content || '', to.content || '', {
+    oldLabel: `${id}@${from.version}`,
+    newLabel: `${id}@${to.version}`
+  });
+
+  return {
+    id,
+    from_version: from.version,
+    to_version: to.version,
+    identical: diff === '' && Object.keys(fields).length === 0 && from.metadata === to.metadata,
+    fields,
+    content_diff: diff,
+    metadata: diffMetadata(JSON.parse(from.metadata || '{}'), JSON.parse(to.metadata || '{}'))
+  };
+}
+
+// Roll a live memory back to an earlier version; the rollback is itself a new version
+export function memoryRevert(ctx, id, version) {
+  const target = getVersion(ctx, id, version);
+  const revert = ctx.db.transaction(() => {
+    const result = ctx.db.prepare(`
+      UPDATE entities SET name = ?, type = ?, content = ?, metadata = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND tenant = ? AND deleted_at IS NULL
+    `).run(target.name, target.type, target.content, target.metadata, id, ctx.tenant);
+    if (result.changes === 0) {
+      throw new Error(`Cannot revert ${id}: memory is deleted (restore it first)`);
+    }
+    recordVersion(ctx, id, 'revert');
+    return latestVersion(ctx, id);
+  });
+
+  return { id, reverted_to: target.version, version: revert() };
+}
+
+// Undo a soft delete, as long as it happened within the retention window
+export function memoryRestore(ctx, id) {
+  const days = deleteRetentionDays();
+  const restore = ctx.db.transaction(() => {
+    const entity = ctx.db.prepare(`
+      SELECT deleted_at, deleted_at >= datetime('now', ?) AS restorable
+      FROM entities WHERE id = ? AND tenant = ? AND deleted_at IS NOT NULL
+    `).get(`-${days} days`, id, ctx.tenant);
+    if (!entity) return { id, restored: false };
+    if (!entity.restorable) {
+      throw new Error(`Cannot restore ${id}: deleted at ${entity.deleted_at}, outside the ${days}-day retention window`);
+    }
+
+    ctx.db.prepare(`UPDATE entities SET deleted_at = NULL WHERE id = ? AND tenant = ?`).run(id, ctx.tenant);
+    recordVersion(ctx, id, 'restore');
+    return { id, restored: true };
+  });
+
+  return restore();
+}
+
+// Permanently remove the entities matching `where` (a condition on the
+// entities table, with named parameters) with their relations and history
+export function deleteEntitiesWhere(db, where, params = {}) {
+  const remove = db.transaction(() => {
+    const ids = `SELECT id FROM entities WHERE ${where}`;
+    db.prepare(`DELETE FROM relations WHERE from_entity IN (${ids}) OR to_entity IN (${ids})`).run(params);
+    db.prepare(`DELETE FROM entity_versions WHERE entity_id IN (${ids})`).run(params);
+    return db.prepare(`DELETE FROM entities WHERE ${where}`).run(params).changes;
+  });
+
+  return remove();
+}
+
+// Permanently remove memories deleted longer ago than the retention window
+export function purgeDeletedMemories(db, { retentionDays = deleteRetentionDays() } = {}) {
+  return deleteEntitiesWhere(db, `deleted_at < datetime('now', @window)`, { window: `-${retentionDays} days` });
+}
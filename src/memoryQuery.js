@@ -0,0 +1,273 @@
+import { createHash } from 'crypto';
+
+// ============================================
+// MEMORY QUERY FILTERS
+// ============================================
+//
+// WHERE and ORDER BY building shared by memory_search and memory_list:
+// metadata predicates over JSON1, created/updated date ranges, sorting and
+// keyset cursors. Metadata paths are validated and inlined as SQL literals
+// rather than bound, so SQLite can use the expression indexes made by
+// createMetadataIndex.
+//
+// A metadata filter maps keys ("owner", or "deploy.region" for nested keys)
+// to a value (equality) or to operators:
+//
+//   { "owner": "alice", "priority": { "gte": 2, "lt": 5 }, "tags": { "contains": "db" }, "archived": { "exists": false } }
+//
+//   MEMORY_METADATA_INDEXES  comma-separated metadata keys to index at startup
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/;
+export const METADATA_COMPARISONS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+const DATE_RANGES = {
+  createdAfter: ['created_at', '>='],
+  createdBefore: ['created_at', '<'],
+  updatedAfter: ['updated_at', '>='],
+  updatedBefore: ['updated_at', '<']
+};
+
+// Validated metadata key split into its nested parts
+export function metadataKeyParts(key) {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid metadata key "${key}": use letters, digits, _ and -, with . between nested keys`);
+  }
+  return key.split('.');
+}
+
+function metadataPath(key) {
+  return `'$.${metadataKeyParts(key).map(part => `"${part}"`).join('.')}'`;
+}
+
+function checkScalar(key, value) {
+  if (typeof value === 'boolean' || typeof value === 'string' || typeof value === 'number') return value;
+  throw new Error(`Invalid value for metadata "${key}": expected a string, number or boolean`);
+}
+
+// Validate a metadata filter and call visit(key, op, value) for each
+// predicate; the storage backends turn these into their own SQL
+export function visitMetadataFilter(predicates, visit) {
+  if (typeof predicates !== 'object' || Array.isArray(predicates)) {
+    throw new Error('Metadata filter must be an object of key: value or key: { operator: value }');
+  }
+
+  for (const [key, predicate] of Object.entries(predicates)) {
+    metadataKeyParts(key);
+    const isOperators = predicate !== null && typeof predicate === 'object' && !Array.isArray(predicate);
+    const operators = isOperators ? predicate : { eq: predicate };
+
+    for (const [op, value] of Object.entries(operators)) {
+      switch (op) {
+        case 'eq':
+        case 'ne':
+          visit(key, op, value === null ? null : checkScalar(key, value));
+          break;
+        case 'exists':
+          visit(key, op, !!value);
+          break;
+        case 'gt':
+        case 'gte':
+        case 'lt':
+        case 'lte':
+          if (typeof value !== 'number' && typeof value !== 'string') {
+            throw new Error(`Invalid value for metadata "${key}" ${op}: expected a number or string`);
+          }
+          visit(key, op, value);
+          break;
+        case 'contains':
+          visit(key, op, checkScalar(key, value));
+          break;
+        default:
+          throw new Error(`Unknown metadata operator "${op}" for "${key}": expected eq, ne, exists, gt, gte, lt, lte or contains`);
+      }
+    }
+  }
+}
+
+// SQLite binds booleans as 1/0, which is also what json_extract returns for them
+function sqliteMetadataClauses(column, predicates, clauses, params) {
+  visitMetadataFilter(predicates, (key, op, value) => {
+    const path = metadataPath(key);
+    const extract = `json_extract(${column}, ${path})`;
+    const bound = typeof value === 'boolean' ? (value ? 1 : 0) : value;
+
+    switch (op) {
+      case 'eq':
+        if (value === null) {
+          clauses.push(`json_type(${column}, ${path}) = 'null'`);
+        } else {
+          clauses.push(`${extract} = ?`);
+          params.push(bound);
+        }
+        break;
+      case 'ne':
+        if (value === null) {
+          clauses.push(`json_type(${column}, ${path}) != 'null'`);
+        } else {
+          clauses.push(`(${extract} IS NULL OR ${extract} != ?)`);
+          params.push(bound);
+        }
+        break;
+      case 'exists':
+        clauses.push(`json_type(${column}, ${path}) IS ${value ? 'NOT NULL' : 'NULL'}`);
+        break;
+      case 'contains':
+        clauses.push(`EXISTS (SELECT 1 FROM json_each(${column}, ${path}) WHERE value = ?)`);
+        params.push(bound);
+        break;
+      default:
+        clauses.push(`${extract} ${METADATA_COMPARISONS[op]} ?`);
+        params.push(value);
+    }
+  });
+}
+
+// Timestamps are stored as SQLite's "YYYY-MM-DD HH:MM:SS" in UTC
+export function toSqlTimestamp(name, value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} "${value}": expected an ISO 8601 date`);
+  }
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Memories past expires_at wait for the sweeper to delete them, but reads
+// treat them as gone already. `now` is the backend's current timestamp in
+// the same text format.
+export function notExpired(alias, now = `datetime('now')`) {
+  const column = alias ? `${alias}.expires_at` : 'expires_at';
+  return `(${column} IS NULL OR ${column} > ${now})`;
+}
+
+// Extra WHERE clauses for entities aliased as `alias`, with ? placeholders.
+// Backends other than SQLite pass their own `metadataClauses`.
+export function entityFilters(alias, { type = null, metadata = null, ...dates } = {}, metadataClauses = sqliteMetadataClauses) {
+  const clauses = [];
+  const params = [];
+
+  if (type) {
+    clauses.push(`${alias}.type = ?`);
+    params.push(type);
+  }
+  if (metadata) {
+    metadataClauses(`${alias}.metadata`, metadata, clauses, params);
+  }
+  for (const [name, [column, op]] of Object.entries(DATE_RANGES)) {
+    if (dates[name]) {
+      clauses.push(`${alias}.${column} ${op} ?`);
+      params.push(toSqlTimestamp(name, dates[name]));
+    }
+  }
+  return { clauses, params };
+}
+
+// `sort` must be one of `columns`; name sorts A-Z by default, everything else newest first
+export function resolveSort(sort, order, columns) {
+  if (!columns.includes(sort)) {
+    throw new Error(`Invalid sort "${sort}": expected ${columns.join(', ')}`);
+  }
+  const direction = (order || (sort === 'name' ? 'asc' : 'desc')).toLowerCase();
+  if (direction !== 'asc' && direction !== 'desc') {
+    throw new Error(`Invalid order "${order}": expected asc or desc`);
+  }
+  return { sort, direction };
+}
+
+// Opaque keyset cursor: the last row's sort value and id
+export function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Array.isArray(decoded) && decoded.length === 2) return decoded;
+  } catch {
+    // fall through
+  }
+  throw new Error('Invalid cursor: pass next_cursor from a previous page unchanged');
+}
+
+// Rows strictly after the cursor in (expr, id) order
+export function keysetClause(expr, idExpr, direction, cursor) {
+  const [value, id] = decodeCursor(cursor);
+  const op = direction === 'asc' ? '>' : '<';
+  return {
+    clause: `(${expr} ${op} ? OR (${expr} = ? AND ${idExpr} ${op} ?))`,
+    params: [value, value, id]
+  };
+}
+
+// ============================================
+// METADATA EXPRESSION INDEXES
+// ============================================
+//
+// Indexes live on the entities table every tenant shares, so creating and
+// dropping them takes the admin scope, and indexes from
+// MEMORY_METADATA_INDEXES can't be dropped at all. Other callers only see
+// indexes on keys their own tenant uses.
+
+const INDEX_PREFIX = 'idx_entities_meta_';
+
+function indexName(key) {
+  const digest = createHash('md5').update(key).digest('hex').slice(0, 8);
+  return `${INDEX_PREFIX}${key.replace(/[^A-Za-z0-9_]/g, '_')}_${digest}`;
+}
+
+export function createMetadataIndex(db, key) {
+  const name = indexName(key);
+  db.exec(`CREATE INDEX IF NOT EXISTS ${name} ON entities(tenant, json_extract(metadata, ${metadataPath(key)}))`);
+  return { key, index: name };
+}
+
+export function dropMetadataIndex(db, key) {
+  metadataPath(key);
+  const result = db.prepare(`SELECT name FROM sqlite_master WHERE type = 'index' AND name = ?`).get(indexName(key));
+  if (result) db.exec(`DROP INDEX ${result.name}`);
+  return { key, dropped: !!result };
+}
+
+export function listMetadataIndexes(db) {
+  return db.prepare(`SELECT name, sql FROM sqlite_master WHERE type = 'index' AND name GLOB ?`)
+    .all(`${INDEX_PREFIX}*`)
+    .map(({ name, sql }) => {
+      const path = sql.match(/'\$\.(.*)'\)\)$/)?.[1] ?? '';
+      return { key: path.split('.').map(part => part.replace(/^"|"$/g, '')).join('.'), index: name };
+    });
+}
+
+function configuredMetadataKeys(env) {
+  return (env.MEMORY_METADATA_INDEXES || '').split(',').map(k => k.trim()).filter(Boolean);
+}
+
+export function createConfiguredMetadataIndexes(db, env = process.env) {
+  return configuredMetadataKeys(env).map(key => createMetadataIndex(db, key));
+}
+
+function tenantUsesKey(db, tenant, key) {
+  return !!db.prepare(`
+    SELECT 1 FROM entities WHERE tenant = ? AND json_extract(metadata, ${metadataPath(key)}) IS NOT NULL LIMIT 1
+  `).get(tenant);
+}
+
+// `admin` is whether the caller holds the admin scope (see auth.js isAdmin)
+export function memoryMetadataIndex(ctx, action = 'list', key = null, { admin = false, env = process.env } = {}) {
+  if (!['list', 'create', 'drop'].includes(action)) {
+    throw new Error(`Invalid action "${action}": expected list, create or drop`);
+  }
+  if (action !== 'list') {
+    if (!key) throw new Error(`memory_metadata_index ${action} needs a key`);
+    if (!admin) {
+      throw new Error(`memory_metadata_index ${action} needs the admin scope: indexes are shared by every tenant`);
+    }
+  }
+  if (action === 'create') createMetadataIndex(ctx.db, key);
+  if (action === 'drop') {
+    if (configuredMetadataKeys(env).includes(key)) {
+      throw new Error(`The index on "${key}" comes from MEMORY_METADATA_INDEXES and can't be dropped`);
+    }
+    dropMetadataIndex(ctx.db, key);
+  }
+
+  const indexes = listMetadataIndexes(ctx.db).filter(index => admin || tenantUsesKey(ctx.db, ctx.tenant, index.key));
+  return { count: indexes.length, indexes };
+}
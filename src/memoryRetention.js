@@ -0,0 +1,158 @@
+import { deleteEntitiesWhere, purgeDeletedMemories } from './memoryHistory.js';
+import { toSqlTimestamp } from './memoryQuery.js';
+import { schemaVersion } from './migrations/index.js';
+
+// ============================================
+// MEMORY EXPIRY AND RETENTION
+// ============================================
+//
+// Memories can carry an `expires_at` (set directly or as ttl_seconds), and
+// types can have a retention policy: a memory of that type without its own
+// expiry is removed once it has gone unchanged for longer than the policy.
+// A background sweeper deletes both for good, along with their relations,
+// purges soft deletes past their restore window, and compacts the database
+// when enough of it is free space.
+//
+//   MEMORY_RETENTION          per-type policies, e.g. "scratch:1h,transcript:7d" (units s, m, h, d)
+//   MEMORY_SWEEP_INTERVAL_MS  time between sweeps (default 60000)
+//   MEMORY_COMPACT_RATIO      free-page ratio that triggers a VACUUM (default 0.25)
+
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+export function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}": expected a number with an optional s, m, h or d unit`);
+  }
+  return Number(match[1]) * UNITS[match[2] || 's'];
+}
+
+// "scratch:1h,transcript:7d" -> { scratch: 3600, transcript: 604800 } (seconds)
+export function parseRetentionPolicies(value = process.env.MEMORY_RETENTION) {
+  const policies = {};
+  for (const entry of (value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const [type, duration] = entry.split(':');
+    if (!type || !duration) {
+      throw new Error(`Invalid MEMORY_RETENTION entry "${entry}": expected type:duration`);
+    }
+    policies[type.trim()] = parseDuration(duration);
+  }
+  return policies;
+}
+
+// Resolve store/update arguments to an expires_at value: undefined leaves it
+// unchanged, null clears it, otherwise a SQLite UTC timestamp
+export function resolveExpiry({ expiresAt, ttlSeconds } = {}) {
+  if (ttlSeconds !== undefined && ttlSeconds !== null) {
+    if (typeof ttlSeconds !== 'number' || !(ttlSeconds > 0)) {
+      throw new Error(`Invalid ttl_seconds "${ttlSeconds}": expected a positive number`);
+    }
+    return toSqlTimestamp('ttl_seconds', Date.now() + ttlSeconds * 1000);
+  }
+  if (expiresAt === null) return null;
+  if (expiresAt === undefined) return undefined;
+  return toSqlTimestamp('expires_at', expiresAt);
+}
+
+// Database file size as SQLite sees it, free pages included
+function databaseSize(db) {
+  const pageSize = db.pragma('page_size', { simple: true });
+  const pages = db.pragma('page_count', { simple: true });
+  const free = db.pragma('freelist_count', { simple: true });
+  return { bytes: pages * pageSize, free_bytes: free * pageSize, ratio: pages ? free / pages : 0 };
+}
+
+// VACUUM once enough of the file is free pages, and merge FTS index segments
+export function compactMemoryDb(db, { ratio = Number(process.env.MEMORY_COMPACT_RATIO) || 0.25 } = {}) {
+  const before = databaseSize(db);
+  if (before.free_bytes === 0 || before.ratio < ratio) {
+    return { compacted: false, bytes: before.bytes };
+  }
+  db.exec(`INSERT INTO entities_fts(entities_fts) VALUES ('optimize')`);
+  db.exec('VACUUM');
+  const after = databaseSize(db);
+  return { compacted: true, bytes: after.bytes, reclaimed_bytes: before.bytes - after.bytes };
+}
+
+export function sweepExpiredMemories(db, { policies = parseRetentionPolicies() } = {}) {
+  const expired = deleteEntitiesWhere(db, `expires_at IS NOT NULL AND expires_at <= datetime('now')`);
+
+  let retained = 0;
+  for (const [type, seconds] of Object.entries(policies)) {
+    retained += deleteEntitiesWhere(
+      db,
+      `type = @type AND expires_at IS NULL AND updated_at < datetime('now', @age)`,
+      { type, age: `-${seconds} seconds` }
+    );
+  }
+
+  const purged = purgeDeletedMemories(db);
+  return { expired, retained, purged };
+}
+
+// Runs against a storage adapter (see storage/index.js), so Postgres-backed
+// memories expire the same way
+export function createMemorySweeper(storage, {
+  intervalMs = Number(process.env.MEMORY_SWEEP_INTERVAL_MS) || 60 * 1000,
+  policies = parseRetentionPolicies(),
+  log = console.log
+} = {}) {
+  async function sweep() {
+    const result = await storage.sweep({ policies });
+    const removed = result.expired + result.retained + result.purged;
+    if (removed > 0) {
+      log(`[MEMORY] Swept ${result.expired} expired, ${result.retained} past retention, ${result.purged} purged`);
+      result.compaction = await storage.compact();
+    }
+    return result;
+  }
+
+  const timer = setInterval(() => {
+    sweep().catch(err => console.error('Memory sweep failed:', err.message));
+  }, intervalMs);
+  timer.unref();
+
+  return {
+    sweep,
+    policies,
+    stop: () => clearInterval(timer)
+  };
+}
+
+// The database file holds every tenant, so its size is shown to admins only
+export function memoryStats(ctx, { policies = parseRetentionPolicies(), admin = false } = {}) {
+  const { db, tenant } = ctx;
+  const types = db.prepare(`
+    SELECT type, COUNT(*) AS count, SUM(expires_at IS NOT NULL) AS expiring, MAX(updated_at) AS last_updated
+    FROM entities WHERE tenant = ? AND deleted_at IS NULL
+    GROUP BY type ORDER BY count DESC, type
+  `).all(tenant);
+
+  const counts = db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM entities WHERE tenant = @tenant AND deleted_at IS NULL) AS entities,
+      (SELECT COUNT(*) FROM entities WHERE tenant = @tenant AND deleted_at IS NOT NULL) AS deleted,
+      (SELECT COUNT(*) FROM relations WHERE tenant = @tenant) AS relations,
+      (SELECT COUNT(*) FROM entity_versions WHERE tenant = @tenant) AS versions
+  `).get({ tenant });
+
+  const nextExpiry = db.prepare(`
+    SELECT id, name, type, expires_at FROM entities
+    WHERE tenant = ? AND deleted_at IS NULL AND expires_at IS NOT NULL
+    ORDER BY expires_at LIMIT 1
+  `).get(tenant) ?? null;
+
+  const database = { schema_version: schemaVersion(db) };
+  if (admin) {
+    const size = databaseSize(db);
+    Object.assign(database, { bytes: size.bytes, free_bytes: size.free_bytes });
+  }
+  return {
+    tenant,
+    ...counts,
+    types: types.map(t => ({ ...t, expiring: t.expiring || 0 })),
+    next_expiry: nextExpiry,
+    retention_policies: policies,
+    database
+  };
+}
@@ -0,0 +1,302 @@
+import { randomUUID } from 'crypto';
+import { recordVersion } from './memoryHistory.js';
+
+// ============================================
+// MEMORY IMPORT / EXPORT
+// ============================================
+//
+// JSON Lines is the backup format: a header line, then one line per entity
+// and per relation, keeping ids so relations survive the round trip.
+//
+//   {"kind":"header","format":"vocal-bridge-memory","version":1,"tenant":"default","exported_at":"..."}
+//   {"kind":"entity","id":"...","name":"users","type":"table","content":"...","metadata":{},...}
+//   {"kind":"relation","id":"...","from":"...","to":"...","relation_type":"has_table","metadata":{},...}
+//
+// GraphML and DOT exports are for visualising the graph and cannot be imported.
+
+export const EXPORT_FORMATS = {
+  jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl' },
+  graphml: { contentType: 'application/graphml+xml', extension: 'graphml' },
+  dot: { contentType: 'text/vnd.graphviz', extension: 'dot' }
+};
+
+const MERGE_STRATEGIES = ['skip', 'overwrite', 'rename'];
+
+function loadGraph(ctx, type) {
+  let sql = `SELECT * FROM entities WHERE tenant = ? AND deleted_at IS NULL`;
+  const params = [ctx.tenant];
+  if (type) {
+    sql += ` AND type = ?`;
+    params.push(type);
+  }
+  const entities = ctx.db.prepare(sql + ` ORDER BY created_at, id`).all(...params);
+
+  const ids = JSON.stringify(entities.map(e => e.id));
+  const relations = ctx.db.prepare(`
+    SELECT * FROM relations
+    WHERE tenant = ?
+      AND from_entity IN (SELECT value FROM json_each(?))
+      AND to_entity IN (SELECT value FROM json_each(?))
+    ORDER BY created_at, id
+  `).all(ctx.tenant, ids, ids);
+
+  return { entities, relations };
+}
+
+function toJsonl(ctx, { entities, relations }) {
+  const lines = [{
+    kind: 'header',
+    format: 'vocal-bridge-memory',
+    version: 1,
+    tenant: ctx.tenant,
+    exported_at: new Date().toISOString()
+  }];
+  for (const e of entities) {
+    lines.push({
+      kind: 'entity',
+      id: e.id,
+      name: e.name,
+      type: e.type,
+      content: e.content,
+      metadata: JSON.parse(e.metadata || '{}'),
+      created_at: e.created_at,
+      updated_at: e.updated_at,
+      expires_at: e.expires_at
+    });
+  }
+  for (const r of relations) {
+    lines.push({
+      kind: 'relation',
+      id: r.id,
+      from: r.from_entity,
+      to: r.to_entity,
+      relation_type: r.relation_type,
+      metadata: JSON.parse(r.metadata || '{}'),
+      created_at: r.created_at
+    });
+  }
+  return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+function xmlEscape(value) {
+  return String(value ?? '')
+    // Control characters other than tab/newline/CR are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toGraphml(ctx, { entities, relations }) {
+  const data = (key, value) => `<data key="${key}">${xmlEscape(value)}</data>`;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+    '  <key id="type" for="node" attr.name="type" attr.type="string"/>',
+    '  <key id="content" for="node" attr.name="content" attr.type="string"/>',
+    '  <key id="relation_type" for="edge" attr.name="relation_type" attr.type="string"/>',
+    '  <key id="metadata" for="all" attr.name="metadata" attr.type="string"/>',
+    `  <graph id="${xmlEscape(ctx.tenant)}" edgedefault="directed">`
+  ];
+  for (const e of entities) {
+    lines.push(`    <node id="${xmlEscape(e.id)}">${data('name', e.name)}${data('type', e.type)}` +
+      `${data('content', e.content)}${data('metadata', e.metadata || '{}')}</node>`);
+  }
+  for (const r of relations) {
+    lines.push(`    <edge id="${xmlEscape(r.id)}" source="${xmlEscape(r.from_entity)}" target="${xmlEscape(r.to_entity)}">` +
+      `${data('relation_type', r.relation_type)}${data('metadata', r.metadata || '{}')}</edge>`);
+  }
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+function dotString(value) {
+  return `"${String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+function toDot(ctx, { entities, relations }) {
+  const lines = [`digraph ${dotString(ctx.tenant)} {`, '  node [shape=box];'];
+  for (const e of entities) {
+    lines.push(`  ${dotString(e.id)} [label=${dotString(`${e.name}\n(${e.type})`)}];`);
+  }
+  for (const r of relations) {
+    lines.push(`  ${dotString(r.from_entity)} -> ${dotString(r.to_entity)} [label=${dotString(r.relation_type)}];`);
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+export function memoryExport(ctx, { format = 'jsonl', type = null } = {}) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Invalid export format "${format}": expected ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  const graph = loadGraph(ctx, type);
+  const render = { jsonl: toJsonl, graphml: toGraphml, dot: toDot }[format];
+  return {
+    format,
+    entity_count: graph.entities.length,
+    relation_count: graph.relations.length,
+    data: render(ctx, graph)
+  };
+}
+
+function parseJsonl(data) {
+  const entities = [];
+  const relations = [];
+  String(data).split('\n').forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Invalid JSON on line ${i + 1}: ${err.message}`);
+    }
+
+    switch (record?.kind) {
+      case 'header':
+        if (record.version > 1) {
+          throw new Error(`Unsupported export version ${record.version} on line ${i + 1}`);
+        }
+        break;
+      case 'entity':
+        if (!record.id || !record.name || !record.type) {
+          throw new Error(`Entity on line ${i + 1} needs id, name and type`);
+        }
+        entities.push(record);
+        break;
+      case 'relation':
+        if (!record.id || !record.from || !record.to || !record.relation_type) {
+          throw new Error(`Relation on line ${i + 1} needs id, from, to and relation_type`);
+        }
+        relations.push(record);
+        break;
+      default:
+        throw new Error(`Unknown record kind "${record?.kind}" on line ${i + 1}`);
+    }
+  });
+  return { entities, relations };
+}
+
+// Import a JSONL export into the caller's tenant, in one transaction. An
+// imported entity conflicts with a live one that has its id, or its name and
+// type. On conflict `skip` keeps the existing memory, `overwrite` replaces it
+// and `rename` imports a copy under a new name. Ids are kept unless already
+// taken (e.g. by another tenant), in which case `id_map` lists the new ones.
+export function memoryImport(ctx, data, { strategy = 'skip' } = {}) {
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid merge strategy "${strategy}": expected ${MERGE_STRATEGIES.join(', ')}`);
+  }
+  const { entities, relations } = parseJsonl(data);
+  const { db, tenant } = ctx;
+
+  const liveById = db.prepare(`SELECT * FROM entities WHERE id = ? AND tenant = ? AND deleted_at IS NULL`);
+  const liveByName = db.prepare(`
+    SELECT * FROM entities WHERE tenant = ? AND name = ? AND type = ? AND deleted_at IS NULL
+    ORDER BY updated_at DESC
+  `);
+  const entityIdTaken = db.prepare(`SELECT 1 FROM entities WHERE id = ?`);
+  const insertEntity = db.prepare(`
+    INSERT INTO entities (id, tenant, name, type, content, metadata, created_at, updated_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), COALESCE(?, CURRENT_TIMESTAMP), ?)
+  `);
+  const overwriteEntity = db.prepare(`
+    UPDATE entities SET name = ?, type = ?, content = ?, metadata = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND tenant = ?
+  `);
+  const relationById = db.prepare(`SELECT * FROM relations WHERE id = ?`);
+  const sameRelation = db.prepare(`
+    SELECT 1 FROM relations WHERE tenant = ? AND from_entity = ? AND to_entity = ? AND relation_type = ?
+  `);
+  const insertRelation = db.prepare(`
+    INSERT INTO relations (id, tenant, from_entity, to_entity, relation_type, metadata, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+  `);
+  const overwriteRelation = db.prepare(`
+    UPDATE relations SET from_entity = ?, to_entity = ?, relation_type = ?, metadata = ? WHERE id = ?
+  `);
+
+  const freeId = (id, taken) => (taken.get(id) ? randomUUID() : id);
+  const freeName = (name, type) => {
+    for (let n = 2; ; n++) {
+      const candidate = `${name} (${n})`;
+      if (!liveByName.get(tenant, candidate, type)) return candidate;
+    }
+  };
+
+  const report = {
+    strategy,
+    entities: { created: 0, updated: 0, skipped: 0, renamed: 0 },
+    relations: { created: 0, updated: 0, skipped: 0 },
+    id_map: {},
+    errors: []
+  };
+  const idMap = new Map();
+
+  const run = db.transaction(() => {
+    for (const e of entities) {
+      const metadata = JSON.stringify(e.metadata ?? {});
+      const existing = liveById.get(e.id, tenant) || liveByName.get(tenant, e.name, e.type);
+
+      if (existing && strategy === 'skip') {
+        idMap.set(e.id, existing.id);
+        report.entities.skipped++;
+      } else if (existing && strategy === 'overwrite') {
+        overwriteEntity.run(e.name, e.type, e.content ?? null, metadata, existing.id, tenant);
+        recordVersion(ctx, existing.id, 'import');
+        idMap.set(e.id, existing.id);
+        report.entities.updated++;
+      } else {
+        const id = freeId(e.id, entityIdTaken);
+        const name = existing ? freeName(e.name, e.type) : e.name;
+        insertEntity.run(
+          id, tenant, name, e.type, e.content ?? null, metadata,
+          e.created_at ?? null, e.updated_at ?? null, e.expires_at ?? null
+        );
+        recordVersion(ctx, id, 'import');
+        idMap.set(e.id, id);
+        report.entities[existing ? 'renamed' : 'created']++;
+      }
+    }
+
+    // Endpoints resolve to imported entities first, then to live ones already here
+    const resolve = (id) => idMap.get(id) ?? (liveById.get(id, tenant) ? id : null);
+
+    for (const r of relations) {
+      const from = resolve(r.from);
+      const to = resolve(r.to);
+      if (!from || !to) {
+        report.relations.skipped++;
+        report.errors.push(`Relation ${r.id}: ${!from ? r.from : r.to} is not a known memory`);
+        continue;
+      }
+
+      const metadata = JSON.stringify(r.metadata ?? {});
+      const existing = relationById.get(r.id);
+      if (existing?.tenant === tenant && strategy !== 'rename') {
+        if (strategy === 'overwrite') {
+          overwriteRelation.run(from, to, r.relation_type, metadata, r.id);
+          report.relations.updated++;
+        } else {
+          report.relations.skipped++;
+        }
+      } else if (sameRelation.get(tenant, from, to, r.relation_type)) {
+        report.relations.skipped++;
+      } else {
+        const id = existing ? randomUUID() : r.id;
+        insertRelation.run(id, tenant, from, to, r.relation_type, metadata, r.created_at ?? null);
+        if (id !== r.id) report.id_map[r.id] = id;
+        report.relations.created++;
+      }
+    }
+  });
+  run();
+
+  for (const [from, to] of idMap) {
+    if (from !== to) report.id_map[from] = to;
+  }
+  return report;
+}
@@ -0,0 +1,70 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import { migrationStatus } from './migrations/index.js';
+import { openMemoryDb } from './memory.js';
+
+// ============================================
+// MIGRATION CLI
+// ============================================
+//
+// Inspect or upgrade the memory database at DB_PATH (same default as the server):
+//
+//   npm run migrate               show applied and pending migrations
+//   npm run migrate -- up         apply pending migrations without starting the server
+//   npm run migrate -- --json     status as JSON
+//
+// Status exits with 1 when the database is newer than this code.
+
+const DB_PATH = process.env.DB_PATH || '/tmp/memory.db';
+
+function printStatus(status) {
+  console.log(`Database: ${DB_PATH}`);
+  console.log(`Schema version: ${status.current_version} (latest ${status.latest_version}, ${status.pending} pending)`);
+  for (const m of status.migrations) {
+    const version = String(m.version).padStart(3, '0');
+    const when = m.applied_at ? `applied ${m.applied_at}` : m.status;
+    console.log(`  ${m.status === 'pending' ? '[ ]' : '[x]'} ${version} ${m.name.padEnd(16)} ${when}`);
+  }
+  if (status.newer_than_server) {
+    console.log('Database was migrated by a newer server; this version will refuse to open it.');
+  }
+}
+
+const args = process.argv.slice(2);
+const command = args.find(a => !a.startsWith('--')) || 'status';
+
+switch (command) {
+  case 'status': {
+    // Read-only, so looking never creates or upgrades the file
+    const exists = fs.existsSync(DB_PATH);
+    const db = exists ? new Database(DB_PATH, { readonly: true }) : new Database(':memory:');
+    const status = migrationStatus(db);
+    db.close();
+
+    if (args.includes('--json')) {
+      console.log(JSON.stringify({ database: DB_PATH, exists, ...status }, null, 2));
+    } else {
+      if (!exists) console.log(`No database at ${DB_PATH} yet; the server creates it on first start.`);
+      printStatus(status);
+    }
+    process.exitCode = status.newer_than_server ? 1 : 0;
+    break;
+  }
+  case 'up': {
+    let db;
+    try {
+      db = openMemoryDb(DB_PATH, { log: console.log });
+    } catch (err) {
+      console.error(err.message);
+      process.exitCode = 1;
+      break;
+    }
+    const status = migrationStatus(db);
+    db.close();
+    printStatus(status);
+    break;
+  }
+  default:
+    console.error(`Unknown command "${command}": expected status or up`);
+    process.exitCode = 2;
+}
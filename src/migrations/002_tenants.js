@@ -0,0 +1,16 @@
+import { DEFAULT_TENANT } from '../tenants.js';
+import { addColumnIfMissing } from './helpers.js';
+
+export const version = 2;
+export const name = 'tenants';
+
+// Existing memories belong to the default tenant
+export function up(db) {
+  for (const table of ['entities', 'relations']) {
+    addColumnIfMissing(db, table, 'tenant', `TEXT NOT NULL DEFAULT '${DEFAULT_TENANT}'`);
+  }
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_entities_tenant ON entities(tenant, type);
+    CREATE INDEX IF NOT EXISTS idx_relations_tenant ON relations(tenant);
+  `);
+}
@@ -0,0 +1,30 @@
+export const version = 3;
+export const name = 'search_index';
+
+// Full-text index over entity names and content. It is an external-content
+// FTS5 table keyed by the entities rowid, kept in sync by triggers and
+// rebuilt here from the memories already stored.
+export function up(db) {
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS entities_fts USING fts5(
+      name, content,
+      content='entities', content_rowid='rowid',
+      tokenize='unicode61 remove_diacritics 2'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS entities_fts_insert AFTER INSERT ON entities BEGIN
+      INSERT INTO entities_fts(rowid, name, content) VALUES (new.rowid, new.name, new.content);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS entities_fts_delete AFTER DELETE ON entities BEGIN
+      INSERT INTO entities_fts(entities_fts, rowid, name, content) VALUES ('delete', old.rowid, old.name, old.content);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS entities_fts_update AFTER UPDATE OF name, content ON entities BEGIN
+      INSERT INTO entities_fts(entities_fts, rowid, name, content) VALUES ('delete', old.rowid, old.name, old.content);
+      INSERT INTO entities_fts(rowid, name, content) VALUES (new.rowid, new.name, new.content);
+    END;
+
+    INSERT INTO entities_fts(entities_fts) VALUES ('rebuild');
+  `);
+}
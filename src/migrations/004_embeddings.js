@@ -0,0 +1,15 @@
+export const version = 4;
+export const name = 'embeddings';
+
+// Vectors for memory_semantic_search, computed lazily (see refreshEmbeddings)
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS entity_embeddings (
+      entity_id TEXT PRIMARY KEY REFERENCES entities(id) ON DELETE CASCADE,
+      provider TEXT NOT NULL,
+      text_hash TEXT NOT NULL,
+      vector BLOB NOT NULL,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
@@ -0,0 +1,26 @@
+export const version = 5;
+export const name = 'history';
+
+// Snapshots written by recordVersion; memories stored before history
+// existed start out at version 1
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS entity_versions (
+      entity_id TEXT NOT NULL,
+      tenant TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      operation TEXT NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      content TEXT,
+      metadata TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (entity_id, version)
+    );
+
+    INSERT INTO entity_versions (entity_id, tenant, version, operation, name, type, content, metadata, created_at)
+    SELECT id, tenant, 1, 'create', name, type, content, metadata, COALESCE(updated_at, CURRENT_TIMESTAMP)
+    FROM entities
+    WHERE id NOT IN (SELECT entity_id FROM entity_versions);
+  `);
+}
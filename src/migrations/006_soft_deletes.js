@@ -0,0 +1,10 @@
+import { addColumnIfMissing } from './helpers.js';
+
+export const version = 6;
+export const name = 'soft_deletes';
+
+// Soft deletes keep the row (and relations) until purged
+export function up(db) {
+  addColumnIfMissing(db, 'entities', 'deleted_at', 'TEXT');
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_entities_deleted ON entities(deleted_at) WHERE deleted_at IS NOT NULL`);
+}
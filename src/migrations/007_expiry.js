@@ -0,0 +1,10 @@
+import { addColumnIfMissing } from './helpers.js';
+
+export const version = 7;
+export const name = 'expiry';
+
+// Memories the sweeper in memoryRetention.js should remove
+export function up(db) {
+  addColumnIfMissing(db, 'entities', 'expires_at', 'TEXT');
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_entities_expires ON entities(expires_at) WHERE expires_at IS NOT NULL`);
+}
@@ -0,0 +1,30 @@
+export const version = 8;
+export const name = 'sessions';
+
+// MCP sessions and their SSE events, kept so clients can resume after a
+// restart (sessions.js, eventStore.js). Servers before this migration
+// created the same tables on startup, hence IF NOT EXISTS.
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS mcp_sessions (
+      id TEXT PRIMARY KEY,
+      principal TEXT,
+      tenant TEXT NOT NULL,
+      init_params TEXT,
+      created_at INTEGER NOT NULL,
+      last_activity INTEGER NOT NULL,
+      request_count INTEGER NOT NULL DEFAULT 0,
+      tool_calls INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS mcp_events (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      stream_id TEXT NOT NULL,
+      message TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_mcp_events_stream ON mcp_events(session_id, stream_id, seq);
+  `);
+}
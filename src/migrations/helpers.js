@@ -0,0 +1,8 @@
+// Databases created before migrations existed may already have some of the
+// columns a migration adds, so column changes check before altering
+export function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
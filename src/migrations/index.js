@@ -0,0 +1,110 @@
+import * as initial from './001_initial.js';
+import * as tenants from './002_tenants.js';
+import * as searchIndex from './003_search_index.js';
+import * as embeddings from './004_embeddings.js';
+import * as history from './005_history.js';
+import * as softDeletes from './006_soft_deletes.js';
+import * as expiry from './007_expiry.js';
+import * as sessions from './008_sessions.js';
+
+// ============================================
+// SCHEMA MIGRATIONS
+// ============================================
+//
+// The memory database schema is built by numbered scripts in this directory,
+// each exporting `version`, `name` and `up(db)`. Applied versions are
+// recorded in `schema_migrations`; on open, every pending migration runs in
+// one transaction, so a failed upgrade leaves the database as it was.
+// Databases written by a newer server (a version this list does not reach)
+// are refused rather than guessed at.
+//
+// To change the schema, add the next NNN_name.js and list it below; never
+// edit a migration that has shipped.
+
+export const MIGRATIONS = [initial, tenants, searchIndex, embeddings, history, softDeletes, expiry, sessions];
+
+export const LATEST_VERSION = MIGRATIONS.length;
+
+MIGRATIONS.forEach((migration, i) => {
+  if (migration.version !== i + 1) {
+    throw new Error(`Migration ${migration.name} has version ${migration.version}, expected ${i + 1}`);
+  }
+});
+
+function hasMigrationsTable(db) {
+  return !!db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'`).get();
+}
+
+function appliedMigrations(db) {
+  if (!hasMigrationsTable(db)) return [];
+  return db.prepare(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`).all();
+}
+
+export function schemaVersion(db) {
+  if (!hasMigrationsTable(db)) return 0;
+  return db.prepare(`SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations`).get().version;
+}
+
+// Applied and pending migrations, without changing anything
+export function migrationStatus(db, { migrations = MIGRATIONS } = {}) {
+  const applied = new Map(appliedMigrations(db).map(m => [m.version, m]));
+  const latest = migrations.length;
+  const current = Math.max(0, ...applied.keys());
+
+  const rows = migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    status: applied.has(m.version) ? 'applied' : 'pending',
+    applied_at: applied.get(m.version)?.applied_at ?? null
+  }));
+  // Recorded by a newer server
+  for (const [version, m] of applied) {
+    if (version > latest) rows.push({ version, name: m.name, status: 'unknown', applied_at: m.applied_at });
+  }
+
+  return {
+    current_version: current,
+    latest_version: latest,
+    pending: rows.filter(r => r.status === 'pending').length,
+    newer_than_server: current > latest,
+    migrations: rows
+  };
+}
+
+// Bring the database up to the latest version and report what was applied
+export function migrateDatabase(db, { migrations = MIGRATIONS, log = () => {} } = {}) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  const current = schemaVersion(db);
+  if (current > migrations.length) {
+    throw new Error(
+      `Database schema is at version ${current} but this server only knows up to ${migrations.length}; ` +
+      'upgrade the server or use a different DB_PATH'
+    );
+  }
+
+  const pending = migrations.filter(m => m.version > current);
+  const record = db.prepare(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`);
+  const apply = db.transaction(() => {
+    for (const migration of pending) {
+      try {
+        migration.up(db);
+      } catch (err) {
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`);
+      }
+      record.run(migration.version, migration.name);
+    }
+  });
+  apply();
+
+  if (pending.length > 0) {
+    log(`[MEMORY] Migrated database schema from version ${current} to ${migrations.length}`);
+  }
+  return { from: current, to: migrations.length, applied: pending.map(m => m.version) };
+}
@@ -0,0 +1,151 @@
+import { splitLines, joinLines } from './diff.js';
+
+// ============================================
+// UNIFIED-DIFF PATCHES
+// ============================================
+//
+// Parses `diff -u` / `git diff` output and applies its hunks the way
+// `patch` does: each hunk is tried at the line its header names, then at
+// growing distances either side of it, and with `fuzz` > 0 up to that many
+// context lines may be dropped from each end of a hunk that still doesn't
+// match. Hunks apply in order and never overlap the previous one. Lines use
+// the splitLines representation from diff.js, so "\ No newline at end of
+// file" markers round-trip.
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+export const DEV_NULL = '/dev/null';
+
+// "--- a/src/x.js\t2024-01-01 ..." -> "src/x.js"
+function headerPath(line) {
+  let name = line.slice(4).split('\t')[0].trim();
+  if (name.startsWith('"') && name.endsWith('"')) name = JSON.parse(name);
+  if (name === DEV_NULL) return DEV_NULL;
+  return name.replace(/^[ab]\//, '');
+}
+
+// [{ oldPath, newPath, hunks: [{ header, oldStart, oldCount, newStart, newCount, lines: [{ op, line }] }] }]
+export function parsePatch(text) {
+  const lines = text.split('\n');
+  const files = [];
+  let file = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      file = { oldPath: headerPath(line), newPath: headerPath(lines[i + 1]), hunks: [] };
+      files.push(file);
+      i++;
+      continue;
+    }
+
+    const header = HUNK_HEADER.exec(line);
+    if (!header) continue; // "diff --git", "index ..." and commentary around the diff
+    if (!file) throw new Error(`Patch line ${i + 1}: hunk before any ---/+++ file header`);
+
+    const hunk = {
+      header: line,
+      oldStart: Number(header[1]),
+      oldCount: header[2] === undefined ? 1 : Number(header[2]),
+      newStart: Number(header[3]),
+      newCount: header[4] === undefined ? 1 : Number(header[4]),
+      lines: []
+    };
+    let oldSeen = 0;
+    let newSeen = 0;
+    while (oldSeen < hunk.oldCount || newSeen < hunk.newCount) {
+      i++;
+      // The empty string after the patch's final newline is not a blank line
+      if (i >= lines.length - 1 && !lines[i]) throw new Error(`Patch hunk "${hunk.header}" ends early`);
+      // Some editors strip the space from blank context lines
+      const body = lines[i] === '' ? ' ' : lines[i];
+      const op = body[0];
+      if (op === '\\') {
+        markMissingNewline(hunk);
+        continue;
+      }
+      if (op !== ' ' && op !== '-' && op !== '+') {
+        throw new Error(`Patch line ${i + 1}: expected " ", "-" or "+" in hunk "${hunk.header}"`);
+      }
+      hunk.lines.push({ op, line: body.slice(1) });
+      if (op !== '+') oldSeen++;
+      if (op !== '-') newSeen++;
+    }
+    if (lines[i + 1]?.startsWith('\\')) {
+      markMissingNewline(hunk);
+      i++;
+    }
+    file.hunks.push(hunk);
+  }
+
+  if (files.length === 0) throw new Error('Patch contains no ---/+++ file headers');
+  return files;
+}
+
+// "\ No newline at end of file" applies to the line just before it
+function markMissingNewline(hunk) {
+  const last = hunk.lines[hunk.lines.length - 1];
+  if (last && !last.line.endsWith('\n')) last.line += '\n';
+}
+
+function matchesAt(lines, at, expected) {
+  if (at < 0 || at + expected.length > lines.length) return false;
+  return expected.every((line, i) => lines[at + i] === line);
+}
+
+// Nearest position to `target` (but not before `min`) where `expected` matches
+function locate(lines, expected, target, min) {
+  const max = lines.length - expected.length;
+  target = Math.min(Math.max(target, min), Math.max(max, min));
+  for (let distance = 0; target - distance >= min || target + distance <= max; distance++) {
+    if (matchesAt(lines, target + distance, expected)) return target + distance;
+    if (distance > 0 && target - distance >= min && matchesAt(lines, target - distance, expected)) {
+      return target - distance;
+    }
+  }
+  return -1;
+}
+
+// Apply parsed hunks to `text`. Returns the patched text (null when any hunk
+// failed) and a report per hunk.
+export function applyHunks(text, hunks, { fuzz = 2 } = {}) {
+  const lines = splitLines(text);
+  const report = [];
+  let delta = 0; // how far earlier hunks moved the lines after them
+  let min = 0; // hunks may not overlap the previous one
+  let failed = 0;
+
+  hunks.forEach((hunk, index) => {
+    const leading = hunk.lines.findIndex(l => l.op !== ' ');
+    const trailing = hunk.lines.length - 1 - hunk.lines.findLastIndex(l => l.op !== ' ');
+    const stated = (hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart - 1) + delta;
+
+    for (let f = 0; f <= fuzz; f++) {
+      const cutStart = Math.min(f, leading === -1 ? 0 : leading);
+      const cutEnd = Math.min(f, leading === -1 ? 0 : trailing);
+      if (f > 0 && cutStart < f && cutEnd < f) break; // nothing left to drop
+      const body = hunk.lines.slice(cutStart, hunk.lines.length - cutEnd);
+      const expected = body.filter(l => l.op !== '+').map(l => l.line);
+      const replacement = body.filter(l => l.op !== '-').map(l => l.line);
+
+      const at = locate(lines, expected, stated + cutStart, min);
+      if (at === -1) continue;
+      lines.splice(at, expected.length, ...replacement);
+      const offset = at - cutStart - stated;
+      report.push({ hunk: index + 1, header: hunk.header, status: 'applied', line: at - cutStart + 1, offset, fuzz: f });
+      // Later hunks are looked for where this one actually landed
+      delta += offset + replacement.length - expected.length;
+      min = at + replacement.length;
+      return;
+    }
+    failed++;
+    report.push({
+      hunk: index + 1,
+      header: hunk.header,
+      status: 'failed',
+      reason: fuzz > 0 ? `context does not match (tried fuzz up to ${fuzz})` : 'context does not match'
+    });
+  });
+
+  return { content: failed === 0 ? joinLines(lines) : null, hunks: report, failed };
+}
@@ -0,0 +1,184 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { workspaceUsage } from './tenants.js';
+import { resolveWorkspacePath, isDeniedPath } from './sandbox.js';
+
+// ============================================
+// WORKSPACE QUOTAS
+// ============================================
+//
+// Limits on how much each tenant workspace may hold: total bytes, number of
+// files and the size of any one file. Writes that would go over a limit
+// fail before touching the disk, with an error that says where the
+// workspace stands. Snapshots are kept outside the workspace and have a
+// byte cap of their own. Unset or 0 means unlimited.
+//
+//   FS_QUOTA_BYTES           total bytes per workspace, e.g. "500mb" (units kb, mb, gb)
+//   FS_QUOTA_FILES           files per workspace
+//   FS_MAX_FILE_BYTES        largest single file, e.g. "25mb"
+//   FS_SNAPSHOT_QUOTA_BYTES  compressed snapshot bytes kept per tenant, e.g. "1gb"
+//   FS_TENANT_QUOTAS         per-tenant overrides, e.g. "team-a:bytes=2gb,files=50000;trial:bytes=10mb,snapshot_bytes=50mb"
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+const QUOTA_KEYS = { bytes: 'maxBytes', files: 'maxFiles', file_bytes: 'maxFileBytes', snapshot_bytes: 'maxSnapshotBytes' };
+
+export function parseSize(value) {
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) {
+    throw new Error(`Invalid size "${value}": expected a number with an optional kb, mb or gb unit`);
+  }
+  return Math.floor(Number(match[1]) * SIZE_UNITS[match[2] || 'b']);
+}
+
+function parseCount(value, name) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid ${name} "${value}": expected a whole number`);
+  }
+  return count;
+}
+
+// Limits of 0 are stored as null, meaning unlimited
+function limits({ maxBytes = null, maxFiles = null, maxFileBytes = null, maxSnapshotBytes = null }) {
+  return {
+    maxBytes: maxBytes || null,
+    maxFiles: maxFiles || null,
+    maxFileBytes: maxFileBytes || null,
+    maxSnapshotBytes: maxSnapshotBytes || null
+  };
+}
+
+export function loadQuotaConfig(env = process.env) {
+  const defaults = limits({
+    maxBytes: env.FS_QUOTA_BYTES ? parseSize(env.FS_QUOTA_BYTES) : null,
+    maxFiles: env.FS_QUOTA_FILES ? parseCount(env.FS_QUOTA_FILES, 'FS_QUOTA_FILES') : null,
+    maxFileBytes: env.FS_MAX_FILE_BYTES ? parseSize(env.FS_MAX_FILE_BYTES) : null,
+    maxSnapshotBytes: env.FS_SNAPSHOT_QUOTA_BYTES ? parseSize(env.FS_SNAPSHOT_QUOTA_BYTES) : null
+  });
+
+  const tenants = {};
+  for (const entry of (env.FS_TENANT_QUOTAS || '').split(';').map(e => e.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Invalid FS_TENANT_QUOTAS entry "${entry}": expected tenant:key=value,...`);
+    }
+    const overrides = {};
+    for (const setting of entry.slice(separator + 1).split(',').map(s => s.trim()).filter(Boolean)) {
+      const [key, value] = setting.split('=').map(s => s?.trim());
+      if (!QUOTA_KEYS[key] || !value) {
+        throw new Error(`Invalid FS_TENANT_QUOTAS setting "${setting}": expected ${Object.keys(QUOTA_KEYS).join(', ')}=value`);
+      }
+      overrides[QUOTA_KEYS[key]] = key === 'files' ? parseCount(value, 'files') : parseSize(value);
+    }
+    tenants[entry.slice(0, separator).trim()] = overrides;
+  }
+  return { ...defaults, tenants };
+}
+
+// The limits that apply to one tenant: its overrides on top of the defaults
+export function quotaFor(config, tenant) {
+  const { tenants = {}, ...defaults } = config;
+  return limits({ ...defaults, ...tenants[tenant] });
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = -1;
+  do {
+    value /= 1024;
+    unit++;
+  } while (value >= 1024 && unit < units.length - 1);
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+// Fail if a write would break the tenant's quota. `fileSizes` are the sizes
+// of the files the write leaves behind; `bytes` and `files` are how much the
+// workspace totals grow (negative when it shrinks).
+export async function checkQuota(ctx, { fileSizes = [], bytes = 0, files = 0 }) {
+  const quota = ctx.quota;
+  if (!quota) return;
+
+  if (quota.maxFileBytes !== null) {
+    const largest = Math.max(0, ...fileSizes);
+    if (largest > quota.maxFileBytes) {
+      throw new Error(`Quota exceeded: a ${formatBytes(largest)} file is over the ${formatBytes(quota.maxFileBytes)} per-file limit`);
+    }
+  }
+  if (quota.maxBytes === null && quota.maxFiles === null) return;
+  if (bytes <= 0 && files <= 0) return;
+
+  // Walked on each growing write; workspaces are small enough that a cache isn't worth going stale
+  const usage = await workspaceUsage(ctx.workspaceDir);
+  const current = `${formatBytes(usage.bytes)} in ${usage.files} file(s)`;
+  if (quota.maxBytes !== null && bytes > 0 && usage.bytes + bytes > quota.maxBytes) {
+    throw new Error(
+      `Quota exceeded: workspace would use ${formatBytes(usage.bytes + bytes)} of ${formatBytes(quota.maxBytes)} (currently ${current})`
+    );
+  }
+  if (quota.maxFiles !== null && files > 0 && usage.files + files > quota.maxFiles) {
+    throw new Error(
+      `Quota exceeded: workspace would hold ${usage.files + files} files, the limit is ${quota.maxFiles} (currently ${current})`
+    );
+  }
+}
+
+// Size of a file that is about to be replaced, or null when there is none
+export async function existingSize(fullPath) {
+  try {
+    const stats = await fs.lstat(fullPath);
+    return stats.isFile() ? stats.size : null;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function percent(used, max) {
+  return max === null ? null : Math.round((used / max) * 1000) / 10;
+}
+
+// fs_usage: files and bytes under `dirPath` and in each directory directly
+// inside it (largest first), with the whole workspace measured against its
+// quota. Deny-listed entries count toward their parent but are not named.
+export async function usageReport(ctx, dirPath = '.') {
+  const fullPath = await resolveWorkspacePath(ctx, dirPath);
+  const total = await workspaceUsage(fullPath);
+
+  const directories = [];
+  let looseFiles = 0;
+  let looseBytes = 0;
+  for (const entry of await fs.readdir(fullPath, { withFileTypes: true })) {
+    const entryPath = path.join(fullPath, entry.name);
+    if (entry.isDirectory() && !isDeniedPath(ctx, entryPath)) {
+      const usage = await workspaceUsage(entryPath);
+      directories.push({ path: path.relative(ctx.workspaceDir, entryPath).split(path.sep).join('/'), ...usage, size: formatBytes(usage.bytes) });
+    } else if (entry.isFile()) {
+      looseFiles++;
+      looseBytes += (await fs.lstat(entryPath)).size;
+    }
+  }
+  directories.sort((a, b) => b.bytes - a.bytes || (a.path < b.path ? -1 : 1));
+
+  const workspace = dirPath === '.' ? total : await workspaceUsage(ctx.workspaceDir);
+  const quota = ctx.quota ?? { maxBytes: null, maxFiles: null, maxFileBytes: null };
+  return {
+    path: dirPath,
+    files: total.files,
+    bytes: total.bytes,
+    size: formatBytes(total.bytes),
+    directories,
+    // Files sitting directly in `path` rather than in a subdirectory
+    top_level_files: { files: looseFiles, bytes: looseBytes },
+    workspace: {
+      files: workspace.files,
+      bytes: workspace.bytes,
+      max_bytes: quota.maxBytes,
+      max_files: quota.maxFiles,
+      max_file_bytes: quota.maxFileBytes,
+      bytes_used_percent: percent(workspace.bytes, quota.maxBytes),
+      files_used_percent: percent(workspace.files, quota.maxFiles)
+    }
+  };
+}
@@ -0,0 +1,197 @@
+// ============================================
+// RAILWAY API FUNCTIONS
+// ============================================
+
+// API token - read dynamically to support hot-reload of env vars
+export function getRailwayToken() {
+  return process.env.RAILWAY_TOKEN || '';
+}
+
+// Railway API configuration (override to point at a stand-in, see test/mocks)
+export function getRailwayApiUrl() {
+  return process.env.RAILWAY_API_URL || 'https://backboard.railway.app/graphql/v2';
+}
+
+async function railwayGraphQL(query, variables = {}) {
+  const railwayToken = getRailwayToken();
+  if (!railwayToken) {
+    throw new Error('RAILWAY_TOKEN environment variable is not set');
+  }
+  const response = await fetch(getRailwayApiUrl(), {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${railwayToken}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ query, variables }),
+  });
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(data.errors[0].message);
+  }
+  return data.data;
+}
+
+export async function railwayGetProjects() {
+  // First get all workspaces
+  const workspacesQuery = `
+    query {
+      me {
+        workspaces {
+          id
+          name
+        }
+      }
+    }
+  `;
+  const workspacesData = await railwayGraphQL(workspacesQuery);
+  const workspaces = workspacesData.me.workspaces;
+
+  // Then get projects from each workspace
+  const allProjects = [];
+  for (const workspace of workspaces) {
+    const projectsQuery = `
+      query($workspaceId: String!) {
+        workspace(workspaceId: $workspaceId) {
+          projects {
+            edges {
+              node {
+                id
+                name
+                description
+                createdAt
+                environments {
+                  edges {
+                    node {
+                      id
+                      name
+                    }
+                  }
+                }
+                services {
+                  edges {
+                    node {
+                      id
+                      name
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+    try {
+      const data = await railwayGraphQL(projectsQuery, { workspaceId: workspace.id });
+      if (data.workspace?.projects?.edges) {
+        const projects = data.workspace.projects.edges.map(e => ({
+          ...e.node,
+          workspace: workspace.name,
+          environments: e.node.environments?.edges?.map(env => env.node) || [],
+          services: e.node.services?.edges?.map(svc => svc.node) || []
+        }));
+        allProjects.push(...projects);
+      }
+    } catch (err) {
+      // Continue with other workspaces if one fails
+      console.error(`Failed to get projects for workspace ${workspace.name}:`, err.message);
+    }
+  }
+
+  return { projects: allProjects };
+}
+
+export async function railwayCreateProject(name, description = '') {
+  const query = `
+    mutation($input: ProjectCreateInput!) {
+      projectCreate(input: $input) {
+        id
+        name
+        environments {
+          edges {
+            node {
+              id
+              name
+            }
+          }
+        }
+      }
+    }
+  `;
+  const data = await railwayGraphQL(query, { input: { name, description } });
+  return {
+    ...data.projectCreate,
+    environments: data.projectCreate.environments.edges.map(e => e.node)
+  };
+}
+
+export async function railwayCreateService(projectId, environmentId, repoUrl, branch = 'main') {
+  const query = `
+    mutation($input: ServiceCreateInput!) {
+      serviceCreate(input: $input) {
+        id
+        name
+      }
+    }
+  `;
+  const data = await railwayGraphQL(query, {
+    input: { projectId, source: { repo: repoUrl }, branch }
+  });
+  return data.serviceCreate;
+}
+
+export async function railwayDeploy(serviceId, environmentId) {
+  const query = `
+    mutation($input: ServiceInstanceDeployInput!) {
+      serviceInstanceDeploy(input: $input)
+    }
+  `;
+  const data = await railwayGraphQL(query, { input: { serviceId, environmentId } });
+  return { success: true, deploymentId: data.serviceInstanceDeploy };
+}
+
+export async function railwayGenerateDomain(serviceId, environmentId) {
+  const query = `
+    mutation($input: ServiceDomainCreateInput!) {
+      serviceDomainCreate(input: $input) {
+        id
+        domain
+      }
+    }
+  `;
+  const data = await railwayGraphQL(query, { input: { serviceId, environmentId } });
+  return data.serviceDomainCreate;
+}
+
+export async function railwaySetVariables(serviceId, environmentId, variables) {
+  const query = `
+    mutation($input: VariableCollectionUpsertInput!) {
+      variableCollectionUpsert(input: $input)
+    }
+  `;
+  await railwayGraphQL(query, { input: { serviceId, environmentId, variables } });
+  return { success: true };
+}
+
+export async function railwayGetDeployments(projectId) {
+  const query = `
+    query($projectId: String!) {
+      deployments(input: { projectId: $projectId }) {
+        edges {
+          node {
+            id
+            status
+            createdAt
+            service {
+              name
+            }
+          }
+        }
+      }
+    }
+  `;
+  const data = await railwayGraphQL(query, { projectId });
+  return data.deployments.edges.map(e => e.node);
+}
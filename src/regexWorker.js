@@ -0,0 +1,85 @@
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+
+// ============================================
+// REGEX WORKER
+// ============================================
+//
+// Caller-supplied regular expressions run in a worker thread, which is
+// terminated when its time is up. A catastrophic pattern like ^(a+)+$ can
+// take seconds on one short line and JavaScript can't interrupt a match,
+// so running it on the main thread would stall every session.
+//
+//   FS_REGEX_TIMEOUT_MS  time limit for one regex edit (default 2000); searches use FS_SEARCH_TIMEOUT_MS
+
+export function regexTimeoutMs() {
+  return Number(process.env.FS_REGEX_TIMEOUT_MS) || 2000;
+}
+
+const TASKS = {
+  // Index of the first match in each line, or -1
+  search({ source, flags, lines }) {
+    const pattern = new RegExp(source, flags);
+    return lines.map(line => {
+      const found = pattern.exec(line);
+      return found ? found.index : -1;
+    });
+  },
+  // Count matches, then replace the first or all of them
+  replace({ source, flags, content, replacement, replaceAll }) {
+    const global = new RegExp(source, flags.replace('g', '') + 'g');
+    const count = [...content.matchAll(global)].length;
+    const pattern = replaceAll ? global : new RegExp(source, flags.replace('g', ''));
+    return { count, content: count > 0 ? content.replace(pattern, replacement) : content };
+  }
+};
+
+if (!isMainThread && workerData?.role === 'regex') {
+  parentPort.on('message', ({ task, args }) => {
+    try {
+      parentPort.postMessage({ result: TASKS[task](args) });
+    } catch (error) {
+      parentPort.postMessage({ error: error.message });
+    }
+  });
+}
+
+// A worker started on first use and restarted after a timeout. run()
+// resolves to null once `timeoutMs` passes; call close() when done.
+export function createRegexRunner() {
+  let worker = null;
+
+  function stop() {
+    if (worker) worker.terminate();
+    worker = null;
+  }
+
+  return {
+    run(task, args, timeoutMs) {
+      worker ??= new Worker(new URL(import.meta.url), { workerData: { role: 'regex' } });
+      const current = worker;
+      return new Promise((resolve, reject) => {
+        const finish = (settle, value) => {
+          clearTimeout(timer);
+          current.off('message', onMessage);
+          current.off('error', onError);
+          settle(value);
+        };
+        const onMessage = (message) => (message.error !== undefined
+          ? finish(reject, new Error(message.error))
+          : finish(resolve, message.result));
+        const onError = (error) => {
+          stop();
+          finish(reject, error);
+        };
+        const timer = setTimeout(() => {
+          stop();
+          finish(resolve, null);
+        }, Math.max(timeoutMs, 0));
+        current.on('message', onMessage);
+        current.on('error', onError);
+        current.postMessage({ task, args });
+      });
+    },
+    close: stop
+  };
+}
@@ -0,0 +1,198 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathMatcher } from './glob.js';
+
+// ============================================
+// WORKSPACE SANDBOX
+// ============================================
+//
+// Every fs_* tool turns the caller's path into a real one through
+// resolveWorkspacePath. A path must stay inside the tenant workspace after
+// resolving "..", and symlinks on the way are refused, or with FS_SYMLINKS
+// "confine" followed only when their real target is still inside the
+// workspace. Deny-listed paths can't be read, written or even listed;
+// read-only paths can be read but not changed. A glob in either list also
+// covers everything under a directory it matches.
+//
+// Git directories are always read-only to fs_* tools, whatever the lists
+// say: repository config can name commands (filters, textconv, ssh) that the
+// git_* tools would otherwise run on the server. Git itself writes them.
+//
+//   FS_SYMLINKS         reject (default) or confine
+//   FS_DENY_PATHS       comma-separated globs, e.g. ".env,.env.*,.git"
+//   FS_READ_ONLY_PATHS  comma-separated globs, e.g. "vendor,*.lock"
+
+export const SYMLINK_POLICIES = ['reject', 'confine'];
+
+// read: look only; write: create or change; delete: remove the entry itself
+// (a symlink at the end of the path is then removed, not followed)
+const ACCESS_MODES = ['read', 'write', 'delete'];
+
+function globList(value) {
+  return (value || '').split(',').map(g => g.trim()).filter(Boolean);
+}
+
+export function loadSandboxPolicy(env = process.env) {
+  const symlinks = env.FS_SYMLINKS || 'reject';
+  if (!SYMLINK_POLICIES.includes(symlinks)) {
+    throw new Error(`Invalid FS_SYMLINKS "${symlinks}": expected ${SYMLINK_POLICIES.join(', ')}`);
+  }
+  return { symlinks, deny: globList(env.FS_DENY_PATHS), readOnly: globList(env.FS_READ_ONLY_PATHS) };
+}
+
+// A path matches when it or any directory above it matches one of the globs
+function coveringMatcher(globs) {
+  const matches = pathMatcher(globs);
+  return (relPath) => {
+    const parts = relPath.split('/');
+    return parts.some((_, i) => matches(parts.slice(0, i + 1).join('/')));
+  };
+}
+
+export function createSandbox({ symlinks = 'reject', deny = [], readOnly = [] } = {}) {
+  if (!SYMLINK_POLICIES.includes(symlinks)) {
+    throw new Error(`Invalid symlink policy "${symlinks}": expected ${SYMLINK_POLICIES.join(', ')}`);
+  }
+  return {
+    symlinks,
+    deny,
+    readOnly,
+    isDenied: deny.length > 0 ? coveringMatcher(deny) : () => false,
+    isReadOnly: readOnly.length > 0 ? coveringMatcher(readOnly) : () => false
+  };
+}
+
+const DEFAULT_SANDBOX = createSandbox();
+
+function sandboxOf(ctx) {
+  return ctx.sandbox ?? DEFAULT_SANDBOX;
+}
+
+// Separator-aware containment, so "/ws/team" does not contain "/ws/team-b"
+function isWithin(root, candidate) {
+  return candidate === root || candidate.startsWith(root.endsWith(path.sep) ? root : root + path.sep);
+}
+
+function relativeTo(root, fullPath) {
+  return path.relative(root, fullPath).split(path.sep).join('/');
+}
+
+async function realpathOrNull(fullPath) {
+  try {
+    return await fs.realpath(fullPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// A ".git" directory or file anywhere on the path (a file can point git elsewhere)
+function isGitRelPath(relPath) {
+  return relPath.split('/').some(part => part.toLowerCase() === '.git');
+}
+
+// `write` creates or changes content. Moving or removing an entry as a whole
+// (`delete`) leaves git's own files as git wrote them, so it is allowed
+// inside a git directory.
+function checkPolicy(sandbox, relPath, access) {
+  if (!relPath) return;
+  if (sandbox.isDenied(relPath)) {
+    throw new Error(`Access denied: ${relPath} is on the deny list`);
+  }
+  if (access !== 'read' && sandbox.isReadOnly(relPath)) {
+    throw new Error(`Access denied: ${relPath} is read-only`);
+  }
+  if (access === 'write' && isGitRelPath(relPath)) {
+    throw new Error(`Access denied: ${relPath} is inside a git directory; use the git_* tools`);
+  }
+}
+
+// Walk the path one component at a time from the workspace root, so a
+// symlinked directory halfway down is caught as well as a symlinked file
+async function checkSymlinks(sandbox, root, relPath, access) {
+  if (!relPath) return;
+  const realRoot = (await realpathOrNull(root)) ?? root;
+  const parts = relPath.split('/');
+  let current = root;
+
+  for (let i = 0; i < parts.length; i++) {
+    current = path.join(current, parts[i]);
+    let stats;
+    try {
+      stats = await fs.lstat(current);
+    } catch (error) {
+      // Nothing exists from here on, so nothing below can be a link
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    if (!stats.isSymbolicLink()) continue;
+
+    const linkPath = parts.slice(0, i + 1).join('/');
+    if (i === parts.length - 1 && access === 'delete') return;
+    if (sandbox.symlinks === 'reject') {
+      throw new Error(`Access denied: ${linkPath} is a symbolic link`);
+    }
+    const target = await realpathOrNull(current);
+    if (target === null) {
+      throw new Error(`Access denied: ${linkPath} is a broken symbolic link`);
+    }
+    if (!isWithin(realRoot, target)) {
+      throw new Error(`Access denied: ${linkPath} links outside the workspace`);
+    }
+    // The link's target is what actually gets read or written
+    checkPolicy(sandbox, relativeTo(realRoot, target), access);
+  }
+}
+
+// Absolute path for `filePath` (relative to the tenant workspace) once it
+// has passed every sandbox check for `access`
+export async function resolveWorkspacePath(ctx, filePath, { access = 'read' } = {}) {
+  if (!ACCESS_MODES.includes(access)) {
+    throw new Error(`Invalid access "${access}": expected ${ACCESS_MODES.join(', ')}`);
+  }
+  if (typeof filePath !== 'string') {
+    throw new Error('Path must be a string');
+  }
+  if (filePath.includes('\0')) {
+    throw new Error('Access denied: Path contains a NUL byte');
+  }
+
+  const root = ctx.workspaceDir;
+  const resolved = path.resolve(root, filePath);
+  if (!isWithin(root, resolved)) {
+    throw new Error('Access denied: Path is outside workspace');
+  }
+
+  const sandbox = sandboxOf(ctx);
+  const relPath = relativeTo(root, resolved);
+  checkPolicy(sandbox, relPath, access);
+  await checkSymlinks(sandbox, root, relPath, access);
+  return resolved;
+}
+
+// Whether an entry found while walking the workspace is hidden by the deny list
+export function isDeniedPath(ctx, fullPath) {
+  const relPath = relativeTo(ctx.workspaceDir, fullPath);
+  return relPath !== '' && sandboxOf(ctx).isDenied(relPath);
+}
+
+// Whether fs_* tools may not write at a path found while walking the
+// workspace because it is in a git directory
+export function isGitPath(ctx, fullPath) {
+  return isGitRelPath(relativeTo(ctx.workspaceDir, fullPath));
+}
+
+// Fail if a directory that is about to be moved or removed as a whole holds
+// anything the sandbox protects
+export async function checkTreeWritable(ctx, fullPath) {
+  const sandbox = sandboxOf(ctx);
+  const visit = async (current) => {
+    checkPolicy(sandbox, relativeTo(ctx.workspaceDir, current), 'delete');
+    const stats = await fs.lstat(current);
+    if (!stats.isDirectory()) return;
+    for (const entry of await fs.readdir(current)) {
+      await visit(path.join(current, entry));
+    }
+  };
+  await visit(fullPath);
+}
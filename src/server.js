@@ -0,0 +1,417 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { isToolAllowed, isAdmin } from './auth.js';
+import { log, logToolCall, logToolResult } from './logging.js';
+import { TOOLS } from './tools.js';
+import {
+  writeFile,
+  readFile,
+  editFile,
+  applyEdits,
+  applyPatch,
+  deleteFile,
+  movePath,
+  copyPath,
+  deletePath,
+  createDirectory,
+  listDirectory,
+  getDirectoryTree
+} from './filesystem.js';
+import { searchFiles, globFiles } from './fileSearch.js';
+import { usageReport } from './quota.js';
+import { createSnapshot, listSnapshots, restoreSnapshot } from './workspaceArchive.js';
+import { gitInit, gitStatus, gitDiff, gitAdd, gitCommit, gitLog, gitBranch, gitCheckout, gitPush } from './git.js';
+import { memorySemanticSearch, memoryRepairRelations } from './memory.js';
+import { memoryToolAvailable } from './storage/index.js';
+import { memoryTraverse, memoryShortestPath, memorySubgraph } from './memoryGraph.js';
+import { memoryHistory, memoryDiff, memoryRevert, memoryRestore } from './memoryHistory.js';
+import { memoryMetadataIndex } from './memoryQuery.js';
+import { memoryExport, memoryImport } from './memoryTransfer.js';
+import { memoryStats } from './memoryRetention.js';
+import {
+  railwayGetProjects,
+  railwayCreateProject,
+  railwayCreateService,
+  railwayDeploy,
+  railwayGenerateDomain,
+  railwaySetVariables,
+  railwayGetDeployments
+} from './railway.js';
+import {
+  supabaseGetProjects,
+  supabaseGetProject,
+  supabaseCreateProject,
+  supabaseGetOrganizations,
+  supabaseRunSQL,
+  supabaseGetTables,
+  supabaseCreateTable
+} from './supabase.js';
+
+// ============================================
+// MCP SERVER SETUP
+// ============================================
+//
+// One Server per session. `principal` is the authenticated API key (null when
+// auth is disabled) and `ctx` the session context from createContext() in app.js.
+
+// Mirror tool activity to the client as logging notifications. They are not tied
+// to a request, so they travel on the standalone GET /mcp stream.
+function notifyToolActivity(server, sessionId, level, data) {
+  server.sendLoggingMessage({ level, logger: 'tools', data }, sessionId)
+    .catch(err => log(`Failed to send log notification: ${err.message}`));
+}
+
+// memory_search / memory_list filter arguments, as memoryQuery.js expects them
+function memoryFilterArgs(args) {
+  return {
+    type: args.type,
+    metadata: args.metadata,
+    createdAfter: args.created_after,
+    createdBefore: args.created_before,
+    updatedAfter: args.updated_after,
+    updatedBefore: args.updated_before,
+    sort: args.sort,
+    order: args.order,
+    cursor: args.cursor
+  };
+}
+
+function memoryExpiryArgs(args) {
+  return { expiresAt: args.expires_at, ttlSeconds: args.ttl_seconds };
+}
+
+export function createMCPServer(principal, ctx) {
+  const server = new Server(
+    { name: 'vocal-bridge-mcp', version: '2.0.0' },
+    { capabilities: { tools: {}, logging: {} } }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: TOOLS.filter(tool => isToolAllowed(principal, tool.name) && memoryToolAvailable(ctx.memory.kind, tool.name))
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    const startTime = Date.now();
+
+    // Log the incoming tool call
+    logToolCall(name, args);
+
+    try {
+      let result;
+
+      if (!isToolAllowed(principal, name)) {
+        throw new Error(`Access denied: API key "${principal.name}" is not permitted to call ${name}`);
+      }
+      if (!memoryToolAvailable(ctx.memory.kind, name)) {
+        throw new Error(`${name} is only available with the sqlite memory backend (MEMORY_BACKEND is ${ctx.memory.kind})`);
+      }
+
+      switch (name) {
+        // Filesystem tools
+        case 'fs_write_file':
+          result = await writeFile(ctx, args.path, args.content, { encoding: args.encoding });
+          break;
+        case 'fs_read_file':
+          result = await readFile(ctx, args.path, {
+            offset: args.offset,
+            limit: args.limit,
+            unit: args.unit,
+            encoding: args.encoding
+          });
+          break;
+        case 'fs_edit_file':
+          result = await editFile(ctx, args.path, args.old_text, args.new_text);
+          break;
+        case 'fs_apply_edits':
+          result = await applyEdits(ctx, args.path, (args.edits || []).map(edit => ({
+            oldText: edit.old_text,
+            newText: edit.new_text,
+            replaceAll: edit.replace_all,
+            expectedCount: edit.expected_count ?? null,
+            regex: edit.regex,
+            flags: edit.flags
+          })), { dryRun: args.dry_run });
+          break;
+        case 'fs_apply_patch':
+          result = await applyPatch(ctx, args.patch, { path: args.path ?? null, fuzz: args.fuzz, dryRun: args.dry_run });
+          break;
+        case 'fs_search':
+          result = await searchFiles(ctx, args.query, {
+            path: args.path || '.',
+            regex: args.regex,
+            ignoreCase: args.ignore_case,
+            include: args.include || [],
+            exclude: args.exclude || [],
+            context: args.context ?? 0,
+            maxResults: args.max_results ?? 100
+          });
+          break;
+        case 'fs_glob':
+          result = await globFiles(ctx, args.pattern, {
+            path: args.path || '.',
+            exclude: args.exclude || [],
+            maxResults: args.max_results ?? 500
+          });
+          break;
+        case 'fs_delete_file':
+          result = await deleteFile(ctx, args.path);
+          break;
+        case 'fs_move':
+          result = await movePath(ctx, args.source, args.destination, { overwrite: args.overwrite });
+          break;
+        case 'fs_copy':
+          result = await copyPath(ctx, args.source, args.destination, {
+            recursive: args.recursive,
+            overwrite: args.overwrite
+          });
+          break;
+        case 'fs_delete':
+          result = await deletePath(ctx, args.path, { recursive: args.recursive, confirm: args.confirm ?? null });
+          break;
+        case 'fs_usage':
+          result = await usageReport(ctx, args.path || '.');
+          break;
+        case 'fs_snapshot_create':
+          result = await createSnapshot(ctx, args.path || '.', { label: args.label ?? null });
+          break;
+        case 'fs_snapshot_list':
+          result = await listSnapshots(ctx);
+          break;
+        case 'fs_snapshot_restore':
+          result = await restoreSnapshot(ctx, args.id, { mode: args.mode || 'replace' });
+          break;
+        case 'fs_create_directory':
+          result = await createDirectory(ctx, args.path);
+          break;
+        case 'fs_list_directory':
+          result = await listDirectory(ctx, args.path || '.');
+          break;
+        case 'fs_directory_tree':
+          result = await getDirectoryTree(ctx, args.path || '.', args.max_depth || 3);
+          break;
+
+        // Git tools
+        case 'git_init':
+          result = await gitInit(ctx, args.path || '.', { initialBranch: args.initial_branch });
+          break;
+        case 'git_status':
+          result = await gitStatus(ctx, args.path || '.');
+          break;
+        case 'git_diff':
+          result = await gitDiff(ctx, args.path || '.', { staged: args.staged, ref: args.ref ?? null, files: args.files || [] });
+          break;
+        case 'git_add':
+          result = await gitAdd(ctx, args.path || '.', args.files || []);
+          break;
+        case 'git_commit':
+          result = await gitCommit(ctx, args.path || '.', args.message, {
+            all: args.all,
+            authorName: args.author_name,
+            authorEmail: args.author_email
+          });
+          break;
+        case 'git_log':
+          result = await gitLog(ctx, args.path || '.', { limit: args.limit ?? 20, ref: args.ref ?? null });
+          break;
+        case 'git_branch':
+          result = await gitBranch(ctx, args.path || '.', {
+            name: args.name ?? null,
+            startPoint: args.start_point ?? null,
+            deleteBranch: args.delete
+          });
+          break;
+        case 'git_checkout':
+          result = await gitCheckout(ctx, args.path || '.', args.branch, { create: args.create });
+          break;
+        case 'git_push':
+          result = await gitPush(ctx, args.path || '.', args.remote, { branch: args.branch ?? null });
+          break;
+
+        // Memory tools
+        case 'memory_store':
+          result = await ctx.memory.store(args.name, args.type, args.content, args.metadata || {}, {
+            unique: args.unique,
+            ...memoryExpiryArgs(args)
+          });
+          break;
+        case 'memory_upsert':
+          result = await ctx.memory.upsert(args.name, args.type, args.content, args.metadata, {
+            matchBy: args.match_by,
+            ...memoryExpiryArgs(args)
+          });
+          break;
+        case 'memory_update':
+          result = await ctx.memory.update(args.id, args.content, args.metadata, memoryExpiryArgs(args));
+          break;
+        case 'memory_recall':
+          result = await ctx.memory.recall(args.name_or_id, { type: args.type });
+          break;
+        case 'memory_search':
+          result = await ctx.memory.search(args.query, {
+            ...memoryFilterArgs(args),
+            match: args.match,
+            limit: args.limit,
+            offset: args.offset
+          });
+          break;
+        case 'memory_semantic_search':
+          result = await memorySemanticSearch(ctx, args.query, {
+            type: args.type,
+            mode: args.mode,
+            limit: args.limit,
+            minScore: args.min_score
+          });
+          break;
+        case 'memory_list':
+          result = await ctx.memory.list({ ...memoryFilterArgs(args), limit: args.limit });
+          break;
+        case 'memory_metadata_index':
+          result = memoryMetadataIndex(ctx, args.action, args.key, { admin: isAdmin(principal) });
+          break;
+        case 'memory_delete':
+          result = await ctx.memory.delete(args.id, { mode: args.mode });
+          break;
+        case 'memory_relate':
+          result = await ctx.memory.relate(args.from_id, args.to_id, args.relation_type, args.metadata || {});
+          break;
+        case 'memory_unrelate':
+          result = await ctx.memory.unrelate({
+            id: args.id,
+            fromId: args.from_id,
+            toId: args.to_id,
+            relationType: args.relation_type
+          });
+          break;
+        case 'memory_update_relation':
+          result = await ctx.memory.updateRelation(args.id, {
+            relationType: args.relation_type,
+            metadata: args.metadata
+          });
+          break;
+        case 'memory_get_relations':
+          result = await ctx.memory.getRelations(args.entity_id);
+          break;
+        case 'memory_traverse':
+          result = memoryTraverse(ctx, args.start, {
+            direction: args.direction,
+            relationTypes: args.relation_types,
+            maxDepth: args.max_depth,
+            strategy: args.strategy
+          });
+          break;
+        case 'memory_shortest_path':
+          result = memoryShortestPath(ctx, args.from, args.to, {
+            direction: args.direction,
+            relationTypes: args.relation_types,
+            maxDepth: args.max_depth
+          });
+          break;
+        case 'memory_subgraph':
+          result = memorySubgraph(ctx, args.start, {
+            direction: args.direction,
+            relationTypes: args.relation_types,
+            maxDepth: args.max_depth
+          });
+          break;
+        case 'memory_repair_relations':
+          result = memoryRepairRelations(ctx, { dryRun: args.dry_run });
+          break;
+        case 'memory_history':
+          result = memoryHistory(ctx, args.id, { limit: args.limit });
+          break;
+        case 'memory_diff':
+          result = memoryDiff(ctx, args.id, args.from_version, args.to_version);
+          break;
+        case 'memory_revert':
+          result = memoryRevert(ctx, args.id, args.version);
+          break;
+        case 'memory_restore':
+          result = memoryRestore(ctx, args.id);
+          break;
+        case 'memory_stats':
+          result = memoryStats(ctx, { admin: isAdmin(principal) });
+          break;
+        case 'memory_export':
+          result = memoryExport(ctx, { format: args.format, type: args.type });
+          break;
+        case 'memory_import':
+          result = memoryImport(ctx, args.data, { strategy: args.strategy });
+          break;
+
+        // Railway tools
+        case 'railway_list_projects':
+          result = await railwayGetProjects();
+          break;
+        case 'railway_create_project':
+          result = await railwayCreateProject(args.name, args.description);
+          break;
+        case 'railway_create_service':
+          result = await railwayCreateService(args.projectId, args.environmentId, args.repoUrl, args.branch);
+          break;
+        case 'railway_deploy':
+          result = await railwayDeploy(args.serviceId, args.environmentId);
+          break;
+        case 'railway_generate_domain':
+          result = await railwayGenerateDomain(args.serviceId, args.environmentId);
+          break;
+        case 'railway_set_variables':
+          result = await railwaySetVariables(args.serviceId, args.environmentId, args.variables);
+          break;
+        case 'railway_get_deployments':
+          result = await railwayGetDeployments(args.projectId);
+          break;
+
+        // Supabase tools
+        case 'supabase_list_projects':
+          result = await supabaseGetProjects();
+          break;
+        case 'supabase_get_project':
+          result = await supabaseGetProject(args.projectRef);
+          break;
+        case 'supabase_create_project':
+          result = await supabaseCreateProject(args.name, args.organizationId, args.dbPassword, args.region);
+          break;
+        case 'supabase_list_organizations':
+          result = await supabaseGetOrganizations();
+          break;
+        case 'supabase_run_sql':
+          result = await supabaseRunSQL(args.projectRef, args.sql);
+          break;
+        case 'supabase_list_tables':
+          result = await supabaseGetTables(args.projectRef);
+          break;
+        case 'supabase_create_table':
+          result = await supabaseCreateTable(args.projectRef, args.tableName, args.columns);
+          break;
+
+        default:
+          throw new Error(`Unknown tool: ${name}`);
+      }
+
+      // Log successful result
+      const duration = Date.now() - startTime;
+      logToolResult(name, result, duration);
+      notifyToolActivity(server, extra.sessionId, 'info', { tool: name, status: 'success', durationMs: duration });
+
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
+      };
+    } catch (error) {
+      // Log error result
+      const duration = Date.now() - startTime;
+      logToolResult(name, error.message, duration, true);
+      notifyToolActivity(server, extra.sessionId, 'error', { tool: name, status: 'error', error: error.message, durationMs: duration });
+
+      return {
+        content: [{ type: 'text', text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  });
+
+  return server;
+}
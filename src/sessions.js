@@ -0,0 +1,179 @@
+// ============================================
+// SESSION REGISTRY
+// ============================================
+//
+// Tracks live MCP sessions (server + transport pairs) with idle expiry and an
+// LRU cap, and persists enough about each one (tenant, key name, initialize
+// params) to re-create it after a restart. `db` is the migrated memory
+// database; the mcp_sessions table comes from migration 008.
+//
+//   SESSION_IDLE_TIMEOUT_MS  idle time before a session is closed (default 30 min)
+//   MAX_SESSIONS             live sessions kept before evicting the least recently used (default 100)
+//
+// `onClose(id)` runs when a session is closed for good, `onSweep(cutoff)` after
+// each idle sweep, so state kept elsewhere (e.g. SSE events) can follow along.
+
+export function createSessionRegistry(db, {
+  idleTimeoutMs = Number(process.env.SESSION_IDLE_TIMEOUT_MS) || 30 * 60 * 1000,
+  maxSessions = Number(process.env.MAX_SESSIONS) || 100,
+  log = console.log,
+  onClose = () => {},
+  onSweep = () => {}
+} = {}) {
+  const insertStmt = db.prepare(`
+    INSERT OR REPLACE INTO mcp_sessions (id, principal, tenant, init_params, created_at, last_activity, request_count, tool_calls)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const touchStmt = db.prepare(`
+    UPDATE mcp_sessions SET last_activity = ?, request_count = ?, tool_calls = ? WHERE id = ?
+  `);
+  const getStmt = db.prepare(`SELECT * FROM mcp_sessions WHERE id = ?`);
+  const deleteStmt = db.prepare(`DELETE FROM mcp_sessions WHERE id = ?`);
+  const purgeStmt = db.prepare(`DELETE FROM mcp_sessions WHERE last_activity < ?`);
+
+  // Map iteration order doubles as LRU order: touch() moves a session to the end
+  const sessions = new Map();
+
+  async function closeTransport(id, session) {
+    try {
+      await session.transport.close();
+      await session.server.close();
+    } catch (err) {
+      console.error(`Failed to close session ${id}:`, err.message);
+    }
+  }
+
+  async function close(id, reason) {
+    const session = sessions.get(id);
+    deleteStmt.run(id);
+    onClose(id);
+    if (!session) return false;
+    sessions.delete(id);
+    log(`[SESSION] Closed ${id} (${reason})`);
+    await closeTransport(id, session);
+    return true;
+  }
+
+  function add(id, session) {
+    // A replaced entry keeps its record and events, but its transport goes
+    const replaced = sessions.get(id);
+    if (replaced) {
+      sessions.delete(id);
+      closeTransport(id, replaced);
+    }
+    while (sessions.size >= maxSessions) {
+      const [oldestId] = sessions.keys();
+      close(oldestId, 'evicted: max sessions reached');
+    }
+    const now = Date.now();
+    const entry = {
+      ...session,
+      createdAt: session.createdAt ?? now,
+      lastActivity: now,
+      requestCount: session.requestCount ?? 0,
+      toolCalls: session.toolCalls ?? 0
+    };
+    sessions.set(id, entry);
+    insertStmt.run(
+      id,
+      entry.principal?.name ?? null,
+      entry.tenant,
+      entry.initParams ? JSON.stringify(entry.initParams) : null,
+      entry.createdAt,
+      entry.lastActivity,
+      entry.requestCount,
+      entry.toolCalls
+    );
+    return entry;
+  }
+
+  function touch(id, { toolCalls = 0 } = {}) {
+    const session = sessions.get(id);
+    if (!session) return null;
+    sessions.delete(id);
+    sessions.set(id, session);
+    session.lastActivity = Date.now();
+    session.requestCount++;
+    session.toolCalls += toolCalls;
+    touchStmt.run(session.lastActivity, session.requestCount, session.toolCalls, id);
+    return session;
+  }
+
+  // Persisted record of a session that is not live in this process (e.g. after a restart)
+  function findPersisted(id) {
+    const row = getStmt.get(id);
+    if (!row) return null;
+    if (Date.now() - row.last_activity > idleTimeoutMs) {
+      deleteStmt.run(id);
+      onClose(id);
+      return null;
+    }
+    return {
+      id: row.id,
+      principalName: row.principal,
+      tenant: row.tenant,
+      initParams: row.init_params ? JSON.parse(row.init_params) : null,
+      createdAt: row.created_at,
+      requestCount: row.request_count,
+      toolCalls: row.tool_calls
+    };
+  }
+
+  async function sweep() {
+    const cutoff = Date.now() - idleTimeoutMs;
+    for (const [id, session] of sessions) {
+      if (session.lastActivity < cutoff) {
+        await close(id, 'idle timeout');
+      }
+    }
+    purgeStmt.run(cutoff);
+    onSweep(cutoff);
+  }
+
+  const timer = setInterval(() => {
+    sweep().catch(err => console.error('Session sweep failed:', err.message));
+  }, Math.min(idleTimeoutMs, 60 * 1000));
+  timer.unref();
+
+  // Close live sessions but keep their records, so clients can resume after a restart
+  async function shutdown() {
+    clearInterval(timer);
+    for (const [id, session] of sessions) {
+      sessions.delete(id);
+      await closeTransport(id, session);
+    }
+  }
+
+  function describe() {
+    const now = Date.now();
+    return [...sessions.entries()].map(([id, s]) => ({
+      id,
+      tenant: s.tenant,
+      apiKey: s.principal?.name ?? null,
+      client: s.initParams?.clientInfo ?? null,
+      createdAt: new Date(s.createdAt).toISOString(),
+      lastActivity: new Date(s.lastActivity).toISOString(),
+      ageMs: now - s.createdAt,
+      idleMs: now - s.lastActivity,
+      requestCount: s.requestCount,
+      toolCalls: s.toolCalls,
+      restored: !!s.restored
+    }));
+  }
+
+  return {
+    get: (id) => sessions.get(id),
+    has: (id) => sessions.has(id),
+    values: () => sessions.values(),
+    get size() { return sessions.size; },
+    add,
+    touch,
+    close,
+    findPersisted,
+    sweep,
+    describe,
+    shutdown,
+    idleTimeoutMs,
+    maxSessions
+  };
+}
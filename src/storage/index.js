@@ -0,0 +1,79 @@
+import { createSqliteStorage } from './sqlite.js';
+import { createPostgresStorage } from './postgres.js';
+
+// ============================================
+// MEMORY STORAGE
+// ============================================
+//
+// The core memory operations sit behind a storage adapter, so memories can
+// live in the local SQLite file or in a Postgres database that survives
+// redeploys. Every adapter exposes the same async methods, each taking the
+// tenant first:
+//
+//   store(tenant, name, type, content, metadata, { unique, expiresAt, ttlSeconds })
+//   upsert(tenant, name, type, content, metadata, { matchBy, expiresAt, ttlSeconds })
+//   update(tenant, id, content, metadata, { expiresAt, ttlSeconds })
+//   recall(tenant, nameOrId, { type })
+//   search(tenant, query, { limit, offset, cursor, match, sort, order, ...filters })
+//   list(tenant, { limit, cursor, sort, order, ...filters })
+//   delete(tenant, id, { mode })
+//   relate(tenant, fromId, toId, relationType, metadata)
+//   unrelate(tenant, { id, fromId, toId, relationType })
+//   updateRelation(tenant, id, { relationType, metadata })
+//   getRelations(tenant, entityId)
+//
+// plus counts() (live entities and relations per tenant, for the admin
+// routes), sweep({ policies }) and compact() for the retention sweeper, and
+// close(). Results and error messages are the same on every backend; the
+// contract suite in test/storage.test.js holds them to that. Graph queries,
+// history, semantic search, import/export and stats are SQLite-only.
+//
+//   MEMORY_BACKEND          sqlite (default) or postgres
+//   MEMORY_DATABASE_URL     Postgres connection string (falls back to DATABASE_URL)
+//   MEMORY_DATABASE_SCHEMA  Postgres schema for the memory tables (default: the search_path)
+
+export const STORAGE_METHODS = [
+  'store', 'upsert', 'update', 'recall', 'search', 'list', 'delete',
+  'relate', 'unrelate', 'updateRelation', 'getRelations'
+];
+
+export const MEMORY_BACKENDS = ['sqlite', 'postgres'];
+
+export async function createMemoryStorage({
+  backend = process.env.MEMORY_BACKEND || 'sqlite',
+  db,
+  connectionString = process.env.MEMORY_DATABASE_URL || process.env.DATABASE_URL,
+  schema = process.env.MEMORY_DATABASE_SCHEMA,
+  log
+} = {}) {
+  switch (backend) {
+    case 'sqlite':
+      return createSqliteStorage(db);
+    case 'postgres':
+      if (!connectionString) {
+        throw new Error('MEMORY_BACKEND=postgres needs MEMORY_DATABASE_URL (or DATABASE_URL)');
+      }
+      return createPostgresStorage({ connectionString, schema, log });
+    default:
+      throw new Error(`Invalid MEMORY_BACKEND "${backend}": expected ${MEMORY_BACKENDS.join(', ')}`);
+  }
+}
+
+// The adapter's methods with the tenant filled in, as handed to tools in ctx.memory
+export function scopeStorage(storage, tenant) {
+  const scoped = { kind: storage.kind };
+  for (const method of STORAGE_METHODS) {
+    scoped[method] = (...args) => storage[method](tenant, ...args);
+  }
+  return scoped;
+}
+
+// Memory tools every backend supports; the others work on the SQLite database directly
+const PORTABLE_MEMORY_TOOLS = new Set([
+  'memory_store', 'memory_upsert', 'memory_update', 'memory_recall', 'memory_search', 'memory_list',
+  'memory_delete', 'memory_relate', 'memory_unrelate', 'memory_update_relation', 'memory_get_relations'
+]);
+
+export function memoryToolAvailable(kind, tool) {
+  return kind === 'sqlite' || !tool.startsWith('memory_') || PORTABLE_MEMORY_TOOLS.has(tool);
+}
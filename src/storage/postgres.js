@@ -0,0 +1,610 @@
+import pg from 'pg';
+import { randomUUID } from 'crypto';
+import { parseSearchTerms, uniqueScope } from '../memory.js';
+import { deleteRetentionDays } from '../memoryHistory.js';
+import { resolveExpiry, parseRetentionPolicies } from '../memoryRetention.js';
+import {
+  entityFilters,
+  notExpired,
+  resolveSort,
+  encodeCursor,
+  keysetClause,
+  metadataKeyParts,
+  visitMetadataFilter,
+  METADATA_COMPARISONS
+} from '../memoryQuery.js';
+
+// The Postgres adapter. Tables mirror the SQLite ones, with timestamps kept
+// as "YYYY-MM-DD HH:MM:SS" UTC text so results, cursors and date filters
+// behave the same on both backends; metadata is JSONB and search uses a
+// generated tsvector column. Queries are written with ? placeholders, as in
+// the SQLite code, and numbered just before they are sent.
+
+const NOW = `to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')`;
+const SECONDS_AGO = `to_char(now() AT TIME ZONE 'UTC' - make_interval(secs => ?), 'YYYY-MM-DD HH24:MI:SS')`;
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial',
+    sql: `
+      CREATE TABLE IF NOT EXISTS entities (
+        id TEXT COLLATE "C" PRIMARY KEY,
+        tenant TEXT NOT NULL DEFAULT 'default',
+        name TEXT COLLATE "C" NOT NULL,
+        type TEXT NOT NULL,
+        content TEXT,
+        metadata JSONB NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL DEFAULT ${NOW},
+        updated_at TEXT NOT NULL DEFAULT ${NOW},
+        deleted_at TEXT,
+        expires_at TEXT,
+        search TSVECTOR GENERATED ALWAYS AS (
+          setweight(to_tsvector('simple', name), 'A') || setweight(to_tsvector('simple', coalesce(content, '')), 'B')
+        ) STORED
+      );
+
+      CREATE TABLE IF NOT EXISTS relations (
+        id TEXT COLLATE "C" PRIMARY KEY,
+        tenant TEXT NOT NULL DEFAULT 'default',
+        from_entity TEXT NOT NULL REFERENCES entities(id),
+        to_entity TEXT NOT NULL REFERENCES entities(id),
+        relation_type TEXT NOT NULL,
+        metadata JSONB NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL DEFAULT ${NOW}
+      );
+
+      CREATE TABLE IF NOT EXISTS entity_versions (
+        entity_id TEXT NOT NULL,
+        tenant TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        operation TEXT NOT NULL,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL,
+        content TEXT,
+        metadata JSONB,
+        created_at TEXT NOT NULL DEFAULT ${NOW},
+        PRIMARY KEY (entity_id, version)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_entities_tenant ON entities(tenant, type);
+      CREATE INDEX IF NOT EXISTS idx_entities_name ON entities(tenant, name);
+      CREATE INDEX IF NOT EXISTS idx_entities_search ON entities USING GIN (search);
+      CREATE INDEX IF NOT EXISTS idx_entities_deleted ON entities(deleted_at) WHERE deleted_at IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_entities_expires ON entities(expires_at) WHERE expires_at IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_relations_from ON relations(from_entity);
+      CREATE INDEX IF NOT EXISTS idx_relations_to ON relations(to_entity);
+      CREATE INDEX IF NOT EXISTS idx_relations_tenant ON relations(tenant);
+    `
+  }
+];
+
+// Relations whose other end is still live; relations to deleted memories are hidden
+const LIVE_RELATION = `
+  NOT EXISTS (
+    SELECT 1 FROM entities d
+    WHERE d.id IN (r.from_entity, r.to_entity) AND d.deleted_at IS NOT NULL
+  )`;
+
+function numbered(sql) {
+  let n = 0;
+  return sql.replace(/\?/g, () => `$${++n}`);
+}
+
+async function query(client, sql, params = []) {
+  return client.query(numbered(sql), params);
+}
+
+// JSONB metadata predicates; the path is bound as text[] and compared
+// values as JSON, so booleans and numbers keep their types
+function postgresMetadataClauses(column, predicates, clauses, params) {
+  const bind = (value) => {
+    params.push(value);
+    return '?';
+  };
+
+  visitMetadataFilter(predicates, (key, op, value) => {
+    const parts = metadataKeyParts(key);
+    const at = () => `(${column} #> ${bind(parts)}::text[])`;
+
+    switch (op) {
+      case 'eq':
+        clauses.push(value === null
+          ? `jsonb_typeof(${at()}) = 'null'`
+          : `${at()} = ${bind(JSON.stringify(value))}::jsonb`);
+        break;
+      case 'ne':
+        clauses.push(value === null
+          ? `jsonb_typeof(${at()}) <> 'null'`
+          : `(${at()} IS NULL OR ${at()} <> ${bind(JSON.stringify(value))}::jsonb)`);
+        break;
+      case 'exists':
+        clauses.push(`${at()} IS ${value ? 'NOT NULL' : 'NULL'}`);
+        break;
+      case 'contains':
+        // An array holding the value, or the value itself
+        clauses.push(`(${at()} @> ${bind(JSON.stringify([value]))}::jsonb OR ${at()} = ${bind(JSON.stringify(value))}::jsonb)`);
+        break;
+      default:
+        // Only values of the same JSON type compare
+        clauses.push(typeof value === 'number'
+          ? `CASE WHEN jsonb_typeof(${at()}) = 'number' THEN (${at()})::numeric END ${METADATA_COMPARISONS[op]} ${bind(value)}::numeric`
+          : `CASE WHEN jsonb_typeof(${at()}) = 'string' THEN ${column} #>> ${bind(parts)}::text[] END COLLATE "C" ${METADATA_COMPARISONS[op]} ${bind(value)}`);
+    }
+  });
+}
+
+// tsquery with the same term syntax as buildSearchQuery: words inside a
+// term must be adjacent, and a trailing * makes the last one a prefix
+function buildTsQuery(query, match = 'all') {
+  return parseSearchTerms(query)
+    .map(({ text, prefix }) => {
+      const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+      return words.map((word, i) => `'${word}'${prefix && i === words.length - 1 ? ':*' : ''}`).join(' <-> ');
+    })
+    .filter(Boolean)
+    .map(term => `(${term})`)
+    .join(match === 'any' ? ' | ' : ' & ');
+}
+
+const candidate = (e) => ({ id: e.id, name: e.name, type: e.type, updated_at: e.updated_at });
+
+export async function createPostgresStorage({ connectionString, schema = null, log = () => {} }) {
+  if (schema && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(schema)) {
+    throw new Error(`Invalid MEMORY_DATABASE_SCHEMA "${schema}": use letters, digits and _`);
+  }
+  const pool = new pg.Pool({
+    connectionString,
+    ...(schema ? { options: `-c search_path=${schema}` } : {})
+  });
+  // An idle client losing its connection must not take the process down
+  pool.on('error', (err) => console.error('Postgres memory pool error:', err.message));
+
+  async function transaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Same bookkeeping as migrations/index.js; the advisory lock keeps two
+  // replicas booting at once from applying the same migration twice
+  async function migrate() {
+    if (schema) await pool.query(`CREATE SCHEMA IF NOT EXISTS "${schema}"`);
+    return transaction(async (client) => {
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('vocal-bridge-memory-migrations'))`);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TEXT DEFAULT ${NOW}
+        )
+      `);
+      const { rows: [{ current }] } = await client.query(`SELECT COALESCE(MAX(version), 0) AS current FROM schema_migrations`);
+      if (current > MIGRATIONS.length) {
+        throw new Error(
+          `Database schema is at version ${current} but this server only knows up to ${MIGRATIONS.length}; ` +
+          'upgrade the server or use a different MEMORY_DATABASE_URL'
+        );
+      }
+      const pending = MIGRATIONS.filter(m => m.version > current);
+      for (const migration of pending) {
+        await client.query(migration.sql);
+        await query(client, `INSERT INTO schema_migrations (version, name) VALUES (?, ?)`, [migration.version, migration.name]);
+      }
+      if (pending.length > 0) {
+        log(`[MEMORY] Migrated Postgres schema from version ${current} to ${MIGRATIONS.length}`);
+      }
+    });
+  }
+
+  async function findByName(client, tenant, name, type = null) {
+    let sql = `SELECT * FROM entities WHERE tenant = ? AND name = ? AND deleted_at IS NULL AND ${notExpired(null, NOW)}`;
+    const params = [tenant, name];
+    if (type) {
+      sql += ` AND type = ?`;
+      params.push(type);
+    }
+    return (await query(client, sql + ` ORDER BY updated_at DESC`, params)).rows;
+  }
+
+  // Serialises writers that check a name before using it
+  async function lockName(client, tenant, name) {
+    await query(client, `SELECT pg_advisory_xact_lock(hashtext(?))`, [`${tenant}/${name}`]);
+  }
+
+  async function recordVersion(client, tenant, id, operation) {
+    await query(client, `
+      INSERT INTO entity_versions (entity_id, tenant, version, operation, name, type, content, metadata)
+      SELECT e.id, e.tenant,
+             COALESCE((SELECT MAX(version) FROM entity_versions WHERE entity_id = e.id), 0) + 1,
+             ?, e.name, e.type, e.content, e.metadata
+      FROM entities e WHERE e.id = ? AND e.tenant = ?
+    `, [operation, id, tenant]);
+  }
+
+  async function insertEntity(client, tenant, name, type, content, metadata, expires) {
+    const id = randomUUID();
+    await query(client, `
+      INSERT INTO entities (id, tenant, name, type, content, metadata, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [id, tenant, name, type, content ?? null, JSON.stringify(metadata ?? {}), expires]);
+    await recordVersion(client, tenant, id, 'create');
+    return { id, name, type, created: true, expires_at: expires };
+  }
+
+  async function relationCount(client, id) {
+    const { rows } = await query(client, `
+      SELECT COUNT(*)::int AS n FROM relations r
+      WHERE (r.from_entity = ? OR r.to_entity = ?) AND ${LIVE_RELATION}
+    `, [id, id]);
+    return rows[0].n;
+  }
+
+  async function requireEntity(client, tenant, id, role) {
+    const { rows } = await query(client, `
+      SELECT id FROM entities WHERE id = ? AND tenant = ? AND deleted_at IS NULL
+    `, [id, tenant]);
+    if (rows.length === 0) {
+      throw new Error(`Cannot relate: ${role} memory ${id} does not exist`);
+    }
+  }
+
+  // Permanently remove matching entities with their relations and history
+  async function deleteEntitiesWhere(client, where, params) {
+    const ids = `SELECT id FROM entities WHERE ${where}`;
+    await query(client, `DELETE FROM relations WHERE from_entity IN (${ids}) OR to_entity IN (${ids})`, [...params, ...params]);
+    await query(client, `DELETE FROM entity_versions WHERE entity_id IN (${ids})`, params);
+    return (await query(client, `DELETE FROM entities WHERE ${where}`, params)).rowCount;
+  }
+
+  await migrate().catch(async (err) => {
+    await pool.end();
+    throw err;
+  });
+
+  return {
+    kind: 'postgres',
+    pool,
+
+    async store(tenant, name, type, content, metadata = {}, { unique = null, expiresAt, ttlSeconds } = {}) {
+      const scope = uniqueScope(unique);
+      const expires = resolveExpiry({ expiresAt, ttlSeconds }) ?? null;
+      return transaction(async (client) => {
+        if (scope !== 'none') {
+          await lockName(client, tenant, name);
+          const [existing] = await findByName(client, tenant, name, scope === 'type' ? type : null);
+          if (existing) {
+            throw new Error(`Memory "${name}" already exists as ${existing.type} ${existing.id}; use memory_upsert to update it`);
+          }
+        }
+        return insertEntity(client, tenant, name, type, content, metadata, expires);
+      });
+    },
+
+    async upsert(tenant, name, type, content, metadata = null, { matchBy = 'type', expiresAt, ttlSeconds } = {}) {
+      if (matchBy !== 'type' && matchBy !== 'namespace') {
+        throw new Error(`Invalid match_by "${matchBy}": expected type or namespace`);
+      }
+      const expires = resolveExpiry({ expiresAt, ttlSeconds });
+
+      return transaction(async (client) => {
+        await lockName(client, tenant, name);
+        const matches = await findByName(client, tenant, name, matchBy === 'type' ? type : null);
+        if (matches.length > 1) {
+          throw new Error(`Memory name "${name}" is ambiguous: ${matches.length} matches (${matches.map(m => m.id).join(', ')})`);
+        }
+        if (matches.length === 0) {
+          return insertEntity(client, tenant, name, type, content, metadata ?? {}, expires ?? null);
+        }
+
+        const [existing] = matches;
+        await query(client, `
+          UPDATE entities SET type = ?, content = ?, metadata = ?, expires_at = ?, updated_at = ${NOW}
+          WHERE id = ? AND tenant = ?
+        `, [
+          type,
+          content ?? null,
+          JSON.stringify(metadata ?? existing.metadata),
+          expires === undefined ? existing.expires_at : expires,
+          existing.id,
+          tenant
+        ]);
+        await recordVersion(client, tenant, existing.id, 'update');
+        return { id: existing.id, name, type, created: false, updated: true };
+      });
+    },
+
+    async update(tenant, id, content, metadata = null, { expiresAt, ttlSeconds } = {}) {
+      const updates = ['content = ?', `updated_at = ${NOW}`];
+      const params = [content ?? null];
+      if (metadata != null) {
+        updates.push('metadata = ?');
+        params.push(JSON.stringify(metadata));
+      }
+      const expires = resolveExpiry({ expiresAt, ttlSeconds });
+      if (expires !== undefined) {
+        updates.push('expires_at = ?');
+        params.push(expires);
+      }
+      params.push(id, tenant);
+
+      const updated = await transaction(async (client) => {
+        const result = await query(client, `
+          UPDATE entities SET ${updates.join(', ')} WHERE id = ? AND tenant = ? AND deleted_at IS NULL
+        `, params);
+        if (result.rowCount > 0) await recordVersion(client, tenant, id, 'update');
+        return result.rowCount > 0;
+      });
+      return { id, updated };
+    },
+
+    async recall(tenant, nameOrId, { type = null } = {}) {
+      const { rows: [byId] } = await query(pool, `
+        SELECT * FROM entities WHERE tenant = ? AND id = ? AND deleted_at IS NULL AND ${notExpired(null, NOW)}
+      `, [tenant, nameOrId]);
+      const matches = byId ? [byId] : await findByName(pool, tenant, nameOrId, type);
+
+      if (matches.length === 0) return { found: false };
+      if (matches.length > 1) {
+        return { found: false, ambiguous: true, count: matches.length, candidates: matches.map(candidate) };
+      }
+
+      const [entity] = matches;
+      return {
+        found: true,
+        id: entity.id,
+        name: entity.name,
+        type: entity.type,
+        content: entity.content,
+        metadata: entity.metadata ?? {},
+        created_at: entity.created_at,
+        updated_at: entity.updated_at,
+        expires_at: entity.expires_at
+      };
+    },
+
+    async search(tenant, text, {
+      limit = 20,
+      offset = 0,
+      cursor = null,
+      match = 'all',
+      sort = 'relevance',
+      order = null,
+      ...filters
+    } = {}) {
+      const tsQuery = buildTsQuery(text, match);
+      limit = Math.min(Math.max(limit, 1), 100);
+      offset = cursor ? 0 : Math.max(offset, 0);
+      const sortBy = resolveSort(sort, order, ['relevance', 'updated_at', 'created_at', 'name']);
+      if (!tsQuery) {
+        return { count: 0, total: 0, offset, next_offset: null, next_cursor: null, entities: [] };
+      }
+
+      const { clauses, params } = entityFilters('e', filters, postgresMetadataClauses);
+      const where = [`e.search @@ to_tsquery('simple', ?)`, `e.tenant = ?`, `e.deleted_at IS NULL`, notExpired('e', NOW), ...clauses].join(' AND ');
+      params.unshift(tsQuery, tenant);
+
+      const { rows: [{ total }] } = await query(pool, `SELECT COUNT(*)::int AS total FROM entities e WHERE ${where}`, params);
+
+      // Relevance is always best first
+      const sortKey = sortBy.sort === 'relevance' ? 'rank' : sortBy.sort;
+      const direction = sortBy.sort === 'relevance' ? 'desc' : sortBy.direction;
+      const page = cursor
+        ? keysetClause(`q.${sortKey}`, 'q.id', direction, cursor)
+        : { clause: 'TRUE', params: [] };
+
+      // Name matches (weight A) count for more than content matches (weight B)
+      const { rows } = await query(pool, `
+        SELECT * FROM (
+          SELECT e.id, e.name, e.type, e.created_at, e.updated_at,
+                 ts_rank(e.search, to_tsquery('simple', ?))::float8 AS rank,
+                 ts_headline('simple', e.name, to_tsquery('simple', ?), 'StartSel=**, StopSel=**, HighlightAll=true') AS name_highlight,
+                 ts_headline('simple', coalesce(e.content, ''), to_tsquery('simple', ?), 'StartSel=**, StopSel=**, MaxWords=24, MinWords=8') AS snippet
+          FROM entities e
+          WHERE ${where}
+        ) q
+        WHERE ${page.clause}
+        ORDER BY q.${sortKey} ${direction.toUpperCase()}, q.id ${direction.toUpperCase()}
+        LIMIT ? OFFSET ?
+      `, [tsQuery, tsQuery, tsQuery, ...params, ...page.params, limit + 1, offset]);
+
+      const entities = rows.slice(0, limit);
+      const last = entities[entities.length - 1];
+      const nextOffset = offset + entities.length;
+      return {
+        count: entities.length,
+        total,
+        offset,
+        next_offset: !cursor && nextOffset < total ? nextOffset : null,
+        next_cursor: rows.length > limit ? encodeCursor(last[sortKey], last.id) : null,
+        entities: entities.map(e => ({
+          id: e.id,
+          name: e.name,
+          type: e.type,
+          score: Number(e.rank.toFixed(4)),
+          name_highlight: e.name_highlight,
+          snippet: e.snippet,
+          created_at: e.created_at,
+          updated_at: e.updated_at
+        }))
+      };
+    },
+
+    async list(tenant, { limit = 50, cursor = null, sort = 'updated_at', order = null, ...filters } = {}) {
+      limit = Math.min(Math.max(limit, 1), 500);
+      const { direction } = resolveSort(sort, order, ['updated_at', 'created_at', 'name']);
+      const { clauses, params } = entityFilters('e', filters, postgresMetadataClauses);
+      const where = [`e.tenant = ?`, `e.deleted_at IS NULL`, notExpired('e', NOW), ...clauses];
+      params.unshift(tenant);
+
+      if (cursor) {
+        const page = keysetClause(`e.${sort}`, 'e.id', direction, cursor);
+        where.push(page.clause);
+        params.push(...page.params);
+      }
+
+      const { rows } = await query(pool, `
+        SELECT * FROM entities e
+        WHERE ${where.join(' AND ')}
+        ORDER BY e.${sort} ${direction.toUpperCase()}, e.id ${direction.toUpperCase()}
+        LIMIT ?
+      `, [...params, limit + 1]);
+
+      const entities = rows.slice(0, limit);
+      const last = entities[entities.length - 1];
+      return {
+        count: entities.length,
+        next_cursor: rows.length > limit ? encodeCursor(last[sort], last.id) : null,
+        entities: entities.map(e => ({
+          id: e.id,
+          name: e.name,
+          type: e.type,
+          metadata: e.metadata ?? {},
+          created_at: e.created_at,
+          updated_at: e.updated_at,
+          expires_at: e.expires_at
+        }))
+      };
+    },
+
+    async delete(tenant, id, { mode = 'cascade' } = {}) {
+      if (mode !== 'cascade' && mode !== 'restrict') {
+        throw new Error(`Invalid delete mode "${mode}": expected cascade or restrict`);
+      }
+
+      return transaction(async (client) => {
+        const { rows } = await query(client, `
+          SELECT 1 FROM entities WHERE id = ? AND tenant = ? AND deleted_at IS NULL FOR UPDATE
+        `, [id, tenant]);
+        if (rows.length === 0) return { deleted: false, relations_deleted: 0 };
+
+        const linked = await relationCount(client, id);
+        if (linked > 0 && mode === 'restrict') {
+          throw new Error(`Cannot delete ${id}: ${linked} relation(s) still reference it (use mode "cascade" to remove them)`);
+        }
+        const { rows: [{ until }] } = await query(client, `
+          UPDATE entities SET deleted_at = ${NOW} WHERE id = ? AND tenant = ?
+          RETURNING to_char(deleted_at::timestamp + make_interval(secs => ?), 'YYYY-MM-DD HH24:MI:SS') AS until
+        `, [id, tenant, deleteRetentionDays() * 86400]);
+        await recordVersion(client, tenant, id, 'delete');
+        return { deleted: true, relations_deleted: linked, restorable_until: until };
+      });
+    },
+
+    async relate(tenant, fromId, toId, relationType, metadata = {}) {
+      await requireEntity(pool, tenant, fromId, 'source');
+      await requireEntity(pool, tenant, toId, 'target');
+      if (!relationType) {
+        throw new Error('Cannot relate: relation_type is required');
+      }
+
+      const id = randomUUID();
+      await query(pool, `
+        INSERT INTO relations (id, tenant, from_entity, to_entity, relation_type, metadata)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [id, tenant, fromId, toId, relationType, JSON.stringify(metadata ?? {})]);
+      return { id, created: true };
+    },
+
+    async unrelate(tenant, { id = null, fromId = null, toId = null, relationType = null } = {}) {
+      let sql = `DELETE FROM relations WHERE tenant = ?`;
+      const params = [tenant];
+
+      if (id) {
+        sql += ` AND id = ?`;
+        params.push(id);
+      } else if (fromId && toId) {
+        sql += ` AND from_entity = ? AND to_entity = ?`;
+        params.push(fromId, toId);
+        if (relationType) {
+          sql += ` AND relation_type = ?`;
+          params.push(relationType);
+        }
+      } else {
+        throw new Error('memory_unrelate needs either id or both from_id and to_id');
+      }
+
+      return { deleted: (await query(pool, sql, params)).rowCount };
+    },
+
+    async updateRelation(tenant, id, { relationType = null, metadata = null } = {}) {
+      const updates = [];
+      const params = [];
+      if (relationType) {
+        updates.push('relation_type = ?');
+        params.push(relationType);
+      }
+      if (metadata !== null && metadata !== undefined) {
+        updates.push('metadata = ?');
+        params.push(JSON.stringify(metadata));
+      }
+      if (updates.length === 0) {
+        throw new Error('memory_update_relation needs relation_type and/or metadata');
+      }
+
+      params.push(id, tenant);
+      const result = await query(pool, `UPDATE relations SET ${updates.join(', ')} WHERE id = ? AND tenant = ?`, params);
+      return { id, updated: result.rowCount > 0 };
+    },
+
+    // Same columns as SELECT r.* on SQLite, metadata included as JSON text
+    async getRelations(tenant, entityId) {
+      const { rows } = await query(pool, `
+        SELECT r.id, r.from_entity, r.to_entity, r.relation_type, r.metadata::text AS metadata,
+               r.created_at, r.tenant,
+               e1.name as from_name, e1.type as from_type,
+               e2.name as to_name, e2.type as to_type
+        FROM relations r
+        LEFT JOIN entities e1 ON r.from_entity = e1.id AND e1.tenant = r.tenant
+        LEFT JOIN entities e2 ON r.to_entity = e2.id AND e2.tenant = r.tenant
+        WHERE r.tenant = ? AND (r.from_entity = ? OR r.to_entity = ?) AND ${LIVE_RELATION}
+      `, [tenant, entityId, entityId]);
+      return { count: rows.length, relations: rows };
+    },
+
+    async counts() {
+      // Relations outlive soft-deleted entities, so a tenant may have only those
+      const { rows } = await pool.query(`
+        SELECT t.tenant,
+               (SELECT COUNT(*) FROM entities e WHERE e.tenant = t.tenant AND e.deleted_at IS NULL)::int AS entities,
+               (SELECT COUNT(*) FROM relations r WHERE r.tenant = t.tenant)::int AS relations
+        FROM (SELECT tenant FROM entities WHERE deleted_at IS NULL UNION SELECT tenant FROM relations) t
+      `);
+      return rows;
+    },
+
+    async sweep({ policies = parseRetentionPolicies() } = {}) {
+      return transaction(async (client) => {
+        const expired = await deleteEntitiesWhere(client, `expires_at IS NOT NULL AND expires_at <= ${NOW}`, []);
+
+        let retained = 0;
+        for (const [type, seconds] of Object.entries(policies)) {
+          retained += await deleteEntitiesWhere(
+            client,
+            `type = ? AND expires_at IS NULL AND updated_at < ${SECONDS_AGO}`,
+            [type, seconds]
+          );
+        }
+
+        const purged = await deleteEntitiesWhere(client, `deleted_at < ${SECONDS_AGO}`, [deleteRetentionDays() * 86400]);
+        return { expired, retained, purged };
+      });
+    },
+
+    // Autovacuum reclaims space on Postgres
+    async compact() {
+      return { compacted: false };
+    },
+
+    close: () => pool.end()
+  };
+}
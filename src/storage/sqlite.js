@@ -0,0 +1,50 @@
+import {
+  memoryStore,
+  memoryUpsert,
+  memoryUpdate,
+  memoryRecall,
+  memorySearch,
+  memoryList,
+  memoryDelete,
+  memoryRelate,
+  memoryUnrelate,
+  memoryUpdateRelation,
+  memoryGetRelations
+} from '../memory.js';
+import { sweepExpiredMemories, compactMemoryDb } from '../memoryRetention.js';
+
+// The better-sqlite3 adapter: the functions in memory.js, which are
+// synchronous and take a { db, tenant } context, behind the async interface
+export function createSqliteStorage(db) {
+  const ctx = (tenant) => ({ db, tenant });
+
+  return {
+    kind: 'sqlite',
+    db,
+    store: async (tenant, ...args) => memoryStore(ctx(tenant), ...args),
+    upsert: async (tenant, ...args) => memoryUpsert(ctx(tenant), ...args),
+    update: async (tenant, ...args) => memoryUpdate(ctx(tenant), ...args),
+    recall: async (tenant, ...args) => memoryRecall(ctx(tenant), ...args),
+    search: async (tenant, ...args) => memorySearch(ctx(tenant), ...args),
+    list: async (tenant, ...args) => memoryList(ctx(tenant), ...args),
+    delete: async (tenant, ...args) => memoryDelete(ctx(tenant), ...args),
+    relate: async (tenant, ...args) => memoryRelate(ctx(tenant), ...args),
+    unrelate: async (tenant, ...args) => memoryUnrelate(ctx(tenant), ...args),
+    updateRelation: async (tenant, ...args) => memoryUpdateRelation(ctx(tenant), ...args),
+    getRelations: async (tenant, ...args) => memoryGetRelations(ctx(tenant), ...args),
+    counts: async () => {
+      const entities = db.prepare(`SELECT tenant, COUNT(*) AS n FROM entities WHERE deleted_at IS NULL GROUP BY tenant`).all();
+      const relations = db.prepare(`SELECT tenant, COUNT(*) AS n FROM relations GROUP BY tenant`).all();
+      const tenants = new Set([...entities, ...relations].map(r => r.tenant));
+      return [...tenants].map(tenant => ({
+        tenant,
+        entities: entities.find(r => r.tenant === tenant)?.n || 0,
+        relations: relations.find(r => r.tenant === tenant)?.n || 0
+      }));
+    },
+    sweep: async (options) => sweepExpiredMemories(db, options),
+    compact: async () => compactMemoryDb(db),
+    // The database is shared with sessions and events; the app closes it
+    close: async () => {}
+  };
+}
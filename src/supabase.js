@@ -0,0 +1,80 @@
+// ============================================
+// SUPABASE API FUNCTIONS
+// ============================================
+
+// API token - read dynamically to support hot-reload of env vars
+export function getSupabaseToken() {
+  return process.env.SUPABASE_TOKEN || '';
+}
+
+// Supabase API configuration (override to point at a stand-in, see test/mocks)
+export function getSupabaseApiUrl() {
+  return process.env.SUPABASE_API_URL || 'https://api.supabase.com/v1';
+}
+
+async function supabaseRequest(endpoint, method = 'GET', body = null) {
+  const supabaseToken = getSupabaseToken();
+  if (!supabaseToken) {
+    throw new Error('SUPABASE_TOKEN environment variable is not set');
+  }
+  const options = {
+    method,
+    headers: {
+      'Authorization': `Bearer ${supabaseToken}`,
+      'Content-Type': 'application/json',
+    },
+  };
+  if (body) {
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${getSupabaseApiUrl()}${endpoint}`, options);
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Supabase API error: ${error}`);
+  }
+  return response.json();
+}
+
+export async function supabaseGetProjects() {
+  return supabaseRequest('/projects');
+}
+
+export async function supabaseGetProject(projectRef) {
+  return supabaseRequest(`/projects/${projectRef}`);
+}
+
+export async function supabaseCreateProject(name, organizationId, dbPassword, region = 'us-east-1') {
+  return supabaseRequest('/projects', 'POST', {
+    name,
+    organization_id: organizationId,
+    db_pass: dbPassword,
+    region,
+    plan: 'free'
+  });
+}
+
+export async function supabaseGetOrganizations() {
+  return supabaseRequest('/organizations');
+}
+
+export async function supabaseRunSQL(projectRef, sql) {
+  return supabaseRequest(`/projects/${projectRef}/database/query`, 'POST', { query: sql });
+}
+
+export async function supabaseGetTables(projectRef) {
+  const sql = `
+    SELECT table_name, table_type
+    FROM information_schema.tables
+    WHERE table_schema = 'public'
+    ORDER BY table_name;
+  `;
+  return supabaseRunSQL(projectRef, sql);
+}
+
+export async function supabaseCreateTable(projectRef, tableName, columns) {
+  const columnDefs = columns.map(col =>
+    `${col.name} ${col.type}${col.primaryKey ? ' PRIMARY KEY' : ''}${col.notNull ? ' NOT NULL' : ''}${col.default ? ` DEFAULT ${col.default}` : ''}`
+  ).join(', ');
+  const sql = `CREATE TABLE IF NOT EXISTS ${tableName} (${columnDefs});`;
+  return supabaseRunSQL(projectRef, sql);
+}
@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// ============================================
+// TENANTS
+// ============================================
+//
+// Every session belongs to a tenant. With API keys configured the tenant is
+// taken from the key (its `tenant` field, or its name); without keys clients
+// may pick one with the X-Tenant-Id header. Everything else lands in "default".
+// Each tenant gets its own workspace directory and memory namespace.
+
+export const DEFAULT_TENANT = 'default';
+
+const TENANT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+export function validateTenantId(tenant) {
+  if (typeof tenant !== 'string' || !TENANT_ID_PATTERN.test(tenant)) {
+    throw new Error(`Invalid tenant id "${tenant}": use 1-64 letters, digits, "_", "-" or "."`);
+  }
+  return tenant;
+}
+
+export function resolveTenant(req) {
+  if (req.principal) {
+    return validateTenantId(req.principal.tenant || req.principal.name);
+  }
+  const header = req.headers['x-tenant-id'];
+  return header ? validateTenantId(header) : DEFAULT_TENANT;
+}
+
+export function tenantWorkspace(workspaceDir, tenant) {
+  return path.join(workspaceDir, validateTenantId(tenant));
+}
+
+export async function listWorkspaceTenants(workspaceDir) {
+  const entries = await fs.readdir(workspaceDir, { withFileTypes: true });
+  return entries
+    .filter(entry => entry.isDirectory() && TENANT_ID_PATTERN.test(entry.name))
+    .map(entry => entry.name);
+}
+
+export async function workspaceUsage(dir) {
+  let files = 0;
+  let bytes = 0;
+
+  async function walk(current) {
+    let entries;
+    try {
+      entries = await fs.readdir(current, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const entry of entries) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else if (entry.isFile()) {
+        const stats = await fs.stat(entryPath);
+        files++;
+        bytes += stats.size;
+      }
+    }
+  }
+
+  await walk(dir);
+  return { files, bytes };
+}
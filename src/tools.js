@@ -0,0 +1,871 @@
+// ============================================
+// TOOL DEFINITIONS
+// ============================================
+
+// Filters shared by memory_search and memory_list (see memoryQuery.js)
+const MEMORY_FILTER_PROPERTIES = {
+  type: { type: 'string', description: 'Optional type filter' },
+  metadata: {
+    type: 'object',
+    description: 'Metadata predicates: {"owner": "alice"} for equality, or operators per key: ' +
+      '{"priority": {"gte": 2}, "tags": {"contains": "db"}, "archived": {"exists": false}}. ' +
+      'Operators: eq, ne, exists, gt, gte, lt, lte, contains. Use "a.b" for nested keys.'
+  },
+  created_after: { type: 'string', description: 'Only memories created at or after this ISO date' },
+  created_before: { type: 'string', description: 'Only memories created before this ISO date' },
+  updated_after: { type: 'string', description: 'Only memories updated at or after this ISO date' },
+  updated_before: { type: 'string', description: 'Only memories updated before this ISO date' },
+  order: { type: 'string', enum: ['asc', 'desc'], description: 'Sort direction (default: desc for dates, asc for name)' },
+  cursor: { type: 'string', description: 'next_cursor from a previous page' }
+};
+
+// Expiry for memory_store, memory_upsert and memory_update (see memoryRetention.js)
+const MEMORY_EXPIRY_PROPERTIES = {
+  ttl_seconds: { type: 'number', description: 'Delete the memory automatically after this many seconds' },
+  expires_at: { type: ['string', 'null'], description: 'Delete the memory automatically at this ISO date (null clears an expiry)' }
+};
+
+export const TOOLS = [
+  // ========== FILESYSTEM TOOLS ==========
+  {
+    name: 'fs_write_file',
+    description: 'Write content to a file in the workspace. Creates directories if needed. Use encoding "base64" for binary files.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to workspace' },
+        content: { type: 'string', description: 'Content to write' },
+        encoding: { type: 'string', enum: ['utf-8', 'base64'], description: 'How content is encoded (default: utf-8)' }
+      },
+      required: ['path', 'content']
+    }
+  },
+  {
+    name: 'fs_read_file',
+    description: 'Read content from a file in the workspace, optionally a range of lines or bytes. ' +
+      'Large reads are truncated (see truncated and next_offset); binary files are returned as base64.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to workspace' },
+        offset: { type: 'number', description: 'Lines (or bytes) to skip from the start (default: 0)' },
+        limit: { type: 'number', description: 'Most lines (or bytes) to return' },
+        unit: { type: 'string', enum: ['lines', 'bytes'], description: 'Unit of offset and limit (default: lines for text, bytes for binary)' },
+        encoding: {
+          type: 'string',
+          enum: ['auto', 'utf-8', 'base64'],
+          description: 'auto returns text as UTF-8 and binary files as base64 (default: auto)'
+        }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'fs_edit_file',
+    description: 'Edit a file by replacing text that occurs exactly once',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to workspace' },
+        old_text: { type: 'string', description: 'Text to find and replace' },
+        new_text: { type: 'string', description: 'Replacement text' }
+      },
+      required: ['path', 'old_text', 'new_text']
+    }
+  },
+  {
+    name: 'fs_apply_edits',
+    description: 'Apply several text replacements to one file atomically: each edit sees the result of the one before, and nothing is written unless all of them succeed. An edit fails when old_text is missing, matches more than once without replace_all, or is found a different number of times than expected_count.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to workspace' },
+        edits: {
+          type: 'array',
+          description: 'Edits to apply in order',
+          items: {
+            type: 'object',
+            properties: {
+              old_text: { type: 'string', description: 'Text to find (a regular expression when regex is true)' },
+              new_text: { type: 'string', description: 'Replacement text, inserted literally unless regex is true ($1, $<name> and $& then refer to the match)' },
+              replace_all: { type: 'boolean', description: 'Replace every occurrence (default: exactly one must match)' },
+              expected_count: { type: 'number', description: 'Fail unless old_text occurs exactly this many times' },
+              regex: { type: 'boolean', description: 'Treat old_text as a JavaScript regular expression' },
+              flags: { type: 'string', description: 'Regex flags such as "i" or "m"' }
+            },
+            required: ['old_text', 'new_text']
+          }
+        },
+        dry_run: { type: 'boolean', description: 'Return the unified diff of the result without writing the file' }
+      },
+      required: ['path', 'edits']
+    }
+  },
+  {
+    name: 'fs_apply_patch',
+    description: 'Apply a unified diff (diff -u or git diff output) to workspace files. Hunks may have moved and, with fuzz, have mismatched outer context lines. If any hunk fails nothing is written and the failed hunks are reported.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        patch: { type: 'string', description: 'Unified diff text; file paths come from its ---/+++ headers (a/ and b/ prefixes are dropped)' },
+        path: { type: 'string', description: 'Apply a single-file patch to this path instead of the one in its headers' },
+        fuzz: { type: 'number', description: 'Context lines that may be ignored at each end of a hunk that does not match (default: 2)' },
+        dry_run: { type: 'boolean', description: 'Check the patch and return the resulting diff without writing anything' }
+      },
+      required: ['patch']
+    }
+  },
+  {
+    name: 'fs_search',
+    description: 'Search file contents in the workspace, like grep. Returns each matching line with its file path, line number and a snippet, plus optional context lines. Skips binary files, .git and node_modules.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Text to look for (a JavaScript regular expression when regex is true)' },
+        path: { type: 'string', description: 'Directory to search, relative to workspace (default: .)' },
+        regex: { type: 'boolean', description: 'Treat query as a regular expression' },
+        ignore_case: { type: 'boolean', description: 'Match regardless of case' },
+        include: { type: 'array', items: { type: 'string' }, description: 'Only search files matching these globs (e.g. "*.ts", "src/**/*.js"); a glob without "/" matches file names at any depth' },
+        exclude: { type: 'array', items: { type: 'string' }, description: 'Skip files and directories matching these globs' },
+        context: { type: 'number', description: 'Lines of context before and after each match (0-10, default: 0)' },
+        max_results: { type: 'number', description: 'Most matches to return (default: 100, max: 1000)' }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'fs_glob',
+    description: 'Find workspace files whose path matches a glob such as "src/**/*.ts" or "*.{json,yml}". Skips .git and node_modules.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string', description: 'Glob matched against paths relative to path: * and ? stay within a directory, ** spans directories' },
+        path: { type: 'string', description: 'Directory to search from, relative to workspace (default: .)' },
+        exclude: { type: 'array', items: { type: 'string' }, description: 'Skip files and directories matching these globs' },
+        max_results: { type: 'number', description: 'Most paths to return (default: 500, max: 1000)' }
+      },
+      required: ['pattern']
+    }
+  },
+  {
+    name: 'fs_delete_file',
+    description: 'Delete a file from the workspace',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to workspace' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'fs_move',
+    description: 'Move or rename a file or directory within the workspace',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        source: { type: 'string', description: 'Path to move, relative to workspace' },
+        destination: { type: 'string', description: 'New path (the full target path, not a directory to move into)' },
+        overwrite: { type: 'string', enum: ['error', 'skip', 'overwrite'], description: 'What to do if the destination exists (default: error)' }
+      },
+      required: ['source', 'destination']
+    }
+  },
+  {
+    name: 'fs_copy',
+    description: 'Copy a file, or a directory tree with recursive. Reports every file copied, overwritten or skipped.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        source: { type: 'string', description: 'Path to copy, relative to workspace' },
+        destination: { type: 'string', description: 'Path of the copy' },
+        recursive: { type: 'boolean', description: 'Required to copy a directory' },
+        overwrite: { type: 'string', enum: ['error', 'skip', 'overwrite'], description: 'What to do with files that already exist at the destination (default: error, which copies nothing)' }
+      },
+      required: ['source', 'destination']
+    }
+  },
+  {
+    name: 'fs_delete',
+    description: 'Delete a file or directory. A non-empty directory needs recursive: true and confirm set to the same path; without confirm the call fails and says how much would be deleted.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Path relative to workspace' },
+        recursive: { type: 'boolean', description: 'Delete a directory with everything in it' },
+        confirm: { type: 'string', description: 'Repeat the path here to confirm a recursive delete' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'fs_usage',
+    description: 'Report disk usage: files and bytes under a directory and in each subdirectory (largest first), and how much of the workspace quota is used',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory relative to workspace (default: .)' }
+      }
+    }
+  },
+  {
+    name: 'fs_snapshot_create',
+    description: 'Snapshot a directory tree as a compressed tarball kept outside the workspace. The oldest snapshots are pruned past the per-tenant count or byte limit.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory relative to workspace (default: .)' },
+        label: { type: 'string', description: 'Note to recognise the snapshot by, e.g. "before refactor"' }
+      }
+    }
+  },
+  {
+    name: 'fs_snapshot_list',
+    description: 'List the workspace snapshots, newest first, with the path, label, file count and size of each',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'fs_snapshot_restore',
+    description: 'Restore a snapshot to the directory it was taken from. replace (the default) also deletes files created since; merge only writes the snapshot files back.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Snapshot id from fs_snapshot_list' },
+        mode: { type: 'string', enum: ['replace', 'merge'], description: 'replace (default) or merge' }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'fs_create_directory',
+    description: 'Create a directory in the workspace',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory path relative to workspace' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'fs_list_directory',
+    description: 'List contents of a directory',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory path (default: workspace root)' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'fs_directory_tree',
+    description: 'Get directory tree structure',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory path (default: workspace root)' },
+        max_depth: { type: 'number', description: 'Maximum depth (default: 3)' }
+      },
+      required: []
+    }
+  },
+
+  // ========== GIT TOOLS ==========
+  {
+    name: 'git_init',
+    description: 'Create a git repository in a workspace directory',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Repository directory relative to workspace (default: .)' },
+        initial_branch: { type: 'string', description: 'Name of the first branch (default: main)' }
+      }
+    }
+  },
+  {
+    name: 'git_status',
+    description: 'Show the current branch, how far it is ahead of or behind its remote, and changed, staged and untracked files',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Repository directory relative to workspace (default: .)' }
+      }
+    }
+  },
+  {
+    name: 'git_diff',
+    description: 'Show unstaged changes as a unified diff, or staged changes, or changes since a commit or branch',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Repository directory relative to workspace (default: .)' },
+        staged: { type: 'boolean', description: 'Diff the staged changes instead of the working tree' },
+        ref: { type: 'string', description: 'Commit or branch to compare against' },
+        files: { type: 'array', items: { type: 'string' }, description: 'Limit the diff to these paths (relative to the repository)' }
+      }
+    }
+  },
+  {
+    name: 'git_add',
+    description: 'Stage files for the next commit, or every change when no files are given',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Repository directory relative to workspace (default: .)' },
+        files: { type: 'array', items: { type: 'string' }, description: 'Paths relative to the repository' }
+      }
+    }
+  },
+  {
+    name: 'git_commit',
+    description: 'Commit the staged changes',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Repository directory relative to workspace (default: .)' },
+        message: { type: 'string', description: 'Commit message' },
+        all: { type: 'boolean', description: 'Also commit changes to tracked files that are not staged' },
+        author_name: { type: 'string', description: 'Author name (default: the server setting)' },
+        author_email: { type: 'string', description: 'Author email (default: the server setting)' }
+      },
+      required: ['message']
+    }
+  },
+  {
+    name: 'git_log',
+    description: 'List recent commits, newest first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Repository directory relative to workspace (default: .)' },
+        limit: { type: 'number', description: 'Most commits to return (default: 20, max: 200)' },
+        ref: { type: 'string', description: 'Branch or commit to start from (default: the current branch)' }
+      }
+    }
+  },
+  {
+    name: 'git_branch',
+    description: 'List branches, or create or delete one',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Repository directory relative to workspace (default: .)' },
+        name: { type: 'string', description: 'Branch to create (or delete with delete: true); omit to list' },
+        start_point: { type: 'string', description: 'Commit or branch the new branch starts from (default: the current commit)' },
+        delete: { type: 'boolean', description: 'Delete the named branch (it must be merged)' }
+      }
+    }
+  },
+  {
+    name: 'git_checkout',
+    description: 'Switch to a branch, optionally creating it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Repository directory relative to workspace (default: .)' },
+        branch: { type: 'string', description: 'Branch to switch to' },
+        create: { type: 'boolean', description: 'Create the branch from the current commit first' }
+      },
+      required: ['branch']
+    }
+  },
+  {
+    name: 'git_push',
+    description: 'Push a branch to one of the remotes configured on the server (for example a GitHub repository to deploy with railway_create_service). Returns the repository URL without credentials.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Repository directory relative to workspace (default: .)' },
+        remote: { type: 'string', description: 'Name of a configured remote, such as origin' },
+        branch: { type: 'string', description: 'Branch to push (default: the current branch)' }
+      },
+      required: ['remote']
+    }
+  },
+
+  // ========== MEMORY TOOLS ==========
+  {
+    name: 'memory_store',
+    description: 'Store information in persistent memory',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Name/identifier for the memory' },
+        type: { type: 'string', description: 'Type category (e.g., "project", "schema", "config", "code")' },
+        content: { type: 'string', description: 'Content to store' },
+        metadata: { type: 'object', description: 'Optional metadata' },
+        unique: { type: 'string', enum: ['none', 'type', 'namespace'], description: 'Refuse to store if the name is already used within this type or anywhere in the namespace (default: server setting, usually none)' },
+        ...MEMORY_EXPIRY_PROPERTIES
+      },
+      required: ['name', 'type', 'content']
+    }
+  },
+  {
+    name: 'memory_upsert',
+    description: 'Store a memory, or update the existing one with the same name instead of creating a duplicate',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Name/identifier for the memory' },
+        type: { type: 'string', description: 'Type category (e.g., "project", "schema", "config", "code")' },
+        content: { type: 'string', description: 'Content to store' },
+        metadata: { type: 'object', description: 'Optional metadata (replaces the old when given)' },
+        match_by: { type: 'string', enum: ['type', 'namespace'], description: 'Match the name within this type or across all types (default: type)' },
+        ...MEMORY_EXPIRY_PROPERTIES
+      },
+      required: ['name', 'type', 'content']
+    }
+  },
+  {
+    name: 'memory_update',
+    description: 'Update existing memory by ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Memory ID to update' },
+        content: { type: 'string', description: 'New content' },
+        metadata: { type: 'object', description: 'Optional new metadata' },
+        ...MEMORY_EXPIRY_PROPERTIES
+      },
+      required: ['id', 'content']
+    }
+  },
+  {
+    name: 'memory_recall',
+    description: 'Recall a specific memory by name or ID. If several memories share the name, returns ambiguous: true with the candidates.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name_or_id: { type: 'string', description: 'Name or ID of the memory' },
+        type: { type: 'string', description: 'Only match names of this type' }
+      },
+      required: ['name_or_id']
+    }
+  },
+  {
+    name: 'memory_search',
+    description: 'Full-text search over memory names and content, ranked by relevance. Supports multiple words, "quoted phrases" and prefix* terms.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search query' },
+        match: { type: 'string', enum: ['all', 'any'], description: 'Require all terms or any term (default: all)' },
+        limit: { type: 'number', description: 'Max results (default: 20, max: 100)' },
+        offset: { type: 'number', description: 'Results to skip, from next_offset of a previous page (default: 0)' },
+        sort: { type: 'string', enum: ['relevance', 'updated_at', 'created_at', 'name'], description: 'Sort key (default: relevance)' },
+        ...MEMORY_FILTER_PROPERTIES
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'memory_semantic_search',
+    description: 'Find memories by meaning rather than exact words (e.g. "the thing about the users table"). Ranked by cosine similarity; mode "hybrid" also blends in keyword matches.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Natural-language description of what to find' },
+        type: { type: 'string', description: 'Optional type filter' },
+        mode: { type: 'string', enum: ['semantic', 'hybrid'], description: 'Ranking mode (default: semantic)' },
+        limit: { type: 'number', description: 'Max results (default: 10, max: 100)' },
+        min_score: { type: 'number', description: 'Minimum cosine similarity, -1 to 1 (default: 0)' }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'memory_list',
+    description: 'List memories, optionally filtered by type, metadata and dates, one page at a time',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'number', description: 'Max results per page (default: 50, max: 500)' },
+        sort: { type: 'string', enum: ['updated_at', 'created_at', 'name'], description: 'Sort key (default: updated_at)' },
+        ...MEMORY_FILTER_PROPERTIES
+      },
+      required: []
+    }
+  },
+  {
+    name: 'memory_metadata_index',
+    description: 'List expression indexes on frequently filtered metadata keys; creating or dropping one (shared by all tenants) needs the admin scope',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['list', 'create', 'drop'], description: 'What to do (default: list)' },
+        key: { type: 'string', description: 'Metadata key, e.g. "owner" or "deploy.region" (for create/drop)' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'memory_delete',
+    description: 'Delete a memory by ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Memory ID to delete' },
+        mode: { type: 'string', enum: ['cascade', 'restrict'], description: 'cascade removes its relations too; restrict refuses while relations exist (default: cascade)' }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'memory_relate',
+    description: 'Create a relationship between two memories',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from_id: { type: 'string', description: 'Source memory ID' },
+        to_id: { type: 'string', description: 'Target memory ID' },
+        relation_type: { type: 'string', description: 'Type of relation (e.g., "depends_on", "part_of")' },
+        metadata: { type: 'object', description: 'Optional metadata' }
+      },
+      required: ['from_id', 'to_id', 'relation_type']
+    }
+  },
+  {
+    name: 'memory_unrelate',
+    description: 'Remove a relationship by ID, or all relationships between two memories',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Relation ID' },
+        from_id: { type: 'string', description: 'Source memory ID (with to_id, instead of id)' },
+        to_id: { type: 'string', description: 'Target memory ID' },
+        relation_type: { type: 'string', description: 'Only remove relations of this type (with from_id/to_id)' }
+      }
+    }
+  },
+  {
+    name: 'memory_update_relation',
+    description: 'Change the type or metadata of a relationship',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Relation ID' },
+        relation_type: { type: 'string', description: 'New relation type' },
+        metadata: { type: 'object', description: 'New metadata (replaces the old)' }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'memory_get_relations',
+    description: 'Get all relations for a memory',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity_id: { type: 'string', description: 'Memory ID' }
+      },
+      required: ['entity_id']
+    }
+  },
+  {
+    name: 'memory_traverse',
+    description: 'Walk the memory graph from an entity (e.g. project -> service -> schema -> table), breadth- or depth-first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        start: { type: 'string', description: 'Name or ID of the starting memory' },
+        direction: { type: 'string', enum: ['out', 'in', 'both'], description: 'Follow relations outgoing, incoming or both (default: out)' },
+        relation_types: { type: 'array', items: { type: 'string' }, description: 'Only follow these relation types' },
+        max_depth: { type: 'number', description: 'Maximum hops (default: 3, max: 10)' },
+        strategy: { type: 'string', enum: ['bfs', 'dfs'], description: 'Visit order (default: bfs)' }
+      },
+      required: ['start']
+    }
+  },
+  {
+    name: 'memory_shortest_path',
+    description: 'Find the shortest chain of relations between two memories. truncated: true means the search hit its row limit on a dense graph, so a path that was not found may still exist',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: { type: 'string', description: 'Name or ID of the first memory' },
+        to: { type: 'string', description: 'Name or ID of the second memory' },
+        direction: { type: 'string', enum: ['out', 'in', 'both'], description: 'Relation direction to follow (default: both)' },
+        relation_types: { type: 'array', items: { type: 'string' }, description: 'Only follow these relation types' },
+        max_depth: { type: 'number', description: 'Maximum path length (default: 6, max: 10)' }
+      },
+      required: ['from', 'to']
+    }
+  },
+  {
+    name: 'memory_subgraph',
+    description: 'Export every memory reachable from an entity, with full content and the relations between them',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        start: { type: 'string', description: 'Name or ID of the starting memory' },
+        direction: { type: 'string', enum: ['out', 'in', 'both'], description: 'Relation direction to follow (default: both)' },
+        relation_types: { type: 'array', items: { type: 'string' }, description: 'Only follow these relation types' },
+        max_depth: { type: 'number', description: 'Maximum hops (default: 3, max: 10)' }
+      },
+      required: ['start']
+    }
+  },
+  {
+    name: 'memory_repair_relations',
+    description: 'Find relations pointing at memories that no longer exist and remove them',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dry_run: { type: 'boolean', description: 'Only report orphaned relations (default: false)' }
+      }
+    }
+  },
+  {
+    name: 'memory_history',
+    description: 'List the recorded versions of a memory, newest first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Memory ID' },
+        limit: { type: 'number', description: 'Max versions (default: 50)' }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'memory_diff',
+    description: 'Diff two versions of a memory: a unified diff of the content plus name, type and metadata changes',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Memory ID' },
+        from_version: { type: 'number', description: 'Older version (default: the one before to_version)' },
+        to_version: { type: 'number', description: 'Newer version (default: latest)' }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'memory_revert',
+    description: 'Roll a memory back to an earlier version (recorded as a new version)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Memory ID' },
+        version: { type: 'number', description: 'Version to restore' }
+      },
+      required: ['id', 'version']
+    }
+  },
+  {
+    name: 'memory_restore',
+    description: 'Undo the deletion of a memory (within the retention window)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Memory ID' }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'memory_export',
+    description: 'Export memories and their relations: jsonl for backups (re-importable with memory_import), graphml or dot for visualising the graph',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        format: { type: 'string', enum: ['jsonl', 'graphml', 'dot'], description: 'Output format (default: jsonl)' },
+        type: { type: 'string', description: 'Only export memories of this type' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'memory_import',
+    description: 'Import a JSONL export from memory_export, keeping ids so relations survive',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        data: { type: 'string', description: 'JSON Lines produced by memory_export' },
+        strategy: { type: 'string', enum: ['skip', 'overwrite', 'rename'], description: 'When a memory with the same id or name and type exists: keep it, replace it, or import a renamed copy (default: skip)' }
+      },
+      required: ['data']
+    }
+  },
+  {
+    name: 'memory_stats',
+    description: 'Memory counts per type, deleted and expiring memories, the next expiry, retention policies and the database schema version (and its size, with the admin scope)',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: []
+    }
+  },
+
+  // ========== RAILWAY TOOLS ==========
+  {
+    name: 'railway_list_projects',
+    description: 'List all Railway projects for the authenticated user',
+    inputSchema: { type: 'object', properties: {}, required: [] }
+  },
+  {
+    name: 'railway_create_project',
+    description: 'Create a new Railway project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Project name' },
+        description: { type: 'string', description: 'Project description' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'railway_create_service',
+    description: 'Create a new service in a Railway project from a GitHub repo',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectId: { type: 'string', description: 'Project ID' },
+        environmentId: { type: 'string', description: 'Environment ID' },
+        repoUrl: { type: 'string', description: 'GitHub repository URL' },
+        branch: { type: 'string', description: 'Branch name (default: main)' }
+      },
+      required: ['projectId', 'environmentId', 'repoUrl']
+    }
+  },
+  {
+    name: 'railway_deploy',
+    description: 'Deploy a Railway service',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serviceId: { type: 'string', description: 'Service ID' },
+        environmentId: { type: 'string', description: 'Environment ID' }
+      },
+      required: ['serviceId', 'environmentId']
+    }
+  },
+  {
+    name: 'railway_generate_domain',
+    description: 'Generate a public domain for a Railway service',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serviceId: { type: 'string', description: 'Service ID' },
+        environmentId: { type: 'string', description: 'Environment ID' }
+      },
+      required: ['serviceId', 'environmentId']
+    }
+  },
+  {
+    name: 'railway_set_variables',
+    description: 'Set environment variables for a Railway service',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serviceId: { type: 'string', description: 'Service ID' },
+        environmentId: { type: 'string', description: 'Environment ID' },
+        variables: { type: 'object', description: 'Key-value pairs of environment variables' }
+      },
+      required: ['serviceId', 'environmentId', 'variables']
+    }
+  },
+  {
+    name: 'railway_get_deployments',
+    description: 'Get deployments for a Railway project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectId: { type: 'string', description: 'Project ID' }
+      },
+      required: ['projectId']
+    }
+  },
+
+  // ========== SUPABASE TOOLS ==========
+  {
+    name: 'supabase_list_projects',
+    description: 'List all Supabase projects',
+    inputSchema: { type: 'object', properties: {}, required: [] }
+  },
+  {
+    name: 'supabase_get_project',
+    description: 'Get details of a specific Supabase project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectRef: { type: 'string', description: 'Project reference ID' }
+      },
+      required: ['projectRef']
+    }
+  },
+  {
+    name: 'supabase_create_project',
+    description: 'Create a new Supabase project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Project name' },
+        organizationId: { type: 'string', description: 'Organization ID' },
+        dbPassword: { type: 'string', description: 'Database password' },
+        region: { type: 'string', description: 'Region (default: us-east-1)' }
+      },
+      required: ['name', 'organizationId', 'dbPassword']
+    }
+  },
+  {
+    name: 'supabase_list_organizations',
+    description: 'List all Supabase organizations',
+    inputSchema: { type: 'object', properties: {}, required: [] }
+  },
+  {
+    name: 'supabase_run_sql',
+    description: 'Run SQL query on a Supabase project database',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectRef: { type: 'string', description: 'Project reference ID' },
+        sql: { type: 'string', description: 'SQL query to execute' }
+      },
+      required: ['projectRef', 'sql']
+    }
+  },
+  {
+    name: 'supabase_list_tables',
+    description: 'List all tables in a Supabase project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectRef: { type: 'string', description: 'Project reference ID' }
+      },
+      required: ['projectRef']
+    }
+  },
+  {
+    name: 'supabase_create_table',
+    description: 'Create a new table in a Supabase project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectRef: { type: 'string', description: 'Project reference ID' },
+        tableName: { type: 'string', description: 'Table name' },
+        columns: {
+          type: 'array',
+          description: 'Array of column definitions',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              type: { type: 'string' },
+              primaryKey: { type: 'boolean' },
+              notNull: { type: 'boolean' },
+              default: { type: 'string' }
+            },
+            required: ['name', 'type']
+          }
+        }
+      },
+      required: ['projectRef', 'tableName', 'columns']
+    }
+  }
+];
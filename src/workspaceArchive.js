@@ -0,0 +1,390 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { packArchive, unpackArchive, ARCHIVE_FORMATS } from './archive.js';
+import { checkEnumValue, OVERWRITE_POLICIES, changeLog, lstatOrNull, workspacePath } from './filesystem.js';
+import { resolveWorkspacePath, isDeniedPath, isGitPath } from './sandbox.js';
+import { checkQuota, formatBytes } from './quota.js';
+
+// ============================================
+// WORKSPACE ARCHIVES AND SNAPSHOTS
+// ============================================
+//
+// Packs a workspace path into a zip or tar for download, extracts uploaded
+// archives, and keeps per-tenant snapshots as tar.gz files outside the
+// workspace. Archives never hold symlinks or deny-listed paths. Every
+// extracted entry goes through resolveWorkspacePath like any other write,
+// and names that are absolute or climb out with ".." fail the whole
+// extraction before anything is written (zip-slip). Snapshots don't count
+// toward the workspace quota; restores and uploads do. Their compressed
+// bytes are capped per tenant instead (FS_SNAPSHOT_QUOTA_BYTES in quota.js).
+//
+//   FS_ARCHIVE_MAX_BYTES  most content bytes one archive may pack or expand to (default "256mb")
+//   FS_SNAPSHOT_DIR       where snapshots are kept (default <workspace root>/.snapshots)
+//   FS_SNAPSHOT_LIMIT     snapshots kept per tenant; creating one past it prunes the oldest (default 20)
+
+export const RESTORE_MODES = ['replace', 'merge'];
+
+const SNAPSHOT_ID_PATTERN = /^\d{8}T\d{6}Z-[0-9a-f]{6}$/;
+
+export function archiveMaxBytes() {
+  return Number(process.env.FS_ARCHIVE_MAX_BYTES) || 256 * 1024 * 1024;
+}
+
+function snapshotLimit() {
+  return Number(process.env.FS_SNAPSHOT_LIMIT) || 20;
+}
+
+function displayPath(ctx, fullPath) {
+  return workspacePath(ctx, fullPath) || '.';
+}
+
+function byName(a, b) {
+  return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+}
+
+// Archive entries for a file, or for everything under a directory with
+// paths relative to it. Directories come before their contents. `skipGit`
+// leaves out git directories, which extraction never writes back.
+async function collectEntries(ctx, fullPath, { skipGit = false } = {}) {
+  const maxBytes = archiveMaxBytes();
+  const entries = [];
+  let files = 0;
+  let bytes = 0;
+
+  const visit = async (current, relPath, stats) => {
+    if (stats.isFile()) {
+      bytes += stats.size;
+      if (bytes > maxBytes) {
+        throw new Error(`${displayPath(ctx, fullPath)} holds more than ${formatBytes(maxBytes)}, the archive limit`);
+      }
+      entries.push({ path: relPath, type: 'file', data: await fs.readFile(current), mode: stats.mode & 0o777, mtime: stats.mtime });
+      files++;
+      return;
+    }
+    // Symlinks and special files are left out
+    if (!stats.isDirectory()) return;
+    if (relPath) entries.push({ path: relPath, type: 'directory', mode: stats.mode & 0o777, mtime: stats.mtime });
+    const children = await fs.readdir(current, { withFileTypes: true });
+    for (const child of children.sort(byName)) {
+      const childPath = path.join(current, child.name);
+      if (isDeniedPath(ctx, childPath) || (skipGit && isGitPath(ctx, childPath))) continue;
+      await visit(childPath, relPath ? `${relPath}/${child.name}` : child.name, await fs.lstat(childPath));
+    }
+  };
+
+  // stat, not lstat: the path itself has already passed the symlink policy
+  const stats = await fs.stat(fullPath);
+  await visit(fullPath, stats.isDirectory() ? '' : path.basename(fullPath), stats);
+  return { entries, files, bytes };
+}
+
+// Workspace-relative part of an archive entry name, or null for the
+// archive's own root ("./"). Absolute names and ".." are refused outright.
+function entryPath(name) {
+  const normalized = name.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[A-Za-z]:/.test(normalized)) {
+    throw new Error(`Unsafe archive entry "${name}": absolute paths are not allowed`);
+  }
+  const parts = normalized.split('/').filter(part => part !== '' && part !== '.');
+  if (parts.includes('..')) {
+    throw new Error(`Unsafe archive entry "${name}": ".." is not allowed`);
+  }
+  return parts.length > 0 ? parts.join('/') : null;
+}
+
+// Permission bits an archive recorded for a file, or null when it has none
+// (zips from non-Unix tools). setuid and friends are never restored.
+function fileMode(entry) {
+  return (entry.mode ?? 0) & 0o777 || null;
+}
+
+// Every step needed to write `entries` under `root`, checked before anything
+// is touched. Paths in `removed` are about to be deleted, so count as absent.
+async function planExtraction(ctx, root, entries, { overwrite, removed = new Set() }) {
+  const existingAt = async (fullPath) => (removed.has(fullPath) ? null : lstatOrNull(fullPath));
+  const rootStats = await existingAt(root);
+  if (rootStats && !rootStats.isDirectory() && !rootStats.isSymbolicLink()) {
+    throw new Error(`${displayPath(ctx, root)} is not a directory`);
+  }
+
+  // Keyed by destination, so a name repeated in the archive is written once
+  const steps = new Map();
+  // Directories the plan makes, named or as parents, so a file can't land on one
+  const plannedDirs = new Set();
+  for (const entry of entries) {
+    const relPath = entryPath(entry.path);
+    if (relPath === null) continue;
+    const dest = path.join(root, relPath);
+    const shown = workspacePath(ctx, dest);
+
+    if (entry.type === 'other') {
+      steps.set(dest, { action: 'skipped_link', dest });
+      continue;
+    }
+    // Git directories only take writes from git, so a repository's .git is left out
+    if (isDeniedPath(ctx, dest) || isGitPath(ctx, dest)) {
+      steps.set(dest, { action: 'skipped_denied', dest });
+      continue;
+    }
+    // Same checks as any other write: inside the workspace, not read-only, no symlinked directories
+    await resolveWorkspacePath(ctx, shown, { access: 'write' });
+    for (let parent = path.dirname(dest); parent !== root; parent = path.dirname(parent)) {
+      const stats = await existingAt(parent);
+      if (stats && !stats.isDirectory() && !stats.isSymbolicLink()) {
+        throw new Error(`Cannot extract ${shown}: ${workspacePath(ctx, parent)} is a file`);
+      }
+      if (steps.get(parent)?.data) {
+        throw new Error(`Cannot extract ${shown}: the archive also has a file ${workspacePath(ctx, parent)}`);
+      }
+      plannedDirs.add(parent);
+    }
+
+    const existing = await existingAt(dest);
+    if (entry.type === 'directory') {
+      if (existing && !existing.isDirectory()) throw new Error(`Cannot extract directory over file ${shown}`);
+      if (steps.get(dest)?.data) throw new Error(`Cannot extract directory ${shown}: the archive also has a file there`);
+      plannedDirs.add(dest);
+      if (!existing && !steps.has(dest)) steps.set(dest, { action: 'created_directory', dest });
+    } else if (plannedDirs.has(dest)) {
+      throw new Error(`Cannot extract file ${shown}: the archive also has a directory there`);
+    } else if (!existing) {
+      steps.set(dest, { action: 'extracted', dest, data: entry.data, mode: fileMode(entry), replaces: 0 });
+    } else if (existing.isDirectory()) {
+      throw new Error(`Cannot extract file over directory ${shown}`);
+    } else if (overwrite === 'error') {
+      throw new Error(`Destination ${shown} already exists; set overwrite to "overwrite" or "skip"`);
+    } else if (overwrite === 'skip') {
+      steps.set(dest, { action: 'skipped_existing', dest });
+    } else if (existing.isFile() && existing.size === entry.data.length && (await fs.readFile(dest)).equals(entry.data)) {
+      steps.set(dest, { action: 'unchanged', dest, mode: fileMode(entry) });
+    } else {
+      steps.set(dest, { action: 'overwritten', dest, data: entry.data, mode: fileMode(entry), replaces: existing.size });
+    }
+  }
+  return [...steps.values()];
+}
+
+async function checkExtractionQuota(ctx, steps, removals = []) {
+  const writes = steps.filter(step => step.data);
+  const removedFiles = removals.filter(step => step.action === 'deleted_file');
+  await checkQuota(ctx, {
+    fileSizes: writes.map(step => step.data.length),
+    bytes: writes.reduce((sum, step) => sum + step.data.length - step.replaces, 0) - removedFiles.reduce((sum, step) => sum + step.size, 0),
+    files: writes.filter(step => step.action === 'extracted').length - removedFiles.length
+  });
+}
+
+async function runExtraction(ctx, root, steps, log) {
+  await fs.mkdir(root, { recursive: true });
+  for (const step of steps) {
+    if (step.action === 'created_directory') {
+      await fs.mkdir(step.dest, { recursive: true });
+    } else if (step.data) {
+      await fs.mkdir(path.dirname(step.dest), { recursive: true });
+      await fs.writeFile(step.dest, step.data);
+    }
+    if (step.mode) await fs.chmod(step.dest, step.mode);
+    log.add(step.action, workspacePath(ctx, step.dest));
+  }
+}
+
+// Download a file or directory as a zip, tar or tar.gz
+export async function exportArchive(ctx, targetPath = '.', { format = 'zip' } = {}) {
+  checkEnumValue('format', format, Object.keys(ARCHIVE_FORMATS));
+  const fullPath = await resolveWorkspacePath(ctx, targetPath);
+  const { entries, files, bytes } = await collectEntries(ctx, fullPath);
+  const name = fullPath === ctx.workspaceDir ? ctx.tenant : path.basename(fullPath);
+  return {
+    data: packArchive(entries, format),
+    format,
+    filename: `${name}.${ARCHIVE_FORMATS[format].extension}`,
+    files,
+    bytes
+  };
+}
+
+// Extract an uploaded zip, tar or tar.gz (detected from its first bytes
+// unless `format` is given) into the directory `targetPath`. `overwrite`
+// works as for fs_copy; links in the archive are skipped.
+export async function importArchive(ctx, data, { path: targetPath = '.', format = null, overwrite = 'error' } = {}) {
+  checkEnumValue('overwrite', overwrite, OVERWRITE_POLICIES);
+  if (format !== null) checkEnumValue('format', format, Object.keys(ARCHIVE_FORMATS));
+  if (!Buffer.isBuffer(data) || data.length === 0) throw new Error('Archive is empty');
+
+  const root = await resolveWorkspacePath(ctx, targetPath, { access: 'write' });
+  const entries = unpackArchive(data, { format, maxBytes: archiveMaxBytes() });
+  const steps = await planExtraction(ctx, root, entries, { overwrite });
+  await checkExtractionQuota(ctx, steps);
+
+  const log = changeLog();
+  await runExtraction(ctx, root, steps, log);
+  return { success: true, path: targetPath, ...log.result() };
+}
+
+// ---------- snapshots ----------
+
+function snapshotDirOf(ctx) {
+  if (!ctx.snapshotDir) throw new Error('Snapshots are not configured');
+  return ctx.snapshotDir;
+}
+
+// Sortable and unique enough: "20261019T101500Z-3fa9c2"
+function newSnapshotId(date) {
+  return `${date.toISOString().replace(/[-:]|\.\d+/g, '')}-${randomBytes(3).toString('hex')}`;
+}
+
+async function readSnapshots(dir) {
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const snapshots = [];
+  for (const name of names.filter(n => n.endsWith('.json'))) {
+    try {
+      snapshots.push(JSON.parse(await fs.readFile(path.join(dir, name), 'utf-8')));
+    } catch {
+      // A half-written or hand-edited file is not worth failing the listing over
+    }
+  }
+  return snapshots.sort((a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0));
+}
+
+// The id is checked first, since it becomes part of a file path
+async function readSnapshot(dir, id) {
+  if (typeof id !== 'string' || !SNAPSHOT_ID_PATTERN.test(id)) throw new Error(`Snapshot "${id}" not found`);
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, `${id}.json`), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`Snapshot "${id}" not found`);
+    throw error;
+  }
+}
+
+async function removeSnapshot(dir, id) {
+  await fs.rm(path.join(dir, `${id}.tar.gz`), { force: true });
+  await fs.rm(path.join(dir, `${id}.json`), { force: true });
+}
+
+// Snapshot the directory `dirPath` as a tar.gz. Past FS_SNAPSHOT_LIMIT, or
+// the tenant's snapshot byte cap, the oldest snapshots are removed; their ids
+// come back as `pruned`. A snapshot bigger than the cap on its own fails.
+export async function createSnapshot(ctx, dirPath = '.', { label = null } = {}) {
+  const dir = snapshotDirOf(ctx);
+  const fullPath = await resolveWorkspacePath(ctx, dirPath);
+  if (!(await fs.stat(fullPath)).isDirectory()) {
+    throw new Error(`${dirPath} is not a directory; snapshots cover a directory tree`);
+  }
+
+  const { entries, files, bytes } = await collectEntries(ctx, fullPath, { skipGit: true });
+  const data = packArchive(entries, 'tar.gz');
+  const maxBytes = ctx.quota?.maxSnapshotBytes ?? null;
+  if (maxBytes !== null && data.length > maxBytes) {
+    throw new Error(
+      `Quota exceeded: a snapshot of ${displayPath(ctx, fullPath)} takes ${formatBytes(data.length)}, over the ${formatBytes(maxBytes)} snapshot limit`
+    );
+  }
+  const createdAt = new Date();
+  const snapshot = {
+    id: newSnapshotId(createdAt),
+    path: displayPath(ctx, fullPath),
+    label,
+    created_at: createdAt.toISOString(),
+    files,
+    bytes,
+    archive_bytes: data.length
+  };
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${snapshot.id}.tar.gz`), data);
+  // Metadata last: a snapshot only lists once its archive is complete
+  await fs.writeFile(path.join(dir, `${snapshot.id}.json`), JSON.stringify(snapshot, null, 2));
+
+  // Newest first, so once the running total passes the cap every older one goes too
+  let kept = 0;
+  const pruned = (await readSnapshots(dir)).filter((s, i) => {
+    kept += s.archive_bytes ?? 0;
+    return i >= snapshotLimit() || (maxBytes !== null && kept > maxBytes);
+  }).map(s => s.id);
+  for (const id of pruned) await removeSnapshot(dir, id);
+  return { success: true, ...snapshot, pruned };
+}
+
+// The tenant's snapshots, newest first
+export async function listSnapshots(ctx) {
+  const snapshots = await readSnapshots(snapshotDirOf(ctx));
+  return {
+    snapshots,
+    count: snapshots.length,
+    limit: snapshotLimit(),
+    bytes: snapshots.reduce((sum, s) => sum + (s.archive_bytes ?? 0), 0),
+    max_bytes: ctx.quota?.maxSnapshotBytes ?? null
+  };
+}
+
+// Paths under `root` to delete so it holds only what `wanted` lists (full
+// path -> 'file' | 'directory'), children before their directory. Denied
+// entries and symlinks were never snapshotted, and git directories are never
+// restored, so all three are left alone.
+async function planRemovals(ctx, root, wanted) {
+  const removals = [];
+  const visit = async (dir, keep) => {
+    const children = await fs.readdir(dir, { withFileTypes: true });
+    for (const child of children.sort(byName)) {
+      const childPath = path.join(dir, child.name);
+      if (isDeniedPath(ctx, childPath) || isGitPath(ctx, childPath) || child.isSymbolicLink()) continue;
+      const type = child.isDirectory() ? 'directory' : 'file';
+      const kept = keep && wanted.get(childPath) === type;
+      if (child.isDirectory()) await visit(childPath, kept);
+      if (kept) continue;
+      await resolveWorkspacePath(ctx, workspacePath(ctx, childPath), { access: 'delete' });
+      removals.push(child.isDirectory()
+        ? { action: 'deleted_directory', dest: childPath }
+        : { action: 'deleted_file', dest: childPath, size: (await fs.lstat(childPath)).size });
+    }
+  };
+  if ((await lstatOrNull(root))?.isDirectory()) await visit(root, true);
+  return removals;
+}
+
+// Put a snapshot back where it was taken. "replace" also deletes files and
+// directories created since, so the tree matches the snapshot; "merge" only
+// writes the snapshot's files back over whatever is there.
+export async function restoreSnapshot(ctx, id, { mode = 'replace' } = {}) {
+  checkEnumValue('mode', mode, RESTORE_MODES);
+  const dir = snapshotDirOf(ctx);
+  const snapshot = await readSnapshot(dir, id);
+
+  const root = await resolveWorkspacePath(ctx, snapshot.path, { access: 'write' });
+  const data = await fs.readFile(path.join(dir, `${id}.tar.gz`));
+  const entries = unpackArchive(data, { format: 'tar.gz', maxBytes: archiveMaxBytes() });
+
+  const wanted = new Map(entries.map(entry => [path.join(root, entry.path), entry.type]));
+  const removals = mode === 'replace' ? await planRemovals(ctx, root, wanted) : [];
+  const steps = await planExtraction(ctx, root, entries, {
+    overwrite: 'overwrite',
+    removed: new Set(removals.map(step => step.dest))
+  });
+  await checkExtractionQuota(ctx, steps, removals);
+
+  const log = changeLog();
+  for (const step of removals) {
+    if (step.action === 'deleted_file') {
+      await fs.unlink(step.dest);
+    } else {
+      try {
+        await fs.rmdir(step.dest);
+      } catch (error) {
+        // Still holds deny-listed entries or symlinks, which restores leave alone
+        if (error.code === 'ENOTEMPTY') continue;
+        throw error;
+      }
+    }
+    log.add(step.action, workspacePath(ctx, step.dest));
+  }
+  await runExtraction(ctx, root, steps, log);
+  return { success: true, id, path: snapshot.path, mode, ...log.result() };
+}
@@ -1,7 +1,11 @@
-// Test script for Vocal Bridge MCP Server v2.0.0
-// Tests Filesystem and Memory tools
+// Smoke test for a running Vocal Bridge MCP Server v2.0.0 (npm run test:remote).
+// The in-process suite lives in test/ (npm test).
+// Tests Filesystem and Memory tools, plus Railway and Supabase tools when
+// MCP_TEST_APIS=1 and the server points at the stand-ins from `npm run mocks`
 
 const BASE_URL = process.env.MCP_URL || 'http://localhost:8080';
+const API_KEY = process.env.MCP_API_KEY || '';
+const TEST_APIS = process.env.MCP_TEST_APIS === '1';
 
 async function testMCP() {
   console.log('🧪 Testing Vocal Bridge MCP Server v2.0.0');
@@ -19,6 +23,9 @@ async function testMCP() {
     if (sessionId) {
       headers['Mcp-Session-Id'] = sessionId;
     }
+    if (API_KEY) {
+      headers['Authorization'] = `Bearer ${API_KEY}`;
+    }
 
     const response = await fetch(`${BASE_URL}/mcp`, {
       method,
@@ -32,6 +39,10 @@ async function testMCP() {
       sessionId = newSessionId;
     }
 
+    return parseResponse(response);
+  }
+
+  async function parseResponse(response) {
     // Handle SSE responses
     const contentType = response.headers.get('content-type');
     if (contentType?.includes('text/event-stream')) {
@@ -49,6 +60,33 @@ async function testMCP() {
     return response.json();
   }
 
+  // Open a separate session under another tenant and call one tool in it
+  async function callToolAsTenant(tenant, name, args = {}) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream',
+      'X-Tenant-Id': tenant,
+    };
+    const init = await fetch(`${BASE_URL}/mcp`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'tenant-client', version: '1.0.0' } }
+      }),
+    });
+    await parseResponse(init);
+    headers['Mcp-Session-Id'] = init.headers.get('Mcp-Session-Id');
+    const response = await fetch(`${BASE_URL}/mcp`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name, arguments: args } }),
+    });
+    return (await parseResponse(response)).result;
+  }
+
   // Helper to call a tool
   async function callTool(name, args = {}) {
     const data = await mcpRequest('POST', {
@@ -62,6 +100,10 @@ async function testMCP() {
       throw new Error(data.error.message || JSON.stringify(data.error));
     }
 
+    if (data.result?.isError) {
+      throw new Error(data.result.content?.[0]?.text || 'Tool call failed');
+    }
+
     // Parse the content from the response
     if (data.result?.content?.[0]?.text) {
       return JSON.parse(data.result.content[0].text);
@@ -94,12 +136,24 @@ async function testMCP() {
 
   // ============ MCP Info ============
   await test('MCP info endpoint', async () => {
-    const response = await fetch(`${BASE_URL}/mcp`);
+    const response = await fetch(`${BASE_URL}/mcp/info`);
     const data = await response.json();
     if (data.version !== '2.0.0') throw new Error('Wrong version');
     console.log(`   Tools: ${Object.values(data.tools).flat().length} total`);
   });
 
+  // ============ Authentication ============
+  if (API_KEY) {
+    await test('Reject request without API key', async () => {
+      const response = await fetch(`${BASE_URL}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 0, method: 'tools/list', params: {} })
+      });
+      if (response.status !== 401) throw new Error(`Expected 401, got ${response.status}`);
+    });
+  }
+
   // ============ Initialize Session ============
   await test('Initialize MCP session', async () => {
     const data = await mcpRequest('POST', {
@@ -130,6 +184,36 @@ async function testMCP() {
     console.log(`   Found ${toolCount} tools`);
   });
 
+  // ============ NOTIFICATION STREAM ============
+  await test('GET /mcp - Notification stream receives tool activity', async () => {
+    const controller = new AbortController();
+    const headers = { 'Accept': 'text/event-stream', 'Mcp-Session-Id': sessionId };
+    if (API_KEY) headers['Authorization'] = `Bearer ${API_KEY}`;
+    const response = await fetch(`${BASE_URL}/mcp`, { headers, signal: controller.signal });
+    if (!response.headers.get('content-type')?.includes('text/event-stream')) {
+      throw new Error(`Expected an SSE stream, got HTTP ${response.status}`);
+    }
+
+    await callTool('fs_list_directory', {});
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    const timeout = setTimeout(() => controller.abort(), 5000);
+    try {
+      while (!text.includes('notifications/message')) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        text += decoder.decode(value);
+      }
+    } finally {
+      clearTimeout(timeout);
+      controller.abort();
+    }
+    if (!text.includes('fs_list_directory')) throw new Error('No tool notification received');
+    console.log(`   Event ID: ${text.match(/^id: (.+)$/m)?.[1]}`);
+  });
+
   // ============ FILESYSTEM TESTS ============
   console.log('\n📁 Filesystem Tests:');
 
@@ -277,6 +361,140 @@ async function testMCP() {
     console.log(`   Relations: ${result.count}`);
   });
 
+  // ============ TENANT ISOLATION ============
+  // Tenants come from the API key when auth is on, so the header only matters without one
+  if (!API_KEY) {
+    console.log('\n🏢 Tenant Tests:');
+
+    await test('Tenant isolation - Files are not visible to other tenants', async () => {
+      const result = await callToolAsTenant('isolation-check', 'fs_read_file', { path: 'test-project/package.json' });
+      if (!result.isError) throw new Error('Other tenant could read the file');
+    });
+
+    await test('Tenant isolation - Memories are not visible to other tenants', async () => {
+      const result = await callToolAsTenant('isolation-check', 'memory_recall', { name_or_id: 'test-project-config' });
+      if (JSON.parse(result.content[0].text).found) throw new Error('Other tenant could recall the memory');
+    });
+  }
+
+  // ============ RAILWAY TESTS ============
+  if (TEST_APIS) {
+    console.log('\n🚂 Railway Tests:');
+
+    let project = null;
+    let serviceId = null;
+
+    await test('railway_create_project - Create project', async () => {
+      project = await callTool('railway_create_project', { name: 'mcp-test', description: 'Created by test-mcp.js' });
+      if (!project.id || project.environments.length === 0) throw new Error('No project/environment returned');
+    });
+
+    await test('railway_list_projects - Project is listed', async () => {
+      const result = await callTool('railway_list_projects');
+      if (!result.projects.some(p => p.id === project.id)) throw new Error('Created project not listed');
+    });
+
+    await test('railway_create_service - Create service from repo', async () => {
+      const service = await callTool('railway_create_service', {
+        projectId: project.id,
+        environmentId: project.environments[0].id,
+        repoUrl: 'https://github.com/example/test-project'
+      });
+      if (!service.id) throw new Error('No service ID returned');
+      serviceId = service.id;
+    });
+
+    await test('railway_set_variables - Set variables', async () => {
+      const result = await callTool('railway_set_variables', {
+        serviceId,
+        environmentId: project.environments[0].id,
+        variables: { NODE_ENV: 'production' }
+      });
+      if (!result.success) throw new Error('Set variables failed');
+    });
+
+    await test('railway_deploy - Deploy service', async () => {
+      const result = await callTool('railway_deploy', { serviceId, environmentId: project.environments[0].id });
+      if (!result.success) throw new Error('Deploy failed');
+    });
+
+    await test('railway_generate_domain - Generate domain', async () => {
+      const result = await callTool('railway_generate_domain', { serviceId, environmentId: project.environments[0].id });
+      if (!result.domain) throw new Error('No domain returned');
+      console.log(`   Domain: ${result.domain}`);
+    });
+
+    await test('railway_get_deployments - Deployment is listed', async () => {
+      const result = await callTool('railway_get_deployments', { projectId: project.id });
+      if (result.length !== 1 || result[0].status !== 'SUCCESS') throw new Error('Deployment not listed');
+    });
+  }
+
+  // ============ SUPABASE TESTS ============
+  if (TEST_APIS) {
+    console.log('\n⚡ Supabase Tests:');
+
+    let organizationId = null;
+    let projectRef = null;
+
+    await test('supabase_list_organizations - List organizations', async () => {
+      const result = await callTool('supabase_list_organizations');
+      if (result.length === 0) throw new Error('No organizations');
+      organizationId = result[0].id;
+    });
+
+    await test('supabase_create_project - Create project', async () => {
+      const result = await callTool('supabase_create_project', {
+        name: 'mcp-test',
+        organizationId,
+        dbPassword: 'test-password'
+      });
+      if (!result.id) throw new Error('No project ref returned');
+      projectRef = result.id;
+    });
+
+    await test('supabase_list_projects - Project is listed', async () => {
+      const result = await callTool('supabase_list_projects');
+      if (!result.some(p => p.id === projectRef)) throw new Error('Created project not listed');
+    });
+
+    await test('supabase_get_project - Get project', async () => {
+      const result = await callTool('supabase_get_project', { projectRef });
+      if (result.name !== 'mcp-test') throw new Error('Wrong project returned');
+    });
+
+    await test('supabase_create_table - Create table', async () => {
+      await callTool('supabase_create_table', {
+        projectRef,
+        tableName: 'users',
+        columns: [
+          { name: 'id', type: 'uuid', primaryKey: true, default: 'gen_random_uuid()' },
+          { name: 'email', type: 'text', notNull: true }
+        ]
+      });
+    });
+
+    await test('supabase_list_tables - Table is listed', async () => {
+      const result = await callTool('supabase_list_tables', { projectRef });
+      if (!result.some(t => t.table_name === 'users')) throw new Error('Created table not listed');
+    });
+
+    await test('supabase_run_sql - Run SQL', async () => {
+      const result = await callTool('supabase_run_sql', { projectRef, sql: 'SELECT 1;' });
+      if (!Array.isArray(result)) throw new Error('Expected a result set');
+    });
+
+    await test('supabase_get_project - Unknown project is an error', async () => {
+      try {
+        await callTool('supabase_get_project', { projectRef: 'does-not-exist' });
+      } catch (error) {
+        if (!error.message.includes('Supabase API error')) throw error;
+        return;
+      }
+      throw new Error('Expected an error');
+    });
+  }
+
   // ============ CLEANUP ============
   console.log('\n🧹 Cleanup:');
 
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, unifiedDiff } from '../src/diff.js';
+
+describe('line diff', () => {
+  it('finds a minimal edit script', () => {
+    const ops = diffLines('a\nb\nc\nd\n', 'a\nc\nd\ne\n');
+    assert.deepEqual(ops.map(o => o.op + o.line), [' a', '-b', ' c', ' d', '+e']);
+  });
+
+  it('renders unified hunks with context like diff -u', () => {
+    const before = Array.from({ length: 12 }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+    const after = before.replace('line 2\n', 'line two\n').replace('line 11\n', '');
+    assert.equal(unifiedDiff(before, after, { oldLabel: 'old', newLabel: 'new' }), [
+      '--- old',
+      '+++ new',
+      '@@ -1,5 +1,5 @@',
+      ' line 1',
+      '-line 2',
+      '+line two',
+      ' line 3',
+      ' line 4',
+      ' line 5',
+      '@@ -8,5 +8,4 @@',
+      ' line 8',
+      ' line 9',
+      ' line 10',
+      '-line 11',
+      ' line 12',
+      ''
+    ].join('\n'));
+  });
+
+  it('marks a missing trailing newline', () => {
+    assert.equal(unifiedDiff('x\n', 'x'), '--- a\n+++ b\n@@ -1,1 +1,1 @@\n-x\n+x\n\\ No newline at end of file\n');
+  });
+
+  it('returns an empty string for identical text', () => {
+    assert.equal(unifiedDiff('same\n', 'same\n'), '');
+    assert.equal(unifiedDiff('', ''), '');
+  });
+});
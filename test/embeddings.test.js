@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import {
+  createHashEmbeddingProvider,
+  createHttpEmbeddingProvider,
+  createEmbeddingProvider,
+  cosineSimilarity,
+  encodeVector,
+  decodeVector
+} from '../src/embeddings.js';
+
+describe('hash embedding provider', () => {
+  const provider = createHashEmbeddingProvider({ dimensions: 256 });
+
+  it('is deterministic and normalised', async () => {
+    const [a] = await provider.embed(['users table schema']);
+    const [b] = await provider.embed(['users table schema']);
+    assert.deepEqual(a, b);
+    assert.equal(a.length, 256);
+    assert.ok(Math.abs(cosineSimilarity(a, a) - 1) < 1e-9);
+  });
+
+  it('scores paraphrases above unrelated text', async () => {
+    const [query, related, unrelated] = await provider.embed([
+      'the thing about the users table',
+      'users-table-schema: CREATE TABLE users (id uuid, email text)',
+      'Stripe webhook secret rotates monthly'
+    ]);
+    assert.ok(cosineSimilarity(query, related) > cosineSimilarity(query, unrelated) + 0.2);
+  });
+
+  it('round-trips vectors through a blob', async () => {
+    const [vector] = await provider.embed(['round trip']);
+    const decoded = decodeVector(encodeVector(vector));
+    vector.forEach((v, i) => assert.ok(Math.abs(v - decoded[i]) < 1e-6));
+  });
+});
+
+describe('http embedding provider', () => {
+  it('calls an OpenAI-compatible endpoint and normalises the vectors', async () => {
+    const app = express();
+    app.use(express.json());
+    let received;
+    app.post('/v1/embeddings', (req, res) => {
+      received = { auth: req.headers.authorization, body: req.body };
+      res.json({ data: req.body.input.map((text, index) => ({ index, embedding: [text.length, 0, 0] })).reverse() });
+    });
+    const server = await new Promise(resolve => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+
+    try {
+      const provider = createHttpEmbeddingProvider({
+        url: `http://127.0.0.1:${server.address().port}/v1/embeddings`,
+        model: 'test-model',
+        apiKey: 'sk-embed'
+      });
+      const vectors = await provider.embed(['a', 'bb']);
+      assert.deepEqual(vectors, [[1, 0, 0], [1, 0, 0]]);
+      assert.equal(received.auth, 'Bearer sk-embed');
+      assert.deepEqual(received.body, { model: 'test-model', input: ['a', 'bb'] });
+    } finally {
+      server.close();
+    }
+  });
+
+  it('is selected from the environment', () => {
+    assert.match(createEmbeddingProvider({}).id, /^hash-bow-512$/);
+    assert.throws(() => createEmbeddingProvider({ EMBEDDING_PROVIDER: 'http' }), /EMBEDDING_URL must be set/);
+    assert.throws(() => createEmbeddingProvider({ EMBEDDING_PROVIDER: 'magic' }), /Unknown EMBEDDING_PROVIDER/);
+  });
+});
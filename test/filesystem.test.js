@@ -0,0 +1,545 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startTestServer, callTool } from './helpers.js';
+
+describe('filesystem tools', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('writes and reads a file, creating parent directories', async () => {
+    const written = await callTool(client, 'fs_write_file', {
+      path: 'project/src/index.ts',
+      content: 'export const hello = "world";\n'
+    });
+    assert.equal(written.success, true);
+    assert.equal(written.size, 30);
+
+    const read = await callTool(client, 'fs_read_file', { path: 'project/src/index.ts' });
+    assert.equal(read.content, 'export const hello = "world";\n');
+    assert.equal(read.size, 30);
+  });
+
+  it('keeps files inside the tenant workspace on disk', async () => {
+    await callTool(client, 'fs_write_file', { path: 'on-disk.txt', content: 'x' });
+    const content = await fs.readFile(path.join(server.workspaceDir, 'default', 'on-disk.txt'), 'utf-8');
+    assert.equal(content, 'x');
+  });
+
+  it('edits a file by replacing text', async () => {
+    await callTool(client, 'fs_write_file', { path: 'edit.txt', content: 'hello world' });
+    await callTool(client, 'fs_edit_file', { path: 'edit.txt', old_text: 'world', new_text: 'universe' });
+    const read = await callTool(client, 'fs_read_file', { path: 'edit.txt' });
+    assert.equal(read.content, 'hello universe');
+  });
+
+  it('fails to edit when old_text is missing from the file', async () => {
+    await callTool(client, 'fs_write_file', { path: 'edit-missing.txt', content: 'hello' });
+    await assert.rejects(
+      callTool(client, 'fs_edit_file', { path: 'edit-missing.txt', old_text: 'absent', new_text: 'x' }),
+      /Old text not found in file/
+    );
+  });
+
+  it('lists a directory and builds a tree', async () => {
+    await callTool(client, 'fs_create_directory', { path: 'tree/a/b' });
+    await callTool(client, 'fs_write_file', { path: 'tree/a/file.txt', content: 'x' });
+
+    const listing = await callTool(client, 'fs_list_directory', { path: 'tree/a' });
+    assert.deepEqual(listing.items.map(i => `${i.name}:${i.type}`).sort(), ['b:directory', 'file.txt:file']);
+
+    const { tree } = await callTool(client, 'fs_directory_tree', { path: 'tree', max_depth: 2 });
+    const a = tree.find(i => i.name === 'a');
+    assert.equal(a.type, 'directory');
+    assert.ok(a.children.some(i => i.name === 'file.txt'));
+  });
+
+  it('deletes a file', async () => {
+    await callTool(client, 'fs_write_file', { path: 'doomed.txt', content: 'x' });
+    await callTool(client, 'fs_delete_file', { path: 'doomed.txt' });
+    await assert.rejects(callTool(client, 'fs_read_file', { path: 'doomed.txt' }), /ENOENT/);
+  });
+
+  it('rejects path traversal out of the workspace', async () => {
+    await assert.rejects(
+      callTool(client, 'fs_read_file', { path: '../../etc/passwd' }),
+      /Access denied: Path is outside workspace/
+    );
+    await assert.rejects(
+      callTool(client, 'fs_write_file', { path: '/etc/evil.txt', content: 'x' }),
+      /Access denied: Path is outside workspace/
+    );
+  });
+
+  it('rejects paths into a sibling tenant that shares a name prefix', async () => {
+    await assert.rejects(
+      callTool(client, 'fs_write_file', { path: '../default-evil/x.txt', content: 'x' }),
+      /Access denied: Path is outside workspace/
+    );
+  });
+});
+
+describe('ranged and binary file reads', () => {
+  let server;
+  let client;
+  const lines = Array.from({ length: 10 }, (_, i) => `line ${i + 1}\n`).join('');
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+    await callTool(client, 'fs_write_file', { path: 'log.txt', content: lines });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('reads a window of lines with the total count', async () => {
+    const read = await callTool(client, 'fs_read_file', { path: 'log.txt', offset: 2, limit: 3 });
+    assert.equal(read.content, 'line 3\nline 4\nline 5\n');
+    assert.equal(read.unit, 'lines');
+    assert.equal(read.lines_returned, 3);
+    assert.equal(read.total_lines, 10);
+    assert.equal(read.truncated, true);
+    assert.equal(read.next_offset, 5);
+
+    const tail = await callTool(client, 'fs_read_file', { path: 'log.txt', offset: 8 });
+    assert.equal(tail.content, 'line 9\nline 10\n');
+    assert.equal(tail.truncated, false);
+    assert.equal(tail.next_offset, null);
+
+    const whole = await callTool(client, 'fs_read_file', { path: 'log.txt' });
+    assert.equal(whole.content, lines);
+    assert.equal(whole.binary, false);
+  });
+
+  it('reads byte ranges without splitting a character', async () => {
+    const read = await callTool(client, 'fs_read_file', { path: 'log.txt', unit: 'bytes', offset: 7, limit: 6 });
+    assert.equal(read.content, 'line 2');
+    assert.equal(read.next_offset, 13);
+
+    await callTool(client, 'fs_write_file', { path: 'accent.txt', content: 'héllo' });
+    const cut = await callTool(client, 'fs_read_file', { path: 'accent.txt', unit: 'bytes', limit: 2 });
+    assert.equal(cut.content, 'h');
+    assert.equal(cut.bytes_returned, 1);
+    assert.equal(cut.next_offset, 1);
+  });
+
+  it('caps large reads at whole lines and says where to continue', async () => {
+    process.env.FS_READ_MAX_BYTES = '20';
+    try {
+      const read = await callTool(client, 'fs_read_file', { path: 'log.txt' });
+      assert.equal(read.content, 'line 1\nline 2\n');
+      assert.equal(read.truncated, true);
+      assert.equal(read.next_offset, 2);
+
+      const bytes = await callTool(client, 'fs_read_file', { path: 'log.txt', unit: 'bytes', limit: 1000 });
+      assert.equal(bytes.bytes_returned, 20);
+
+      await callTool(client, 'fs_write_file', { path: 'minified.js', content: 'x'.repeat(50) });
+      const long = await callTool(client, 'fs_read_file', { path: 'minified.js' });
+      assert.equal(long.content.length, 20);
+      assert.equal(long.truncated, true);
+      assert.equal(long.partial_line, true);
+      assert.equal(long.next_offset, null);
+    } finally {
+      delete process.env.FS_READ_MAX_BYTES;
+    }
+  });
+
+  it('round-trips binary files as base64', async () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d, 0xff, 0xfe]);
+    const written = await callTool(client, 'fs_write_file', {
+      path: 'assets/pixel.png',
+      content: png.toString('base64'),
+      encoding: 'base64'
+    });
+    assert.equal(written.size, png.length);
+    assert.deepEqual(await fs.readFile(path.join(server.workspaceDir, 'default', 'assets/pixel.png')), png);
+
+    const read = await callTool(client, 'fs_read_file', { path: 'assets/pixel.png' });
+    assert.equal(read.binary, true);
+    assert.equal(read.encoding, 'base64');
+    assert.equal(read.unit, 'bytes');
+    assert.equal(read.content, png.toString('base64'));
+
+    const slice = await callTool(client, 'fs_read_file', { path: 'assets/pixel.png', offset: 1, limit: 3 });
+    assert.equal(Buffer.from(slice.content, 'base64').toString(), 'PNG');
+
+    await assert.rejects(callTool(client, 'fs_read_file', { path: 'assets/pixel.png', unit: 'lines' }), /Line ranges need text/);
+    const text = await callTool(client, 'fs_read_file', { path: 'log.txt', encoding: 'base64', limit: 7 });
+    assert.equal(Buffer.from(text.content, 'base64').toString(), 'line 1\n');
+  });
+
+  it('rejects bad encodings, base64 and ranges', async () => {
+    await assert.rejects(
+      callTool(client, 'fs_write_file', { path: 'bad.bin', content: 'not base64!', encoding: 'base64' }),
+      /Invalid base64 content/
+    );
+    await assert.rejects(
+      callTool(client, 'fs_write_file', { path: 'bad.bin', content: 'x', encoding: 'latin1' }),
+      /Invalid encoding "latin1"/
+    );
+    await assert.rejects(callTool(client, 'fs_read_file', { path: 'log.txt', offset: -1 }), /Invalid offset/);
+    await assert.rejects(callTool(client, 'fs_read_file', { path: 'log.txt', limit: 0 }), /Invalid limit/);
+  });
+});
+
+describe('batch edits and patches', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('applies edits in order and inserts replacement text literally', async () => {
+    await callTool(client, 'fs_write_file', { path: 'app.js', content: 'const a = 1;\nconst b = a;\nlog(a);\n' });
+    const result = await callTool(client, 'fs_apply_edits', {
+      path: 'app.js',
+      edits: [
+        { old_text: 'const a = 1;', new_text: 'const a = "$&";' },
+        { old_text: 'a;', new_text: 'alpha;', expected_count: 1 },
+        { old_text: '\\blog\\((\\w+)\\)', new_text: 'console.log($1)', regex: true }
+      ]
+    });
+    assert.deepEqual(result.edits.map(e => e.replacements), [1, 1, 1]);
+
+    const read = await callTool(client, 'fs_read_file', { path: 'app.js' });
+    assert.equal(read.content, 'const a = "$&";\nconst b = alpha;\nconsole.log(a);\n');
+  });
+
+  it('rejects ambiguous or miscounted edits and writes nothing', async () => {
+    await callTool(client, 'fs_write_file', { path: 'dup.txt', content: 'x x x\n' });
+    await assert.rejects(
+      callTool(client, 'fs_apply_edits', { path: 'dup.txt', edits: [{ old_text: 'x', new_text: 'y' }] }),
+      /Edit 1: old_text matches 3 times/
+    );
+    await assert.rejects(
+      callTool(client, 'fs_edit_file', { path: 'dup.txt', old_text: 'x', new_text: 'y' }),
+      /matches 3 times/
+    );
+    await assert.rejects(
+      callTool(client, 'fs_apply_edits', {
+        path: 'dup.txt',
+        edits: [{ old_text: 'x', new_text: 'y', replace_all: true }, { old_text: 'y', new_text: 'z', expected_count: 2 }]
+      }),
+      /Edit 2: expected 2 occurrence\(s\) of old_text, found 3/
+    );
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'dup.txt' })).content, 'x x x\n');
+
+    const all = await callTool(client, 'fs_apply_edits', {
+      path: 'dup.txt',
+      edits: [{ old_text: 'X', new_text: 'y', regex: true, flags: 'i', replace_all: true }]
+    });
+    assert.equal(all.edits[0].replacements, 3);
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'dup.txt' })).content, 'y y y\n');
+  });
+
+  it('cuts off a catastrophic regex edit without writing', async () => {
+    await callTool(client, 'fs_write_file', { path: 'redos.txt', content: `${'a'.repeat(34)}!\n` });
+    process.env.FS_REGEX_TIMEOUT_MS = '200';
+    try {
+      const started = Date.now();
+      await assert.rejects(
+        callTool(client, 'fs_apply_edits', { path: 'redos.txt', edits: [{ old_text: '^(a+)+$', new_text: 'b', regex: true, flags: 'm' }] }),
+        /Edit 1: regex ran past the 200 ms time limit/
+      );
+      assert.ok(Date.now() - started < 2000, `took ${Date.now() - started} ms`);
+      assert.equal((await callTool(client, 'fs_read_file', { path: 'redos.txt' })).content, `${'a'.repeat(34)}!\n`);
+    } finally {
+      delete process.env.FS_REGEX_TIMEOUT_MS;
+    }
+  });
+
+  it('keeps file modes across edits and patches', async () => {
+    await callTool(client, 'fs_write_file', { path: 'run.sh', content: '#!/bin/sh\necho one\n' });
+    const script = path.join(server.workspaceDir, 'default', 'run.sh');
+    await fs.chmod(script, 0o750);
+    await callTool(client, 'fs_edit_file', { path: 'run.sh', old_text: 'one', new_text: 'two' });
+    await callTool(client, 'fs_apply_edits', { path: 'run.sh', edits: [{ old_text: 'two', new_text: 'three' }] });
+    await callTool(client, 'fs_apply_patch', {
+      patch: '--- a/run.sh\n+++ b/run.sh\n@@ -1,2 +1,2 @@\n #!/bin/sh\n-echo three\n+echo four\n'
+    });
+    assert.equal(await fs.readFile(script, 'utf-8'), '#!/bin/sh\necho four\n');
+    assert.equal((await fs.stat(script)).mode & 0o777, 0o750);
+  });
+
+  it('returns a diff on dry runs without writing', async () => {
+    await callTool(client, 'fs_write_file', { path: 'dry.txt', content: 'one\ntwo\n' });
+    const result = await callTool(client, 'fs_apply_edits', {
+      path: 'dry.txt',
+      edits: [{ old_text: 'two', new_text: '2' }],
+      dry_run: true
+    });
+    assert.equal(result.dry_run, true);
+    assert.equal(result.diff, '--- a/dry.txt\n+++ b/dry.txt\n@@ -1,2 +1,2 @@\n one\n-two\n+2\n');
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'dry.txt' })).content, 'one\ntwo\n');
+  });
+
+  it('applies a multi-file patch that creates, modifies and deletes files', async () => {
+    await callTool(client, 'fs_write_file', { path: 'src/main.js', content: 'a\nb\nc\n' });
+    await callTool(client, 'fs_write_file', { path: 'old.txt', content: 'bye\n' });
+    const patch = [
+      '--- a/src/main.js',
+      '+++ b/src/main.js',
+      '@@ -1,3 +1,3 @@',
+      ' a',
+      '-b',
+      '+B',
+      ' c',
+      '--- /dev/null',
+      '+++ b/docs/new.md',
+      '@@ -0,0 +1 @@',
+      '+# New',
+      '--- a/old.txt',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-bye',
+      ''
+    ].join('\n');
+
+    const dry = await callTool(client, 'fs_apply_patch', { patch, dry_run: true });
+    assert.equal(dry.success, true);
+    assert.match(dry.diff, /\+\+\+ b\/docs\/new\.md/);
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'src/main.js' })).content, 'a\nb\nc\n');
+
+    const result = await callTool(client, 'fs_apply_patch', { patch });
+    assert.deepEqual(result.files.map(f => `${f.path}:${f.status}`), ['src/main.js:modified', 'docs/new.md:created', 'old.txt:deleted']);
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'src/main.js' })).content, 'a\nB\nc\n');
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'docs/new.md' })).content, '# New\n');
+    await assert.rejects(fs.access(path.join(server.workspaceDir, 'default', 'old.txt')));
+  });
+
+  it('reports failed hunks and leaves every file untouched', async () => {
+    await callTool(client, 'fs_write_file', { path: 'p1.txt', content: 'one\n' });
+    await callTool(client, 'fs_write_file', { path: 'p2.txt', content: 'two\n' });
+    const patch = '--- a/p1.txt\n+++ b/p1.txt\n@@ -1 +1 @@\n-one\n+1\n--- a/p2.txt\n+++ b/p2.txt\n@@ -1 +1 @@\n-zwei\n+2\n';
+
+    const result = await callTool(client, 'fs_apply_patch', { patch });
+    assert.equal(result.success, false);
+    assert.equal(result.failed_hunks, 1);
+    assert.deepEqual(result.files.map(f => f.status), ['modified', 'failed']);
+    assert.equal(result.files[1].hunks[0].status, 'failed');
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'p1.txt' })).content, 'one\n');
+
+    await assert.rejects(
+      callTool(client, 'fs_apply_patch', { patch: '--- a/../x\n+++ b/../x\n@@ -0,0 +1 @@\n+x\n' }),
+      /outside workspace/
+    );
+  });
+});
+
+describe('workspace search', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+    const files = {
+      'src/index.ts': 'import { start } from "./server";\n\nstart({ port: 8080 });\n',
+      'src/server.ts': 'export function start(options) {\n  return listen(options.port);\n}\n',
+      'src/util/format.js': 'export const Start = 1;\n',
+      'docs/guide.md': '# Guide\nCall start() to begin.\n',
+      'node_modules/lib/index.js': 'start();\n',
+      'README.txt': 'a.b\naxb\n'
+    };
+    for (const [file, content] of Object.entries(files)) {
+      await callTool(client, 'fs_write_file', { path: file, content });
+    }
+    await callTool(client, 'fs_write_file', { path: 'logo.png', content: Buffer.from([0x89, 0x50, 0x00, 0x73, 0x74, 0x61, 0x72, 0x74]).toString('base64'), encoding: 'base64' });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('finds lines with path, line number and context', async () => {
+    const result = await callTool(client, 'fs_search', { query: 'start(', include: ['*.ts'], context: 1 });
+    assert.deepEqual(result.matches.map(m => `${m.path}:${m.line}`), ['src/index.ts:3', 'src/server.ts:1']);
+    assert.deepEqual(result.matches[0], {
+      path: 'src/index.ts',
+      line: 3,
+      column: 1,
+      text: 'start({ port: 8080 });',
+      before: [''],
+      after: ['']
+    });
+    assert.equal(result.truncated, false);
+  });
+
+  it('searches literally by default and by regex when asked', async () => {
+    const literal = await callTool(client, 'fs_search', { query: 'a.b', path: '.' });
+    assert.deepEqual(literal.matches.map(m => m.text), ['a.b']);
+
+    const regex = await callTool(client, 'fs_search', { query: '^export (const|function) start', regex: true, ignore_case: true });
+    assert.deepEqual(regex.matches.map(m => m.path), ['src/server.ts', 'src/util/format.js']);
+
+    await assert.rejects(callTool(client, 'fs_search', { query: '(', regex: true }), /Invalid regex/);
+  });
+
+  it('skips binaries, node_modules and excluded paths, and caps results', async () => {
+    const all = await callTool(client, 'fs_search', { query: 'start' });
+    assert.ok(all.matches.every(m => !m.path.startsWith('node_modules/') && m.path !== 'logo.png'));
+    assert.equal(all.files_skipped, 1);
+
+    const excluded = await callTool(client, 'fs_search', { query: 'start', exclude: ['src'] });
+    assert.deepEqual(excluded.matches.map(m => m.path), ['docs/guide.md']);
+
+    const capped = await callTool(client, 'fs_search', { query: 'start', max_results: 2 });
+    assert.equal(capped.matches.length, 2);
+    assert.equal(capped.truncated, true);
+
+    const inside = await callTool(client, 'fs_search', { query: 'start', path: 'node_modules' });
+    assert.deepEqual(inside.matches.map(m => m.path), ['node_modules/lib/index.js']);
+  });
+
+  it('stops when the time budget runs out', async () => {
+    process.env.FS_SEARCH_TIMEOUT_MS = '-1';
+    try {
+      const result = await callTool(client, 'fs_search', { query: 'start' });
+      assert.equal(result.timed_out, true);
+      assert.equal(result.truncated, true);
+    } finally {
+      delete process.env.FS_SEARCH_TIMEOUT_MS;
+    }
+  });
+
+  it('cuts off a catastrophic regex without blocking the server', async () => {
+    await callTool(client, 'fs_write_file', { path: 'redos/evil.txt', content: `${'a'.repeat(34)}!\n` });
+    process.env.FS_SEARCH_TIMEOUT_MS = '200';
+    try {
+      const started = Date.now();
+      // Ticks only advance while the event loop is free
+      let ticks = 0;
+      const ticker = setInterval(() => ticks++, 20);
+      const result = await callTool(client, 'fs_search', { query: '^(a+)+$', regex: true, path: 'redos' });
+      clearInterval(ticker);
+      assert.equal(result.timed_out, true);
+      assert.deepEqual(result.matches, []);
+      assert.ok(Date.now() - started < 2000, `took ${Date.now() - started} ms`);
+      assert.ok(ticks >= 3, `event loop ticked ${ticks} times`);
+    } finally {
+      delete process.env.FS_SEARCH_TIMEOUT_MS;
+    }
+  });
+
+  it('matches paths with globs and stays inside the workspace', async () => {
+    const ts = await callTool(client, 'fs_glob', { pattern: 'src/**/*.{ts,js}' });
+    assert.deepEqual(ts.files, ['src/index.ts', 'src/server.ts', 'src/util/format.js']);
+
+    const top = await callTool(client, 'fs_glob', { pattern: '*.txt' });
+    assert.deepEqual(top.files, ['README.txt']);
+
+    const scoped = await callTool(client, 'fs_glob', { pattern: '**/*.js', path: 'src', exclude: ['util'] });
+    assert.deepEqual(scoped.files, []);
+
+    await assert.rejects(callTool(client, 'fs_glob', { pattern: '*', path: '..' }), /outside workspace/);
+    await assert.rejects(callTool(client, 'fs_search', { query: 'x', path: '../..' }), /outside workspace/);
+  });
+});
+
+describe('move, copy and delete', () => {
+  let server;
+  let client;
+  const onDisk = (p) => path.join(server.workspaceDir, 'default', p);
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('moves and renames files and directories', async () => {
+    await callTool(client, 'fs_write_file', { path: 'draft.md', content: 'draft' });
+    const renamed = await callTool(client, 'fs_move', { source: 'draft.md', destination: 'docs/final.md' });
+    assert.deepEqual(renamed, { success: true, source: 'draft.md', destination: 'docs/final.md', type: 'file', moved: true, replaced: false });
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'docs/final.md' })).content, 'draft');
+    await assert.rejects(fs.access(onDisk('draft.md')));
+
+    await callTool(client, 'fs_write_file', { path: 'other.md', content: 'other' });
+    await assert.rejects(
+      callTool(client, 'fs_move', { source: 'other.md', destination: 'docs/final.md' }),
+      /already exists; set overwrite/
+    );
+    const skipped = await callTool(client, 'fs_move', { source: 'other.md', destination: 'docs/final.md', overwrite: 'skip' });
+    assert.equal(skipped.moved, false);
+    const replaced = await callTool(client, 'fs_move', { source: 'other.md', destination: 'docs/final.md', overwrite: 'overwrite' });
+    assert.equal(replaced.replaced, true);
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'docs/final.md' })).content, 'other');
+
+    await callTool(client, 'fs_move', { source: 'docs', destination: 'archive/docs' });
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'archive/docs/final.md' })).content, 'other');
+    await assert.rejects(callTool(client, 'fs_move', { source: 'archive', destination: 'archive/inner' }), /into itself/);
+    await assert.rejects(callTool(client, 'fs_move', { source: 'archive', destination: '../escaped' }), /outside workspace/);
+  });
+
+  it('copies directory trees following the overwrite policy', async () => {
+    await callTool(client, 'fs_write_file', { path: 'tpl/a.txt', content: 'a' });
+    await callTool(client, 'fs_write_file', { path: 'tpl/sub/b.txt', content: 'b' });
+    await assert.rejects(callTool(client, 'fs_copy', { source: 'tpl', destination: 'out' }), /is a directory; set recursive/);
+
+    const copied = await callTool(client, 'fs_copy', { source: 'tpl', destination: 'out', recursive: true });
+    assert.deepEqual(copied.counts, { created_directory: 2, copied: 2 });
+    assert.deepEqual(copied.changes.map(c => `${c.action} ${c.path}`), [
+      'created_directory out',
+      'copied out/a.txt',
+      'created_directory out/sub',
+      'copied out/sub/b.txt'
+    ]);
+
+    await callTool(client, 'fs_write_file', { path: 'out/a.txt', content: 'edited' });
+    await callTool(client, 'fs_write_file', { path: 'tpl/c.txt', content: 'c' });
+    await assert.rejects(callTool(client, 'fs_copy', { source: 'tpl', destination: 'out', recursive: true }), /out\/a\.txt already exists/);
+    await assert.rejects(fs.access(onDisk('out/c.txt')));
+
+    const skipped = await callTool(client, 'fs_copy', { source: 'tpl', destination: 'out', recursive: true, overwrite: 'skip' });
+    assert.deepEqual(skipped.counts, { skipped_existing: 2, copied: 1 });
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'out/a.txt' })).content, 'edited');
+
+    const overwritten = await callTool(client, 'fs_copy', { source: 'tpl/a.txt', destination: 'out/a.txt', overwrite: 'overwrite' });
+    assert.deepEqual(overwritten.changes, [{ action: 'overwritten', path: 'out/a.txt' }]);
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'out/a.txt' })).content, 'a');
+  });
+
+  it('deletes directories only when recursive and confirmed', async () => {
+    await callTool(client, 'fs_write_file', { path: 'trash/x.txt', content: 'x' });
+    await callTool(client, 'fs_write_file', { path: 'trash/deep/y.txt', content: 'y' });
+    await callTool(client, 'fs_create_directory', { path: 'empty' });
+
+    await assert.rejects(callTool(client, 'fs_delete', { path: 'trash' }), /not empty \(2 file\(s\) and 1 subdirector\(ies\)\); set recursive/);
+    await assert.rejects(
+      callTool(client, 'fs_delete', { path: 'trash', recursive: true }),
+      /removes 2 file\(s\) and 1 subdirector\(ies\); call again with confirm set to "trash"/
+    );
+    const deleted = await callTool(client, 'fs_delete', { path: 'trash', recursive: true, confirm: 'trash' });
+    assert.deepEqual(deleted.counts, { deleted_file: 2, deleted_directory: 2 });
+    await assert.rejects(fs.access(onDisk('trash')));
+
+    const empty = await callTool(client, 'fs_delete', { path: 'empty' });
+    assert.deepEqual(empty.changes, [{ action: 'deleted_directory', path: 'empty' }]);
+
+    await callTool(client, 'fs_write_file', { path: 'single.txt', content: 's' });
+    assert.deepEqual((await callTool(client, 'fs_delete', { path: 'single.txt' })).counts, { deleted_file: 1 });
+    await assert.rejects(callTool(client, 'fs_delete', { path: '.', recursive: true, confirm: '.' }), /workspace root/);
+  });
+});
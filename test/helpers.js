@@ -0,0 +1,60 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createApp } from '../src/app.js';
+
+process.env.MCP_LOG_SILENT = '1';
+
+// Boot the app in-process on an ephemeral port with a temp workspace and an
+// in-memory database (or `dbPath`, to share one across restarts). Pass
+// `apiKeys` (from loadApiKeys) to enable auth, a memory `storage` adapter to
+// use instead of the SQLite one, a filesystem `sandbox` policy, workspace
+// `quotas`, or `git` settings.
+export async function startTestServer({ dbPath = ':memory:', apiKeys = new Map(), sessions, storage, sandbox = {}, quotas = {}, git } = {}) {
+  const workspaceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vocal-bridge-test-'));
+  const instance = await createApp({ workspaceDir, dbPath, apiKeys, sessions, storage, sandbox, quotas, git });
+
+  const httpServer = await new Promise((resolve, reject) => {
+    const server = instance.app.listen(0, '127.0.0.1', () => resolve(server));
+    server.on('error', reject);
+  });
+  const url = `http://127.0.0.1:${httpServer.address().port}`;
+  const clients = [];
+
+  return {
+    ...instance,
+    url,
+    workspaceDir,
+
+    // Connected MCP client; `headers` go on every request (API key, tenant)
+    async connect(headers = {}) {
+      const client = new Client({ name: 'test-client', version: '1.0.0' });
+      const transport = new StreamableHTTPClientTransport(new URL(`${url}/mcp`), {
+        requestInit: { headers }
+      });
+      await client.connect(transport);
+      clients.push(client);
+      return client;
+    },
+
+    async close() {
+      await Promise.all(clients.map(client => client.close().catch(() => {})));
+      httpServer.closeAllConnections();
+      await new Promise(resolve => httpServer.close(resolve));
+      await instance.close();
+      await fs.rm(workspaceDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Call a tool and return its parsed JSON result; tool errors are thrown
+export async function callTool(client, name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  const text = result.content?.[0]?.text ?? '';
+  if (result.isError) {
+    throw new Error(text.replace(/^Error: /, ''));
+  }
+  return JSON.parse(text);
+}
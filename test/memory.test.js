@@ -0,0 +1,447 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { startTestServer, callTool } from './helpers.js';
+import { openMemoryDb, memorySearch, buildSearchQuery, memoryRepairRelations } from '../src/memory.js';
+
+describe('memory tools', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('stores and recalls by name and id', async () => {
+    const stored = await callTool(client, 'memory_store', {
+      name: 'project-config',
+      type: 'project',
+      content: '{"stack":"node"}',
+      metadata: { owner: 'tests' }
+    });
+    assert.equal(stored.created, true);
+
+    const byName = await callTool(client, 'memory_recall', { name_or_id: 'project-config' });
+    assert.equal(byName.found, true);
+    assert.equal(byName.id, stored.id);
+    assert.deepEqual(byName.metadata, { owner: 'tests' });
+
+    const byId = await callTool(client, 'memory_recall', { name_or_id: stored.id });
+    assert.equal(byId.name, 'project-config');
+  });
+
+  it('reports unknown memories as not found', async () => {
+    const result = await callTool(client, 'memory_recall', { name_or_id: 'nope' });
+    assert.equal(result.found, false);
+  });
+
+  it('searches and lists with a type filter', async () => {
+    await callTool(client, 'memory_store', { name: 'users-schema', type: 'schema', content: 'CREATE TABLE users' });
+
+    const search = await callTool(client, 'memory_search', { query: 'users', type: 'schema' });
+    assert.equal(search.count, 1);
+    assert.equal(search.entities[0].name, 'users-schema');
+
+    const none = await callTool(client, 'memory_search', { query: 'users', type: 'project' });
+    assert.equal(none.count, 0);
+
+    const list = await callTool(client, 'memory_list', { type: 'schema' });
+    assert.deepEqual(list.entities.map(e => e.name), ['users-schema']);
+  });
+
+  it('updates content and metadata', async () => {
+    const { id } = await callTool(client, 'memory_store', { name: 'to-update', type: 'note', content: 'v1' });
+    const updated = await callTool(client, 'memory_update', { id, content: 'v2', metadata: { rev: 2 } });
+    assert.equal(updated.updated, true);
+
+    const recalled = await callTool(client, 'memory_recall', { name_or_id: id });
+    assert.equal(recalled.content, 'v2');
+    assert.deepEqual(recalled.metadata, { rev: 2 });
+  });
+
+  it('reports updates to unknown ids', async () => {
+    const result = await callTool(client, 'memory_update', { id: 'missing', content: 'x' });
+    assert.equal(result.updated, false);
+  });
+
+  it('relates memories and lists the relations', async () => {
+    const a = await callTool(client, 'memory_store', { name: 'service-a', type: 'service', content: 'a' });
+    const b = await callTool(client, 'memory_store', { name: 'schema-b', type: 'schema', content: 'b' });
+    const relation = await callTool(client, 'memory_relate', { from_id: a.id, to_id: b.id, relation_type: 'has_schema' });
+    assert.equal(relation.created, true);
+
+    const relations = await callTool(client, 'memory_get_relations', { entity_id: b.id });
+    assert.equal(relations.count, 1);
+    assert.equal(relations.relations[0].from_name, 'service-a');
+    assert.equal(relations.relations[0].relation_type, 'has_schema');
+  });
+
+  it('deletes a memory', async () => {
+    const { id } = await callTool(client, 'memory_store', { name: 'doomed', type: 'note', content: 'x' });
+    const result = await callTool(client, 'memory_delete', { id });
+    assert.equal(result.deleted, true);
+    assert.equal((await callTool(client, 'memory_recall', { name_or_id: id })).found, false);
+  });
+
+  it('keeps memories separate per tenant', async () => {
+    const other = await server.connect({ 'X-Tenant-Id': 'other-team' });
+    await callTool(other, 'memory_store', { name: 'private', type: 'note', content: 'secret' });
+
+    assert.equal((await callTool(client, 'memory_recall', { name_or_id: 'private' })).found, false);
+    assert.equal((await callTool(other, 'memory_recall', { name_or_id: 'private' })).found, true);
+    assert.equal((await callTool(other, 'memory_recall', { name_or_id: 'project-config' })).found, false);
+  });
+});
+
+describe('memory relation integrity', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  async function linkedPair(prefix) {
+    const a = await callTool(client, 'memory_store', { name: `${prefix}-a`, type: 'service', content: 'a' });
+    const b = await callTool(client, 'memory_store', { name: `${prefix}-b`, type: 'schema', content: 'b' });
+    const relation = await callTool(client, 'memory_relate', { from_id: a.id, to_id: b.id, relation_type: 'has_schema' });
+    return { a, b, relation };
+  }
+
+  it('cascades relation deletes by default', async () => {
+    const { a, b } = await linkedPair('cascade');
+    const result = await callTool(client, 'memory_delete', { id: a.id });
+    assert.equal(result.deleted, true);
+    assert.equal(result.relations_deleted, 1);
+    assert.equal((await callTool(client, 'memory_get_relations', { entity_id: b.id })).count, 0);
+  });
+
+  it('refuses to delete a related memory with mode=restrict', async () => {
+    const { a, relation } = await linkedPair('restrict');
+    await assert.rejects(
+      callTool(client, 'memory_delete', { id: a.id, mode: 'restrict' }),
+      /1 relation\(s\) still reference it/
+    );
+    assert.equal((await callTool(client, 'memory_recall', { name_or_id: a.id })).found, true);
+
+    await callTool(client, 'memory_unrelate', { id: relation.id });
+    assert.equal((await callTool(client, 'memory_delete', { id: a.id, mode: 'restrict' })).deleted, true);
+  });
+
+  it('rejects relations to unknown or other-tenant memories', async () => {
+    const { id } = await callTool(client, 'memory_store', { name: 'lonely', type: 'note', content: 'x' });
+    await assert.rejects(
+      callTool(client, 'memory_relate', { from_id: id, to_id: 'missing', relation_type: 'knows' }),
+      /target memory missing does not exist/
+    );
+
+    const other = await server.connect({ 'X-Tenant-Id': 'integrity-other' });
+    const foreign = await callTool(other, 'memory_store', { name: 'foreign', type: 'note', content: 'y' });
+    await assert.rejects(
+      callTool(client, 'memory_relate', { from_id: foreign.id, to_id: id, relation_type: 'knows' }),
+      /source memory .* does not exist/
+    );
+  });
+
+  it('unrelates by endpoints and relation type', async () => {
+    const { a, b } = await linkedPair('unrelate');
+    await callTool(client, 'memory_relate', { from_id: a.id, to_id: b.id, relation_type: 'reads' });
+
+    const typed = await callTool(client, 'memory_unrelate', { from_id: a.id, to_id: b.id, relation_type: 'reads' });
+    assert.equal(typed.deleted, 1);
+    const remaining = await callTool(client, 'memory_get_relations', { entity_id: a.id });
+    assert.deepEqual(remaining.relations.map(r => r.relation_type), ['has_schema']);
+
+    await assert.rejects(callTool(client, 'memory_unrelate', { from_id: a.id }), /needs either id or both/);
+  });
+
+  it('updates a relation type and metadata', async () => {
+    const { a, relation } = await linkedPair('update');
+    const result = await callTool(client, 'memory_update_relation', {
+      id: relation.id,
+      relation_type: 'owns_schema',
+      metadata: { since: 2024 }
+    });
+    assert.equal(result.updated, true);
+
+    const [stored] = (await callTool(client, 'memory_get_relations', { entity_id: a.id })).relations;
+    assert.equal(stored.relation_type, 'owns_schema');
+    assert.deepEqual(JSON.parse(stored.metadata), { since: 2024 });
+    assert.equal((await callTool(client, 'memory_update_relation', { id: 'missing', relation_type: 'x' })).updated, false);
+  });
+
+  it('finds and removes orphaned relations left by older databases', async () => {
+    const db = openMemoryDb(':memory:');
+    const ctx = { db, tenant: 'default' };
+    try {
+      db.exec(`INSERT INTO entities (id, name, type) VALUES ('kept', 'kept', 'note'), ('gone', 'gone', 'note')`);
+      db.pragma('foreign_keys = OFF');
+      db.exec(`
+        INSERT INTO relations (id, from_entity, to_entity, relation_type) VALUES
+          ('ok', 'kept', 'gone', 'links'), ('dangling', 'kept', 'ghost', 'links');
+        DELETE FROM entities WHERE id = 'gone';
+      `);
+      db.pragma('foreign_keys = ON');
+
+      const report = memoryRepairRelations(ctx, { dryRun: true });
+      assert.equal(report.orphaned, 2);
+      assert.equal(report.removed, 0);
+      assert.deepEqual(report.relations.map(r => r.missing_to), [true, true]);
+
+      const repaired = memoryRepairRelations(ctx);
+      assert.equal(repaired.removed, 2);
+      assert.equal(db.prepare(`SELECT COUNT(*) AS n FROM relations`).get().n, 0);
+      assert.deepEqual(db.pragma('foreign_key_check'), []);
+    } finally {
+      db.close();
+    }
+  });
+});
+
+describe('memory names and upsert', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('reports colliding names as ambiguous with every candidate', async () => {
+    const first = await callTool(client, 'memory_store', { name: 'users-table-schema', type: 'schema', content: 'v1' });
+    const second = await callTool(client, 'memory_store', { name: 'users-table-schema', type: 'note', content: 'v2' });
+
+    const recalled = await callTool(client, 'memory_recall', { name_or_id: 'users-table-schema' });
+    assert.equal(recalled.found, false);
+    assert.equal(recalled.ambiguous, true);
+    assert.deepEqual(recalled.candidates.map(c => c.id).sort(), [first.id, second.id].sort());
+
+    const narrowed = await callTool(client, 'memory_recall', { name_or_id: 'users-table-schema', type: 'note' });
+    assert.equal(narrowed.id, second.id);
+    assert.equal((await callTool(client, 'memory_recall', { name_or_id: first.id })).content, 'v1');
+
+    await assert.rejects(
+      callTool(client, 'memory_traverse', { start: 'users-table-schema' }),
+      /is ambiguous/
+    );
+  });
+
+  it('refuses duplicate names when asked to keep them unique', async () => {
+    await callTool(client, 'memory_store', { name: 'api-config', type: 'config', content: 'a' });
+    await assert.rejects(
+      callTool(client, 'memory_store', { name: 'api-config', type: 'config', content: 'b', unique: 'type' }),
+      /already exists as config .*use memory_upsert/
+    );
+
+    // Unique within a type still allows the name under another type
+    const other = await callTool(client, 'memory_store', { name: 'api-config', type: 'note', content: 'c', unique: 'type' });
+    assert.equal(other.created, true);
+    await assert.rejects(
+      callTool(client, 'memory_store', { name: 'api-config', type: 'code', content: 'd', unique: 'namespace' }),
+      /already exists/
+    );
+  });
+
+  it('upserts by name within a type', async () => {
+    const created = await callTool(client, 'memory_upsert', {
+      name: 'orders-schema', type: 'schema', content: 'v1', metadata: { rev: 1 }
+    });
+    assert.equal(created.created, true);
+
+    const updated = await callTool(client, 'memory_upsert', { name: 'orders-schema', type: 'schema', content: 'v2' });
+    assert.deepEqual(updated, { id: created.id, name: 'orders-schema', type: 'schema', created: false, updated: true });
+
+    const recalled = await callTool(client, 'memory_recall', { name_or_id: 'orders-schema' });
+    assert.equal(recalled.content, 'v2');
+    assert.deepEqual(recalled.metadata, { rev: 1 });
+    assert.equal((await callTool(client, 'memory_history', { id: created.id })).count, 2);
+
+    // A different type is a different memory unless matching across the namespace
+    const separate = await callTool(client, 'memory_upsert', { name: 'orders-schema', type: 'note', content: 'x' });
+    assert.equal(separate.created, true);
+    await assert.rejects(
+      callTool(client, 'memory_upsert', { name: 'orders-schema', type: 'schema', content: 'y', match_by: 'namespace' }),
+      /is ambiguous: 2 matches/
+    );
+  });
+
+  it('keeps metadata when updating without it', async () => {
+    const { id } = await callTool(client, 'memory_store', { name: 'tagged', type: 'note', content: 'a', metadata: { tag: 'x' } });
+    await callTool(client, 'memory_update', { id, content: 'b' });
+    assert.deepEqual((await callTool(client, 'memory_recall', { name_or_id: id })).metadata, { tag: 'x' });
+  });
+});
+
+describe('memory_search', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+    const memories = [
+      ['users-table-schema', 'schema', 'CREATE TABLE users (id uuid primary key, email text unique)'],
+      ['orders-table-schema', 'schema', 'CREATE TABLE orders (id uuid, user_id uuid references users)'],
+      ['deploy-notes', 'note', 'Deployed the api service to Railway after fixing the users endpoint'],
+      ['billing-config', 'config', 'Stripe webhook secret rotates monthly']
+    ];
+    for (const [name, type, content] of memories) {
+      await callTool(client, 'memory_store', { name, type, content });
+    }
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('ranks name matches above content-only matches', async () => {
+    const result = await callTool(client, 'memory_search', { query: 'users' });
+    assert.equal(result.total, 3);
+    assert.equal(result.entities[0].name, 'users-table-schema');
+    assert.ok(result.entities[0].score >= result.entities[1].score);
+  });
+
+  it('requires every word by default and any word with match=any', async () => {
+    const all = await callTool(client, 'memory_search', { query: 'railway users' });
+    assert.deepEqual(all.entities.map(e => e.name), ['deploy-notes']);
+
+    const any = await callTool(client, 'memory_search', { query: 'stripe orders', match: 'any' });
+    assert.deepEqual(any.entities.map(e => e.name).sort(), ['billing-config', 'orders-table-schema']);
+  });
+
+  it('supports phrases and prefixes', async () => {
+    const phrase = await callTool(client, 'memory_search', { query: '"email text unique"' });
+    assert.deepEqual(phrase.entities.map(e => e.name), ['users-table-schema']);
+
+    const prefix = await callTool(client, 'memory_search', { query: 'webho*' });
+    assert.deepEqual(prefix.entities.map(e => e.name), ['billing-config']);
+  });
+
+  it('returns highlighted snippets', async () => {
+    const result = await callTool(client, 'memory_search', { query: 'stripe' });
+    assert.match(result.entities[0].snippet, /\*\*Stripe\*\* webhook/);
+  });
+
+  it('paginates with limit and offset', async () => {
+    const first = await callTool(client, 'memory_search', { query: 'users', limit: 2 });
+    assert.equal(first.count, 2);
+    assert.equal(first.next_offset, 2);
+
+    const second = await callTool(client, 'memory_search', { query: 'users', limit: 2, offset: first.next_offset });
+    assert.equal(second.count, 1);
+    assert.equal(second.next_offset, null);
+    const names = [...first.entities, ...second.entities].map(e => e.name);
+    assert.equal(new Set(names).size, 3);
+  });
+
+  it('treats FTS syntax in the query as plain text', async () => {
+    const result = await callTool(client, 'memory_search', { query: 'users) OR (NEAR "' });
+    assert.equal(result.total, 0);
+    assert.equal(buildSearchQuery('a "b c" d*'), '"a" "b c" "d"*');
+  });
+
+  it('reflects updates and deletes in the index', async () => {
+    const { id } = await callTool(client, 'memory_store', { name: 'scratch', type: 'note', content: 'kumquat' });
+    await callTool(client, 'memory_update', { id, content: 'persimmon' });
+    assert.equal((await callTool(client, 'memory_search', { query: 'kumquat' })).total, 0);
+    assert.equal((await callTool(client, 'memory_search', { query: 'persimmon' })).total, 1);
+
+    await callTool(client, 'memory_delete', { id });
+    assert.equal((await callTool(client, 'memory_search', { query: 'persimmon' })).total, 0);
+  });
+
+  it('backfills the index for databases created before it existed', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vocal-bridge-fts-'));
+    const dbPath = path.join(dir, 'memory.db');
+    const legacy = new Database(dbPath);
+    legacy.exec(`
+      CREATE TABLE entities (id TEXT PRIMARY KEY, name TEXT NOT NULL, type TEXT NOT NULL, content TEXT,
+        metadata TEXT, created_at TEXT DEFAULT CURRENT_TIMESTAMP, updated_at TEXT DEFAULT CURRENT_TIMESTAMP);
+      INSERT INTO entities (id, name, type, content) VALUES ('legacy-1', 'old-memory', 'note', 'written before fts');
+    `);
+    legacy.close();
+
+    const db = openMemoryDb(dbPath);
+    try {
+      const result = memorySearch({ db, tenant: 'default' }, 'fts');
+      assert.deepEqual(result.entities.map(e => e.id), ['legacy-1']);
+    } finally {
+      db.close();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('memory_semantic_search', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+    const memories = [
+      ['users-table-schema', 'schema', 'CREATE TABLE users (id uuid primary key, email text unique)'],
+      ['deploy-runbook', 'note', 'Deploying the api: push to main, Railway builds and promotes the service'],
+      ['billing-config', 'config', 'Stripe webhook secret rotates monthly']
+    ];
+    for (const [name, type, content] of memories) {
+      await callTool(client, 'memory_store', { name, type, content });
+    }
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('finds memories from a paraphrase', async () => {
+    const result = await callTool(client, 'memory_semantic_search', { query: 'the thing about the users table' });
+    assert.equal(result.mode, 'semantic');
+    assert.equal(result.entities[0].name, 'users-table-schema');
+    assert.ok(result.entities[0].similarity > 0);
+  });
+
+  it('embeds lazily and only re-embeds changed memories', async () => {
+    const { id } = await callTool(client, 'memory_store', { name: 'late', type: 'note', content: 'how we deployed it' });
+    const first = await callTool(client, 'memory_semantic_search', { query: 'deploy' });
+    assert.equal(first.embedded, 1);
+
+    const second = await callTool(client, 'memory_semantic_search', { query: 'deploy' });
+    assert.equal(second.embedded, 0);
+
+    await callTool(client, 'memory_update', { id, content: 'how we rolled back' });
+    const third = await callTool(client, 'memory_semantic_search', { query: 'deploy' });
+    assert.equal(third.embedded, 1);
+  });
+
+  it('combines keyword and semantic ranks in hybrid mode', async () => {
+    const result = await callTool(client, 'memory_semantic_search', { query: 'stripe webhooks', mode: 'hybrid' });
+    assert.equal(result.entities[0].name, 'billing-config');
+    assert.equal(result.entities[0].keyword_rank, 1);
+    assert.ok(result.entities[0].similarity > 0);
+  });
+
+  it('filters by type and minimum score', async () => {
+    const typed = await callTool(client, 'memory_semantic_search', { query: 'users table', type: 'config' });
+    assert.ok(typed.entities.every(e => e.type === 'config'));
+
+    const strict = await callTool(client, 'memory_semantic_search', { query: 'users table', min_score: 0.99 });
+    assert.equal(strict.count, 0);
+  });
+});
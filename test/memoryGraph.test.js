@@ -0,0 +1,123 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, callTool } from './helpers.js';
+
+// project -has_service-> api -has_schema-> public -has_table-> users
+//                                                 -has_table-> orders -references-> users
+//                        api -depends_on-> postgres
+//                        worker -depends_on-> postgres
+describe('memory graph traversal', () => {
+  let server;
+  let client;
+  const ids = {};
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+    for (const [name, type] of [
+      ['project', 'project'], ['api', 'service'], ['worker', 'service'], ['public', 'schema'],
+      ['users', 'table'], ['orders', 'table'], ['postgres', 'database']
+    ]) {
+      ids[name] = (await callTool(client, 'memory_store', { name, type, content: `${type} ${name}` })).id;
+    }
+    for (const [from, type, to] of [
+      ['project', 'has_service', 'api'], ['api', 'has_schema', 'public'], ['public', 'has_table', 'users'],
+      ['public', 'has_table', 'orders'], ['orders', 'references', 'users'], ['api', 'depends_on', 'postgres'],
+      ['worker', 'depends_on', 'postgres']
+    ]) {
+      await callTool(client, 'memory_relate', { from_id: ids[from], to_id: ids[to], relation_type: type });
+    }
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('walks outgoing relations breadth-first with depths and paths', async () => {
+    const result = await callTool(client, 'memory_traverse', { start: 'project', max_depth: 5 });
+    const byName = Object.fromEntries(result.nodes.map(n => [n.name, n]));
+
+    assert.deepEqual(Object.keys(byName).sort(), ['api', 'orders', 'postgres', 'project', 'public', 'users']);
+    assert.equal(byName.project.depth, 0);
+    assert.equal(byName.api.depth, 1);
+    // users is reachable at depth 3 (via public) and 4 (via orders); BFS keeps the shorter one
+    assert.equal(byName.users.depth, 3);
+    assert.deepEqual(byName.users.path, [ids.project, ids.api, ids.public, ids.users]);
+    assert.equal(byName.users.via.relation_type, 'has_table');
+    assert.deepEqual(result.nodes.map(n => n.depth), [...result.nodes.map(n => n.depth)].sort((a, b) => a - b));
+  });
+
+  it('respects the depth limit', async () => {
+    const result = await callTool(client, 'memory_traverse', { start: 'project', max_depth: 1 });
+    assert.deepEqual(result.nodes.map(n => n.name), ['project', 'api']);
+  });
+
+  it('filters by relation type', async () => {
+    const result = await callTool(client, 'memory_traverse', { start: 'api', relation_types: ['depends_on'] });
+    assert.deepEqual(result.nodes.map(n => n.name), ['api', 'postgres']);
+  });
+
+  it('follows incoming and both directions', async () => {
+    const incoming = await callTool(client, 'memory_traverse', { start: 'postgres', direction: 'in' });
+    assert.deepEqual(incoming.nodes.map(n => n.name).sort(), ['api', 'postgres', 'project', 'worker']);
+    assert.ok(incoming.nodes.filter(n => n.depth > 0).every(n => n.via.direction === 'in'));
+
+    const both = await callTool(client, 'memory_traverse', { start: 'worker', direction: 'both', max_depth: 2 });
+    assert.deepEqual(both.nodes.map(n => n.name).sort(), ['api', 'postgres', 'worker']);
+  });
+
+  it('goes deep first with strategy=dfs', async () => {
+    const result = await callTool(client, 'memory_traverse', { start: 'project', strategy: 'dfs', max_depth: 5 });
+    assert.equal(result.strategy, 'dfs');
+    assert.equal(result.nodes.length, 6);
+    // Every node is discovered after the node it was reached from
+    const order = result.nodes.map(n => n.id);
+    for (const node of result.nodes.slice(1)) {
+      assert.ok(order.indexOf(node.path[node.path.length - 2]) < order.indexOf(node.id));
+    }
+  });
+
+  it('finds the shortest path between two entities', async () => {
+    const result = await callTool(client, 'memory_shortest_path', { from: 'worker', to: 'users' });
+    assert.equal(result.found, true);
+    assert.equal(result.length, 4);
+    assert.deepEqual(result.nodes.map(n => n.name), ['worker', 'postgres', 'api', 'public', 'users']);
+    assert.deepEqual(result.relations.map(r => r.relation_type), ['depends_on', 'depends_on', 'has_schema', 'has_table']);
+
+    assert.equal(result.truncated, false);
+
+    const directed = await callTool(client, 'memory_shortest_path', { from: 'worker', to: 'users', direction: 'out' });
+    assert.equal(directed.found, false);
+    assert.equal(directed.truncated, false);
+  });
+
+  it('says when a shortest-path search was cut off by the row limit', async () => {
+    // Every pair in a 9-entity clique is related, so paths outnumber the row limit long before max_depth
+    const dense = await server.connect({ 'X-Tenant-Id': 'dense' });
+    const clique = [];
+    for (let i = 0; i < 9; i++) {
+      clique.push((await callTool(dense, 'memory_store', { name: `node-${i}`, type: 'node', content: `node ${i}` })).id);
+    }
+    for (const from of clique) {
+      for (const to of clique.filter(id => id !== from)) {
+        await callTool(dense, 'memory_relate', { from_id: from, to_id: to, relation_type: 'linked' });
+      }
+    }
+    await callTool(dense, 'memory_store', { name: 'island', type: 'node', content: 'unrelated' });
+
+    const result = await callTool(dense, 'memory_shortest_path', { from: 'node-0', to: 'island' });
+    assert.equal(result.found, false);
+    assert.equal(result.truncated, true);
+  });
+
+  it('exports a subgraph with content and internal edges', async () => {
+    const result = await callTool(client, 'memory_subgraph', { start: 'public', direction: 'out' });
+    assert.deepEqual(result.nodes.map(n => n.name).sort(), ['orders', 'public', 'users']);
+    assert.equal(result.nodes.find(n => n.name === 'users').content, 'table users');
+    assert.deepEqual(result.edges.map(e => e.relation_type).sort(), ['has_table', 'has_table', 'references']);
+  });
+
+  it('reports unknown start entities', async () => {
+    await assert.rejects(callTool(client, 'memory_traverse', { start: 'nowhere' }), /Memory not found: nowhere/);
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { startTestServer, callTool } from './helpers.js';
+import { openMemoryDb } from '../src/memory.js';
+import { memoryHistory, purgeDeletedMemories } from '../src/memoryHistory.js';
+
+describe('memory history', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('records a version for every store and update', async () => {
+    const { id } = await callTool(client, 'memory_store', { name: 'db-config', type: 'config', content: 'host=a\nport=5432\n' });
+    await callTool(client, 'memory_update', { id, content: 'host=b\nport=5432\n', metadata: { env: 'prod' } });
+
+    const history = await callTool(client, 'memory_history', { id });
+    assert.deepEqual(history.versions.map(v => [v.version, v.operation]), [[2, 'update'], [1, 'create']]);
+  });
+
+  it('diffs content and metadata between versions', async () => {
+    const { id } = await callTool(client, 'memory_store', {
+      name: 'users-schema', type: 'schema', content: 'id uuid\nemail text\n', metadata: { owner: 'a' }
+    });
+    await callTool(client, 'memory_update', { id, content: 'id uuid\nemail citext\n', metadata: { owner: 'b', pii: true } });
+
+    const diff = await callTool(client, 'memory_diff', { id });
+    assert.equal(diff.from_version, 1);
+    assert.equal(diff.to_version, 2);
+    assert.equal(diff.identical, false);
+    assert.match(diff.content_diff, /^-email text$/m);
+    assert.match(diff.content_diff, /^\+email citext$/m);
+    assert.deepEqual(diff.metadata, { added: { pii: true }, removed: {}, changed: { owner: { from: 'a', to: 'b' } } });
+  });
+
+  it('reverts to an earlier version as a new version', async () => {
+    const { id } = await callTool(client, 'memory_store', { name: 'feature-flags', type: 'config', content: 'good' });
+    await callTool(client, 'memory_update', { id, content: 'corrupted' });
+
+    const reverted = await callTool(client, 'memory_revert', { id, version: 1 });
+    assert.deepEqual(reverted, { id, reverted_to: 1, version: 3 });
+    assert.equal((await callTool(client, 'memory_recall', { name_or_id: id })).content, 'good');
+    assert.equal((await callTool(client, 'memory_diff', { id, from_version: 1, to_version: 3 })).identical, true);
+
+    await assert.rejects(callTool(client, 'memory_revert', { id, version: 9 }), /has no version 9/);
+  });
+
+  it('soft-deletes and restores a memory with its relations', async () => {
+    const a = await callTool(client, 'memory_store', { name: 'svc', type: 'service', content: 'a' });
+    const b = await callTool(client, 'memory_store', { name: 'svc-db', type: 'database', content: 'b' });
+    await callTool(client, 'memory_relate', { from_id: a.id, to_id: b.id, relation_type: 'depends_on' });
+
+    const deleted = await callTool(client, 'memory_delete', { id: b.id });
+    assert.equal(deleted.deleted, true);
+    assert.ok(deleted.restorable_until);
+    assert.equal((await callTool(client, 'memory_recall', { name_or_id: 'svc-db' })).found, false);
+    assert.equal((await callTool(client, 'memory_get_relations', { entity_id: a.id })).count, 0);
+    assert.equal((await callTool(client, 'memory_search', { query: 'svc' })).total, 1);
+    await assert.rejects(callTool(client, 'memory_revert', { id: b.id, version: 1 }), /restore it first/);
+
+    assert.deepEqual(await callTool(client, 'memory_restore', { id: b.id }), { id: b.id, restored: true });
+    assert.equal((await callTool(client, 'memory_recall', { name_or_id: 'svc-db' })).found, true);
+    assert.equal((await callTool(client, 'memory_get_relations', { entity_id: a.id })).count, 1);
+
+    const history = await callTool(client, 'memory_history', { id: b.id });
+    assert.deepEqual(history.versions.map(v => v.operation), ['restore', 'delete', 'create']);
+    assert.deepEqual(await callTool(client, 'memory_restore', { id: b.id }), { id: b.id, restored: false });
+  });
+
+  it('refuses to restore outside the retention window', async () => {
+    const { id } = await callTool(client, 'memory_store', { name: 'old-note', type: 'note', content: 'x' });
+    await callTool(client, 'memory_delete', { id });
+    server.db.prepare(`UPDATE entities SET deleted_at = datetime('now', '-45 days') WHERE id = ?`).run(id);
+
+    await assert.rejects(callTool(client, 'memory_restore', { id }), /outside the 30-day retention window/);
+  });
+
+  it('reports unknown memories', async () => {
+    await assert.rejects(callTool(client, 'memory_history', { id: 'missing' }), /Memory not found: missing/);
+  });
+});
+
+describe('purgeDeletedMemories', () => {
+  it('removes expired memories with their relations and history', () => {
+    const db = openMemoryDb(':memory:');
+    try {
+      db.exec(`
+        INSERT INTO entities (id, name, type, deleted_at) VALUES
+          ('live', 'live', 'note', NULL),
+          ('recent', 'recent', 'note', datetime('now', '-1 days')),
+          ('expired', 'expired', 'note', datetime('now', '-40 days'));
+        INSERT INTO relations (id, from_entity, to_entity, relation_type) VALUES ('r1', 'live', 'expired', 'links');
+        INSERT INTO entity_versions (entity_id, tenant, version, operation, name, type)
+          VALUES ('expired', 'default', 1, 'create', 'expired', 'note');
+      `);
+
+      assert.equal(purgeDeletedMemories(db, { retentionDays: 30 }), 1);
+      assert.deepEqual(db.prepare(`SELECT id FROM entities ORDER BY id`).all().map(r => r.id), ['live', 'recent']);
+      assert.equal(db.prepare(`SELECT COUNT(*) AS n FROM relations`).get().n, 0);
+      assert.equal(db.prepare(`SELECT COUNT(*) AS n FROM entity_versions WHERE entity_id = 'expired'`).get().n, 0);
+    } finally {
+      db.close();
+    }
+  });
+
+  it('backfills a first version for memories that predate history', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vocal-bridge-history-'));
+    const dbPath = path.join(dir, 'memory.db');
+    const legacy = openMemoryDb(dbPath);
+    // Roll the schema back to just before the history migration
+    legacy.exec(`
+      DROP TABLE entity_versions;
+      DELETE FROM schema_migrations WHERE version >= 5;
+      INSERT INTO entities (id, name, type, content) VALUES ('legacy', 'legacy', 'note', 'v0');
+    `);
+    legacy.close();
+
+    const db = openMemoryDb(dbPath);
+    try {
+      const history = memoryHistory({ db, tenant: 'default' }, 'legacy');
+      assert.deepEqual(history.versions.map(v => [v.version, v.operation]), [[1, 'create']]);
+    } finally {
+      db.close();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, callTool } from './helpers.js';
+import { entityFilters } from '../src/memoryQuery.js';
+import { loadApiKeys } from '../src/auth.js';
+
+describe('memory metadata queries', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+    const memories = [
+      ['users-table', 'schema', { owner: 'alice', priority: 3, tags: ['db', 'pii'], deploy: { region: 'eu' } }],
+      ['orders-table', 'schema', { owner: 'bob', priority: 1, tags: ['db'] }],
+      ['api-service', 'service', { owner: 'alice', priority: 5, archived: true }],
+      ['billing-notes', 'note', { owner: null, priority: 2 }]
+    ];
+    for (const [name, type, metadata] of memories) {
+      await callTool(client, 'memory_store', { name, type, content: `${name} table notes`, metadata });
+    }
+    // Spread the timestamps out so date ranges and date sorts are meaningful
+    const days = { 'users-table': 10, 'orders-table': 5, 'api-service': 2, 'billing-notes': 1 };
+    for (const [name, ago] of Object.entries(days)) {
+      server.db.prepare(`
+        UPDATE entities SET created_at = datetime('now', ?), updated_at = datetime('now', ?) WHERE name = ?
+      `).run(`-${ago} days`, `-${ago} days`, name);
+    }
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const names = (result) => result.entities.map(e => e.name);
+
+  it('filters by equality, nested keys and null', async () => {
+    assert.deepEqual(names(await callTool(client, 'memory_list', { metadata: { owner: 'alice' }, sort: 'name' })),
+      ['api-service', 'users-table']);
+    assert.deepEqual(names(await callTool(client, 'memory_list', { metadata: { 'deploy.region': 'eu' } })), ['users-table']);
+    assert.deepEqual(names(await callTool(client, 'memory_list', { metadata: { owner: null } })), ['billing-notes']);
+    assert.deepEqual(names(await callTool(client, 'memory_list', { metadata: { archived: true } })), ['api-service']);
+  });
+
+  it('supports exists, ranges and array contains', async () => {
+    assert.deepEqual(names(await callTool(client, 'memory_list', { metadata: { archived: { exists: false } }, sort: 'name' })),
+      ['billing-notes', 'orders-table', 'users-table']);
+    assert.deepEqual(names(await callTool(client, 'memory_list', { metadata: { priority: { gte: 2, lt: 5 } }, sort: 'name' })),
+      ['billing-notes', 'users-table']);
+    assert.deepEqual(names(await callTool(client, 'memory_list', { metadata: { tags: { contains: 'db' } }, sort: 'name' })),
+      ['orders-table', 'users-table']);
+    assert.deepEqual(names(await callTool(client, 'memory_list', { metadata: { owner: { ne: 'alice' } }, sort: 'name' })),
+      ['billing-notes', 'orders-table']);
+  });
+
+  it('filters by date range and sorts', async () => {
+    const since = new Date(Date.now() - 6 * 86400000).toISOString();
+    const until = new Date(Date.now() - 1.5 * 86400000).toISOString();
+    const recent = await callTool(client, 'memory_list', { created_after: since, created_before: until });
+    assert.deepEqual(names(recent), ['api-service', 'orders-table']);
+
+    const oldestFirst = await callTool(client, 'memory_list', { sort: 'created_at', order: 'asc' });
+    assert.deepEqual(names(oldestFirst), ['users-table', 'orders-table', 'api-service', 'billing-notes']);
+  });
+
+  it('pages through memory_list with a cursor', async () => {
+    const seen = [];
+    let cursor;
+    do {
+      const page = await callTool(client, 'memory_list', { sort: 'name', limit: 3, ...(cursor ? { cursor } : {}) });
+      seen.push(...names(page));
+      cursor = page.next_cursor;
+    } while (cursor);
+    assert.deepEqual(seen, ['api-service', 'billing-notes', 'orders-table', 'users-table']);
+  });
+
+  it('applies filters and cursors to memory_search', async () => {
+    const filtered = await callTool(client, 'memory_search', { query: 'table', metadata: { owner: 'alice' }, type: 'schema' });
+    assert.deepEqual(names(filtered), ['users-table']);
+
+    const first = await callTool(client, 'memory_search', { query: 'notes', sort: 'updated_at', limit: 2 });
+    assert.deepEqual(names(first), ['billing-notes', 'api-service']);
+    const second = await callTool(client, 'memory_search', { query: 'notes', sort: 'updated_at', limit: 2, cursor: first.next_cursor });
+    assert.deepEqual(names(second), ['orders-table', 'users-table']);
+    assert.equal(second.next_cursor, null);
+
+    const byRelevance = await callTool(client, 'memory_search', { query: 'notes', limit: 3 });
+    const rest = await callTool(client, 'memory_search', { query: 'notes', limit: 3, cursor: byRelevance.next_cursor });
+    assert.equal(new Set([...names(byRelevance), ...names(rest)]).size, 4);
+  });
+
+  it('rejects bad keys, operators and cursors', async () => {
+    await assert.rejects(callTool(client, 'memory_list', { metadata: { "x') OR 1=1 --": 1 } }), /Invalid metadata key/);
+    await assert.rejects(callTool(client, 'memory_list', { metadata: { priority: { like: 1 } } }), /Unknown metadata operator "like"/);
+    await assert.rejects(callTool(client, 'memory_list', { cursor: 'garbage' }), /Invalid cursor/);
+    await assert.rejects(callTool(client, 'memory_list', { created_after: 'yesterday-ish' }), /Invalid createdAfter/);
+  });
+
+  it('creates expression indexes the planner uses', async () => {
+    const created = await callTool(client, 'memory_metadata_index', { action: 'create', key: 'owner' });
+    assert.deepEqual(created.indexes.map(i => i.key), ['owner']);
+
+    const { clauses, params } = entityFilters('e', { metadata: { owner: 'alice' } });
+    const plan = server.db.prepare(`
+      EXPLAIN QUERY PLAN SELECT * FROM entities e WHERE e.tenant = ? AND ${clauses.join(' AND ')}
+    `).all('default', ...params);
+    assert.match(plan.map(p => p.detail).join('\n'), /USING INDEX idx_entities_meta_owner/);
+
+    const dropped = await callTool(client, 'memory_metadata_index', { action: 'drop', key: 'owner' });
+    assert.equal(dropped.count, 0);
+  });
+});
+
+describe('memory metadata indexes with API keys', () => {
+  let server;
+  let ops;
+  let root;
+
+  before(async () => {
+    process.env.MEMORY_METADATA_INDEXES = 'team';
+    server = await startTestServer({
+      apiKeys: loadApiKeys({ MCP_API_KEYS: 'ops:sk-ops:memory;root:sk-root:memory,admin' })
+    });
+    ops = await server.connect({ Authorization: 'Bearer sk-ops' });
+    root = await server.connect({ Authorization: 'Bearer sk-root' });
+    await callTool(ops, 'memory_store', { name: 'runbook', type: 'note', content: 'ops runbook', metadata: { owner: 'ops' } });
+    await callTool(root, 'memory_store', { name: 'merger', type: 'note', content: 'confidential', metadata: { acquisition_target: 'acme' } });
+  });
+
+  after(async () => {
+    delete process.env.MEMORY_METADATA_INDEXES;
+    await server.close();
+  });
+
+  it('only lets admins create and drop the shared indexes', async () => {
+    await assert.rejects(callTool(ops, 'memory_metadata_index', { action: 'create', key: 'owner' }), /needs the admin scope/);
+    await assert.rejects(callTool(ops, 'memory_metadata_index', { action: 'drop', key: 'team' }), /needs the admin scope/);
+
+    await callTool(root, 'memory_metadata_index', { action: 'create', key: 'owner' });
+    const all = await callTool(root, 'memory_metadata_index', { action: 'create', key: 'acquisition_target' });
+    assert.deepEqual(all.indexes.map(i => i.key).sort(), ['acquisition_target', 'owner', 'team']);
+  });
+
+  it('never drops configured indexes', async () => {
+    await assert.rejects(
+      callTool(root, 'memory_metadata_index', { action: 'drop', key: 'team' }),
+      /comes from MEMORY_METADATA_INDEXES and can't be dropped/
+    );
+    const { indexes } = await callTool(root, 'memory_metadata_index', {});
+    assert.ok(indexes.some(i => i.key === 'team'));
+  });
+
+  it("lists only keys the caller's tenant uses", async () => {
+    const listed = await callTool(ops, 'memory_metadata_index', {});
+    assert.deepEqual(listed.indexes.map(i => i.key), ['owner']);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, callTool } from './helpers.js';
+import {
+  parseDuration,
+  parseRetentionPolicies,
+  sweepExpiredMemories,
+  compactMemoryDb
+} from '../src/memoryRetention.js';
+import { openMemoryDb } from '../src/memory.js';
+import { loadApiKeys } from '../src/auth.js';
+import { LATEST_VERSION } from '../src/migrations/index.js';
+
+describe('memory expiry', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const backdate = (id, column, modifier) =>
+    server.db.prepare(`UPDATE entities SET ${column} = datetime('now', ?) WHERE id = ?`).run(modifier, id);
+
+  it('stores an expiry from ttl_seconds or expires_at', async () => {
+    const ttl = await callTool(client, 'memory_store', { name: 'scratch-1', type: 'scratch', content: 'x', ttl_seconds: 3600 });
+    const expected = Date.now() + 3600 * 1000;
+    assert.ok(Math.abs(Date.parse(ttl.expires_at.replace(' ', 'T') + 'Z') - expected) < 5000);
+
+    const fixed = await callTool(client, 'memory_store', {
+      name: 'scratch-2', type: 'scratch', content: 'y', expires_at: '2030-01-02T03:04:05Z'
+    });
+    assert.equal(fixed.expires_at, '2030-01-02 03:04:05');
+    assert.equal((await callTool(client, 'memory_recall', { name_or_id: fixed.id })).expires_at, '2030-01-02 03:04:05');
+
+    await assert.rejects(
+      callTool(client, 'memory_store', { name: 'bad', type: 'scratch', content: 'z', ttl_seconds: -5 }),
+      /Invalid ttl_seconds/
+    );
+  });
+
+  it('changes or clears the expiry on update and keeps it otherwise', async () => {
+    const { id } = await callTool(client, 'memory_store', { name: 'temp', type: 'note', content: 'a', ttl_seconds: 60 });
+    const before = (await callTool(client, 'memory_recall', { name_or_id: id })).expires_at;
+
+    await callTool(client, 'memory_update', { id, content: 'b' });
+    assert.equal((await callTool(client, 'memory_recall', { name_or_id: id })).expires_at, before);
+
+    await callTool(client, 'memory_update', { id, content: 'c', expires_at: null });
+    assert.equal((await callTool(client, 'memory_recall', { name_or_id: id })).expires_at, null);
+  });
+
+  it('sweeps expired memories and their relations', async () => {
+    const doomed = await callTool(client, 'memory_store', { name: 'call-transcript', type: 'scratch', content: 'x', ttl_seconds: 60 });
+    const keeper = await callTool(client, 'memory_store', { name: 'customer', type: 'person', content: 'y' });
+    await callTool(client, 'memory_relate', { from_id: keeper.id, to_id: doomed.id, relation_type: 'said' });
+    backdate(doomed.id, 'expires_at', '-1 seconds');
+
+    const result = sweepExpiredMemories(server.db, { policies: {} });
+    assert.ok(result.expired >= 1);
+    assert.equal((await callTool(client, 'memory_recall', { name_or_id: doomed.id })).found, false);
+    assert.equal((await callTool(client, 'memory_get_relations', { entity_id: keeper.id })).count, 0);
+    assert.equal((await callTool(client, 'memory_recall', { name_or_id: keeper.id })).found, true);
+  });
+
+  it('applies per-type retention to memories without their own expiry', async () => {
+    const stale = await callTool(client, 'memory_store', { name: 'old-scratch', type: 'draft', content: 'x' });
+    const fresh = await callTool(client, 'memory_store', { name: 'new-scratch', type: 'draft', content: 'y' });
+    const pinned = await callTool(client, 'memory_store', { name: 'pinned', type: 'draft', content: 'z', expires_at: '2099-01-01' });
+    const otherType = await callTool(client, 'memory_store', { name: 'old-note', type: 'note', content: 'w' });
+    for (const { id } of [stale, pinned, otherType]) backdate(id, 'updated_at', '-2 hours');
+
+    const result = sweepExpiredMemories(server.db, { policies: { draft: 3600 } });
+    assert.equal(result.retained, 1);
+    const live = async (id) => (await callTool(client, 'memory_recall', { name_or_id: id })).found;
+    assert.equal(await live(stale.id), false);
+    assert.equal(await live(fresh.id), true);
+    assert.equal(await live(pinned.id), true);
+    assert.equal(await live(otherType.id), true);
+  });
+
+  it('reports stats per type with the next expiry', async () => {
+    const stats = await callTool(client, 'memory_stats');
+    assert.equal(stats.tenant, 'default');
+    const scratch = stats.types.find(t => t.type === 'scratch');
+    assert.equal(scratch.count, 2);
+    assert.equal(scratch.expiring, 2);
+    assert.equal(stats.next_expiry.name, 'scratch-1');
+    assert.ok(stats.database.bytes > 0);
+    assert.equal(stats.database.schema_version, LATEST_VERSION);
+    assert.equal(stats.entities, stats.types.reduce((sum, t) => sum + t.count, 0));
+  });
+
+  it('shows the shared database size to admin keys only', async () => {
+    const keyed = await startTestServer({
+      apiKeys: loadApiKeys({ MCP_API_KEYS: 'ops:sk-ops:memory;root:sk-root:memory,admin' })
+    });
+    try {
+      const ops = await keyed.connect({ Authorization: 'Bearer sk-ops' });
+      const root = await keyed.connect({ Authorization: 'Bearer sk-root' });
+      assert.deepEqual((await callTool(ops, 'memory_stats')).database, { schema_version: LATEST_VERSION });
+      assert.ok((await callTool(root, 'memory_stats')).database.bytes > 0);
+    } finally {
+      await keyed.close();
+    }
+  });
+});
+
+describe('retention configuration', () => {
+  it('parses durations and policies', () => {
+    assert.equal(parseDuration('90'), 90);
+    assert.equal(parseDuration('15m'), 900);
+    assert.equal(parseDuration('7d'), 604800);
+    assert.throws(() => parseDuration('soon'), /Invalid duration/);
+    assert.deepEqual(parseRetentionPolicies('scratch:1h, transcript:2d'), { scratch: 3600, transcript: 172800 });
+    assert.deepEqual(parseRetentionPolicies(''), {});
+    assert.throws(() => parseRetentionPolicies('scratch'), /expected type:duration/);
+  });
+
+  it('compacts the database once enough of it is free', () => {
+    const db = openMemoryDb(':memory:');
+    try {
+      const insert = db.prepare(`INSERT INTO entities (id, name, type, content) VALUES (?, ?, 'bulk', ?)`);
+      db.transaction(() => {
+        for (let i = 0; i < 500; i++) insert.run(`bulk-${i}`, `bulk-${i}`, 'x'.repeat(2000));
+      })();
+      assert.equal(compactMemoryDb(db).compacted, false);
+
+      db.prepare(`UPDATE entities SET expires_at = datetime('now', '-1 seconds')`).run();
+      assert.equal(sweepExpiredMemories(db, { policies: {} }).expired, 500);
+      const result = compactMemoryDb(db);
+      assert.equal(result.compacted, true);
+      assert.ok(result.reclaimed_bytes > 500 * 1000);
+    } finally {
+      db.close();
+    }
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, callTool } from './helpers.js';
+import { loadApiKeys } from '../src/auth.js';
+
+describe('memory import/export', () => {
+  let server;
+  let client;
+  const ids = {};
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect({ 'X-Tenant-Id': 'source' });
+    for (const [name, type, content] of [
+      ['api', 'service', 'Express API'],
+      ['users', 'table', 'id uuid, email text'],
+      ['orders', 'table', 'id uuid, user_id uuid']
+    ]) {
+      ids[name] = (await callTool(client, 'memory_store', { name, type, content, metadata: { origin: 'seed' } })).id;
+    }
+    await callTool(client, 'memory_relate', { from_id: ids.api, to_id: ids.users, relation_type: 'reads' });
+    await callTool(client, 'memory_relate', { from_id: ids.orders, to_id: ids.users, relation_type: 'references' });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('exports entities and relations as JSON Lines', async () => {
+    const result = await callTool(client, 'memory_export', {});
+    assert.equal(result.entity_count, 3);
+    assert.equal(result.relation_count, 2);
+
+    const lines = result.data.trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(lines[0].kind, 'header');
+    assert.equal(lines[0].tenant, 'source');
+    assert.deepEqual(lines.filter(l => l.kind === 'entity').map(l => l.name).sort(), ['api', 'orders', 'users']);
+    assert.deepEqual(lines.find(l => l.kind === 'entity').metadata, { origin: 'seed' });
+  });
+
+  it('renders GraphML and DOT with escaping', async () => {
+    await callTool(client, 'memory_store', { name: 'quote "&" <tag>', type: 'note', content: 'x' });
+
+    const graphml = await callTool(client, 'memory_export', { format: 'graphml' });
+    assert.match(graphml.data, /<graphml xmlns="http:\/\/graphml.graphdrawing.org\/xmlns">/);
+    assert.match(graphml.data, new RegExp(`<edge id="[^"]+" source="${ids.api}" target="${ids.users}"><data key="relation_type">reads</data>`));
+    assert.match(graphml.data, /quote &quot;&amp;&quot; &lt;tag&gt;/);
+
+    const dot = await callTool(client, 'memory_export', { format: 'dot', type: 'table' });
+    assert.equal(dot.entity_count, 2);
+    assert.match(dot.data, new RegExp(`"${ids.orders}" -> "${ids.users}" \\[label="references"\\];`));
+    assert.doesNotMatch(dot.data, /reads/);
+  });
+
+  it('round-trips into another tenant with ids and relations intact', async () => {
+    const { data } = await callTool(client, 'memory_export', { type: 'table' });
+    const other = await server.connect({ 'X-Tenant-Id': 'restore-target' });
+
+    // Ids are global, so a second tenant importing the same export gets fresh ones
+    const report = await callTool(other, 'memory_import', { data });
+    assert.deepEqual(report.entities, { created: 2, updated: 0, skipped: 0, renamed: 0 });
+    assert.deepEqual(report.relations, { created: 1, updated: 0, skipped: 0 });
+    const newUsers = report.id_map[ids.users];
+    assert.ok(newUsers);
+
+    const relations = await callTool(other, 'memory_get_relations', { entity_id: newUsers });
+    assert.equal(relations.count, 1);
+    assert.equal(relations.relations[0].from_name, 'orders');
+  });
+
+  it('keeps ids stable when restoring into the same tenant after a loss', async () => {
+    const { data } = await callTool(client, 'memory_export', {});
+    await callTool(client, 'memory_delete', { id: ids.orders });
+    server.db.prepare(`DELETE FROM relations WHERE from_entity = ?`).run(ids.orders);
+    server.db.prepare(`DELETE FROM entities WHERE id = ?`).run(ids.orders);
+
+    const report = await callTool(client, 'memory_import', { data });
+    assert.equal(report.entities.created, 1);
+    assert.equal(report.entities.skipped, 3);
+    assert.deepEqual(report.id_map, {});
+    assert.equal((await callTool(client, 'memory_recall', { name_or_id: ids.orders })).name, 'orders');
+    assert.equal((await callTool(client, 'memory_get_relations', { entity_id: ids.orders })).count, 1);
+  });
+
+  it('applies the overwrite and rename strategies on conflict', async () => {
+    const { data } = await callTool(client, 'memory_export', { type: 'service' });
+    await callTool(client, 'memory_update', { id: ids.api, content: 'changed locally' });
+
+    const overwritten = await callTool(client, 'memory_import', { data, strategy: 'overwrite' });
+    assert.equal(overwritten.entities.updated, 1);
+    assert.equal((await callTool(client, 'memory_recall', { name_or_id: ids.api })).content, 'Express API');
+    assert.equal((await callTool(client, 'memory_history', { id: ids.api })).versions[0].operation, 'import');
+
+    const renamed = await callTool(client, 'memory_import', { data, strategy: 'rename' });
+    assert.equal(renamed.entities.renamed, 1);
+    const copy = await callTool(client, 'memory_recall', { name_or_id: 'api (2)' });
+    assert.equal(copy.found, true);
+    assert.notEqual(copy.id, ids.api);
+  });
+
+  it('rejects malformed input without importing anything', async () => {
+    const data = [
+      JSON.stringify({ kind: 'entity', id: 'fresh-1', name: 'fresh', type: 'note', content: 'x' }),
+      '{not json'
+    ].join('\n');
+    await assert.rejects(callTool(client, 'memory_import', { data }), /Invalid JSON on line 2/);
+    assert.equal((await callTool(client, 'memory_recall', { name_or_id: 'fresh' })).found, false);
+    await assert.rejects(callTool(client, 'memory_import', { data: '', strategy: 'merge' }), /Invalid merge strategy/);
+  });
+
+  it('serves exports and accepts imports over HTTP', async () => {
+    const exported = await fetch(`${server.url}/memory/export?format=jsonl`, { headers: { 'X-Tenant-Id': 'source' } });
+    assert.equal(exported.status, 200);
+    assert.match(exported.headers.get('content-type'), /application\/x-ndjson/);
+    assert.match(exported.headers.get('content-disposition'), /memory-source\.jsonl/);
+    const body = await exported.text();
+
+    const imported = await fetch(`${server.url}/memory/import?strategy=skip`, {
+      method: 'POST',
+      headers: { 'X-Tenant-Id': 'http-target', 'Content-Type': 'application/x-ndjson' },
+      body
+    });
+    assert.equal(imported.status, 200);
+    const report = await imported.json();
+    assert.ok(report.entities.created >= 4);
+
+    const dot = await fetch(`${server.url}/memory/export?format=dot`, { headers: { 'X-Tenant-Id': 'http-target' } });
+    assert.match(await dot.text(), /^digraph "http-target" \{/);
+
+    const bad = await fetch(`${server.url}/memory/export?format=csv`);
+    assert.equal(bad.status, 400);
+  });
+});
+
+describe('memory backup routes with API keys', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({
+      apiKeys: loadApiKeys({ MCP_API_KEYS: 'ops:sk-ops:memory;files:sk-files:filesystem' })
+    });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('requires a key with the memory tools', async () => {
+    assert.equal((await fetch(`${server.url}/memory/export`)).status, 401);
+
+    const denied = await fetch(`${server.url}/memory/export`, { headers: { Authorization: 'Bearer sk-files' } });
+    assert.equal(denied.status, 403);
+
+    const allowed = await fetch(`${server.url}/memory/export`, { headers: { Authorization: 'Bearer sk-ops' } });
+    assert.equal(allowed.status, 200);
+    assert.match(await allowed.text(), /"tenant":"ops"/);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { openMemoryDb } from '../src/memory.js';
+import { MIGRATIONS, LATEST_VERSION, migrateDatabase, migrationStatus, schemaVersion } from '../src/migrations/index.js';
+
+const run = promisify(execFile);
+
+async function withTempDb(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vocal-bridge-migrations-'));
+  try {
+    return await fn(path.join(dir, 'memory.db'));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const columns = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+
+describe('schema migrations', () => {
+  it('builds a new database at the latest version', () => {
+    const db = openMemoryDb(':memory:');
+    try {
+      assert.equal(schemaVersion(db), LATEST_VERSION);
+      const status = migrationStatus(db);
+      assert.equal(status.pending, 0);
+      assert.deepEqual(status.migrations.map(m => m.name), MIGRATIONS.map(m => m.name));
+      assert.ok(status.migrations.every(m => m.status === 'applied' && m.applied_at));
+      assert.ok(columns(db, 'entities').includes('expires_at'));
+    } finally {
+      db.close();
+    }
+  });
+
+  it('upgrades a database created before migrations existed', async () => {
+    await withTempDb(async (dbPath) => {
+      const legacy = new Database(dbPath);
+      legacy.exec(`
+        CREATE TABLE entities (id TEXT PRIMARY KEY, name TEXT NOT NULL, type TEXT NOT NULL, content TEXT,
+          metadata TEXT, created_at TEXT DEFAULT CURRENT_TIMESTAMP, updated_at TEXT DEFAULT CURRENT_TIMESTAMP);
+        CREATE TABLE relations (id TEXT PRIMARY KEY, from_entity TEXT NOT NULL, to_entity TEXT NOT NULL,
+          relation_type TEXT NOT NULL, metadata TEXT, created_at TEXT DEFAULT CURRENT_TIMESTAMP);
+        INSERT INTO entities (id, name, type, content) VALUES ('old', 'old-memory', 'note', 'kept');
+      `);
+      legacy.close();
+
+      const db = openMemoryDb(dbPath);
+      try {
+        assert.equal(schemaVersion(db), LATEST_VERSION);
+        for (const column of ['tenant', 'deleted_at', 'expires_at']) {
+          assert.ok(columns(db, 'entities').includes(column), column);
+        }
+        assert.deepEqual(db.prepare(`SELECT id, tenant, content FROM entities`).all(), [
+          { id: 'old', tenant: 'default', content: 'kept' }
+        ]);
+        assert.equal(db.prepare(`SELECT COUNT(*) AS n FROM entity_versions`).get().n, 1);
+      } finally {
+        db.close();
+      }
+    });
+  });
+
+  it('adopts session tables a server created before they were migrated', () => {
+    const db = new Database(':memory:');
+    try {
+      migrateDatabase(db, { migrations: MIGRATIONS.slice(0, 7) });
+      db.exec(`
+        CREATE TABLE mcp_sessions (id TEXT PRIMARY KEY, principal TEXT, tenant TEXT NOT NULL, init_params TEXT,
+          created_at INTEGER NOT NULL, last_activity INTEGER NOT NULL,
+          request_count INTEGER NOT NULL DEFAULT 0, tool_calls INTEGER NOT NULL DEFAULT 0);
+        INSERT INTO mcp_sessions (id, tenant, created_at, last_activity) VALUES ('s1', 'default', 1, 1);
+      `);
+
+      migrateDatabase(db);
+      assert.equal(schemaVersion(db), LATEST_VERSION);
+      assert.deepEqual(db.prepare(`SELECT id FROM mcp_sessions`).all(), [{ id: 's1' }]);
+      assert.ok(columns(db, 'mcp_events').includes('stream_id'));
+    } finally {
+      db.close();
+    }
+  });
+
+  it('applies nothing when reopened and only what is pending after an upgrade', () => {
+    const db = new Database(':memory:');
+    try {
+      assert.deepEqual(migrateDatabase(db, { migrations: MIGRATIONS.slice(0, 3) }).applied, [1, 2, 3]);
+      assert.deepEqual(migrateDatabase(db, { migrations: MIGRATIONS.slice(0, 3) }).applied, []);
+
+      const status = migrationStatus(db);
+      assert.equal(status.current_version, 3);
+      assert.equal(status.pending, LATEST_VERSION - 3);
+
+      const result = migrateDatabase(db);
+      assert.equal(result.from, 3);
+      assert.deepEqual(result.applied, MIGRATIONS.slice(3).map(m => m.version));
+    } finally {
+      db.close();
+    }
+  });
+
+  it('rolls back every pending migration when one fails', () => {
+    const db = new Database(':memory:');
+    try {
+      const migrations = [
+        MIGRATIONS[0],
+        { version: 2, name: 'broken', up: (d) => d.exec('CREATE TABLE half_done (id TEXT); SELECT * FROM missing_table') }
+      ];
+      assert.throws(() => migrateDatabase(db, { migrations }), /Migration 2 \(broken\) failed: no such table: missing_table/);
+      assert.equal(schemaVersion(db), 0);
+      const tables = db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all().map(t => t.name);
+      assert.deepEqual(tables, ['schema_migrations']);
+    } finally {
+      db.close();
+    }
+  });
+
+  it('refuses to open a database from a newer version', async () => {
+    await withTempDb(async (dbPath) => {
+      const db = openMemoryDb(dbPath);
+      db.prepare(`INSERT INTO schema_migrations (version, name) VALUES (?, 'from_the_future')`).run(LATEST_VERSION + 1);
+      db.close();
+
+      assert.throws(() => openMemoryDb(dbPath), new RegExp(`version ${LATEST_VERSION + 1} but this server only knows up to ${LATEST_VERSION}`));
+
+      const check = new Database(dbPath, { readonly: true });
+      const status = migrationStatus(check);
+      check.close();
+      assert.equal(status.newer_than_server, true);
+      assert.equal(status.migrations.at(-1).status, 'unknown');
+    });
+  });
+
+  it('reports status from the CLI without touching the database', async () => {
+    await withTempDb(async (dbPath) => {
+      const env = { ...process.env, DB_PATH: dbPath };
+      const missing = await run(process.execPath, ['src/migrate.js', '--json'], { env });
+      const before = JSON.parse(missing.stdout);
+      assert.equal(before.exists, false);
+      assert.equal(before.pending, LATEST_VERSION);
+      await assert.rejects(fs.access(dbPath));
+
+      const up = await run(process.execPath, ['src/migrate.js', 'up'], { env });
+      assert.match(up.stdout, new RegExp(`Schema version: ${LATEST_VERSION} \\(latest ${LATEST_VERSION}, 0 pending\\)`));
+
+      const { stdout } = await run(process.execPath, ['src/migrate.js', 'status'], { env });
+      assert.match(stdout, /\[x\] 001 initial/);
+      assert.doesNotMatch(stdout, /\[ \]/);
+    });
+  });
+});
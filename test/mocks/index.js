@@ -0,0 +1,33 @@
+import { createRailwayMock } from './railway.js';
+import { createSupabaseMock } from './supabase.js';
+
+export { createRailwayMock, createSupabaseMock };
+
+// Start both stand-ins; port 0 picks free ports. Returns the env vars that
+// point the MCP server at them, plus close().
+export async function startMockApis({ railwayPort = 0, supabasePort = 0, railwayToken, supabaseToken } = {}) {
+  const listen = (app, port) => new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => resolve(server));
+    server.on('error', reject);
+  });
+
+  const railway = createRailwayMock({ token: railwayToken });
+  const supabase = createSupabaseMock({ token: supabaseToken });
+  const railwayServer = await listen(railway, railwayPort);
+  const supabaseServer = await listen(supabase, supabasePort);
+
+  return {
+    railway,
+    supabase,
+    env: {
+      RAILWAY_API_URL: `http://127.0.0.1:${railwayServer.address().port}/graphql/v2`,
+      SUPABASE_API_URL: `http://127.0.0.1:${supabaseServer.address().port}/v1`,
+      RAILWAY_TOKEN: railwayToken || 'test-railway-token',
+      SUPABASE_TOKEN: supabaseToken || 'test-supabase-token'
+    },
+    close: () => Promise.all([
+      new Promise(resolve => railwayServer.close(resolve)),
+      new Promise(resolve => supabaseServer.close(resolve))
+    ])
+  };
+}
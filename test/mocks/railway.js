@@ -0,0 +1,150 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+
+// ============================================
+// RAILWAY GRAPHQL STAND-IN
+// ============================================
+//
+// Answers the handful of operations src/index.js sends to Railway's GraphQL API.
+// There is no GraphQL parser: the root field named in the query picks the handler,
+// and responses carry only the fields our queries select. State lives in memory.
+
+export function createRailwayMock({ token = 'test-railway-token' } = {}) {
+  const state = {
+    workspaces: [{ id: 'ws-1', name: 'Test Workspace' }],
+    projects: [],
+    services: [],
+    deployments: [],
+    domains: [],
+    variables: {}
+  };
+
+  function findProject(projectId) {
+    const project = state.projects.find(p => p.id === projectId);
+    if (!project) throw new Error(`Project not found: ${projectId}`);
+    return project;
+  }
+
+  function findService(serviceId) {
+    const service = state.services.find(s => s.id === serviceId);
+    if (!service) throw new Error(`Service not found: ${serviceId}`);
+    return service;
+  }
+
+  const edges = (nodes) => ({ edges: nodes.map(node => ({ node })) });
+
+  function projectNode(project) {
+    return {
+      id: project.id,
+      name: project.name,
+      description: project.description,
+      createdAt: project.createdAt,
+      environments: edges(project.environments),
+      services: edges(state.services.filter(s => s.projectId === project.id).map(s => ({ id: s.id, name: s.name })))
+    };
+  }
+
+  // Root field -> resolver(variables)
+  const resolvers = {
+    me: () => ({ workspaces: state.workspaces }),
+
+    workspace: ({ workspaceId }) => {
+      const projects = state.projects.filter(p => p.workspaceId === workspaceId);
+      return { projects: edges(projects.map(projectNode)) };
+    },
+
+    projectCreate: ({ input }) => {
+      const project = {
+        id: randomUUID(),
+        workspaceId: state.workspaces[0].id,
+        name: input.name,
+        description: input.description || '',
+        createdAt: new Date().toISOString(),
+        environments: [{ id: randomUUID(), name: 'production' }]
+      };
+      state.projects.push(project);
+      return { id: project.id, name: project.name, environments: edges(project.environments) };
+    },
+
+    serviceCreate: ({ input }) => {
+      findProject(input.projectId);
+      const repo = input.source?.repo || '';
+      const service = {
+        id: randomUUID(),
+        projectId: input.projectId,
+        name: repo.split('/').pop()?.replace(/\.git$/, '') || 'service',
+        repo,
+        branch: input.branch
+      };
+      state.services.push(service);
+      return { id: service.id, name: service.name };
+    },
+
+    serviceInstanceDeploy: ({ input }) => {
+      const service = findService(input.serviceId);
+      state.deployments.push({
+        id: randomUUID(),
+        projectId: service.projectId,
+        serviceId: service.id,
+        environmentId: input.environmentId,
+        status: 'SUCCESS',
+        createdAt: new Date().toISOString()
+      });
+      return true;
+    },
+
+    serviceDomainCreate: ({ input }) => {
+      const service = findService(input.serviceId);
+      const domain = { id: randomUUID(), domain: `${service.name}-production.up.railway.app` };
+      state.domains.push({ ...domain, serviceId: service.id });
+      return domain;
+    },
+
+    variableCollectionUpsert: ({ input }) => {
+      findService(input.serviceId);
+      const key = `${input.serviceId}:${input.environmentId}`;
+      state.variables[key] = { ...state.variables[key], ...input.variables };
+      return true;
+    },
+
+    deployments: (variables) => {
+      const projectId = variables.projectId ?? variables.input?.projectId;
+      const deployments = state.deployments
+        .filter(d => d.projectId === projectId)
+        .map(d => ({
+          id: d.id,
+          status: d.status,
+          createdAt: d.createdAt,
+          service: { name: findService(d.serviceId).name }
+        }));
+      return edges(deployments);
+    }
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  app.post('/graphql/v2', (req, res) => {
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      return res.json({ errors: [{ message: 'Not Authorized' }] });
+    }
+
+    const { query = '', variables = {} } = req.body || {};
+    // First identifier inside the outermost selection set is the root field
+    const body = query.slice(query.indexOf('{') + 1);
+    const field = body.match(/^\s*([A-Za-z_]\w*)/)?.[1];
+    const resolver = resolvers[field];
+    if (!resolver) {
+      return res.json({ errors: [{ message: `Mock does not implement "${field}"` }] });
+    }
+
+    try {
+      res.json({ data: { [field]: resolver(variables) } });
+    } catch (error) {
+      res.json({ errors: [{ message: error.message }] });
+    }
+  });
+
+  app.locals.state = state;
+  return app;
+}
@@ -0,0 +1,20 @@
+// Run the Railway and Supabase stand-ins until interrupted:
+//
+//   npm run mocks
+//
+// then start the server with the printed env vars and run `MCP_TEST_APIS=1 npm run test:remote`.
+
+import { startMockApis } from './index.js';
+
+const mocks = await startMockApis({
+  railwayPort: Number(process.env.RAILWAY_MOCK_PORT) || 4010,
+  supabasePort: Number(process.env.SUPABASE_MOCK_PORT) || 4020
+});
+
+console.log('Mock Railway and Supabase APIs running. Start the server with:\n');
+console.log(Object.entries(mocks.env).map(([k, v]) => `${k}=${v}`).join(' ') + ' npm start');
+
+process.on('SIGINT', async () => {
+  await mocks.close();
+  process.exit(0);
+});
@@ -0,0 +1,99 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+
+// ============================================
+// SUPABASE MANAGEMENT API STAND-IN
+// ============================================
+//
+// REST stub for the /v1 endpoints src/index.js calls. /database/query understands
+// just enough SQL for our tools: CREATE TABLE is recorded per project, the
+// information_schema.tables listing returns what was recorded, and any other
+// statement is logged and answered with an empty result set.
+
+export function createSupabaseMock({ token = 'test-supabase-token' } = {}) {
+  const state = {
+    organizations: [{ id: 'org-test', name: 'Test Org' }],
+    projects: [],
+    queries: []
+  };
+
+  function findProject(ref) {
+    return state.projects.find(p => p.id === ref);
+  }
+
+  const app = express();
+  app.use(express.json());
+
+  const v1 = express.Router();
+
+  v1.use((req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    next();
+  });
+
+  v1.get('/organizations', (req, res) => {
+    res.json(state.organizations);
+  });
+
+  v1.get('/projects', (req, res) => {
+    res.json(state.projects.map(({ tables, ...project }) => project));
+  });
+
+  v1.post('/projects', (req, res) => {
+    const { name, organization_id, db_pass, region = 'us-east-1' } = req.body || {};
+    if (!name || !organization_id || !db_pass) {
+      return res.status(400).json({ message: 'name, organization_id and db_pass are required' });
+    }
+    if (!state.organizations.some(o => o.id === organization_id)) {
+      return res.status(404).json({ message: `Organization not found: ${organization_id}` });
+    }
+    const project = {
+      id: randomUUID().replace(/-/g, '').slice(0, 20),
+      organization_id,
+      name,
+      region,
+      status: 'ACTIVE_HEALTHY',
+      created_at: new Date().toISOString(),
+      tables: []
+    };
+    state.projects.push(project);
+    const { tables, ...body } = project;
+    res.status(201).json(body);
+  });
+
+  v1.get('/projects/:ref', (req, res) => {
+    const project = findProject(req.params.ref);
+    if (!project) return res.status(404).json({ message: `Project not found: ${req.params.ref}` });
+    const { tables, ...body } = project;
+    res.json(body);
+  });
+
+  v1.post('/projects/:ref/database/query', (req, res) => {
+    const project = findProject(req.params.ref);
+    if (!project) return res.status(404).json({ message: `Project not found: ${req.params.ref}` });
+
+    const sql = (req.body?.query || '').trim();
+    state.queries.push({ ref: project.id, sql });
+
+    const create = sql.match(/^CREATE TABLE (?:IF NOT EXISTS )?("?[\w.]+"?)/i);
+    if (create) {
+      const name = create[1].replace(/"/g, '');
+      if (!project.tables.includes(name)) project.tables.push(name);
+      return res.status(201).json([]);
+    }
+
+    if (/information_schema\.tables/i.test(sql)) {
+      return res.status(201).json(
+        [...project.tables].sort().map(table_name => ({ table_name, table_type: 'BASE TABLE' }))
+      );
+    }
+
+    res.status(201).json([]);
+  });
+
+  app.use('/v1', v1);
+  app.locals.state = state;
+  return app;
+}
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { unifiedDiff } from '../src/diff.js';
+import { parsePatch, applyHunks } from '../src/patch.js';
+
+const numbered = (n) => Array.from({ length: n }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+
+describe('unified-diff patches', () => {
+  it('round-trips unifiedDiff output, including a missing final newline', () => {
+    const before = numbered(20);
+    const after = before.replace('line 3\n', 'line three\n').replace(/line 20\n$/, 'line 20');
+    const [file] = parsePatch(unifiedDiff(before, after, { oldLabel: 'a/x.txt', newLabel: 'b/x.txt' }));
+    assert.equal(file.oldPath, 'x.txt');
+    assert.equal(file.hunks.length, 2);
+
+    const result = applyHunks(before, file.hunks);
+    assert.equal(result.content, after);
+    assert.deepEqual(result.hunks.map(h => [h.status, h.offset, h.fuzz]), [['applied', 0, 0], ['applied', 0, 0]]);
+  });
+
+  it('finds hunks that moved and tolerates mismatched outer context with fuzz', () => {
+    const before = numbered(10);
+    const [file] = parsePatch(unifiedDiff(before, before.replace('line 5\n', 'five\n')));
+
+    const shifted = 'new 1\nnew 2\n' + before;
+    const moved = applyHunks(shifted, file.hunks);
+    assert.equal(moved.content, shifted.replace('line 5\n', 'five\n'));
+    assert.equal(moved.hunks[0].offset, 2);
+
+    const drifted = before.replace('line 2\n', 'line two\n');
+    assert.equal(applyHunks(drifted, file.hunks, { fuzz: 0 }).failed, 1);
+    const fuzzy = applyHunks(drifted, file.hunks, { fuzz: 1 });
+    assert.equal(fuzzy.content, drifted.replace('line 5\n', 'five\n'));
+    assert.equal(fuzzy.hunks[0].fuzz, 1);
+  });
+
+  it('reports the hunks that do not apply', () => {
+    const before = numbered(30);
+    const after = before.replace('line 2\n', 'two\n').replace('line 25\n', 'twenty-five\n');
+    const [file] = parsePatch(unifiedDiff(before, after));
+
+    const result = applyHunks(before.replace('line 25\n', 'changed\n'), file.hunks);
+    assert.equal(result.content, null);
+    assert.equal(result.failed, 1);
+    assert.deepEqual(result.hunks.map(h => h.status), ['applied', 'failed']);
+    assert.match(result.hunks[1].reason, /context does not match/);
+  });
+
+  it('parses git diff headers, several files and /dev/null', () => {
+    const files = parsePatch([
+      'diff --git a/new.txt b/new.txt',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/new.txt',
+      '@@ -0,0 +1 @@',
+      '+hello',
+      'diff --git a/old.txt b/old.txt',
+      '--- a/old.txt',
+      '+++ b/old.txt',
+      '@@ -1 +1 @@',
+      '-a',
+      '+b',
+      ''
+    ].join('\n'));
+    assert.deepEqual(files.map(f => [f.oldPath, f.newPath]), [['/dev/null', 'new.txt'], ['old.txt', 'old.txt']]);
+    assert.equal(applyHunks('', files[0].hunks).content, 'hello\n');
+    assert.throws(() => parsePatch('just words'), /no ---\/\+\+\+ file headers/);
+    assert.throws(() => parsePatch('--- a/x\n+++ b/x\n@@ -1,2 +1,2 @@\n a\n'), /ends early/);
+  });
+});
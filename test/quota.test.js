@@ -0,0 +1,104 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, callTool } from './helpers.js';
+import { loadQuotaConfig, quotaFor, parseSize, formatBytes } from '../src/quota.js';
+
+describe('quota config', () => {
+  it('parses sizes, defaults and per-tenant overrides', () => {
+    assert.equal(parseSize('512'), 512);
+    assert.equal(parseSize('1.5kb'), 1536);
+    assert.equal(parseSize('2 MB'), 2 * 1024 * 1024);
+    assert.throws(() => parseSize('lots'), /Invalid size "lots"/);
+    assert.equal(formatBytes(1536), '1.5 KB');
+
+    const config = loadQuotaConfig({
+      FS_QUOTA_BYTES: '10mb',
+      FS_QUOTA_FILES: '100',
+      FS_SNAPSHOT_QUOTA_BYTES: '50mb',
+      FS_TENANT_QUOTAS: 'big:bytes=1gb,files=0; tiny:file_bytes=1kb,snapshot_bytes=1mb'
+    });
+    assert.deepEqual(quotaFor(config, 'other'), { maxBytes: 10 * 1024 * 1024, maxFiles: 100, maxFileBytes: null, maxSnapshotBytes: 50 * 1024 * 1024 });
+    assert.deepEqual(quotaFor(config, 'big'), { maxBytes: 1024 ** 3, maxFiles: null, maxFileBytes: null, maxSnapshotBytes: 50 * 1024 * 1024 });
+    assert.deepEqual(quotaFor(config, 'tiny'), { maxBytes: 10 * 1024 * 1024, maxFiles: 100, maxFileBytes: 1024, maxSnapshotBytes: 1024 ** 2 });
+    assert.throws(() => loadQuotaConfig({ FS_TENANT_QUOTAS: 'x:size=1' }), /Invalid FS_TENANT_QUOTAS setting "size=1"/);
+  });
+});
+
+describe('workspace quotas', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startTestServer({
+      quotas: { maxBytes: 100, maxFiles: 4, maxFileBytes: 60, tenants: { roomy: { maxBytes: 10000, maxFiles: 100 } } }
+    });
+    client = await server.connect();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('limits single files and total bytes, reporting current usage', async () => {
+    await assert.rejects(
+      callTool(client, 'fs_write_file', { path: 'big.txt', content: 'x'.repeat(61) }),
+      /a 61 B file is over the 60 B per-file limit/
+    );
+    await callTool(client, 'fs_write_file', { path: 'a.txt', content: 'a'.repeat(50) });
+    await callTool(client, 'fs_write_file', { path: 'b.txt', content: 'start' + 'b'.repeat(35) });
+    await assert.rejects(
+      callTool(client, 'fs_write_file', { path: 'c.txt', content: 'c'.repeat(20) }),
+      /workspace would use 110 B of 100 B \(currently 90 B in 2 file\(s\)\)/
+    );
+
+    // Rewriting a file only counts the difference
+    await callTool(client, 'fs_write_file', { path: 'a.txt', content: 'a'.repeat(60) });
+    await assert.rejects(
+      callTool(client, 'fs_edit_file', { path: 'b.txt', old_text: 'start', new_text: 'start, go!' }),
+      /would use 105 B of 100 B/
+    );
+    await assert.rejects(
+      callTool(client, 'fs_apply_edits', { path: 'b.txt', edits: [{ old_text: 'b', new_text: 'bb', replace_all: true }] }),
+      /over the 60 B per-file limit/
+    );
+    await callTool(client, 'fs_apply_edits', { path: 'b.txt', edits: [{ old_text: 'start', new_text: '' }] });
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'b.txt' })).size, 35);
+  });
+
+  it('counts files and covers copies and patches', async () => {
+    await callTool(client, 'fs_write_file', { path: 'dir/one.txt', content: '1' });
+    await callTool(client, 'fs_write_file', { path: 'dir/two.txt', content: '2' });
+    await assert.rejects(
+      callTool(client, 'fs_copy', { source: 'dir', destination: 'dir2', recursive: true }),
+      /would hold 6 files, the limit is 4 \(currently 97 B in 4 file\(s\)\)/
+    );
+    await assert.rejects(
+      callTool(client, 'fs_apply_patch', { patch: '--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1 @@\n+x\n' }),
+      /would hold 5 files/
+    );
+    await callTool(client, 'fs_delete', { path: 'dir/two.txt' });
+    await callTool(client, 'fs_copy', { source: 'dir/one.txt', destination: 'one-copy.txt' });
+  });
+
+  it('applies per-tenant overrides', async () => {
+    const roomy = await server.connect({ 'X-Tenant-Id': 'roomy' });
+    await callTool(roomy, 'fs_write_file', { path: 'large.txt', content: 'x'.repeat(50) });
+    await callTool(roomy, 'fs_write_file', { path: 'larger.txt', content: 'x'.repeat(60) });
+    await assert.rejects(callTool(roomy, 'fs_write_file', { path: 'too.txt', content: 'x'.repeat(61) }), /per-file limit/);
+  });
+
+  it('reports usage by directory with the quota', async () => {
+    const usage = await callTool(client, 'fs_usage', {});
+    assert.equal(usage.files, 4);
+    assert.equal(usage.bytes, 97);
+    assert.deepEqual(usage.directories.map(d => [d.path, d.files, d.bytes]), [['dir', 1, 1]]);
+    assert.deepEqual(usage.top_level_files, { files: 3, bytes: 96 });
+    assert.equal(usage.workspace.max_bytes, 100);
+    assert.equal(usage.workspace.bytes_used_percent, 97);
+    assert.equal(usage.workspace.files_used_percent, 100);
+
+    const scoped = await callTool(client, 'fs_usage', { path: 'dir' });
+    assert.equal(scoped.bytes, 1);
+    assert.equal(scoped.workspace.bytes, 97);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, callTool } from './helpers.js';
+import { startMockApis } from './mocks/index.js';
+
+describe('railway tools', () => {
+  let mocks;
+  let server;
+  let client;
+
+  before(async () => {
+    mocks = await startMockApis();
+    Object.assign(process.env, mocks.env);
+    server = await startTestServer();
+    client = await server.connect();
+  });
+
+  after(async () => {
+    await server.close();
+    await mocks.close();
+  });
+
+  it('runs the project -> service -> deploy flow', async () => {
+    const project = await callTool(client, 'railway_create_project', { name: 'demo', description: 'test' });
+    assert.equal(project.name, 'demo');
+    assert.equal(project.environments[0].name, 'production');
+    const environmentId = project.environments[0].id;
+
+    const { projects } = await callTool(client, 'railway_list_projects');
+    const listed = projects.find(p => p.id === project.id);
+    assert.equal(listed.workspace, 'Test Workspace');
+
+    const service = await callTool(client, 'railway_create_service', {
+      projectId: project.id,
+      environmentId,
+      repoUrl: 'https://github.com/example/demo-api'
+    });
+    assert.equal(service.name, 'demo-api');
+
+    const vars = await callTool(client, 'railway_set_variables', {
+      serviceId: service.id,
+      environmentId,
+      variables: { NODE_ENV: 'production' }
+    });
+    assert.equal(vars.success, true);
+    assert.deepEqual(mocks.railway.locals.state.variables[`${service.id}:${environmentId}`], { NODE_ENV: 'production' });
+
+    const deploy = await callTool(client, 'railway_deploy', { serviceId: service.id, environmentId });
+    assert.equal(deploy.success, true);
+
+    const domain = await callTool(client, 'railway_generate_domain', { serviceId: service.id, environmentId });
+    assert.match(domain.domain, /^demo-api-production\.up\.railway\.app$/);
+
+    const deployments = await callTool(client, 'railway_get_deployments', { projectId: project.id });
+    assert.equal(deployments.length, 1);
+    assert.equal(deployments[0].service.name, 'demo-api');
+  });
+
+  it('surfaces GraphQL errors', async () => {
+    await assert.rejects(
+      callTool(client, 'railway_deploy', { serviceId: 'missing', environmentId: 'env' }),
+      /Service not found: missing/
+    );
+  });
+
+  it('fails clearly when RAILWAY_TOKEN is unset', async () => {
+    const token = process.env.RAILWAY_TOKEN;
+    delete process.env.RAILWAY_TOKEN;
+    try {
+      await assert.rejects(callTool(client, 'railway_list_projects'), /RAILWAY_TOKEN environment variable is not set/);
+    } finally {
+      process.env.RAILWAY_TOKEN = token;
+    }
+  });
+});
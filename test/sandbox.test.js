@@ -0,0 +1,228 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { startTestServer, callTool } from './helpers.js';
+import { loadSandboxPolicy } from '../src/sandbox.js';
+
+const DENIED = /Access denied/;
+
+describe('sandbox escape attempts', () => {
+  let server;
+  let client;
+  let outside;
+  let root;
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+    outside = await fs.mkdtemp(path.join(os.tmpdir(), 'vocal-bridge-outside-'));
+    await fs.writeFile(path.join(outside, 'secret.txt'), 'top secret');
+    root = path.join(server.workspaceDir, 'default');
+    await callTool(client, 'fs_write_file', { path: 'inside.txt', content: 'inside' });
+    await fs.symlink(outside, path.join(root, 'out-dir'));
+    await fs.symlink(path.join(outside, 'secret.txt'), path.join(root, 'out-file'));
+    await fs.symlink(path.join(outside, 'not-yet.txt'), path.join(root, 'dangling'));
+    await fs.symlink(path.join(root, 'inside.txt'), path.join(root, 'in-link'));
+  });
+
+  after(async () => {
+    await server.close();
+    await fs.rm(outside, { recursive: true, force: true });
+  });
+
+  it('rejects .. and absolute paths for every kind of tool', async () => {
+    for (const bad of ['../escape.txt', '../../etc/passwd', '/etc/passwd', 'a/../../b', `${outside}/secret.txt`]) {
+      await assert.rejects(callTool(client, 'fs_read_file', { path: bad }), DENIED, bad);
+      await assert.rejects(callTool(client, 'fs_write_file', { path: bad, content: 'x' }), DENIED, bad);
+    }
+    await assert.rejects(callTool(client, 'fs_list_directory', { path: '..' }), DENIED);
+    await assert.rejects(callTool(client, 'fs_directory_tree', { path: '/' }), DENIED);
+    await assert.rejects(callTool(client, 'fs_copy', { source: 'inside.txt', destination: '../copied.txt' }), DENIED);
+    await assert.rejects(callTool(client, 'fs_move', { source: '../../etc/hosts', destination: 'hosts' }), DENIED);
+    await assert.rejects(callTool(client, 'fs_read_file', { path: 'inside.txt\0.png' }), /NUL byte/);
+  });
+
+  it('keeps a tenant out of a sibling whose name shares its prefix', async () => {
+    const team = await server.connect({ 'X-Tenant-Id': 'team' });
+    const teamB = await server.connect({ 'X-Tenant-Id': 'team-b' });
+    await callTool(teamB, 'fs_write_file', { path: 'plans.txt', content: 'b only' });
+    await assert.rejects(callTool(team, 'fs_read_file', { path: '../team-b/plans.txt' }), DENIED);
+    await assert.rejects(callTool(team, 'fs_write_file', { path: '../team-b/plans.txt', content: 'x' }), DENIED);
+    assert.equal((await callTool(teamB, 'fs_read_file', { path: 'plans.txt' })).content, 'b only');
+  });
+
+  it('refuses to follow symlinks, even ones that stay inside', async () => {
+    await assert.rejects(callTool(client, 'fs_read_file', { path: 'out-file' }), /out-file is a symbolic link/);
+    await assert.rejects(callTool(client, 'fs_read_file', { path: 'out-dir/secret.txt' }), /out-dir is a symbolic link/);
+    await assert.rejects(callTool(client, 'fs_write_file', { path: 'out-dir/planted.txt', content: 'x' }), DENIED);
+    await assert.rejects(callTool(client, 'fs_write_file', { path: 'dangling', content: 'x' }), DENIED);
+    await assert.rejects(callTool(client, 'fs_list_directory', { path: 'out-dir' }), DENIED);
+    await assert.rejects(callTool(client, 'fs_read_file', { path: 'in-link' }), DENIED);
+    await assert.rejects(callTool(client, 'fs_copy', { source: 'out-file', destination: 'copy.txt' }), DENIED);
+    await assert.rejects(fs.access(path.join(outside, 'planted.txt')));
+    await assert.rejects(fs.access(path.join(outside, 'not-yet.txt')));
+  });
+
+  it('does not leak symlink targets through listings, searches or copies', async () => {
+    const listing = await callTool(client, 'fs_list_directory', { path: '.' });
+    const outFile = listing.items.find(i => i.name === 'out-file');
+    assert.equal(outFile.type, 'symlink');
+    assert.notEqual(outFile.size, 'top secret'.length);
+
+    const tree = await callTool(client, 'fs_directory_tree', { path: '.' });
+    assert.equal(tree.tree.find(i => i.name === 'out-dir').children, undefined);
+
+    const found = await callTool(client, 'fs_search', { query: 'secret' });
+    assert.deepEqual(found.matches, []);
+    assert.deepEqual((await callTool(client, 'fs_glob', { pattern: '**/secret.txt' })).files, []);
+
+    await callTool(client, 'fs_create_directory', { path: 'bundle' });
+    await fs.symlink(path.join(outside, 'secret.txt'), path.join(root, 'bundle', 'leak'));
+    const copied = await callTool(client, 'fs_copy', { source: 'bundle', destination: 'bundle-copy', recursive: true });
+    assert.deepEqual(copied.counts, { created_directory: 1, skipped_symlink: 1 });
+    await assert.rejects(fs.access(path.join(root, 'bundle-copy', 'leak')));
+  });
+
+  it('deletes a symlink itself, never what it points to', async () => {
+    await fs.symlink(path.join(outside, 'secret.txt'), path.join(root, 'to-remove'));
+    await callTool(client, 'fs_delete', { path: 'to-remove' });
+    await assert.rejects(fs.lstat(path.join(root, 'to-remove')));
+    assert.equal(await fs.readFile(path.join(outside, 'secret.txt'), 'utf-8'), 'top secret');
+  });
+
+  it('does not let a patch or move write through a symlinked directory', async () => {
+    const patch = '--- /dev/null\n+++ b/out-dir/patched.txt\n@@ -0,0 +1 @@\n+x\n';
+    await assert.rejects(callTool(client, 'fs_apply_patch', { patch }), DENIED);
+    await assert.rejects(callTool(client, 'fs_move', { source: 'inside.txt', destination: 'out-dir/moved.txt' }), DENIED);
+    await assert.rejects(fs.access(path.join(outside, 'patched.txt')));
+    await assert.rejects(fs.access(path.join(outside, 'moved.txt')));
+  });
+});
+
+describe('sandbox with confined symlinks', () => {
+  let server;
+  let client;
+  let outside;
+
+  before(async () => {
+    server = await startTestServer({ sandbox: { symlinks: 'confine', deny: ['.env'] } });
+    client = await server.connect();
+    outside = await fs.mkdtemp(path.join(os.tmpdir(), 'vocal-bridge-outside-'));
+    const root = path.join(server.workspaceDir, 'default');
+    await callTool(client, 'fs_write_file', { path: 'real/config.json', content: '{}' });
+    await callTool(client, 'fs_write_file', { path: 'notes.txt', content: 'notes' });
+    await fs.writeFile(path.join(root, '.env'), 'TOKEN=1');
+    await fs.symlink(path.join(root, 'real'), path.join(root, 'alias'));
+    await fs.symlink(outside, path.join(root, 'out-dir'));
+    await fs.symlink(path.join(root, '.env'), path.join(root, 'env-link'));
+    await fs.symlink(path.join(root, 'missing'), path.join(root, 'broken'));
+  });
+
+  after(async () => {
+    await server.close();
+    await fs.rm(outside, { recursive: true, force: true });
+  });
+
+  it('follows links whose target stays inside the workspace', async () => {
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'alias/config.json' })).content, '{}');
+    await callTool(client, 'fs_write_file', { path: 'alias/new.json', content: '[]' });
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'real/new.json' })).content, '[]');
+  });
+
+  it('edits through a confined link instead of replacing it', async () => {
+    const root = path.join(server.workspaceDir, 'default');
+    await fs.symlink(path.join(root, 'notes.txt'), path.join(root, 'notes-link'));
+    await callTool(client, 'fs_edit_file', { path: 'notes-link', old_text: 'notes', new_text: 'edited' });
+    await callTool(client, 'fs_apply_edits', { path: 'notes-link', edits: [{ old_text: 'edited', new_text: 'edited twice' }] });
+    assert.ok((await fs.lstat(path.join(root, 'notes-link'))).isSymbolicLink());
+    assert.equal(await fs.readFile(path.join(root, 'notes.txt'), 'utf-8'), 'edited twice');
+  });
+
+  it('still refuses links that leave the workspace, dangle or reach denied paths', async () => {
+    await assert.rejects(callTool(client, 'fs_write_file', { path: 'out-dir/x.txt', content: 'x' }), /links outside the workspace/);
+    await assert.rejects(callTool(client, 'fs_read_file', { path: 'broken' }), /broken symbolic link/);
+    await assert.rejects(callTool(client, 'fs_read_file', { path: 'env-link' }), /\.env is on the deny list/);
+  });
+});
+
+describe('sandbox deny and read-only lists', () => {
+  let server;
+  let client;
+  let root;
+
+  before(async () => {
+    server = await startTestServer({ sandbox: { deny: ['.env', '.env.*', '.git/'], readOnly: ['vendor', '*.lock'] } });
+    client = await server.connect();
+    root = path.join(server.workspaceDir, 'default');
+    await fs.mkdir(path.join(root, '.git'), { recursive: true });
+    await fs.writeFile(path.join(root, '.git', 'config'), '[core]');
+    await fs.mkdir(path.join(root, 'app'), { recursive: true });
+    await fs.writeFile(path.join(root, 'app', '.env.local'), 'SECRET=1');
+    await fs.writeFile(path.join(root, '.env'), 'SECRET=2');
+    await fs.mkdir(path.join(root, 'vendor', 'lib'), { recursive: true });
+    await fs.writeFile(path.join(root, 'vendor', 'lib', 'index.js'), 'vendored SECRET');
+    await fs.writeFile(path.join(root, 'yarn.lock'), 'lock');
+    await callTool(client, 'fs_write_file', { path: 'app/main.js', content: 'main' });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('hides denied paths from every tool', async () => {
+    await assert.rejects(callTool(client, 'fs_read_file', { path: '.env' }), /\.env is on the deny list/);
+    await assert.rejects(callTool(client, 'fs_read_file', { path: 'app/.env.local' }), /deny list/);
+    await assert.rejects(callTool(client, 'fs_read_file', { path: '.git/config' }), /\.git\/config is on the deny list/);
+    await assert.rejects(callTool(client, 'fs_read_file', { path: 'app/../.git/config' }), /deny list/);
+    await assert.rejects(callTool(client, 'fs_write_file', { path: '.git/hooks/pre-commit', content: 'x' }), /deny list/);
+    await assert.rejects(callTool(client, 'fs_list_directory', { path: '.git' }), /deny list/);
+    await assert.rejects(callTool(client, 'fs_move', { source: 'app/main.js', destination: '.env' }), /deny list/);
+    await assert.rejects(callTool(client, 'fs_delete', { path: '.env' }), /deny list/);
+
+    const names = (await callTool(client, 'fs_list_directory', { path: '.' })).items.map(i => i.name);
+    assert.ok(!names.includes('.env') && !names.includes('.git'));
+    const tree = await callTool(client, 'fs_directory_tree', { path: 'app' });
+    assert.deepEqual(tree.tree.map(i => i.name), ['main.js']);
+
+    const found = await callTool(client, 'fs_search', { query: 'SECRET' });
+    assert.deepEqual(found.matches.map(m => m.path), ['vendor/lib/index.js']);
+    assert.deepEqual((await callTool(client, 'fs_glob', { pattern: '**/*' })).files.filter(f => f.includes('.env')), []);
+
+    const copied = await callTool(client, 'fs_copy', { source: 'app', destination: 'app-copy', recursive: true });
+    assert.equal(copied.counts.skipped_denied, 1);
+    await assert.rejects(fs.access(path.join(root, 'app-copy', '.env.local')));
+  });
+
+  it('lets read-only paths be read but not changed', async () => {
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'vendor/lib/index.js' })).content, 'vendored SECRET');
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'yarn.lock' })).content, 'lock');
+
+    await assert.rejects(callTool(client, 'fs_write_file', { path: 'vendor/lib/index.js', content: 'x' }), /vendor\/lib\/index\.js is read-only/);
+    await assert.rejects(callTool(client, 'fs_write_file', { path: 'vendor/new.js', content: 'x' }), /read-only/);
+    await assert.rejects(callTool(client, 'fs_edit_file', { path: 'yarn.lock', old_text: 'lock', new_text: 'x' }), /yarn\.lock is read-only/);
+    await assert.rejects(callTool(client, 'fs_delete', { path: 'vendor', recursive: true, confirm: 'vendor' }), /read-only/);
+    await assert.rejects(callTool(client, 'fs_move', { source: 'yarn.lock', destination: 'old.lock.bak' }), /read-only/);
+    await assert.rejects(callTool(client, 'fs_copy', { source: 'app/main.js', destination: 'vendor/main.js' }), /read-only/);
+
+    await callTool(client, 'fs_copy', { source: 'vendor', destination: 'vendor-copy', recursive: true });
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'vendor-copy/lib/index.js' })).content, 'vendored SECRET');
+  });
+
+  it('refuses to move or delete a directory holding protected files', async () => {
+    await callTool(client, 'fs_write_file', { path: 'pkg/package.json', content: '{}' });
+    await fs.writeFile(path.join(root, 'pkg', 'bun.lock'), 'lock');
+    await assert.rejects(callTool(client, 'fs_move', { source: 'pkg', destination: 'pkg2' }), /pkg\/bun\.lock is read-only/);
+    await assert.rejects(callTool(client, 'fs_delete', { path: 'app', recursive: true, confirm: 'app' }), /app\/\.env\.local is on the deny list/);
+    assert.equal((await callTool(client, 'fs_read_file', { path: 'pkg/package.json' })).content, '{}');
+  });
+
+  it('reads its policy from the environment', () => {
+    assert.deepEqual(
+      loadSandboxPolicy({ FS_SYMLINKS: 'confine', FS_DENY_PATHS: '.env, .git', FS_READ_ONLY_PATHS: '' }),
+      { symlinks: 'confine', deny: ['.env', '.git'], readOnly: [] }
+    );
+    assert.throws(() => loadSandboxPolicy({ FS_SYMLINKS: 'follow' }), /Invalid FS_SYMLINKS "follow"/);
+  });
+});
@@ -0,0 +1,377 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { startTestServer, callTool } from './helpers.js';
+import { loadApiKeys } from '../src/auth.js';
+
+const MCP_HEADERS = { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream' };
+
+describe('server', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startTestServer();
+    client = await server.connect();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('serves health and info documents', async () => {
+    const health = await (await fetch(`${server.url}/health`)).json();
+    assert.equal(health.status, 'ok');
+    assert.equal(health.dbPath, ':memory:');
+
+    const info = await (await fetch(`${server.url}/mcp/info`)).json();
+    assert.ok(info.tools.filesystem.includes('fs_write_file'));
+    assert.ok(info.tools.memory.includes('memory_store'));
+  });
+
+  it('lists every tool', async () => {
+    const { tools } = await client.listTools();
+    const info = await (await fetch(`${server.url}/mcp/info`)).json();
+    assert.equal(tools.length, Object.values(info.tools).flat().length);
+  });
+
+  it('rejects unknown tool names', async () => {
+    await assert.rejects(callTool(client, 'no_such_tool'), /Unknown tool: no_such_tool/);
+  });
+
+  it('returns 404 for unknown sessions and 400 without one', async () => {
+    const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} });
+    const unknown = await fetch(`${server.url}/mcp`, {
+      method: 'POST',
+      headers: { ...MCP_HEADERS, 'Mcp-Session-Id': 'not-a-session' },
+      body
+    });
+    assert.equal(unknown.status, 404);
+
+    const missing = await fetch(`${server.url}/mcp`, { method: 'POST', headers: MCP_HEADERS, body });
+    assert.equal(missing.status, 400);
+  });
+
+  it('closes sessions on DELETE', async () => {
+    const other = await server.connect();
+    const sessionId = other.transport.sessionId;
+    assert.ok(server.sessions.has(sessionId));
+    await other.transport.terminateSession();
+    assert.equal(server.sessions.has(sessionId), false);
+  });
+
+  it('reports sessions with call counts', async () => {
+    await callTool(client, 'fs_list_directory');
+    const { sessions } = await (await fetch(`${server.url}/sessions`)).json();
+    const mine = sessions.find(s => s.id === client.transport.sessionId);
+    assert.ok(mine.toolCalls >= 1);
+  });
+});
+
+describe('server with API keys', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({
+      apiKeys: loadApiKeys({ MCP_API_KEYS: 'full:sk-full;fs:sk-fs:filesystem;ops:sk-ops:admin' })
+    });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('refuses MCP_API_KEYS entries that split a key on ":"', () => {
+    assert.throws(
+      () => loadApiKeys({ MCP_API_KEYS: 'bot:sk:with:colons' }),
+      { message: 'Invalid MCP_API_KEYS entry "bot": too many ":" separators; keys containing ":" go in MCP_API_KEYS_FILE' }
+    );
+    assert.throws(() => loadApiKeys({ MCP_API_KEYS: 'bot:sk:colon' }), /Unknown scope "colon" for API key "bot"/);
+  });
+
+  it('accepts only tool names that exist as scopes', () => {
+    assert.equal(loadApiKeys({ MCP_API_KEYS: 'bot:sk-bot:fs_read_file,memory' }).size, 1);
+    assert.throws(
+      () => loadApiKeys({ MCP_API_KEYS: 'bot:sk-bot:fs_raed_file' }),
+      /Unknown scope "fs_raed_file" for API key "bot": expected \*, admin, a tool group \(filesystem, memory, railway, supabase, git\) or a tool name/
+    );
+  });
+
+  it('rejects requests without a valid key', async () => {
+    const missing = await fetch(`${server.url}/mcp`, { method: 'POST', headers: MCP_HEADERS, body: '{}' });
+    assert.equal(missing.status, 401);
+
+    const wrong = await fetch(`${server.url}/mcp`, {
+      method: 'POST',
+      headers: { ...MCP_HEADERS, Authorization: 'Bearer nope' },
+      body: '{}'
+    });
+    assert.equal(wrong.status, 401);
+  });
+
+  it('advertises and allows only the tools in scope', async () => {
+    const client = await server.connect({ Authorization: 'Bearer sk-fs' });
+    const { tools } = await client.listTools();
+    assert.ok(tools.length > 0);
+    assert.ok(tools.every(t => t.name.startsWith('fs_')));
+
+    await callTool(client, 'fs_list_directory');
+    await assert.rejects(
+      callTool(client, 'memory_list'),
+      /Access denied: API key "fs" is not permitted to call memory_list/
+    );
+  });
+
+  it('binds sessions to the key that opened them', async () => {
+    const client = await server.connect({ Authorization: 'Bearer sk-full' });
+    const response = await fetch(`${server.url}/mcp`, {
+      method: 'POST',
+      headers: { ...MCP_HEADERS, Authorization: 'Bearer sk-fs', 'Mcp-Session-Id': client.transport.sessionId },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} })
+    });
+    assert.equal(response.status, 403);
+  });
+
+  it('limits admin routes to keys with the admin scope', async () => {
+    const denied = await fetch(`${server.url}/admin/tenants`, { headers: { Authorization: 'Bearer sk-full' } });
+    assert.equal(denied.status, 403);
+
+    const allowed = await fetch(`${server.url}/admin/tenants`, { headers: { Authorization: 'Bearer sk-ops' } });
+    assert.equal(allowed.status, 200);
+  });
+});
+
+describe('session lifecycle', () => {
+  const listTools = (url, sessionId) => fetch(`${url}/mcp`, {
+    method: 'POST',
+    headers: { ...MCP_HEADERS, 'Mcp-Session-Id': sessionId },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} })
+  });
+
+  it('closes sessions left idle past the timeout', async () => {
+    const server = await startTestServer({ sessions: { idleTimeoutMs: 50 } });
+    try {
+      const client = await server.connect();
+      const sessionId = client.transport.sessionId;
+      await new Promise(resolve => setTimeout(resolve, 100));
+      await server.sessions.sweep();
+
+      assert.equal(server.sessions.has(sessionId), false);
+      assert.equal((await listTools(server.url, sessionId)).status, 404);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('evicts the least recently used session past the cap', async () => {
+    const server = await startTestServer({ sessions: { maxSessions: 2 } });
+    try {
+      const first = await server.connect();
+      const second = await server.connect();
+      await callTool(first, 'fs_list_directory');
+      const third = await server.connect();
+
+      assert.equal(server.sessions.has(second.transport.sessionId), false);
+      assert.ok(server.sessions.has(first.transport.sessionId));
+      assert.ok(server.sessions.has(third.transport.sessionId));
+      assert.equal((await listTools(server.url, second.transport.sessionId)).status, 404);
+    } finally {
+      await server.close();
+    }
+  });
+
+  // Open a session, restart the server on the same database, then run `fn`
+  // against the restarted server with the session id
+  async function afterRestart(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vocal-bridge-restart-'));
+    const dbPath = path.join(dir, 'sessions.db');
+    try {
+      const original = await startTestServer({ dbPath });
+      const client = await original.connect();
+      const sessionId = client.transport.sessionId;
+      await callTool(client, 'fs_list_directory');
+      await original.close();
+
+      const restarted = await startTestServer({ dbPath });
+      try {
+        await fn(restarted, sessionId);
+      } finally {
+        await restarted.close();
+      }
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  it('resumes a session after a restart', async () => {
+    await afterRestart(async (restarted, sessionId) => {
+      const resumed = new Client({ name: 'test-client', version: '1.0.0' });
+      await resumed.connect(new StreamableHTTPClientTransport(new URL(`${restarted.url}/mcp`), { sessionId }));
+      assert.ok(await callTool(resumed, 'fs_list_directory'));
+
+      const [session] = restarted.sessions.describe();
+      assert.equal(session.id, sessionId);
+      assert.equal(session.restored, true);
+      assert.ok(session.toolCalls >= 2);
+      await resumed.close();
+    });
+  });
+
+  it('restores a session once when requests for it arrive together', async () => {
+    await afterRestart(async (restarted, sessionId) => {
+      const streams = new AbortController();
+      const openStream = () => fetch(`${restarted.url}/mcp`, {
+        headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId },
+        signal: streams.signal
+      });
+      try {
+        const [stream, post] = await Promise.all([openStream(), listTools(restarted.url, sessionId)]);
+        assert.equal(stream.status, 200);
+        assert.equal(post.status, 200);
+        await post.text();
+
+        // One transport holds the stream, so a second one is refused
+        const second = await openStream();
+        assert.equal(second.status, 409);
+        await second.text();
+        assert.equal(restarted.sessions.size, 1);
+      } finally {
+        streams.abort();
+      }
+    });
+  });
+
+  // replayInitialize in app.js reaches into the SDK's Node transport
+  it('finds the web-standard transport that session restore relies on', () => {
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: () => 'probe' });
+    assert.equal(
+      typeof transport._webStandardTransport?.handleRequest, 'function',
+      'StreamableHTTPServerTransport no longer has _webStandardTransport; session restore in app.js needs updating'
+    );
+  });
+});
+
+describe('SSE notification stream', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  // Raw JSON-RPC over POST /mcp; the SDK client would hold the GET stream itself
+  async function post(sessionId, message) {
+    const headers = sessionId ? { ...MCP_HEADERS, 'Mcp-Session-Id': sessionId } : MCP_HEADERS;
+    const response = await fetch(`${server.url}/mcp`, { method: 'POST', headers, body: JSON.stringify(message) });
+    await response.text();
+    assert.ok(response.ok, `POST ${message.method} failed with HTTP ${response.status}`);
+    return response;
+  }
+
+  async function openSession() {
+    const response = await post(null, {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'sse-test', version: '1.0.0' } }
+    });
+    const sessionId = response.headers.get('mcp-session-id');
+    await post(sessionId, { jsonrpc: '2.0', method: 'notifications/initialized' });
+    return sessionId;
+  }
+
+  function callToolRaw(sessionId, id, name, args = {}) {
+    return post(sessionId, { jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } });
+  }
+
+  // GET /mcp as a reader of { id, message } events
+  async function openStream(sessionId, lastEventId) {
+    const controller = new AbortController();
+    const headers = { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId };
+    if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+    let response = await fetch(`${server.url}/mcp`, { headers, signal: controller.signal });
+    // A reconnect is refused as a conflict until the server notices the dropped stream
+    for (let tries = 0; response.status === 409 && tries < 100; tries++) {
+      await response.text();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      response = await fetch(`${server.url}/mcp`, { headers, signal: controller.signal });
+    }
+    assert.equal(response.status, 200);
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    return {
+      async next() {
+        while (!buffer.includes('\n\n')) {
+          const { value, done } = await reader.read();
+          if (done) throw new Error('SSE stream ended');
+          buffer += value;
+        }
+        const end = buffer.indexOf('\n\n');
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const field = (name) => block.split('\n').find(line => line.startsWith(`${name}:`))?.slice(name.length + 1).trim();
+        return { id: field('id'), message: JSON.parse(field('data')) };
+      },
+      close: () => controller.abort()
+    };
+  }
+
+  it('replays missed notifications in order after a reconnect with Last-Event-ID', async () => {
+    const sessionId = await openSession();
+
+    const stream = await openStream(sessionId);
+    await callToolRaw(sessionId, 2, 'fs_list_directory');
+    const seen = await stream.next();
+    assert.equal(seen.message.method, 'notifications/message');
+    assert.deepEqual([seen.message.params.data.tool, seen.message.params.data.status], ['fs_list_directory', 'success']);
+    stream.close();
+
+    // Sent while no stream is connected
+    await callToolRaw(sessionId, 3, 'fs_write_file', { path: 'a.txt', content: 'a' });
+    await callToolRaw(sessionId, 4, 'fs_read_file', { path: 'missing.txt' });
+    await callToolRaw(sessionId, 5, 'fs_read_file', { path: 'a.txt' });
+
+    const resumed = await openStream(sessionId, seen.id);
+    const replayed = [await resumed.next(), await resumed.next(), await resumed.next()];
+    resumed.close();
+
+    assert.deepEqual(
+      replayed.map(event => [event.message.params.data.tool, event.message.params.data.status]),
+      [['fs_write_file', 'success'], ['fs_read_file', 'error'], ['fs_read_file', 'success']]
+    );
+    const ids = [seen.id, ...replayed.map(event => event.id)].map(Number);
+    assert.deepEqual(ids, [...ids].sort((a, b) => a - b));
+    assert.equal(new Set(ids).size, ids.length);
+  });
+
+  it('keeps old events of live sessions through the sweep and drops those of closed ones', async () => {
+    const sessionId = await openSession();
+    await callToolRaw(sessionId, 2, 'fs_list_directory');
+    await callToolRaw(sessionId, 3, 'fs_write_file', { path: 'swept.txt', content: 's' });
+    server.db.prepare(`UPDATE mcp_events SET created_at = 0`).run();
+    server.db.prepare(`INSERT INTO mcp_events (session_id, stream_id, message, created_at) VALUES ('closed', '_GET_stream', '{}', 0)`).run();
+
+    await server.sessions.sweep();
+    // Responses to POSTs are stored too, on streams of their own
+    const seqs = (id) => server.db.prepare(`SELECT seq FROM mcp_events WHERE session_id = ? AND stream_id = '_GET_stream' ORDER BY seq`)
+      .all(id).map(row => String(row.seq));
+    assert.deepEqual(seqs('closed'), []);
+    const [first, ...rest] = seqs(sessionId);
+    assert.equal(rest.length, 1);
+
+    const resumed = await openStream(sessionId, first);
+    const replayed = await resumed.next();
+    resumed.close();
+    assert.equal(replayed.id, rest[0]);
+    assert.equal(replayed.message.params.data.tool, 'fs_write_file');
+  });
+});
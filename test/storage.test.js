@@ -0,0 +1,305 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import pg from 'pg';
+import { startTestServer, callTool } from './helpers.js';
+import { openMemoryDb } from '../src/memory.js';
+import { createSqliteStorage } from '../src/storage/sqlite.js';
+import { createPostgresStorage } from '../src/storage/postgres.js';
+import { scopeStorage } from '../src/storage/index.js';
+
+// Every storage adapter must pass the same suite. Postgres runs against the
+// database in MEMORY_TEST_POSTGRES_URL, inside a throwaway schema, and is skipped when it is not set. CI sets it
+// (.github/workflows/test.yml); locally:
+//
+//   docker run --rm -d -p 5432:5432 -e POSTGRES_HOST_AUTH_METHOD=trust postgres:16
+//   MEMORY_TEST_POSTGRES_URL=postgres://postgres@localhost:5432/postgres npm test
+const POSTGRES_URL = process.env.MEMORY_TEST_POSTGRES_URL;
+
+const ADAPTERS = [
+  {
+    name: 'sqlite',
+    async open() {
+      const db = openMemoryDb(':memory:');
+      return { storage: createSqliteStorage(db), cleanup: async () => db.close() };
+    }
+  },
+  {
+    name: 'postgres',
+    skip: !POSTGRES_URL && 'set MEMORY_TEST_POSTGRES_URL to run against Postgres',
+    async open() {
+      const schema = `memory_test_${randomUUID().replace(/-/g, '')}`;
+      const storage = await createPostgresStorage({ connectionString: POSTGRES_URL, schema });
+      return {
+        storage,
+        async cleanup() {
+          await storage.close();
+          const client = new pg.Client({ connectionString: POSTGRES_URL });
+          await client.connect();
+          await client.query(`DROP SCHEMA ${schema} CASCADE`);
+          await client.end();
+        }
+      };
+    }
+  }
+];
+
+const backdate = async (storage, id) => {
+  // Push an expiry into the past without going through the API
+  if (storage.kind === 'sqlite') {
+    storage.db.prepare(`UPDATE entities SET expires_at = datetime('now', '-1 seconds') WHERE id = ?`).run(id);
+  } else {
+    await storage.pool.query(`UPDATE entities SET expires_at = '2000-01-01 00:00:00' WHERE id = $1`, [id]);
+  }
+};
+
+for (const adapter of ADAPTERS) {
+  describe(`memory storage contract: ${adapter.name}`, { skip: adapter.skip }, () => {
+    let storage;
+    let cleanup;
+    let memory;
+
+    before(async () => {
+      ({ storage, cleanup } = await adapter.open());
+      memory = scopeStorage(storage, 'default');
+    });
+
+    after(async () => {
+      await cleanup();
+    });
+
+    it('stores and recalls memories by id and name', async () => {
+      const stored = await memory.store('users-table', 'schema', 'CREATE TABLE users (id uuid)', { owner: 'alice' });
+      assert.equal(stored.created, true);
+      assert.equal(stored.expires_at, null);
+
+      const byId = await memory.recall(stored.id);
+      assert.equal(byId.found, true);
+      assert.equal(byId.name, 'users-table');
+      assert.deepEqual(byId.metadata, { owner: 'alice' });
+      assert.match(byId.created_at, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+
+      assert.equal((await memory.recall('users-table')).id, stored.id);
+      assert.deepEqual(await memory.recall('missing'), { found: false });
+    });
+
+    it('reports ambiguous names and enforces uniqueness when asked', async () => {
+      await memory.store('dup', 'note', 'one');
+      await memory.store('dup', 'task', 'two');
+      const recalled = await memory.recall('dup');
+      assert.equal(recalled.ambiguous, true);
+      assert.equal(recalled.count, 2);
+      assert.equal((await memory.recall('dup', { type: 'task' })).content, 'two');
+
+      await assert.rejects(memory.store('dup', 'note', 'three', {}, { unique: 'type' }), /already exists as note/);
+      await assert.rejects(memory.upsert('dup', 'x', 'y', null, { matchBy: 'namespace' }), /is ambiguous: 2 matches/);
+    });
+
+    it('upserts by name and keeps metadata and expiry unless given', async () => {
+      const created = await memory.upsert('config', 'settings', 'v1', { env: 'prod' }, { ttlSeconds: 3600 });
+      assert.equal(created.created, true);
+
+      const updated = await memory.upsert('config', 'settings', 'v2');
+      assert.deepEqual(updated, { id: created.id, name: 'config', type: 'settings', created: false, updated: true });
+      const recalled = await memory.recall(created.id);
+      assert.equal(recalled.content, 'v2');
+      assert.deepEqual(recalled.metadata, { env: 'prod' });
+      assert.equal(recalled.expires_at, created.expires_at);
+    });
+
+    it('updates live memories only and can clear the expiry', async () => {
+      const { id } = await memory.store('draft', 'note', 'a', { keep: true }, { expiresAt: '2030-01-01T00:00:00Z' });
+      assert.deepEqual(await memory.update(id, 'b', null, { expiresAt: null }), { id, updated: true });
+      const recalled = await memory.recall(id);
+      assert.equal(recalled.content, 'b');
+      assert.deepEqual(recalled.metadata, { keep: true });
+      assert.equal(recalled.expires_at, null);
+
+      await memory.delete(id);
+      assert.deepEqual(await memory.update(id, 'c'), { id, updated: false });
+    });
+
+    it('searches names and content with filters and stable cursors', async () => {
+      for (let i = 0; i < 5; i++) {
+        await memory.store(`invoice-${i}`, 'billing', `Invoice number ${i} for the quarterly report`, {
+          amount: i * 100,
+          tags: i % 2 ? ['paid'] : ['open']
+        });
+      }
+      await memory.store('report-template', 'template', 'Quarterly layout');
+
+      const all = await memory.search('report');
+      assert.equal(all.total, 6);
+      assert.equal(all.entities[0].name, 'report-template', 'name matches rank first');
+
+      assert.equal((await memory.search('invoice', { type: 'billing' })).total, 5);
+      assert.equal((await memory.search('quart*', { type: 'template' })).total, 1);
+      assert.equal((await memory.search('"number 3"')).total, 1);
+      assert.equal((await memory.search('layout number', { match: 'any' })).total, 6);
+      assert.equal((await memory.search('layout number')).total, 0);
+      const filtered = await memory.search('invoice', { metadata: { amount: { gte: 200 }, tags: { contains: 'paid' } } });
+      assert.deepEqual(filtered.entities.map(e => e.name), ['invoice-3']);
+
+      const seen = [];
+      let cursor = null;
+      do {
+        const page = await memory.search('invoice', { limit: 2, sort: 'name', cursor });
+        seen.push(...page.entities.map(e => e.name));
+        cursor = page.next_cursor;
+      } while (cursor);
+      assert.deepEqual(seen, ['invoice-0', 'invoice-1', 'invoice-2', 'invoice-3', 'invoice-4']);
+
+      const byOffset = await memory.search('invoice', { limit: 2, offset: 2, sort: 'name' });
+      assert.deepEqual(byOffset.entities.map(e => e.name), ['invoice-2', 'invoice-3']);
+      assert.equal(byOffset.next_offset, 4);
+      assert.deepEqual(await memory.search('   '), {
+        count: 0, total: 0, offset: 0, next_offset: null, next_cursor: null, entities: []
+      });
+    });
+
+    it('lists with metadata predicates, date ranges and cursors', async () => {
+      const names = (result) => result.entities.map(e => e.name);
+      const list = (filters) => memory.list({ type: 'billing', sort: 'name', ...filters });
+
+      assert.deepEqual(names(await list({ metadata: { amount: { lt: 200 } } })), ['invoice-0', 'invoice-1']);
+      assert.deepEqual(names(await list({ metadata: { amount: 300 } })), ['invoice-3']);
+      assert.deepEqual(names(await list({ metadata: { tags: { contains: 'open' }, amount: { ne: 0 } } })), ['invoice-2', 'invoice-4']);
+      assert.equal((await list({ metadata: { missing: { exists: false } } })).count, 5);
+      assert.equal((await list({ metadata: { amount: { exists: true } } })).count, 5);
+      assert.equal((await list({ createdAfter: '2999-01-01' })).count, 0);
+      assert.equal((await list({ createdBefore: '2999-01-01' })).count, 5);
+      await assert.rejects(list({ metadata: { 'bad key': 1 } }), /Invalid metadata key/);
+
+      const first = await list({ limit: 3 });
+      assert.deepEqual(names(first), ['invoice-0', 'invoice-1', 'invoice-2']);
+      const second = await list({ limit: 3, cursor: first.next_cursor });
+      assert.deepEqual(names(second), ['invoice-3', 'invoice-4']);
+      assert.equal(second.next_cursor, null);
+
+      const desc = await list({ order: 'desc', limit: 1 });
+      assert.deepEqual(names(desc), ['invoice-4']);
+    });
+
+    it('relates live memories and hides relations of deleted ones', async () => {
+      const team = await memory.store('team', 'group', 'The team');
+      const alice = await memory.store('alice', 'person', 'Engineer');
+      const bob = await memory.store('bob', 'person', 'Designer');
+
+      const rel = await memory.relate(team.id, alice.id, 'has_member', { since: 2024 });
+      await memory.relate(team.id, bob.id, 'has_member');
+      await assert.rejects(memory.relate(team.id, 'nope', 'has_member'), /target memory nope does not exist/);
+      await assert.rejects(memory.relate(team.id, alice.id, ''), /relation_type is required/);
+
+      const relations = await memory.getRelations(team.id);
+      assert.equal(relations.count, 2);
+      const toAlice = relations.relations.find(r => r.id === rel.id);
+      assert.equal(toAlice.to_name, 'alice');
+      assert.equal(toAlice.from_type, 'group');
+      assert.deepEqual(JSON.parse(toAlice.metadata), { since: 2024 });
+
+      assert.deepEqual(await memory.updateRelation(rel.id, { relationType: 'led_by' }), { id: rel.id, updated: true });
+      await assert.rejects(memory.updateRelation(rel.id, {}), /needs relation_type and\/or metadata/);
+
+      await assert.rejects(memory.delete(bob.id, { mode: 'restrict' }), /1 relation\(s\) still reference it/);
+      const deleted = await memory.delete(bob.id);
+      assert.equal(deleted.deleted, true);
+      assert.equal(deleted.relations_deleted, 1);
+      assert.match(deleted.restorable_until, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+      assert.deepEqual(await memory.delete(bob.id), { deleted: false, relations_deleted: 0 });
+      assert.equal((await memory.recall(bob.id)).found, false);
+      assert.equal((await memory.getRelations(team.id)).count, 1);
+
+      assert.deepEqual(await memory.unrelate({ fromId: team.id, toId: alice.id, relationType: 'has_member' }), { deleted: 0 });
+      assert.deepEqual(await memory.unrelate({ fromId: team.id, toId: alice.id }), { deleted: 1 });
+      await assert.rejects(memory.unrelate({ fromId: team.id }), /needs either id or both/);
+    });
+
+    it('keeps tenants apart', async () => {
+      const other = scopeStorage(storage, 'acme');
+      const { id } = await other.store('secret', 'note', 'acme only');
+      assert.equal((await memory.recall(id)).found, false);
+      assert.equal((await memory.search('acme')).total, 0);
+      assert.equal((await other.search('acme')).total, 1);
+      assert.deepEqual(await memory.update(id, 'hijack'), { id, updated: false });
+      await assert.rejects(memory.relate(id, id, 'x'), /source memory .* does not exist/);
+
+      const counts = await storage.counts();
+      assert.deepEqual(counts.find(c => c.tenant === 'acme'), { tenant: 'acme', entities: 1, relations: 0 });
+    });
+
+    it('counts tenants with live memories or relations, and no others', async () => {
+      const orphaned = scopeStorage(storage, 'orphaned');
+      const a = await orphaned.store('a', 'node', 'a');
+      const b = await orphaned.store('b', 'node', 'b');
+      await orphaned.relate(a.id, b.id, 'links');
+      await orphaned.delete(a.id);
+      await orphaned.delete(b.id);
+      const emptied = scopeStorage(storage, 'emptied');
+      await emptied.delete((await emptied.store('c', 'node', 'c')).id);
+
+      const counts = await storage.counts();
+      assert.deepEqual(counts.find(c => c.tenant === 'orphaned'), { tenant: 'orphaned', entities: 0, relations: 1 });
+      assert.equal(counts.find(c => c.tenant === 'emptied'), undefined);
+    });
+
+    it('sweeps expired memories and types past their retention', async () => {
+      const doomed = await memory.store('scratch-1', 'scratch', 'temporary', {}, { ttlSeconds: 60 });
+      const kept = await memory.store('keeper', 'person', 'stays');
+      await memory.relate(kept.id, doomed.id, 'wrote');
+      await backdate(storage, doomed.id);
+
+      const result = await storage.sweep({ policies: {} });
+      assert.equal(result.expired, 1);
+      assert.equal((await memory.recall(doomed.id)).found, false);
+      assert.equal((await memory.getRelations(kept.id)).count, 0);
+
+      // A zero-second policy removes every memory of the type not touched this instant
+      await memory.store('scratch-2', 'scratch', 'old');
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      assert.equal((await storage.sweep({ policies: { scratch: 0 } })).retained, 1);
+      assert.equal((await memory.recall(kept.id)).found, true);
+    });
+
+    it('hides expired memories from reads before the sweep removes them', async () => {
+      const lapsed = await memory.store('lapsed', 'lapsing', 'vanishing content', {}, { ttlSeconds: 60 });
+      await backdate(storage, lapsed.id);
+
+      assert.equal((await memory.recall(lapsed.id)).found, false);
+      assert.equal((await memory.recall('lapsed')).found, false);
+      assert.equal((await memory.search('vanishing')).total, 0);
+      assert.deepEqual((await memory.list({ type: 'lapsing' })).entities, []);
+    });
+  });
+}
+
+describe('postgres-backed server', { skip: !POSTGRES_URL && 'set MEMORY_TEST_POSTGRES_URL to run against Postgres' }, () => {
+  const schema = `memory_test_${randomUUID().replace(/-/g, '')}`;
+  let server;
+  let client;
+
+  before(async () => {
+    const storage = await createPostgresStorage({ connectionString: POSTGRES_URL, schema });
+    server = await startTestServer({ storage });
+    client = await server.connect();
+  });
+
+  after(async () => {
+    await server.close();
+    const admin = new pg.Client({ connectionString: POSTGRES_URL });
+    await admin.connect();
+    await admin.query(`DROP SCHEMA ${schema} CASCADE`);
+    await admin.end();
+  });
+
+  it('serves the core memory tools from Postgres and hides SQLite-only ones', async () => {
+    const { id } = await callTool(client, 'memory_store', { name: 'pg-memory', type: 'note', content: 'lives in postgres' });
+    assert.equal((await callTool(client, 'memory_search', { query: 'postgres' })).entities[0].id, id);
+    assert.equal(server.db.prepare(`SELECT COUNT(*) AS n FROM entities`).get().n, 0);
+
+    const { tools } = await client.listTools();
+    const names = tools.map(t => t.name);
+    assert.ok(names.includes('memory_store'));
+    assert.ok(!names.includes('memory_traverse'));
+    await assert.rejects(callTool(client, 'memory_traverse', { start: id }), /only available with the sqlite memory backend/);
+  });
+});
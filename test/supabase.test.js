@@ -0,0 +1,81 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, callTool } from './helpers.js';
+import { startMockApis } from './mocks/index.js';
+
+describe('supabase tools', () => {
+  let mocks;
+  let server;
+  let client;
+
+  before(async () => {
+    mocks = await startMockApis();
+    Object.assign(process.env, mocks.env);
+    server = await startTestServer();
+    client = await server.connect();
+  });
+
+  after(async () => {
+    await server.close();
+    await mocks.close();
+  });
+
+  it('creates, lists and fetches projects', async () => {
+    const [org] = await callTool(client, 'supabase_list_organizations');
+    const project = await callTool(client, 'supabase_create_project', {
+      name: 'demo',
+      organizationId: org.id,
+      dbPassword: 'secret'
+    });
+    assert.equal(project.region, 'us-east-1');
+
+    const projects = await callTool(client, 'supabase_list_projects');
+    assert.ok(projects.some(p => p.id === project.id));
+
+    const fetched = await callTool(client, 'supabase_get_project', { projectRef: project.id });
+    assert.equal(fetched.name, 'demo');
+  });
+
+  it('creates tables with generated DDL and lists them', async () => {
+    const [org] = await callTool(client, 'supabase_list_organizations');
+    const { id: projectRef } = await callTool(client, 'supabase_create_project', {
+      name: 'tables',
+      organizationId: org.id,
+      dbPassword: 'secret'
+    });
+
+    await callTool(client, 'supabase_create_table', {
+      projectRef,
+      tableName: 'users',
+      columns: [
+        { name: 'id', type: 'uuid', primaryKey: true, default: 'gen_random_uuid()' },
+        { name: 'email', type: 'text', notNull: true }
+      ]
+    });
+    const ddl = mocks.supabase.locals.state.queries.at(-1).sql;
+    assert.equal(ddl, 'CREATE TABLE IF NOT EXISTS users (id uuid PRIMARY KEY DEFAULT gen_random_uuid(), email text NOT NULL);');
+
+    const tables = await callTool(client, 'supabase_list_tables', { projectRef });
+    assert.deepEqual(tables, [{ table_name: 'users', table_type: 'BASE TABLE' }]);
+
+    const rows = await callTool(client, 'supabase_run_sql', { projectRef, sql: 'SELECT 1;' });
+    assert.deepEqual(rows, []);
+  });
+
+  it('surfaces API errors', async () => {
+    await assert.rejects(
+      callTool(client, 'supabase_get_project', { projectRef: 'missing' }),
+      /Supabase API error: .*Project not found: missing/
+    );
+  });
+
+  it('fails clearly when SUPABASE_TOKEN is unset', async () => {
+    const token = process.env.SUPABASE_TOKEN;
+    delete process.env.SUPABASE_TOKEN;
+    try {
+      await assert.rejects(callTool(client, 'supabase_list_projects'), /SUPABASE_TOKEN environment variable is not set/);
+    } finally {
+      process.env.SUPABASE_TOKEN = token;
+    }
+  });
+});
@@ -0,0 +1,324 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { startTestServer, callTool } from './helpers.js';
+import { packArchive, unpackArchive, detectArchiveFormat } from '../src/archive.js';
+import { loadApiKeys } from '../src/auth.js';
+
+const SAMPLE = [
+  { path: 'docs', type: 'directory' },
+  { path: 'docs/readme.md', type: 'file', data: Buffer.from('# Hello\n') },
+  { path: `deep/${'nested-'.repeat(20)}dir/file.txt`, type: 'file', data: Buffer.from('long name') },
+  { path: 'bin.dat', type: 'file', data: Buffer.from([0, 1, 2, 255, 254]) },
+  { path: 'empty.txt', type: 'file', data: Buffer.alloc(0) }
+];
+
+function summary(entries) {
+  return entries.map(e => `${e.type}:${e.path}:${e.data ? e.data.toString('hex') : ''}`);
+}
+
+async function upload(server, query, body, headers = {}) {
+  const response = await fetch(`${server.url}/workspace/archive?${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/octet-stream', ...headers },
+    body
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('archive formats', () => {
+  it('round-trips files, directories, binary data and long names', () => {
+    for (const format of ['zip', 'tar', 'tar.gz']) {
+      const data = packArchive(SAMPLE, format);
+      assert.equal(detectArchiveFormat(data), format);
+      assert.deepEqual(summary(unpackArchive(data, { maxBytes: 1024 })), summary(SAMPLE), format);
+    }
+  });
+
+  it('refuses archives that expand past the limit', () => {
+    const big = [{ path: 'zeros.bin', type: 'file', data: Buffer.alloc(64 * 1024) }];
+    for (const format of ['zip', 'tar', 'tar.gz']) {
+      assert.throws(() => unpackArchive(packArchive(big, format), { maxBytes: 1024 }), /expands past the 1024-byte limit/, format);
+    }
+  });
+
+  it('rejects data that is not an archive', () => {
+    assert.throws(() => unpackArchive(Buffer.from('not an archive'), { maxBytes: 1024 }), /Unrecognized archive/);
+    const corrupt = packArchive(SAMPLE, 'tar');
+    corrupt[0] ^= 0xff;
+    assert.throws(() => unpackArchive(corrupt, { format: 'tar', maxBytes: 1024 }), /bad header checksum/);
+  });
+});
+
+describe('workspace archive routes', () => {
+  let server;
+  let client;
+  let root;
+
+  before(async () => {
+    server = await startTestServer({ sandbox: { deny: ['.env'], readOnly: ['vendor'] } });
+    client = await server.connect();
+    root = path.join(server.workspaceDir, 'default');
+    await callTool(client, 'fs_write_file', { path: 'project/src/app.js', content: 'console.log(1);\n' });
+    await callTool(client, 'fs_write_file', { path: 'project/README.md', content: '# Project\n' });
+    await fs.writeFile(path.join(root, 'project/.env'), 'SECRET=1');
+    await fs.symlink('/etc/passwd', path.join(root, 'project/passwd'));
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('downloads a directory without deny-listed files or symlinks', async () => {
+    for (const format of ['zip', 'tar', 'tar.gz']) {
+      const response = await fetch(`${server.url}/workspace/archive?path=project&format=${format}`);
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-disposition'), new RegExp(`project\\.${format.replace('.', '\\.')}`));
+      const entries = unpackArchive(Buffer.from(await response.arrayBuffer()), { maxBytes: 1024 });
+      assert.deepEqual(entries.map(e => e.path), ['README.md', 'src', 'src/app.js'], format);
+    }
+
+    const single = await fetch(`${server.url}/workspace/archive?path=project/README.md&format=tar`);
+    const [entry] = unpackArchive(Buffer.from(await single.arrayBuffer()), { maxBytes: 1024 });
+    assert.equal(entry.path, 'README.md');
+    assert.equal(entry.data.toString(), '# Project\n');
+
+    assert.equal((await fetch(`${server.url}/workspace/archive?path=project/.env`)).status, 400);
+    assert.equal((await fetch(`${server.url}/workspace/archive?path=../`)).status, 400);
+    assert.equal((await fetch(`${server.url}/workspace/archive?format=rar`)).status, 400);
+  });
+
+  it('uploads an archive into a directory, honouring the overwrite policy', async () => {
+    const archive = packArchive(SAMPLE, 'zip');
+    const first = await upload(server, 'path=uploaded', archive);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.counts.extracted, 4);
+    assert.deepEqual(await fs.readFile(path.join(root, 'uploaded/bin.dat')), Buffer.from([0, 1, 2, 255, 254]));
+
+    const again = await upload(server, 'path=uploaded', archive);
+    assert.equal(again.status, 400);
+    assert.match(again.body.error, /uploaded\/docs\/readme\.md already exists/);
+
+    await fs.writeFile(path.join(root, 'uploaded/docs/readme.md'), 'edited');
+    const skipped = await upload(server, 'path=uploaded&overwrite=skip', archive);
+    assert.equal(skipped.body.counts.skipped_existing, 4);
+    assert.equal(await fs.readFile(path.join(root, 'uploaded/docs/readme.md'), 'utf-8'), 'edited');
+
+    const overwritten = await upload(server, 'path=uploaded&overwrite=overwrite', packArchive(SAMPLE, 'tar.gz'));
+    assert.deepEqual(overwritten.body.counts, { overwritten: 1, unchanged: 3 });
+    assert.equal(await fs.readFile(path.join(root, 'uploaded/docs/readme.md'), 'utf-8'), '# Hello\n');
+  });
+
+  it('rejects zip-slip entries before writing anything', async () => {
+    const evil = (name) => [
+      { path: 'harmless.txt', type: 'file', data: Buffer.from('ok') },
+      { path: name, type: 'file', data: Buffer.from('pwned') }
+    ];
+    for (const name of ['../evil.txt', 'a/../../evil.txt', '/tmp/evil.txt', '..\\evil.txt', 'C:/evil.txt']) {
+      for (const format of ['zip', 'tar']) {
+        const result = await upload(server, 'path=slip', packArchive(evil(name), format));
+        assert.equal(result.status, 400, `${format} ${name}`);
+        assert.match(result.body.error, /Unsafe archive entry/);
+      }
+    }
+    await assert.rejects(fs.access(path.join(root, 'slip')));
+    await assert.rejects(fs.access(path.join(server.workspaceDir, 'evil.txt')));
+  });
+
+  it('rejects archives whose entries collide with each other before writing anything', async () => {
+    const file = (name) => ({ path: name, type: 'file', data: Buffer.from(name) });
+    const cases = [
+      [[file('ok.txt'), file('a'), file('a/b')], /Cannot extract clash\/a\/b: the archive also has a file clash\/a/],
+      [[file('ok.txt'), file('a/b'), file('a')], /Cannot extract file clash\/a: the archive also has a directory there/],
+      [[file('ok.txt'), { path: 'a', type: 'directory' }, file('a')], /Cannot extract file clash\/a: the archive also has a directory there/],
+      [[file('ok.txt'), file('a'), { path: 'a', type: 'directory' }], /Cannot extract directory clash\/a: the archive also has a file there/]
+    ];
+    for (const [entries, error] of cases) {
+      const result = await upload(server, 'path=clash', packArchive(entries, 'tar'));
+      assert.equal(result.status, 400);
+      assert.match(result.body.error, error);
+    }
+    await assert.rejects(fs.access(path.join(root, 'clash')));
+  });
+
+  it('applies the sandbox to every extracted entry', async () => {
+    const denied = await upload(server, '', packArchive([
+      { path: '.env', type: 'file', data: Buffer.from('planted') },
+      { path: 'fine.txt', type: 'file', data: Buffer.from('fine') }
+    ], 'tar'));
+    assert.deepEqual(denied.body.counts, { skipped_denied: 1, extracted: 1 });
+    await assert.rejects(fs.access(path.join(root, '.env')));
+
+    const readOnly = await upload(server, '', packArchive([{ path: 'vendor/lib.js', type: 'file', data: Buffer.from('x') }], 'tar'));
+    assert.match(readOnly.body.error, /vendor\/lib\.js is read-only/);
+
+    // A symlinked directory can't be used to write outside the workspace
+    const throughLink = await upload(server, '', packArchive([{ path: 'project/passwd/x', type: 'file', data: Buffer.from('x') }], 'tar'));
+    assert.match(throughLink.body.error, /Access denied/);
+
+    const outside = await upload(server, 'path=..', packArchive(SAMPLE, 'tar'));
+    assert.match(outside.body.error, /outside workspace/);
+  });
+
+  it('counts uploads against the workspace quota', async () => {
+    const quotaServer = await startTestServer({ quotas: { maxFileBytes: 10 } });
+    try {
+      const result = await upload(quotaServer, '', packArchive([{ path: 'big.bin', type: 'file', data: Buffer.alloc(100) }], 'zip'));
+      assert.match(result.body.error, /Quota exceeded/);
+    } finally {
+      await quotaServer.close();
+    }
+  });
+
+  it('requires fs_read_file or fs_write_file permission', async () => {
+    const keyed = await startTestServer({
+      apiKeys: loadApiKeys({ MCP_API_KEYS: 'reader:sk-read:fs_read_file;ops:sk-ops:memory' })
+    });
+    try {
+      const auth = (key) => ({ Authorization: `Bearer ${key}` });
+      assert.equal((await fetch(`${keyed.url}/workspace/archive`)).status, 401);
+      assert.equal((await fetch(`${keyed.url}/workspace/archive`, { headers: auth('sk-read') })).status, 200);
+      assert.equal((await fetch(`${keyed.url}/workspace/archive`, { headers: auth('sk-ops') })).status, 403);
+      const denied = await upload(keyed, '', packArchive(SAMPLE, 'zip'), auth('sk-read'));
+      assert.equal(denied.status, 403);
+    } finally {
+      await keyed.close();
+    }
+  });
+});
+
+describe('workspace snapshots', () => {
+  let server;
+  let client;
+  let root;
+
+  before(async () => {
+    server = await startTestServer({ sandbox: { deny: ['*.secret'] } });
+    client = await server.connect();
+    root = path.join(server.workspaceDir, 'default');
+    await callTool(client, 'fs_write_file', { path: 'app/index.js', content: 'v1' });
+    await callTool(client, 'fs_write_file', { path: 'app/lib/util.js', content: 'util' });
+    await fs.writeFile(path.join(root, 'app/keys.secret'), 'hidden');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('creates, lists and restores a snapshot, removing files added since', async () => {
+    const snapshot = await callTool(client, 'fs_snapshot_create', { path: 'app', label: 'before refactor' });
+    assert.equal(snapshot.path, 'app');
+    assert.equal(snapshot.files, 2);
+    assert.equal(snapshot.bytes, 6);
+    assert.match(snapshot.id, /^\d{8}T\d{6}Z-[0-9a-f]{6}$/);
+
+    const { snapshots } = await callTool(client, 'fs_snapshot_list');
+    assert.deepEqual(snapshots.map(s => [s.id, s.label]), [[snapshot.id, 'before refactor']]);
+
+    await callTool(client, 'fs_write_file', { path: 'app/index.js', content: 'v2' });
+    await callTool(client, 'fs_write_file', { path: 'app/new/added.js', content: 'added' });
+    await callTool(client, 'fs_delete', { path: 'app/lib', recursive: true, confirm: 'app/lib' });
+
+    const merged = await callTool(client, 'fs_snapshot_restore', { id: snapshot.id, mode: 'merge' });
+    assert.deepEqual(merged.counts, { overwritten: 1, created_directory: 1, extracted: 1 });
+    assert.equal(await fs.readFile(path.join(root, 'app/new/added.js'), 'utf-8'), 'added');
+
+    const replaced = await callTool(client, 'fs_snapshot_restore', { id: snapshot.id });
+    assert.deepEqual(replaced.counts, { deleted_file: 1, deleted_directory: 1, unchanged: 2 });
+    assert.deepEqual((await fs.readdir(path.join(root, 'app'))).sort(), ['index.js', 'keys.secret', 'lib']);
+    assert.equal(await fs.readFile(path.join(root, 'app/index.js'), 'utf-8'), 'v1');
+    // Deny-listed files are neither captured nor removed
+    assert.equal(await fs.readFile(path.join(root, 'app/keys.secret'), 'utf-8'), 'hidden');
+  });
+
+  it('keeps snapshots outside the tenant workspace', async () => {
+    const snapshot = await callTool(client, 'fs_snapshot_create', {});
+    const listing = await callTool(client, 'fs_list_directory', {});
+    assert.ok(listing.items.every(item => !item.name.includes('snapshot')));
+    await fs.access(path.join(server.workspaceDir, '.snapshots', 'default', `${snapshot.id}.tar.gz`));
+
+    const other = await server.connect({ 'X-Tenant-Id': 'other' });
+    assert.deepEqual((await callTool(other, 'fs_snapshot_list')).snapshots, []);
+    await assert.rejects(callTool(other, 'fs_snapshot_restore', { id: snapshot.id }), /not found/);
+  });
+
+  it('restores file modes', async () => {
+    const tenant = await server.connect({ 'X-Tenant-Id': 'modes' });
+    await callTool(tenant, 'fs_write_file', { path: 'bin/run.sh', content: '#!/bin/sh\necho hi\n' });
+    await callTool(tenant, 'fs_write_file', { path: 'bin/notes.txt', content: 'notes' });
+    const script = path.join(server.workspaceDir, 'modes', 'bin/run.sh');
+    await fs.chmod(script, 0o750);
+    const snapshot = await callTool(tenant, 'fs_snapshot_create', {});
+
+    await fs.chmod(script, 0o600);
+    await callTool(tenant, 'fs_delete', { path: 'bin/notes.txt', confirm: 'bin/notes.txt' });
+    await callTool(tenant, 'fs_snapshot_restore', { id: snapshot.id });
+    assert.equal((await fs.stat(script)).mode & 0o777, 0o750);
+
+    await callTool(tenant, 'fs_delete', { path: 'bin', recursive: true, confirm: 'bin' });
+    await callTool(tenant, 'fs_snapshot_restore', { id: snapshot.id });
+    assert.equal((await fs.stat(script)).mode & 0o777, 0o750);
+  });
+
+  it('leaves git directories out of snapshots', async () => {
+    const tenant = await server.connect({ 'X-Tenant-Id': 'repo' });
+    await callTool(tenant, 'fs_write_file', { path: 'src/main.js', content: 'main' });
+    await fs.mkdir(path.join(server.workspaceDir, 'repo', '.git/objects'), { recursive: true });
+    await fs.writeFile(path.join(server.workspaceDir, 'repo', '.git/objects/blob'), 'x'.repeat(1000));
+
+    const snapshot = await callTool(tenant, 'fs_snapshot_create', {});
+    assert.equal(snapshot.files, 1);
+    const archive = await fs.readFile(path.join(server.workspaceDir, '.snapshots', 'repo', `${snapshot.id}.tar.gz`));
+    assert.deepEqual(unpackArchive(archive, { maxBytes: 1e6 }).map(e => e.path), ['src', 'src/main.js']);
+  });
+
+  it('prunes the oldest snapshots past the limit', async () => {
+    process.env.FS_SNAPSHOT_LIMIT = '2';
+    try {
+      const tenant = await server.connect({ 'X-Tenant-Id': 'pruned' });
+      await callTool(tenant, 'fs_write_file', { path: 'a.txt', content: 'a' });
+      const first = await callTool(tenant, 'fs_snapshot_create', { label: 'one' });
+      await callTool(tenant, 'fs_snapshot_create', { label: 'two' });
+      const third = await callTool(tenant, 'fs_snapshot_create', { label: 'three' });
+      assert.deepEqual(third.pruned, [first.id]);
+      assert.deepEqual((await callTool(tenant, 'fs_snapshot_list')).snapshots.map(s => s.label), ['three', 'two']);
+    } finally {
+      delete process.env.FS_SNAPSHOT_LIMIT;
+    }
+  });
+
+  it('rejects unknown ids, bad modes and non-directories', async () => {
+    await assert.rejects(callTool(client, 'fs_snapshot_restore', { id: '../../default/app/index.js' }), /not found/);
+    await assert.rejects(callTool(client, 'fs_snapshot_restore', { id: '20260101T000000Z-abcdef' }), /not found/);
+    const { snapshots } = await callTool(client, 'fs_snapshot_list');
+    await assert.rejects(callTool(client, 'fs_snapshot_restore', { id: snapshots[0].id, mode: 'wipe' }), /Invalid mode "wipe"/);
+    await assert.rejects(callTool(client, 'fs_snapshot_create', { path: 'app/index.js' }), /not a directory/);
+  });
+
+  it('caps the snapshot bytes a tenant keeps', async () => {
+    const capped = await startTestServer({ quotas: { maxSnapshotBytes: 4000 } });
+    try {
+      const tenant = await capped.connect();
+      // Random content, so each snapshot compresses to roughly 1.6 KB
+      await callTool(tenant, 'fs_write_file', { path: 'data.txt', content: randomBytes(1500).toString('base64') });
+      const first = await callTool(tenant, 'fs_snapshot_create', {});
+      const second = await callTool(tenant, 'fs_snapshot_create', {});
+      assert.deepEqual(second.pruned, []);
+      const third = await callTool(tenant, 'fs_snapshot_create', {});
+      assert.deepEqual(third.pruned, [first.id]);
+
+      const listing = await callTool(tenant, 'fs_snapshot_list');
+      assert.deepEqual(listing.snapshots.map(s => s.id), [third.id, second.id]);
+      assert.equal(listing.bytes, second.archive_bytes + third.archive_bytes);
+      assert.equal(listing.max_bytes, 4000);
+
+      await callTool(tenant, 'fs_write_file', { path: 'big.txt', content: randomBytes(6000).toString('base64') });
+      await assert.rejects(callTool(tenant, 'fs_snapshot_create', {}), /Quota exceeded: a snapshot of \. takes .* over the 3\.9 KB snapshot limit/);
+      assert.equal((await callTool(tenant, 'fs_snapshot_list')).count, 2);
+    } finally {
+      await capped.close();
+    }
+  });
+});